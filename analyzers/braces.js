@@ -0,0 +1,287 @@
+const { tokenizeCLike } = require('./tokenizer');
+
+// Block structure of brace languages (Java, C++) from their tokens, shared
+// by measure.js and the Java and C++ rules
+
+const CONTROL_HEADERS = new Set(['if', 'for', 'while', 'switch', 'catch', 'synchronized']);
+const BLOCK_KEYWORDS = new Set(['else', 'do', 'try', 'finally']);
+// Words after a parameter list that are still part of the signature
+const SIGNATURE_QUALIFIERS = new Set(['const', 'override', 'final', 'volatile', 'mutable', 'constexpr', '&', '&&']);
+// Things that look like `name(...) {` but are not function definitions
+const NOT_FUNCTIONS = new Set([...CONTROL_HEADERS, 'try', 'return', 'sizeof', 'new', 'delete', 'throw', 'alignof', 'decltype', 'typeid', 'static_assert', 'noexcept']);
+const TYPE_DECLARATIONS = new Set(['class', 'struct', 'interface', 'enum', 'record', 'union']);
+// Tokens after which a `{` starts a value rather than a block
+const INITIALIZER_AFTER = new Set(['=', ',', '(', '[', 'return']);
+// Statements after which the rest of their block never runs
+const TERMINATORS = new Set(['return', 'throw', 'break', 'continue']);
+
+const matchBrackets = (tokens) => {
+  const matches = new Map();
+  const stack = [];
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'operator') return;
+    if ('([{'.includes(token.value)) stack.push(index);
+    if (')]}'.includes(token.value) && stack.length) {
+      const open = stack.pop();
+      matches.set(open, index);
+      matches.set(index, open);
+    }
+  });
+
+  return matches;
+};
+
+// If the `{` at `index` opens a function body, returns where its signature
+// starts, the function's name and its parameter list
+const functionSignature = (tokens, index, matches) => {
+  let end = index - 1;
+
+  // Qualifiers, `throws A, B` and `noexcept(...)` after the parameter list
+  for (;;) {
+    const token = tokens[end];
+    if (!token) return null;
+    if (SIGNATURE_QUALIFIERS.has(token.value)) {
+      end--;
+    } else if (token.value === ')' && tokens[matches.get(end) - 1] && tokens[matches.get(end) - 1].value === 'noexcept') {
+      end = matches.get(end) - 2;
+    } else if (token.type === 'name' || token.value === ',' || token.value === '.') {
+      let throwsIndex = end;
+      while (throwsIndex > 0 && (tokens[throwsIndex].type === 'name' || ',.'.includes(tokens[throwsIndex].value)) &&
+        tokens[throwsIndex].value !== 'throws') {
+        throwsIndex--;
+      }
+      if (tokens[throwsIndex].value !== 'throws') break;
+      end = throwsIndex - 1;
+    } else {
+      break;
+    }
+  }
+
+  for (;;) {
+    if (!tokens[end] || tokens[end].value !== ')') return null;
+    const open = matches.get(end);
+    if (open === undefined || open < 1) return null;
+
+    let nameIndex = open - 1;
+    let name = tokens[nameIndex].value;
+    if (tokens[nameIndex].type === 'operator' && tokens[nameIndex - 1] && tokens[nameIndex - 1].value === 'operator') {
+      nameIndex--;
+      name = `operator${name}`;
+    } else if (tokens[nameIndex].type !== 'name' || NOT_FUNCTIONS.has(name)) {
+      return null;
+    }
+
+    const before = tokens[nameIndex - 1];
+    // Constructor initializer list: `Point(int x) : x_(x), y_(0) {`
+    if (before && (before.value === ',' || before.value === ':') && tokens[nameIndex - 2] && tokens[nameIndex - 2].value === ')') {
+      end = nameIndex - 2;
+      continue;
+    }
+    // Calls, and Java record headers: `record Point(int x, int y) {`
+    if (before && (['new', '.', '=', '->'].includes(before.value) || TYPE_DECLARATIONS.has(before.value))) return null;
+
+    // Qualified names: Outer::Inner::method, ~Destructor
+    let start = nameIndex;
+    if (before && before.value === '~') {
+      start--;
+      name = `~${name}`;
+    }
+    while (tokens[start - 1] && tokens[start - 1].value === '::' && tokens[start - 2] && tokens[start - 2].type === 'name') {
+      start -= 2;
+      name = `${tokens[start].value}::${name}`;
+    }
+
+    return { start, name, open, close: end };
+  }
+};
+
+// Name of the type a `{` opens (class Foo, struct Bar : Base, new Runnable() {...})
+const typeDeclaration = (tokens, index, matches) => {
+  const open = tokens[index - 1] && tokens[index - 1].value === ')' ? matches.get(index - 1) : -1;
+  if (open > 1 && tokens[open - 2].value === 'new') return tokens[open - 1].value;
+
+  for (let i = index - 1; i >= 0 && !';{}'.includes(tokens[i].value); i--) {
+    if (TYPE_DECLARATIONS.has(tokens[i].value) && tokens[i + 1] && tokens[i + 1].type === 'name') {
+      return tokens[i + 1].value === 'class' ? tokens[i + 2] && tokens[i + 2].value : tokens[i + 1].value;
+    }
+  }
+  return null;
+};
+
+const isValue = (token, value) => Boolean(token) && token.value === value && token.type !== 'string' && token.type !== 'char';
+
+// What the `{` at `index` opens
+const blockKind = (tokens, index, matches) => {
+  const previous = tokens[index - 1];
+  if (!previous) return { kind: 'block' };
+
+  const open = previous.value === ')' ? matches.get(index - 1) : undefined;
+  const header = open !== undefined ? tokens[open - 1] : null;
+  if (header && (CONTROL_HEADERS.has(header.value) || header.value === 'try')) return { kind: header.value };
+  if (BLOCK_KEYWORDS.has(previous.value)) return { kind: previous.value };
+  // Java `(a) -> {`, C++ `[&](int a) {` and `[&] {`
+  if (previous.value === '->' || (header && header.value === ']')) return { kind: 'lambda' };
+  if (previous.value === ']') {
+    const bracket = tokens[matches.get(index - 1) - 1];
+    return { kind: bracket && bracket.type === 'name' ? 'initializer' : 'lambda' };
+  }
+  if (previous.value === 'namespace' || (tokens[index - 2] && tokens[index - 2].value === 'namespace')) {
+    return { kind: 'namespace', name: previous.value === 'namespace' ? null : previous.value };
+  }
+  if (INITIALIZER_AFTER.has(previous.value)) return { kind: 'initializer' };
+
+  const signature = functionSignature(tokens, index, matches);
+  if (signature) return { kind: 'function', name: signature.name, params: { open: signature.open, close: signature.close } };
+  const typeName = typeDeclaration(tokens, index, matches);
+  return typeName ? { kind: 'type', name: typeName } : { kind: 'block' };
+};
+
+// Every `{` as a block, in order:
+//   kind   - 'function', 'type', 'namespace', 'lambda', 'initializer', the
+//            control keyword ('if', 'try', 'else', ...) or 'block'
+//   open   - index of the `{`
+//   close  - index of its `}`, or the token count if it is never closed
+//   start  - index of the first token of its declaration or statement
+//   name   - function, type or namespace name
+//   params - the function's parameter list, as { open, close } indexes
+//   parent - the enclosing block, or null at the top
+const findBlocks = (tokens, matches) => {
+  const blocks = [];
+  const stack = [];
+
+  tokens.forEach((token, index) => {
+    while (stack.length && stack[stack.length - 1].close <= index) stack.pop();
+    if (!isValue(token, '{')) return;
+
+    const parent = stack.length ? stack[stack.length - 1] : null;
+    let start = index;
+    while (start > 0 && !';{}'.includes(tokens[start - 1].value)) start--;
+
+    const block = {
+      // Braces inside an initializer are nested values
+      ...(parent && parent.kind === 'initializer' ? { kind: 'initializer' } : blockKind(tokens, index, matches)),
+      open: index,
+      close: matches.has(index) ? matches.get(index) : tokens.length,
+      start,
+      parent
+    };
+    blocks.push(block);
+    stack.push(block);
+  });
+
+  return blocks;
+};
+
+// Splits the tokens from `from` to `to` (exclusive) into statements at
+// semicolons and braces outside parentheses. Initializer and lambda bodies
+// stay in the statement they belong to.
+const splitStatements = (parsed, from, to) => {
+  const { tokens, blocksByOpen } = parsed;
+  const statements = [];
+  let start = from;
+  let depth = 0;
+
+  const flush = (end) => {
+    if (end > start) statements.push({ tokens: tokens.slice(start, end), start, end });
+  };
+
+  for (let index = from; index < to; index++) {
+    const token = tokens[index];
+    const block = blocksByOpen.get(index);
+
+    if (block && (block.kind === 'initializer' || block.kind === 'lambda')) {
+      index = Math.min(block.close, to - 1);
+    } else if (isValue(token, '(') || isValue(token, '[')) {
+      depth++;
+    } else if (isValue(token, ')') || isValue(token, ']')) {
+      depth = Math.max(depth - 1, 0);
+    } else if (depth === 0 && (isValue(token, ';') || isValue(token, '{') || isValue(token, '}'))) {
+      flush(index);
+      start = index + 1;
+    }
+  }
+  flush(to);
+
+  return statements;
+};
+
+// Every Java or C++ check works on the same code, so keep the last result
+let lastParse = { key: null, result: null };
+
+// Tokens without preprocessor directives (kept in `directives`), bracket
+// matches by token index, and the blocks
+const parseBraces = (code, tokenizerOptions = {}) => {
+  const key = `${JSON.stringify(tokenizerOptions)}\n${code}`;
+  if (lastParse.key === key) return lastParse.result;
+
+  const { tokens: all, comments, errors } = tokenizeCLike(code, tokenizerOptions);
+  const tokens = all.filter(token => token.type !== 'preprocessor');
+  const matches = matchBrackets(tokens);
+  const blocks = findBlocks(tokens, matches);
+
+  const result = {
+    tokens,
+    directives: all.filter(token => token.type === 'preprocessor'),
+    comments,
+    errors,
+    matches,
+    blocks,
+    blocksByOpen: new Map(blocks.map(block => [block.open, block]))
+  };
+
+  lastParse = { key, result };
+  return result;
+};
+
+// The innermost block of one of `kinds` that contains the token at `index`
+const enclosingBlock = (parsed, index, kinds) => parsed.blocks
+  .filter(block => block.open < index && index < block.close && kinds.includes(block.kind))
+  .pop() || null;
+
+// Check for the code after a return, throw, break or continue that ends its
+// block's statements: the next token in the same block is not the block's
+// `}`, a `case` or a label
+const unreachableCodeCheck = (tokenizerOptions) => (code) => {
+  const parsed = parseBraces(code, tokenizerOptions);
+  const { tokens, matches, directives } = parsed;
+  const bugs = [];
+
+  tokens.forEach((token, index) => {
+    const before = tokens[index - 1];
+    // Terminators that start a statement, not the body of `if (a) return;`
+    if (token.type !== 'name' || !TERMINATORS.has(token.value) || (before && !';{}:'.includes(before.value))) return;
+
+    let end = index + 1;
+    while (end < tokens.length && !isValue(tokens[end], ';')) {
+      if (isValue(tokens[end], '}')) return;
+      end = matches.has(end) && matches.get(end) > end ? matches.get(end) + 1 : end + 1;
+    }
+    const next = tokens[end + 1];
+    if (!next || isValue(next, '}') || ['case', 'default'].includes(next.value) ||
+      (next.type === 'name' && isValue(tokens[end + 2], ':'))) return;
+    // Code in another #if branch may be what follows
+    if (directives.some(directive => directive.line > tokens[end].line && directive.line < next.line)) return;
+
+    bugs.push({
+      message: `Unreachable code after ${token.value} statement`,
+      line: next.line,
+      column: next.column,
+      fix: `Remove the code after ${token.value} or move it before`
+    });
+  });
+
+  return bugs;
+};
+
+module.exports = {
+  CONTROL_HEADERS,
+  BLOCK_KEYWORDS,
+  matchBrackets,
+  functionSignature,
+  typeDeclaration,
+  parseBraces,
+  splitStatements,
+  enclosingBlock,
+  unreachableCodeCheck
+};
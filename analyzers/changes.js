@@ -0,0 +1,97 @@
+const { applyPatch, parsePatch, reversePatch } = require('diff');
+
+// Line numbers on the new side of a unified diff that the change added.
+// File headers before the first hunk are skipped.
+const addedLines = (patch) => {
+  const lines = new Set();
+  let line = null;
+
+  patch.split('\n').forEach(text => {
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(text);
+    if (hunk) {
+      line = parseInt(hunk[1], 10);
+    } else if (line === null) {
+      // Still in the file headers
+    } else if (text.startsWith('+')) {
+      lines.add(line);
+      line++;
+    } else if (text.startsWith(' ')) {
+      line++;
+    }
+    // '-' lines and "\ No newline at end of file" do not exist on the new side
+  });
+
+  return lines;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Recovers the earlier version of `code` from a unified diff that turns that
+// version into `code`. Throws a 400 error when the diff is not a one-file
+// diff that applies.
+const baseFromDiff = (code, diff) => {
+  let patches;
+  try {
+    patches = parsePatch(diff).filter(patch => patch.hunks.length);
+  } catch (error) {
+    throw badRequest(`Invalid diff: ${error.message}`);
+  }
+  if (patches.length !== 1) {
+    throw badRequest('diff must be a unified diff that changes one file');
+  }
+
+  const base = applyPatch(code, reversePatch(patches[0]));
+  if (base === false) {
+    throw badRequest('diff does not match code');
+  }
+  return base;
+};
+
+// Whether a finding is on one of `lines`. Findings without a line, such as
+// some runtime errors, cannot be placed and always count.
+const touchesLines = (bug, lines) => {
+  if (!(bug.line > 0)) return true;
+
+  const endLine = bug.endLine > bug.line ? bug.endLine : bug.line;
+  for (let line = bug.line; line <= endLine; line++) {
+    if (lines.has(line)) return true;
+  }
+  return false;
+};
+
+// A finding is the same in both versions when the same rule reports the same
+// message on a line with the same text, wherever that line moved
+const fingerprint = (bug, lines) => [bug.rule, bug.message, (lines[bug.line - 1] || '').trim()].join('\n');
+
+// The findings of `code` that are new since `baseCode`, and the findings of
+// `baseCode` that no longer occur in `code`
+const compareFindings = ({ baseCode, baseBugs, code, bugs }) => {
+  const baseLines = baseCode.split('\n');
+  const lines = code.split('\n');
+  const remaining = new Map();
+
+  baseBugs.forEach(bug => {
+    const key = fingerprint(bug, baseLines);
+    remaining.set(key, [...(remaining.get(key) || []), bug]);
+  });
+
+  const introduced = bugs.filter(bug => {
+    const matches = remaining.get(fingerprint(bug, lines));
+    if (!matches || !matches.length) return true;
+    matches.shift();
+    return false;
+  });
+
+  return { introduced, fixed: [].concat(...remaining.values()) };
+};
+
+module.exports = {
+  addedLines,
+  baseFromDiff,
+  touchesLines,
+  compareFindings
+};
@@ -0,0 +1,221 @@
+// Checks, suggestions and fix templates shared by several languages
+const { insertAt, buildFix } = require('./fixes');
+const { checkSecrets } = require('./secrets');
+
+const findLine = (code, predicate) => code.split('\n').findIndex(predicate) + 1;
+
+// Length of a line without its trailing comment and whitespace. Comment
+// markers inside string literals are ignored.
+const codeLength = (line, commentMarker) => {
+  let quote = null;
+  let end = line.length;
+
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (quote) {
+      if (char === '\\') index++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (line.startsWith(commentMarker, index)) {
+      end = index;
+      break;
+    }
+  }
+
+  return line.slice(0, end).trimEnd().length;
+};
+
+// Statements that do not end in a semicolon: blocks, control flow headers,
+// preprocessor directives, annotations, labels and lines that continue on
+// the next one
+const NO_SEMICOLON_START = /^(#|@|\/\/|\/\*|\*|(}\s*)?(if|else|for|while|do|switch|case|default|try|catch|finally|class|struct|namespace|enum|interface|template)\b)/;
+const NO_SEMICOLON_END = /[;{}(,:\\]$|(&&|\|\||(?<!\+)\+|(?<!-)-|[*/%=<>?|&^!])$/;
+const CONTINUATION_START = /^([{.?:)\]]|&&|\|\||[+\-*/%=<>|&^])/;
+
+// Line-based semicolon check for C-like languages without a parser
+const checkMissingSemicolons = (code) => {
+  const errors = [];
+  const lines = code.split('\n');
+
+  lines.forEach((line, index) => {
+    const length = codeLength(line, '//');
+    const statement = line.slice(0, length).trim();
+    const nextLine = (lines.slice(index + 1).find(next => next.trim()) || '').trim();
+
+    if (statement &&
+        !NO_SEMICOLON_START.test(statement) &&
+        !NO_SEMICOLON_END.test(statement) &&
+        !CONTINUATION_START.test(nextLine)) {
+      errors.push({
+        message: 'Missing semicolon',
+        line: index + 1,
+        column: length + 1,
+        fix: buildFix(code, {
+          id: `semicolon:${index + 1}`,
+          explanation: 'Add a semicolon at the end of the statement',
+          edits: [insertAt(index + 1, length + 1, ';')]
+        })
+      });
+    }
+  });
+
+  return errors;
+};
+
+const checkInfiniteLoops = (code) => {
+  const errors = [];
+
+  if (code.includes('while(true)') || code.includes('for(;;)')) {
+    errors.push({
+      message: 'Potential infinite loop',
+      line: findLine(code, line => line.includes('while(true)') || line.includes('for(;;)')),
+      fix: 'Add proper loop termination condition'
+    });
+  }
+
+  return errors;
+};
+
+const checkUnreachableCode = (code) => {
+  const errors = [];
+
+  if (code.includes('return') && code.includes('return', code.indexOf('return') + 7)) {
+    errors.push({
+      message: 'Unreachable code after return statement',
+      line: findLine(code, line => line.includes('return')),
+      fix: 'Remove code after return statement or restructure logic'
+    });
+  }
+
+  return errors;
+};
+
+// Rules for the shared checks (see registry.js)
+const commonRules = {
+  missingSemicolon: {
+    id: 'missing-semicolon',
+    severity: 'error',
+    description: 'Statements must end with a semicolon',
+    check: checkMissingSemicolons
+  },
+  infiniteLoop: {
+    id: 'infinite-loop',
+    severity: 'warning',
+    description: 'Loops written as while(true) or for(;;)',
+    check: checkInfiniteLoops
+  },
+  unreachableCode: {
+    id: 'unreachable-code',
+    severity: 'warning',
+    description: 'Code after a return statement',
+    check: checkUnreachableCode
+  },
+  hardcodedSecret: {
+    id: 'hardcoded-secret',
+    severity: 'error',
+    cwe: 'CWE-798',
+    description: 'API keys, tokens, private keys and passwords written in the code',
+    check: checkSecrets
+  }
+};
+
+// Suggestions that apply regardless of language
+const generateCommonSuggestions = (code) => {
+  const suggestions = [];
+
+  // Check for comments and documentation
+  if (!code.includes('//') && !code.includes('/*')) {
+    suggestions.push({
+      message: 'Add comments to explain complex logic and important sections',
+      example: {
+        before: 'function calculateTotal(items) {\n    return items.reduce((sum, item) => sum + item.price, 0);\n}',
+        after: '// Calculate the total price of all items in the cart\nfunction calculateTotal(items) {\n    // Use reduce to sum up all item prices\n    return items.reduce((sum, item) => sum + item.price, 0);\n}'
+      }
+    });
+  }
+
+  // Check for error handling
+  if (!code.includes('try') && !code.includes('catch')) {
+    suggestions.push({
+      message: 'Implement proper error handling with try-catch blocks',
+      example: {
+        before: 'function divide(a, b) {\n    return a / b;\n}',
+        after: 'function divide(a, b) {\n    try {\n        if (b === 0) throw new Error("Division by zero");\n        return a / b;\n    } catch (error) {\n        console.error("Error:", error.message);\n        return null;\n    }\n}'
+      }
+    });
+  }
+
+  // Check for consistent formatting
+  if (code.includes('  ') && code.includes('\t')) {
+    suggestions.push({
+      message: 'Use consistent indentation (either spaces or tabs, not both)',
+      example: {
+        before: 'function example() {\n\tconsole.log("tab");\n  console.log("spaces");\n}',
+        after: 'function example() {\n    console.log("consistent");\n    console.log("spaces");\n}'
+      }
+    });
+  }
+
+  // Check for variable naming
+  const variableNames = code.match(/[a-z][a-zA-Z0-9]*/g) || [];
+  const shortNames = variableNames.filter(name => name.length < 3);
+  if (shortNames.length > 0) {
+    suggestions.push({
+      message: 'Use more descriptive variable names (avoid single or double letter names)',
+      example: {
+        before: 'let x = 5;\nlet y = 10;\nlet z = x + y;',
+        after: 'let firstNumber = 5;\nlet secondNumber = 10;\nlet sum = firstNumber + secondNumber;'
+      }
+    });
+  }
+
+  // Performance suggestions
+  if (code.includes('for') && code.includes('for')) {
+    suggestions.push({
+      message: 'Consider optimizing nested loops for better performance',
+      example: {
+        before: 'for (let i = 0; i < array.length; i++) {\n    for (let j = 0; j < array.length; j++) {\n        console.log(array[i][j]);\n    }\n}',
+        after: 'const length = array.length;\nfor (let i = 0; i < length; i++) {\n    for (let j = 0; j < length; j++) {\n        console.log(array[i][j]);\n    }\n}'
+      }
+    });
+  }
+
+  // Security suggestions
+  if (code.includes('eval(') || code.includes('Function(')) {
+    suggestions.push({
+      message: 'Avoid using eval() or Function() constructor as they can lead to security vulnerabilities',
+      example: {
+        before: 'eval(userInput);',
+        after: '// Use safer alternatives\nconst result = parseFloat(userInput);\nif (!isNaN(result)) {\n    // Process the number\n}'
+      }
+    });
+  }
+
+  return suggestions;
+};
+
+// Fix templates for the shared checks, keyed by bug message
+const commonFixes = {
+  'Potential infinite loop': {
+    before: 'while(true) {\n    // code\n}',
+    after: 'let condition = true;\nwhile(condition) {\n    // code\n    condition = false; // Add termination condition\n}',
+    explanation: 'Add a proper termination condition to the loop'
+  },
+  'Unreachable code after return statement': {
+    before: 'return value;\nconsole.log("This will never run");',
+    after: 'console.log("This will run");\nreturn value;',
+    explanation: 'Move the return statement to the end of the function'
+  }
+};
+
+module.exports = {
+  findLine,
+  codeLength,
+  checkMissingSemicolons,
+  checkInfiniteLoops,
+  checkUnreachableCode,
+  commonRules,
+  generateCommonSuggestions,
+  commonFixes
+};
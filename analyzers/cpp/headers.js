@@ -0,0 +1,217 @@
+const { insertAt, buildFix } = require('../fixes');
+const { parseCpp, isName, isOperator, includedHeaders, declaredNames } = require('./parser');
+
+// Types and objects of the standard library by the header that declares them
+const STD_NAMES = {
+  iostream: ['cout', 'cin', 'cerr', 'clog', 'wcout', 'wcin'],
+  ostream: ['endl', 'ends', 'flush', 'ostream'],
+  istream: ['istream', 'ws'],
+  string: ['string', 'wstring', 'u16string', 'u32string'],
+  string_view: ['string_view'],
+  vector: ['vector'],
+  map: ['map', 'multimap'],
+  unordered_map: ['unordered_map', 'unordered_multimap'],
+  set: ['set', 'multiset'],
+  unordered_set: ['unordered_set', 'unordered_multiset'],
+  list: ['list'],
+  forward_list: ['forward_list'],
+  deque: ['deque'],
+  queue: ['queue', 'priority_queue'],
+  stack: ['stack'],
+  array: ['array'],
+  bitset: ['bitset'],
+  utility: ['pair'],
+  tuple: ['tuple'],
+  memory: ['unique_ptr', 'shared_ptr', 'weak_ptr'],
+  functional: ['function'],
+  sstream: ['stringstream', 'istringstream', 'ostringstream'],
+  fstream: ['fstream', 'ifstream', 'ofstream'],
+  optional: ['optional', 'nullopt'],
+  variant: ['variant'],
+  thread: ['thread', 'this_thread'],
+  mutex: ['mutex', 'lock_guard', 'unique_lock', 'scoped_lock'],
+  chrono: ['chrono'],
+  limits: ['numeric_limits'],
+  stdexcept: ['runtime_error', 'logic_error', 'invalid_argument', 'out_of_range', 'overflow_error', 'domain_error'],
+  exception: ['exception'],
+  iomanip: ['setw', 'setprecision', 'setfill', 'put_time']
+};
+
+// Standard functions, which count as used only when called
+const STD_FUNCTIONS = {
+  string: ['to_string', 'stoi', 'stol', 'stoll', 'stoul', 'stof', 'stod', 'getline'],
+  utility: ['make_pair', 'move', 'swap', 'forward', 'exchange'],
+  tuple: ['make_tuple', 'tie'],
+  memory: ['make_unique', 'make_shared'],
+  algorithm: [
+    'sort', 'stable_sort', 'find', 'find_if', 'count_if', 'max_element', 'min_element', 'reverse', 'max', 'min',
+    'fill', 'binary_search', 'lower_bound', 'upper_bound', 'unique', 'remove_if', 'transform', 'all_of', 'any_of',
+    'none_of', 'for_each', 'minmax', 'clamp', 'next_permutation'
+  ],
+  numeric: ['accumulate', 'iota', 'gcd', 'lcm', 'partial_sum', 'inner_product'],
+  cmath: ['sqrt', 'pow', 'floor', 'ceil', 'fabs', 'round', 'log', 'log10', 'exp', 'sin', 'cos', 'tan', 'atan2', 'hypot']
+};
+
+// C library functions, declared in the global namespace by the C headers
+const C_FUNCTIONS = {
+  cstdio: ['printf', 'scanf', 'puts', 'fprintf', 'sprintf', 'snprintf', 'fopen', 'fclose', 'fgets', 'getchar', 'putchar'],
+  cstdlib: ['malloc', 'calloc', 'realloc', 'free', 'exit', 'rand', 'srand', 'atoi', 'atof', 'abort', 'system', 'qsort'],
+  cstring: ['strlen', 'strcpy', 'strncpy', 'strcmp', 'strncmp', 'strcat', 'strchr', 'strstr', 'memcpy', 'memset', 'memmove', 'memcmp'],
+  cmath: ['sqrt', 'pow', 'floor', 'ceil', 'fabs'],
+  ctime: ['time', 'clock']
+};
+
+// Headers guaranteed to be included by another header
+const IMPLIED = {
+  iostream: ['istream', 'ostream', 'ios', 'streambuf'],
+  istream: ['ios', 'streambuf'],
+  ostream: ['ios', 'streambuf'],
+  fstream: ['istream', 'ostream', 'ios'],
+  sstream: ['istream', 'ostream', 'ios', 'string'],
+  map: ['utility'],
+  unordered_map: ['utility'],
+  string: ['string_view'],
+  'stdio.h': ['cstdio'],
+  'stdlib.h': ['cstdlib'],
+  'string.h': ['cstring'],
+  'math.h': ['cmath'],
+  'time.h': ['ctime']
+};
+
+const byName = (table) => {
+  const headers = new Map();
+  Object.entries(table).forEach(([header, names]) => names.forEach(name => {
+    if (!headers.has(name)) headers.set(name, header);
+  }));
+  return headers;
+};
+
+const STD_NAME_HEADERS = byName(STD_NAMES);
+const STD_FUNCTION_HEADERS = byName(STD_FUNCTIONS);
+const C_FUNCTION_HEADERS = byName(C_FUNCTIONS);
+
+// Everything the included headers provide, or null when a header such as
+// <bits/stdc++.h> provides the whole library
+const availableHeaders = (parsed) => {
+  const included = includedHeaders(parsed);
+  if (included.has('bits/stdc++.h')) return null;
+
+  const available = new Set();
+  const add = (header) => {
+    if (available.has(header)) return;
+    available.add(header);
+    (IMPLIED[header] || []).forEach(add);
+  };
+  included.forEach(add);
+  return available;
+};
+
+// How the code refers to the standard library: whether it has `using
+// namespace std;`, and the names brought in one by one with `using std::x;`
+const stdUsings = (tokens) => {
+  const names = new Set();
+  let namespace = false;
+  tokens.forEach((token, index) => {
+    if (!isName(token, 'using')) return;
+    if (isName(tokens[index + 1], 'namespace') && isName(tokens[index + 2], 'std')) namespace = true;
+    if (isName(tokens[index + 1], 'std') && isOperator(tokens[index + 2], '::') && isName(tokens[index + 3])) {
+      names.add(tokens[index + 3].value);
+    }
+  });
+  return { namespace, names };
+};
+
+// Standard library names the code uses, with the header each needs.
+// `qualified` tells whether it was written std::x; `kind` is 'name' for
+// types and objects, 'function' for std functions and 'c' for C functions.
+const stdUses = (parsed) => {
+  const { tokens } = parsed;
+  const declared = declaredNames(parsed);
+  const uses = [];
+
+  tokens.forEach((token, index) => {
+    if (!isName(token)) return;
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    const qualified = isOperator(before, '::') && isName(tokens[index - 2], 'std') && !isOperator(tokens[index - 3], '::');
+    const member = ['.', '->', '::'].some(value => isOperator(before, value));
+    // `using std::cout;` only declares
+    if (isName(tokens[index - 3], 'using')) return;
+    if (!qualified && (member || declared.has(token.value))) return;
+
+    const called = isOperator(after, '(') || isOperator(after, '<');
+    if (STD_NAME_HEADERS.has(token.value)) {
+      uses.push({ token, header: STD_NAME_HEADERS.get(token.value), qualified, kind: 'name' });
+    } else if (called && STD_FUNCTION_HEADERS.has(token.value) && (qualified || !C_FUNCTION_HEADERS.has(token.value))) {
+      uses.push({ token, header: STD_FUNCTION_HEADERS.get(token.value), qualified, kind: 'function' });
+    } else if (called && !qualified && C_FUNCTION_HEADERS.has(token.value)) {
+      uses.push({ token, header: C_FUNCTION_HEADERS.get(token.value), qualified, kind: 'c' });
+    }
+  });
+
+  return uses;
+};
+
+// The line after the last #include, where a new one goes
+const includeLine = (parsed) => {
+  const includes = parsed.directives.filter(directive => /^#\s*include/.test(directive.value));
+  return includes.length ? includes[includes.length - 1].line + 1 : 1;
+};
+
+// Standard library names used without the header that declares them
+const checkIncludes = (code) => {
+  const parsed = parseCpp(code);
+  const available = availableHeaders(parsed);
+  if (!available) return [];
+
+  const usings = stdUsings(parsed.tokens);
+  // The first use of each missing header
+  const missing = new Map();
+
+  stdUses(parsed).forEach(use => {
+    // An unqualified function call is only the standard one where std is
+    // brought in; types and objects such as cout need the header either way
+    const fromStd = use.qualified || use.kind !== 'function' || usings.namespace || usings.names.has(use.token.value);
+    if (fromStd && !available.has(use.header) && !missing.has(use.header)) missing.set(use.header, use);
+  });
+
+  // <iostream> also brings in endl from <ostream>
+  const implied = new Set([].concat(...[...missing.keys()].map(header => IMPLIED[header] || [])));
+  const line = includeLine(parsed);
+
+  return [...missing.values()].filter(({ header }) => !implied.has(header)).map(({ token, header }) => ({
+    message: `Missing ${header} include`,
+    line: token.line,
+    column: token.column,
+    explanation: `${token.value} is declared in <${header}>, which the code does not include.`,
+    fix: buildFix(code, {
+      id: `include-${header}`,
+      explanation: `Add #include <${header}> ${line === 1 ? 'at the beginning of the file' : 'after the other includes'}`,
+      edits: [insertAt(line, 1, `#include <${header}>\n`)]
+    })
+  }));
+};
+
+// Standard names used without std:: where nothing brings std into scope
+const checkNamespace = (code) => {
+  const parsed = parseCpp(code);
+  const usings = stdUsings(parsed.tokens);
+  if (usings.namespace) return [];
+
+  const reported = new Set();
+  return stdUses(parsed)
+    .filter(({ token, qualified, kind }) => !qualified && kind !== 'c' && !usings.names.has(token.value))
+    .filter(({ token }) => !reported.has(token.value) && reported.add(token.value))
+    .map(({ token }) => ({
+      message: 'Missing namespace declaration',
+      line: token.line,
+      column: token.column,
+      explanation: `${token.value} is in namespace std.`,
+      fix: `Write std::${token.value}, or add using std::${token.value}; after the includes`
+    }));
+};
+
+module.exports = {
+  checkIncludes,
+  checkNamespace
+};
@@ -0,0 +1,77 @@
+const { commonRules } = require('../common');
+const { taintRules } = require('../taint');
+const { unreachableCodeCheck } = require('../braces');
+const { measureBraceFunctions } = require('../measure');
+const { TOKENIZER_OPTIONS, parseCpp, isName } = require('./parser');
+const { checkIncludes, checkNamespace } = require('./headers');
+const { checkMismatchedDelete, checkMemoryLeaks, checkRawOwningPointers } = require('./memory');
+const { findTaintFlows } = require('./security');
+
+const KEYWORDS = new Set([
+  'alignas', 'alignof', 'and', 'asm', 'auto', 'bool', 'break', 'case', 'catch', 'char', 'class', 'concept',
+  'const', 'consteval', 'constexpr', 'const_cast', 'continue', 'co_await', 'co_return', 'co_yield', 'decltype',
+  'default', 'delete', 'do', 'double', 'dynamic_cast', 'else', 'enum', 'explicit', 'export', 'extern', 'float',
+  'for', 'friend', 'goto', 'if', 'inline', 'int', 'long', 'mutable', 'namespace', 'new', 'noexcept', 'not',
+  'operator', 'or', 'private', 'protected', 'public', 'register', 'reinterpret_cast', 'requires', 'return',
+  'short', 'signed', 'sizeof', 'static', 'static_assert', 'static_cast', 'struct', 'switch', 'template', 'this',
+  'thread_local', 'throw', 'try', 'typedef', 'typeid', 'typename', 'union', 'unsigned', 'using', 'virtual',
+  'void', 'volatile', 'while', 'true', 'false', 'nullptr'
+]);
+
+const generateSuggestions = (code) => {
+  const suggestions = [];
+  const { tokens } = parseCpp(code);
+
+  if (tokens.some((token, index) => isName(token, 'using') && isName(tokens[index + 1], 'namespace') && isName(tokens[index + 2], 'std'))) {
+    suggestions.push({
+      message: 'Avoid using namespace std, use specific using declarations instead',
+      example: {
+        before: 'using namespace std;\ncout << "Hello";',
+        after: 'using std::cout;\ncout << "Hello";'
+      }
+    });
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  id: 'cpp',
+  name: 'C++',
+  extensions: ['.cpp', '.cc', '.cxx', '.hpp', '.h'],
+  comments: (code) => parseCpp(code).comments,
+  checks: {
+    syntax: [
+      commonRules.missingSemicolon,
+      { id: 'missing-include', severity: 'error', description: 'Standard library names used without including their header', check: checkIncludes },
+      // Off by default: snippets often leave out the using declarations
+      { id: 'missing-namespace', severity: 'info', description: 'Standard library names used without std:: or a using declaration', check: checkNamespace, enabled: false }
+    ],
+    runtime: [
+      { id: 'memory-leak', severity: 'warning', description: 'Memory allocated with new or malloc() and never freed', check: checkMemoryLeaks },
+      { id: 'mismatched-delete', severity: 'error', description: 'delete for new[], delete[] for new, and free() for new', check: checkMismatchedDelete }
+    ],
+    logical: [
+      { id: 'raw-owning-pointer', severity: 'info', description: 'Raw pointers that own memory from new instead of a smart pointer or container', check: checkRawOwningPointers },
+      commonRules.infiniteLoop,
+      { ...commonRules.unreachableCode, description: 'Statements after return, throw, break or continue', check: unreachableCodeCheck(TOKENIZER_OPTIONS) }
+    ],
+    security: [...taintRules(findTaintFlows, ['sql', 'command', 'format', 'path']), commonRules.hardcodedSecret]
+  },
+  suggestions: generateSuggestions,
+  measureFunctions: (code) => measureBraceFunctions(code, { keywords: KEYWORDS, separator: '::', tokenizerOptions: TOKENIZER_OPTIONS }),
+  bestPractices: [
+    'Use smart pointers instead of raw pointers',
+    'Follow RAII principles',
+    'Use const where appropriate',
+    'Implement proper memory management',
+    'Use modern C++ features'
+  ],
+  fixes: {
+    'Potential memory leak': {
+      before: 'int* ptr = new int(5)',
+      after: 'int* ptr = new int(5);\n// ... use ptr ...\ndelete ptr;',
+      explanation: 'Always free allocated memory with delete'
+    }
+  }
+};
@@ -0,0 +1,264 @@
+const { buildFix } = require('../fixes');
+const { splitStatements } = require('../braces');
+const { parseCpp, isName, isOperator, isDeclaration, outerFunctions } = require('./parser');
+
+const ALLOCATORS = new Set(['malloc', 'calloc', 'realloc', 'strdup']);
+const DESCRIPTIONS = { new: 'new', 'new[]': 'new[]', malloc: 'malloc()' };
+const RELEASES = { new: 'delete', 'new[]': 'delete[]', malloc: 'free()' };
+
+// Index just past a `(`, `[`, `{` or `<...>` group starting at `index`
+const skipGroup = (parsed, index) => {
+  const { tokens, matches } = parsed;
+  if (!isOperator(tokens[index], '<')) return matches.has(index) ? matches.get(index) + 1 : index + 1;
+
+  let depth = 0;
+  for (let end = index; end < tokens.length; end++) {
+    const { value } = tokens[end];
+    if (value === '<') depth++;
+    else if (value === '>') depth--;
+    else if (value === '>>') depth -= 2;
+    else if (';{}'.includes(value)) return end;
+    if (depth <= 0) return end + 1;
+  }
+  return tokens.length;
+};
+
+// The variable an expression starting at `index` is assigned to, looking
+// back past casts: `p = new T`, `T* p = new T`, `p = (T*) malloc(n)`,
+// `this->p = new T`. Returns its token index, or -1.
+const assignedTo = (parsed, index) => {
+  const { tokens, matches } = parsed;
+  let before = index - 1;
+  // A C-style cast, not the end of a call
+  if (isOperator(tokens[before], ')') && matches.has(before) && !isName(tokens[matches.get(before) - 1])) {
+    before = matches.get(before) - 1;
+  }
+  return isOperator(tokens[before], '=') && isName(tokens[before - 1]) ? before - 1 : -1;
+};
+
+// Every `new`, `new[]` and malloc() with what it allocates and where the
+// result goes:
+//   kind   - 'new', 'new[]' or 'malloc'
+//   type   - the allocated type as written, for new
+//   token  - the `new` or allocator token
+//   target - index of the variable it is assigned to, or -1
+//   use    - 'assigned', 'discarded' (a statement of its own) or 'other'
+//            (returned, passed to a function or smart pointer, ...)
+const allocations = (parsed) => {
+  const { tokens } = parsed;
+  const found = [];
+
+  tokens.forEach((token, index) => {
+    let kind;
+    let type = null;
+    if (isName(token, 'new') && !isOperator(tokens[index + 1], '(') && !isName(tokens[index - 1], 'operator')) {
+      // Skip the type: names, ::, template arguments and pointer stars
+      let end = index + 1;
+      while (end < tokens.length && (tokens[end].type === 'name' || ['::', '*', '<'].includes(tokens[end].value))) {
+        end = isOperator(tokens[end], '<') ? skipGroup(parsed, end) : end + 1;
+      }
+      kind = isOperator(tokens[end], '[') ? 'new[]' : 'new';
+      type = tokens.slice(index + 1, end).reduce((text, part, position, parts) =>
+        text + (position && isName(part) && isName(parts[position - 1]) ? ' ' : '') + part.value, '');
+    } else if (isName(token) && ALLOCATORS.has(token.value) && isOperator(tokens[index + 1], '(') &&
+      !['.', '->', '::'].some(value => isOperator(tokens[index - 1], value))) {
+      kind = 'malloc';
+    } else {
+      return;
+    }
+
+    const target = assignedTo(parsed, index);
+    const before = tokens[index - 1];
+    const use = target !== -1 ? 'assigned' : (!before || ';{}'.includes(before.value) ? 'discarded' : 'other');
+    found.push({ kind, type, token, target, use });
+  });
+
+  return found;
+};
+
+// Every delete, delete[] and free() with the variable it frees
+const releases = (parsed) => {
+  const { tokens } = parsed;
+  const found = [];
+
+  tokens.forEach((token, index) => {
+    let kind;
+    let name = index + 1;
+    if (isName(token, 'delete') && !isName(tokens[index - 1], 'operator') && !isOperator(tokens[index - 1], '=')) {
+      const array = isOperator(tokens[index + 1], '[') && isOperator(tokens[index + 2], ']');
+      kind = array ? 'new[]' : 'new';
+      name = array ? index + 3 : index + 1;
+    } else if (isName(token, 'free') && isOperator(tokens[index + 1], '(') &&
+      !['.', '->', '::'].some(value => isOperator(tokens[index - 1], value))) {
+      kind = 'malloc';
+      name = index + 2;
+    } else {
+      return;
+    }
+
+    // `delete this->p`, `delete obj.p`: the member's name
+    while (isName(tokens[name]) && ['->', '.'].some(value => isOperator(tokens[name + 1], value)) && isName(tokens[name + 2])) {
+      name += 2;
+    }
+    if (isName(tokens[name])) found.push({ kind, token, index, name: tokens[name].value });
+  });
+
+  return found;
+};
+
+// Pointers that are only ever allocated one way, by name
+const allocationKinds = (parsed) => {
+  const kinds = new Map();
+  allocations(parsed).filter(allocation => allocation.target !== -1).forEach(({ kind, target }) => {
+    const name = parsed.tokens[target].value;
+    kinds.set(name, kinds.has(name) && kinds.get(name) !== kind ? null : kind);
+  });
+  return kinds;
+};
+
+// delete for memory from new[] or malloc(), delete[] for memory from new,
+// free() for memory from new
+const checkMismatchedDelete = (code) => {
+  const parsed = parseCpp(code);
+  const { tokens } = parsed;
+  const kinds = allocationKinds(parsed);
+
+  return releases(parsed)
+    .filter(release => kinds.get(release.name) && kinds.get(release.name) !== release.kind)
+    .map(release => {
+      const allocated = kinds.get(release.name);
+      const { token } = release;
+      let fix = `Free memory from ${DESCRIPTIONS[allocated]} with ${RELEASES[allocated]}`;
+
+      // delete and delete[] can be swapped in place
+      if (allocated !== 'malloc' && release.kind !== 'malloc') {
+        const start = tokens[release.index];
+        const nameStart = tokens[release.index + (release.kind === 'new[]' ? 3 : 1)];
+        fix = buildFix(code, {
+          id: `delete:${token.line}:${token.column}`,
+          explanation: `Use ${RELEASES[allocated]} for memory allocated with ${DESCRIPTIONS[allocated]}`,
+          edits: [{
+            line: start.line,
+            column: start.column,
+            endLine: nameStart.line,
+            endColumn: nameStart.column,
+            text: allocated === 'new[]' ? 'delete[] ' : 'delete '
+          }]
+        });
+      }
+
+      return {
+        message: `'${release.name}' is allocated with ${DESCRIPTIONS[allocated]} but freed with ${RELEASES[release.kind]}`,
+        line: token.line,
+        column: token.column,
+        explanation: 'Freeing memory with the wrong operator is undefined behavior: destructors may not run and the heap can be corrupted.',
+        fix
+      };
+    });
+};
+
+// Whether the variable `name` leaves the function or is handed to
+// something else between `from` and `to`: returned, passed to a function,
+// stored in another variable or member, or put in an initializer
+const escapes = (parsed, name, from, to) => {
+  const { tokens } = parsed;
+  for (let index = from; index < to; index++) {
+    if (!isName(tokens[index], name) || ['.', '->', '::'].some(value => isOperator(tokens[index - 1], value))) continue;
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    if (isName(before, 'return') || isName(before, 'throw') || isName(before, 'co_return')) return true;
+    if (['(', ',', '{'].some(value => isOperator(before, value)) && [')', ',', '}'].some(value => isOperator(after, value))) return true;
+    if (isOperator(before, '=') && isOperator(after, ';')) return true;
+  }
+  return false;
+};
+
+// Memory from new or malloc() that nothing frees: local pointers never
+// deleted or handed on before the function ends, members that no function
+// in the file deletes, and results of new that are not stored at all
+const checkMemoryLeaks = (code) => {
+  const parsed = parseCpp(code);
+  const { tokens } = parsed;
+  const released = new Set(releases(parsed).map(release => release.name));
+  const functions = outerFunctions(parsed);
+  const bugs = [];
+
+  allocations(parsed).forEach(allocation => {
+    const { token, kind, target, use } = allocation;
+    const what = kind === 'malloc' ? 'malloc()' : 'new';
+
+    if (use === 'discarded' && kind !== 'malloc') {
+      bugs.push({
+        message: 'Potential memory leak',
+        line: token.line,
+        column: token.column,
+        explanation: 'The pointer new returns is not stored, so the memory can never be deleted.',
+        fix: 'Store the pointer and delete it, or create the object without new'
+      });
+      return;
+    }
+    if (use !== 'assigned') return;
+
+    const name = tokens[target].value;
+    const member = ['->', '.'].some(value => isOperator(tokens[target - 1], value));
+    const fn = functions.find(block => block.open < target && target < block.close);
+    const local = fn && !member && tokens.slice(fn.params.open, target + 1)
+      .some((other, index) => other.value === name && isDeclaration(tokens, fn.params.open + index));
+
+    if (local) {
+      const statement = splitStatements(parsed, fn.open + 1, fn.close).find(part => part.start <= target && target < part.end);
+      const freed = releases(parsed).some(release => release.name === name && release.index > fn.open && release.index < fn.close);
+      if (freed || escapes(parsed, name, statement.end, fn.close)) return;
+      bugs.push({
+        message: 'Potential memory leak',
+        line: token.line,
+        column: token.column,
+        explanation: `${name} is allocated with ${what} on line ${token.line} and never freed before ${fn.name} returns.`,
+        fix: kind === 'malloc' ? `free(${name}) when it is no longer needed` : `Delete ${name} when it is no longer needed, or use a smart pointer`
+      });
+    } else if (!released.has(name)) {
+      bugs.push({
+        message: 'Potential memory leak',
+        line: token.line,
+        column: token.column,
+        explanation: `${name} is allocated with ${what}, but nothing in the code frees it.`,
+        fix: `Free ${name} in the destructor, or make it a smart pointer or container`
+      });
+    }
+  });
+
+  return bugs;
+};
+
+// Pointers that own memory from new: declared as T* and initialized with
+// new, or assigned new. Smart pointers and containers free their memory
+// themselves, even when an exception is thrown.
+const checkRawOwningPointers = (code) => {
+  const parsed = parseCpp(code);
+  const { tokens } = parsed;
+  const reported = new Set();
+  const bugs = [];
+
+  allocations(parsed).forEach(({ kind, type, target }) => {
+    if (kind === 'malloc' || target === -1 || reported.has(tokens[target].value)) return;
+    const name = tokens[target];
+    reported.add(name.value);
+
+    bugs.push({
+      message: `Raw pointer '${name.value}' owns memory allocated with ${kind}`,
+      line: name.line,
+      column: name.column,
+      fix: kind === 'new[]'
+        ? `Use std::vector<${type}> (or std::unique_ptr<${type}[]>) so the array is freed automatically`
+        : `Use std::unique_ptr<${type}> with std::make_unique<${type}>(...) so the object is freed automatically`
+    });
+  });
+
+  return bugs;
+};
+
+module.exports = {
+  checkMismatchedDelete,
+  checkMemoryLeaks,
+  checkRawOwningPointers
+};
@@ -0,0 +1,69 @@
+const { parseBraces } = require('../braces');
+
+const TOKENIZER_OPTIONS = { preprocessor: true };
+// Words that can come right before a name without declaring it
+const NOT_TYPES = new Set([
+  'return', 'throw', 'new', 'delete', 'case', 'else', 'do', 'sizeof', 'goto', 'co_return', 'co_yield', 'co_await',
+  'using', 'namespace', 'operator', 'public', 'private', 'protected', 'typedef'
+]);
+const INCLUDE = /^#\s*include\s*[<"]([^>"]+)[>"]/;
+
+const parseCpp = (code) => parseBraces(code, TOKENIZER_OPTIONS);
+
+const isName = (token, value) => Boolean(token) && token.type === 'name' && (value === undefined || token.value === value);
+const isOperator = (token, value) => Boolean(token) && token.type === 'operator' && token.value === value;
+
+// Headers named by #include directives, as written (`vector`, `stdio.h`)
+const includedHeaders = (parsed) => new Set(parsed.directives
+  .map(directive => directive.value.match(INCLUDE))
+  .filter(Boolean)
+  .map(match => match[1].trim()));
+
+// Whether the name token at `index` is being declared: it follows a type
+// (`int count`, `vector<int> v`, `Node* next`, `const string& s`) and comes
+// before `=`, `;`, `,`, `(`, `[`, `{` or `)`
+const isDeclaration = (tokens, index) => {
+  const before = tokens[index - 1];
+  const after = tokens[index + 1];
+  if (!after) return false;
+  if ((isName(before) && !NOT_TYPES.has(before.value)) || isOperator(before, '>') || isOperator(before, '>>')) {
+    return ['=', ';', ',', '(', '[', '{', ')'].includes(after.value);
+  }
+  // `a * sqrt(b)` is a call, `Node* next;` a declaration
+  return ['*', '&', '&&'].some(value => isOperator(before, value)) && ['=', ';', ',', '[', ')'].includes(after.value);
+};
+
+// Names the code declares itself: functions, types and variables
+const declaredNames = (parsed) => {
+  const names = new Set();
+  parsed.blocks
+    .filter(block => block.name && ['function', 'type', 'namespace'].includes(block.kind))
+    .forEach(block => names.add(block.name.split('::').pop()));
+  parsed.tokens.forEach((token, index) => {
+    if (isName(token) && !isOperator(parsed.tokens[index - 1], '::') && isDeclaration(parsed.tokens, index)) {
+      names.add(token.value);
+    }
+  });
+  return names;
+};
+
+// Functions and methods that are not inside another function. Lambdas
+// belong to the function around them.
+const outerFunctions = (parsed) => parsed.blocks.filter(block => {
+  if (block.kind !== 'function') return false;
+  for (let parent = block.parent; parent; parent = parent.parent) {
+    if (parent.kind === 'function') return false;
+  }
+  return true;
+});
+
+module.exports = {
+  TOKENIZER_OPTIONS,
+  parseCpp,
+  isName,
+  isOperator,
+  includedHeaders,
+  isDeclaration,
+  declaredNames,
+  outerFunctions
+};
@@ -0,0 +1,101 @@
+const { trackTaint, callSink, callArguments, rangeLoopBinding } = require('../taint');
+const { splitStatements } = require('../braces');
+const { parseCpp, isName, isOperator, outerFunctions } = require('./parser');
+
+const FILE_STREAMS = new Set(['ifstream', 'ofstream', 'fstream']);
+
+// The first name in an argument, skipping `&` and casts
+const firstName = (argument) => (argument || []).find(token => isName(token));
+
+const mentions = (argument, name) => (argument || []).some(token => isName(token, name));
+
+// Variables a statement reads input into: `cin >> a >> b`,
+// `getline(cin, line)`, `scanf("%d", &n)`, `fgets(buf, size, stdin)`
+const inputTargets = (tokens) => {
+  const targets = [];
+  const add = (token, label) => {
+    if (token) targets.push({ token, label });
+  };
+
+  tokens.forEach((token, index) => {
+    if (!isName(token) || isOperator(tokens[index - 1], '.')) return;
+    const call = isOperator(tokens[index + 1], '(');
+    const args = call ? callArguments(tokens, index + 1) : [];
+
+    if (token.value === 'cin' && isOperator(tokens[index + 1], '>>')) {
+      tokens.slice(index + 1).forEach((next, offset, rest) => {
+        if (isOperator(rest[offset - 1], '>>') && isName(next)) add(next, 'cin');
+      });
+    } else if (token.value === 'cin' && isOperator(tokens[index + 1], '.') && isName(tokens[index + 2], 'getline')) {
+      add(firstName(callArguments(tokens, index + 3)[0]), 'cin.getline()');
+    } else if (call && token.value === 'getline' && mentions(args[0], 'cin')) {
+      add(firstName(args[1]), 'getline(cin)');
+    } else if (call && token.value === 'scanf') {
+      args.slice(1).forEach(arg => add(firstName(arg), 'scanf()'));
+    } else if (call && token.value === 'fscanf' && mentions(args[0], 'stdin')) {
+      args.slice(2).forEach(arg => add(firstName(arg), 'fscanf(stdin)'));
+    } else if (call && token.value === 'fgets' && mentions(args[2], 'stdin')) {
+      add(firstName(args[0]), 'fgets(stdin)');
+    } else if (call && ['gets', 'recv', 'read'].includes(token.value) && (token.value !== 'read' || mentions(args[0], 'STDIN_FILENO'))) {
+      add(firstName(args[token.value === 'gets' ? 0 : 1]), `${token.value}()`);
+    }
+  });
+  return targets;
+};
+
+// `std::ifstream file(path)`
+const fileStreamSink = (tokens, index) => {
+  const token = tokens[index];
+  if (!isName(token) || !FILE_STREAMS.has(token.value) || !isName(tokens[index + 1]) || !isOperator(tokens[index + 2], '(')) {
+    return null;
+  }
+  return { kind: 'path', args: callArguments(tokens, index + 2).slice(0, 1), label: `std::${token.value}` };
+};
+
+const SINKS = [
+  callSink('command', { names: ['system', 'popen'] }),
+  callSink('command', { names: ['execl', 'execlp', 'execle', 'execv', 'execvp', 'execve'], argument: 'any' }),
+  callSink('sql', { names: ['mysql_query', 'mysql_real_query', 'sqlite3_exec', 'sqlite3_prepare', 'sqlite3_prepare_v2', 'sqlite3_prepare_v3', 'PQexec'], argument: 1 }),
+  callSink('sql', { names: ['exec'], method: true }),
+  callSink('format', { names: ['printf'] }),
+  callSink('format', { names: ['fprintf', 'sprintf', 'syslog'], argument: 1 }),
+  callSink('format', { names: ['snprintf'], argument: 2 }),
+  callSink('path', { names: ['fopen', 'open', 'remove', 'unlink'] }),
+  callSink('path', { names: ['open'], method: true }),
+  fileStreamSink
+];
+
+// main's arguments start out tainted
+const taintedParameters = (tokens, fn) => {
+  if (fn.name !== 'main') return [];
+  const argv = callArguments(tokens, fn.params.open)[1];
+  const token = argv && [...argv].reverse().find(part => isName(part));
+  return token ? [{ token, label: `command-line argument ${token.value}` }] : [];
+};
+
+// Each function is tracked on its own, with its lambdas
+const findTaintFlows = (code) => {
+  const parsed = parseCpp(code);
+  const units = outerFunctions(parsed).map(fn => ({
+    statements: splitStatements(parsed, fn.open + 1, fn.close).map(statement => statement.tokens),
+    tainted: taintedParameters(parsed.tokens, fn)
+  }));
+
+  return trackTaint(units, {
+    sourceAt: () => null,
+    sinks: SINKS,
+    sanitizers: [
+      'atoi', 'atol', 'atoll', 'atof', 'stoi', 'stol', 'stoll', 'stoul', 'stoull', 'stof', 'stod', 'strtol',
+      'strtoul', 'strtod', 'strlen', 'basename'
+    ],
+    cleanMembers: ['size', 'length', 'empty', 'compare', 'find'],
+    inputTargets,
+    propagators: ['append', 'push_back', 'emplace_back', 'insert', 'assign'],
+    copyCalls: { strcpy: 0, strncpy: 0, strcat: 0, strncat: 0, sprintf: 0, snprintf: 0, memcpy: 0 },
+    loopBinding: rangeLoopBinding
+  });
+};
+
+module.exports = {
+  findTaintFlows
+};
@@ -0,0 +1,137 @@
+const { createTwoFilesPatch, structuredPatch } = require('diff');
+
+// Mechanical fixes are lists of edits against the submitted code. An edit
+// replaces the text from { line, column } up to (not including)
+// { endLine, endColumn } with `text`; positions are 1-based like the rest of
+// the review, and an empty range is an insertion.
+
+const insertAt = (line, column, text) => ({ line, column, endLine: line, endColumn: column, text });
+
+const replaceAt = (line, column, length, text) => ({ line, column, endLine: line, endColumn: column + length, text });
+
+const lineOffsets = (code) => {
+  const offsets = [0];
+  for (let index = 0; index < code.length; index++) {
+    if (code[index] === '\n') offsets.push(index + 1);
+  }
+  return offsets;
+};
+
+const toOffset = (offsets, code, line, column) => {
+  if (line < 1 || line > offsets.length) return null;
+  const lineEnd = line < offsets.length ? offsets[line] - 1 : code.length;
+  const offset = offsets[line - 1] + column - 1;
+  return column >= 1 && offset <= lineEnd ? offset : null;
+};
+
+// The 1-based { line, column } of `offset`, from the code's lineOffsets
+const toPosition = (offsets, offset) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return { line: low + 1, column: offset - offsets[low] + 1 };
+};
+
+// Index of the first of the sorted `ranges` starting at or after `offset`
+const firstFrom = (ranges, offset) => {
+  let low = 0;
+  let high = ranges.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (ranges[middle].start < offset) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+// Whether `edit` overlaps any of the sorted, non-overlapping `ranges`. Only
+// the range before its start and the first one from it can.
+const overlapsRanges = (ranges, edit) => {
+  const index = firstFrom(ranges, edit.start);
+  const previous = ranges[index - 1];
+  const next = ranges[index];
+  if (previous && edit.start < previous.end) return true;
+  if (!next) return false;
+  return next.start < edit.end ||
+    // Two insertions at one point would apply in an arbitrary order
+    (next.start === edit.start && (edit.start === edit.end || next.start === next.end));
+};
+
+// Applies the fixes' edits in one pass over the code. A fix whose edits
+// overlap an already applied one, or fall outside the code, is skipped as a
+// whole.
+const applyFixes = (code, fixes) => {
+  const offsets = lineOffsets(code);
+  // Edits of the applied fixes, sorted by where they start
+  const ranges = [];
+  const applied = [];
+  const skipped = [];
+
+  fixes.forEach(fix => {
+    const edits = fix.edits.map(edit => ({
+      ...edit,
+      start: toOffset(offsets, code, edit.line, edit.column),
+      end: toOffset(offsets, code, edit.endLine, edit.endColumn)
+    }));
+
+    const valid = edits.every(edit => edit.start !== null && edit.end !== null && edit.start <= edit.end);
+    if (!valid || edits.some(edit => overlapsRanges(ranges, edit))) {
+      skipped.push(fix.id);
+      return;
+    }
+
+    edits.forEach(edit => ranges.splice(firstFrom(ranges, edit.start), 0, edit));
+    applied.push(fix.id);
+  });
+
+  const parts = [];
+  let copied = 0;
+  ranges.forEach(edit => {
+    parts.push(code.slice(copied, edit.start), edit.text);
+    copied = edit.end;
+  });
+  parts.push(code.slice(copied));
+
+  return { code: parts.join(''), applied, skipped };
+};
+
+// Builds a finding's `fix` from its edits: `before` and `after` are the
+// affected lines of the submitted code without and with the edits applied.
+const buildFix = (code, { id, explanation, edits }) => {
+  const firstLine = Math.min(...edits.map(edit => edit.line));
+  const lastLine = Math.max(...edits.map(edit => edit.endLine));
+  const before = code.split('\n').slice(firstLine - 1, lastLine).join('\n');
+  const shifted = edits.map(edit => ({
+    ...edit,
+    line: edit.line - firstLine + 1,
+    endLine: edit.endLine - firstLine + 1
+  }));
+
+  return {
+    id,
+    before,
+    after: applyFixes(before, [{ id, edits: shifted }]).code,
+    explanation,
+    edits
+  };
+};
+
+// Unified diff plus the same changes as structured hunks for rendering
+const diffCode = (original, fixed, fileName = 'code') => ({
+  diff: createTwoFilesPatch(`a/${fileName}`, `b/${fileName}`, original, fixed),
+  hunks: structuredPatch(`a/${fileName}`, `b/${fileName}`, original, fixed).hunks
+});
+
+module.exports = {
+  lineOffsets,
+  toPosition,
+  insertAt,
+  replaceAt,
+  applyFixes,
+  buildFix,
+  diffCode
+};
@@ -0,0 +1,243 @@
+const { BUG_TYPES, SEVERITIES } = require('./registry');
+
+// Rubric grading: a rubric is { name?, criteria: [criterion] } and a
+// criterion is { type, weight, label?, ...params }. Each criterion scores a
+// review from 0 to 1 and says why; the grade is the weighted average on a
+// 0-100 scale. A criterion that cannot be judged (tests when the rubric is
+// used without any) is left out of the grade rather than counted as failed.
+// Routes that grade must not grade a review whose tests could not be run
+// (`execution.error`); such a review scores 0 for its tests.
+
+const MAX_CRITERIA = 20;
+
+const COMPLEXITY_METRICS = {
+  maxCyclomatic: 'Cyclomatic complexity',
+  maxCognitive: 'Cognitive complexity',
+  maxLoopDepth: 'Loop nesting depth'
+};
+const METRIC_LEVELS = ['maintainability', 'readability', 'efficiency'];
+// Partial credit for each level of a review metric
+const LEVEL_SCORES = { High: 1, Medium: 0.5, Low: 0 };
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+const capitalize = (text) => `${text[0].toUpperCase()}${text.slice(1)}`;
+const round = (value) => Math.round(value * 10) / 10;
+
+// Criterion types. `params` describes each parameter: the allowed `values`
+// or a numeric `min`/`max` range, and its `default` (parameters without one
+// are optional). `evaluate(review, params)` returns { score, detail }, with a
+// null score when the criterion does not apply to the review.
+const CRITERIA = {
+  tests: {
+    description: 'Share of test cases the code passes; a test without an expected output passes when the program runs cleanly',
+    params: {},
+    label: () => 'Tests pass',
+    evaluate: ({ execution }) => {
+      if (!execution) return { score: null, detail: 'No tests were given' };
+      if (execution.error) return { score: 0, detail: execution.error };
+      if (execution.compile && execution.compile.exitCode !== 0) return { score: 0, detail: 'The code does not compile' };
+
+      const passed = execution.runs
+        .filter(run => (run.passed === undefined ? run.exitCode === 0 : run.passed))
+        .length;
+      return { score: passed / execution.runs.length, detail: `${passed} of ${plural(execution.runs.length, 'test')} passed` };
+    }
+  },
+  'bug-count': {
+    description: 'At most `max` bugs, optionally only counting one bug type or severity',
+    params: {
+      bugType: { values: BUG_TYPES },
+      severity: { values: SEVERITIES },
+      max: { min: 0, default: 0 }
+    },
+    label: ({ bugType, severity, max }) => {
+      const kind = [severity, bugType].filter(Boolean).join(' ');
+      return max === 0 ? `No ${kind ? `${kind} ` : ''}bugs` : `At most ${plural(max, `${kind ? `${kind} ` : ''}bug`)}`;
+    },
+    evaluate: ({ debugging }, { bugType, severity, max }) => {
+      const bugs = debugging.bugs.filter(bug => (!bugType || bug.type === bugType) && (!severity || bug.severity === severity));
+      const kind = [severity, bugType].filter(Boolean).join(' ');
+      if (!bugs.length) return { score: 1, detail: `No ${kind ? `${kind} ` : ''}bugs found` };
+
+      const examples = bugs.slice(0, 3).map(bug => `${bug.message}${bug.line ? ` (line ${bug.line})` : ''}`);
+      return {
+        score: bugs.length <= max ? 1 : 0,
+        detail: `${plural(bugs.length, `${kind ? `${kind} ` : ''}bug`)} found: ${examples.join('; ')}` +
+          `${bugs.length > examples.length ? ` and ${bugs.length - examples.length} more` : ''}`
+      };
+    }
+  },
+  complexity: {
+    description: 'The most complex function stays within `max` (see Code Metrics)',
+    params: {
+      metric: { values: Object.keys(COMPLEXITY_METRICS), default: 'maxCyclomatic' },
+      max: { min: 0, default: 10 }
+    },
+    label: ({ metric, max }) => `${COMPLEXITY_METRICS[metric]} at most ${max}`,
+    evaluate: ({ codeAnalysis }, { metric, max }) => {
+      const value = codeAnalysis.metricValues[metric];
+      return {
+        score: value <= max ? 1 : 0,
+        detail: `Highest ${COMPLEXITY_METRICS[metric].toLowerCase()} is ${value}${value <= max ? '' : `, over the limit of ${max}`}`
+      };
+    }
+  },
+  'comment-ratio': {
+    description: 'Share of lines that are comments, in percent, between `min` and `max`',
+    params: {
+      min: { min: 0, max: 100, default: 10 },
+      max: { min: 0, max: 100, default: 50 }
+    },
+    validate: ({ min, max }) => (min > max ? 'min must not be greater than max' : null),
+    label: ({ min, max }) => `Comment ratio between ${min}% and ${max}%`,
+    evaluate: ({ codeAnalysis }, { min, max }) => {
+      const ratio = round(codeAnalysis.codeToCommentRatio);
+      return {
+        score: ratio >= min && ratio <= max ? 1 : 0,
+        detail: `${ratio}% of lines are comments`
+      };
+    }
+  },
+  'metric-level': {
+    description: 'A review metric: High scores in full, Medium half, Low nothing',
+    params: {
+      metric: { values: METRIC_LEVELS, default: 'maintainability' }
+    },
+    label: ({ metric }) => `${capitalize(metric)} level`,
+    evaluate: ({ metrics }, { metric }) => ({
+      score: LEVEL_SCORES[metrics[metric]],
+      detail: `${capitalize(metric)} is ${metrics[metric]}`
+    })
+  }
+};
+
+const DEFAULT_RUBRIC = {
+  name: 'Default',
+  criteria: [
+    { type: 'tests', weight: 40 },
+    { type: 'bug-count', bugType: 'syntax', max: 0, weight: 20 },
+    { type: 'complexity', metric: 'maxCyclomatic', max: 10, weight: 15 },
+    { type: 'bug-count', bugType: 'security', max: 0, weight: 15 },
+    { type: 'comment-ratio', min: 10, max: 50, weight: 10 }
+  ]
+};
+
+// Criterion types for clients building a rubric
+const listCriteria = () => Object.entries(CRITERIA).map(([type, { description, params }]) => ({
+  type,
+  description,
+  params
+}));
+
+// A criterion's parameters with the defaults filled in
+const withDefaults = (definition, params) => {
+  const defaults = Object.fromEntries(Object.entries(definition.params)
+    .filter(([, spec]) => spec.default !== undefined)
+    .map(([name, spec]) => [name, spec.default]));
+  return { ...defaults, ...params };
+};
+
+const checkParam = (name, spec, value) => {
+  if (spec.values) {
+    return spec.values.includes(value) ? null : `${name} must be one of ${spec.values.join(', ')}`;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+  if (spec.min !== undefined && value < spec.min) return `${name} must be at least ${spec.min}`;
+  if (spec.max !== undefined && value > spec.max) return `${name} must be at most ${spec.max}`;
+  return null;
+};
+
+// Returns an error message when `rubric` is not a valid rubric
+const validateRubric = (rubric) => {
+  if (rubric === undefined) return null;
+  if (!rubric || typeof rubric !== 'object' || Array.isArray(rubric)) return 'rubric must be an object';
+  if (rubric.name !== undefined && typeof rubric.name !== 'string') return 'rubric.name must be a string';
+
+  const { criteria } = rubric;
+  if (!Array.isArray(criteria) || !criteria.length || criteria.length > MAX_CRITERIA) {
+    return `rubric.criteria must be an array of 1 to ${MAX_CRITERIA} criteria`;
+  }
+
+  for (const [index, criterion] of criteria.entries()) {
+    const at = `rubric.criteria[${index}]`;
+    if (!criterion || typeof criterion !== 'object') return `${at} must be an object`;
+
+    const { type, weight, label, ...params } = criterion;
+    const definition = Object.hasOwn(CRITERIA, type) ? CRITERIA[type] : null;
+    if (!definition) return `${at}: unknown criterion type ${type}; use one of ${Object.keys(CRITERIA).join(', ')}`;
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) return `${at}: weight must be a positive number`;
+    if (label !== undefined && typeof label !== 'string') return `${at}: label must be a string`;
+
+    const unknown = Object.keys(params).find(name => !Object.hasOwn(definition.params, name));
+    if (unknown) return `${at}: unknown parameter ${unknown} for ${type}`;
+
+    for (const [name, value] of Object.entries(params)) {
+      const error = checkParam(name, definition.params[name], value);
+      if (error) return `${at}: ${error}`;
+    }
+    const error = definition.validate && definition.validate(withDefaults(definition, params));
+    if (error) return `${at}: ${error}`;
+  }
+
+  return null;
+};
+
+// Grades a review (analyzeCode output, with `execution` when the code was
+// run) against a validated rubric:
+//   score      - 0-100, or null when no criterion applied
+//   points     - weighted points earned, out of maxPoints (the weights of
+//                the criteria that applied)
+//   criteria   - per criterion: label, weight, score (0-1 or null), points
+//                and the justification for its score
+//   justification - a summary: which criteria lost points and why
+const gradeReview = (review, rubric = DEFAULT_RUBRIC) => {
+  const criteria = rubric.criteria.map(({ type, weight, label, ...given }) => {
+    const definition = CRITERIA[type];
+    const params = withDefaults(definition, given);
+    const { score, detail } = definition.evaluate(review, params);
+
+    return {
+      type,
+      label: label || definition.label(params),
+      weight,
+      ...params,
+      score: score === null ? null : Math.round(score * 100) / 100,
+      points: score === null ? null : round(score * weight),
+      skipped: score === null,
+      justification: detail
+    };
+  });
+
+  const graded = criteria.filter(criterion => !criterion.skipped);
+  const maxPoints = graded.reduce((total, criterion) => total + criterion.weight, 0);
+  const points = round(graded.reduce((total, criterion) => total + criterion.points, 0));
+  const score = maxPoints ? round((points / maxPoints) * 100) : null;
+
+  const lost = graded.filter(criterion => criterion.points < criterion.weight);
+  const skipped = criteria.filter(criterion => criterion.skipped);
+  const summary = [
+    score === null ? 'No criterion could be graded.' : `Scored ${score}/100.`,
+    ...(score !== null ? [lost.length
+      ? `Lost points on ${lost.map(criterion => `${criterion.label} (${criterion.justification})`).join('; ')}.`
+      : 'Met every criterion.'] : []),
+    ...(skipped.length
+      ? [`Not graded: ${skipped.map(criterion => `${criterion.label} (${criterion.justification})`).join('; ')}.`]
+      : [])
+  ];
+
+  return {
+    rubric: rubric.name || null,
+    score,
+    points,
+    maxPoints,
+    criteria,
+    justification: summary.join(' ')
+  };
+};
+
+module.exports = {
+  DEFAULT_RUBRIC,
+  listCriteria,
+  validateRubric,
+  gradeReview
+};
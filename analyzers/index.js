@@ -0,0 +1,184 @@
+const {
+  BUG_TYPES,
+  SEVERITIES,
+  registerLanguage,
+  getLanguage,
+  listLanguages,
+  listRules,
+  detectLanguage
+} = require('./registry');
+const { validateRuleConfig, ruleLevel, findSuppressions, isSuppressed } = require('./rules');
+const { analyzeProject, isIgnoredPath } = require('./project');
+const { ENVIRONMENTS } = require('./javascript/scope');
+const { generateCommonSuggestions, commonFixes } = require('./common');
+const { summarizeMetrics } = require('./metrics');
+
+// Built-in languages
+[
+  require('./javascript'),
+  require('./python'),
+  require('./java'),
+  require('./cpp')
+].forEach(registerLanguage);
+
+const generateFix = (bug, analyzer) => {
+  // Checks that know the offending code build their own fix
+  if (bug.fix && typeof bug.fix === 'object') return bug;
+
+  const fix = analyzer.fixes[bug.message] || commonFixes[bug.message] || {
+    before: 'Original code',
+    after: bug.fix,
+    explanation: bug.fix
+  };
+
+  return {
+    ...bug,
+    fix: {
+      before: fix.before,
+      after: fix.after,
+      explanation: fix.explanation
+    }
+  };
+};
+
+// Runs the language's enabled rules, grouped by bug type, at the levels set
+// by `options.rules`. Findings on lines silenced by a suppression comment
+// are returned separately. `onFindings(type, bugs)` is called as each type's
+// rules finish.
+const analyzePotentialBugs = (code, analyzer, options, onFindings) => {
+  const bugs = [];
+  const suppressed = [];
+  const disabledRules = [];
+  const suppressions = findSuppressions(analyzer.comments(code));
+
+  BUG_TYPES.forEach(type => {
+    const found = [];
+    analyzer.checks[type].forEach(rule => {
+      const severity = ruleLevel(rule, options.rules);
+      if (!severity) {
+        disabledRules.push(rule.id);
+        return;
+      }
+
+      rule.check(code, options).forEach(bug => {
+        const finding = generateFix({ type, source: 'rule', rule: rule.id, severity, ...bug }, analyzer);
+        if (isSuppressed(suppressions, finding)) {
+          suppressed.push({ rule: rule.id, line: finding.line, message: finding.message });
+        } else {
+          found.push(finding);
+        }
+      });
+    });
+
+    if (onFindings) onFindings(type, found);
+    bugs.push(...found);
+  });
+
+  return { bugs, suppressed, disabledRules };
+};
+
+const summarizeBugs = (bugs) => ({
+  bugs,
+  bugCount: bugs.length,
+  bugTypes: BUG_TYPES.reduce((counts, type) => ({
+    ...counts,
+    [type]: bugs.filter(bug => bug.type === type).length
+  }), {}),
+  severities: SEVERITIES.reduce((counts, severity) => ({
+    ...counts,
+    [severity]: bugs.filter(bug => bug.severity === severity).length
+  }), {})
+});
+
+// `hooks.onFindings` receives each bug type's findings as soon as they are
+// ready, for callers that stream results.
+const analyzeCode = (code, language, options = {}, hooks = {}) => {
+  const analyzer = getLanguage(language);
+  if (!analyzer) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+
+  const lines = code.split('\n');
+  const totalLines = lines.length;
+
+  // Count comments
+  const commentLines = lines.filter(line =>
+    line.trim().startsWith('//') ||
+    line.trim().startsWith('/*') ||
+    line.trim().startsWith('*') ||
+    line.trim().startsWith('#')
+  ).length;
+
+  // Per-function metrics and the levels derived from them
+  const measured = analyzer.measureFunctions(code);
+  const summary = summarizeMetrics(measured);
+
+  // Shared suggestions first, then the language's own
+  const suggestions = [
+    ...generateCommonSuggestions(code),
+    ...analyzer.suggestions(code)
+  ].map(suggestion => ({ ...suggestion, source: 'rule' }));
+
+  // Add debugging analysis
+  const { bugs, suppressed, disabledRules } = analyzePotentialBugs(code, analyzer, options, hooks.onFindings);
+
+  return {
+    codeAnalysis: {
+      language,
+      totalLines,
+      commentLines,
+      functionCount: measured.functions.length,
+      complexity: summary.complexity,
+      codeToCommentRatio: (commentLines / totalLines) * 100,
+      functions: measured.functions,
+      topLevel: measured.topLevel,
+      metricValues: summary.values
+    },
+    suggestions,
+    bestPractices: analyzer.bestPractices,
+    metrics: {
+      maintainability: summary.maintainability,
+      readability: summary.readability,
+      efficiency: summary.efficiency
+    },
+    debugging: { ...summarizeBugs(bugs), suppressed, disabledRules }
+  };
+};
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Returns an error message when review options ({ env, globals, rules }) are
+// invalid; `name` is what the request calls them
+const validateReviewOptions = (options, name = 'options') => {
+  if (options === undefined) return null;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) return `${name} must be an object`;
+
+  const { env, globals } = options;
+  if (env !== undefined) {
+    if (!isStringArray(env)) {
+      return `${name}.env must be an array of environment names; known environments are ${ENVIRONMENTS.join(', ')}`;
+    }
+    const unknown = env.find(environment => !ENVIRONMENTS.includes(environment));
+    if (unknown !== undefined) {
+      return `Unknown environment: ${unknown}; known environments are ${ENVIRONMENTS.join(', ')}`;
+    }
+  }
+  if (globals !== undefined && !isStringArray(globals)) return `${name}.globals must be an array of names`;
+
+  return validateRuleConfig(options.rules);
+};
+
+module.exports = {
+  SEVERITIES,
+  analyzeCode,
+  summarizeBugs,
+  analyzeProject: (files, options) => analyzeProject(files, analyzeCode, options),
+  isIgnoredPath,
+  registerLanguage,
+  getLanguage,
+  listLanguages,
+  listRules,
+  validateRuleConfig,
+  validateReviewOptions,
+  detectLanguage
+};
@@ -0,0 +1,265 @@
+const { enclosingBlock } = require('../braces');
+const { parseJava, isName, isOperator, outerMethods, localNames, methodStatements } = require('./parser');
+
+// Methods documented to return null when there is nothing to return
+const NULLABLE_METHODS = new Set([
+  'readLine', 'getenv', 'getProperty', 'getParameter', 'getHeader', 'getAttribute', 'getResource', 'poll', 'peek'
+]);
+const MAP_TYPES = new Set(['Map', 'HashMap', 'TreeMap', 'LinkedHashMap', 'SortedMap', 'NavigableMap', 'ConcurrentHashMap', 'Hashtable']);
+// Calls that check their argument for null
+const NULL_CHECKS = new Set(['requireNonNull', 'isNull', 'nonNull', 'ofNullable', 'isEmpty', 'isBlank', 'isNotEmpty', 'isNotBlank', 'hasText']);
+const CONDITIONS = new Set(['if', 'while', 'for', 'switch', 'assert']);
+
+// Classes that hold a file, socket or other handle until closed. In-memory
+// streams (StringReader, ByteArrayOutputStream, ...) do not need closing.
+const RESOURCE_CLASS = /^(?!String|ByteArray|CharArray)\w*(InputStream|OutputStream|Reader|Writer)$|^(Scanner|Socket|ServerSocket|DatagramSocket|RandomAccessFile|ZipFile|JarFile|PrintStream|Formatter)$/;
+// Methods that open a resource, and the receivers they need to be called on
+const RESOURCE_METHODS = {
+  getConnection: null,
+  prepareStatement: null,
+  prepareCall: null,
+  createStatement: null,
+  executeQuery: null,
+  accept: null,
+  newInputStream: 'Files',
+  newOutputStream: 'Files',
+  newBufferedReader: 'Files',
+  newBufferedWriter: 'Files',
+  newByteChannel: 'Files',
+  newDirectoryStream: 'Files',
+  lines: 'Files',
+  list: 'Files',
+  walk: 'Files'
+};
+const STANDARD_STREAMS = new Set(['in', 'out', 'err']);
+
+// Names declared with a Map type anywhere in the file, fields included
+const mapNames = (tokens) => {
+  const names = new Set();
+  tokens.forEach((token, index) => {
+    if (!isName(token) || !MAP_TYPES.has(token.value) || isName(tokens[index - 1], 'new')) return;
+
+    let end = index + 1;
+    if (isOperator(tokens[end], '<')) {
+      // Skip the type arguments; `>>` closes two levels
+      let depth = 0;
+      for (; end < tokens.length; end++) {
+        const { value } = tokens[end];
+        if (value === '<') depth++;
+        else if (value === '>') depth--;
+        else if (value === '>>') depth -= 2;
+        else if (value === '>>>') depth -= 3;
+        else if (';{}()='.includes(value)) break;
+        if (depth <= 0) break;
+      }
+      end++;
+    }
+    if (isName(tokens[end])) names.add(tokens[end].value);
+  });
+  return names;
+};
+
+// `name = value` pairs in a statement. The value runs to the next `,` or
+// closing bracket outside brackets.
+const assignments = (tokens) => {
+  const found = [];
+  tokens.forEach((token, index) => {
+    if (!isOperator(token, '=') || !isName(tokens[index - 1]) || isOperator(tokens[index - 2], '.')) return;
+
+    let end = index + 1;
+    let depth = 0;
+    for (; end < tokens.length; end++) {
+      const { value, type } = tokens[end];
+      if (type !== 'operator') continue;
+      if ('([{'.includes(value)) depth++;
+      if (')]}'.includes(value)) {
+        if (depth === 0) break;
+        depth--;
+      }
+      if (value === ',' && depth === 0) break;
+    }
+    found.push({ target: tokens[index - 1], targetIndex: index - 1, value: tokens.slice(index + 1, end) });
+  });
+  return found;
+};
+
+// Index of the `(` that matches the `)` at the end of `tokens`
+const callOpen = (tokens) => {
+  let depth = 0;
+  for (let index = tokens.length - 1; index >= 0; index--) {
+    if (isOperator(tokens[index], ')')) depth++;
+    if (isOperator(tokens[index], '(')) depth--;
+    if (depth === 0) return index;
+  }
+  return -1;
+};
+
+// Why a value assigned on `line` may be null, or null if it cannot be
+const nullableReason = (value, maps, line) => {
+  if (value.length === 1 && isName(value[0], 'null')) return `is set to null on line ${line}`;
+  if (value.some((token, index) => isName(token, 'null') && ['?', ':'].some(operator => isOperator(value[index - 1], operator)))) {
+    return `may be set to null on line ${line}`;
+  }
+  if (!isOperator(value[value.length - 1], ')')) return null;
+
+  const open = callOpen(value);
+  const method = value[open - 1];
+  if (!isName(method) || !isOperator(value[open - 2], '.')) return null;
+  const argumentsHaveComma = value.slice(open + 1, -1).some(token => isOperator(token, ','));
+  if (NULLABLE_METHODS.has(method.value) && !(method.value === 'getProperty' && argumentsHaveComma)) {
+    return `is assigned from ${method.value}() on line ${line}, which can return null`;
+  }
+  if (method.value === 'get' && isName(value[open - 3]) && maps.has(value[open - 3].value)) {
+    return `is assigned from Map.get() on line ${line}, which returns null for missing keys`;
+  }
+  return null;
+};
+
+// Names a statement compares with null, tests with instanceof or passes to
+// a null check such as Objects.requireNonNull
+const nullCheckedNames = (tokens) => {
+  const names = new Set();
+  tokens.forEach((token, index) => {
+    if (!isName(token)) return;
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    const comparedAfter = ['==', '!='].some(operator => isOperator(after, operator)) && isName(tokens[index + 2], 'null');
+    const comparedBefore = ['==', '!='].some(operator => isOperator(before, operator)) && isName(tokens[index - 2], 'null');
+    const checkCall = isOperator(before, '(') && isName(tokens[index - 2]) && NULL_CHECKS.has(tokens[index - 2].value);
+    if (comparedAfter || comparedBefore || checkCall || isName(after, 'instanceof')) names.add(token.value);
+  });
+  return names;
+};
+
+// Local variables that may be null when a method or field is accessed
+// through them. A variable is tracked from an assignment of null, a
+// conditional null or a call that can return null (readLine(), Map.get(),
+// ...) until it is reassigned or mentioned in a condition.
+const checkNullPointers = (code) => {
+  const parsed = parseJava(code);
+  const maps = mapNames(parsed.tokens);
+  const bugs = [];
+
+  outerMethods(parsed).forEach(method => {
+    // Name -> why it may be null
+    const nullable = new Map();
+
+    methodStatements(parsed, method).forEach(({ tokens }) => {
+      const checked = nullCheckedNames(tokens);
+
+      // Uses come first: `s = s.trim()` reads the old value
+      tokens.forEach((token, index) => {
+        if (!isName(token) || !nullable.has(token.value) || checked.has(token.value)) return;
+        if (isOperator(tokens[index - 1], '.') || isOperator(tokens[index - 1], '::')) return;
+        if (!isOperator(tokens[index + 1], '.') && !isOperator(tokens[index + 1], '[')) return;
+
+        bugs.push({
+          message: 'Potential null pointer exception',
+          line: token.line,
+          column: token.column,
+          explanation: `${token.value} ${nullable.get(token.value)}, and is used here without a null check`,
+          fix: `Check ${token.value} for null before using it`
+        });
+        nullable.delete(token.value);
+      });
+
+      assignments(tokens).forEach(({ target, value }) => {
+        const reason = nullableReason(value, maps, target.line);
+        if (reason) nullable.set(target.value, reason);
+        else nullable.delete(target.value);
+      });
+
+      // A condition that mentions the name is taken as the check
+      const first = tokens[0].value === 'else' && tokens[1] ? tokens[1] : tokens[0];
+      if (isName(first) && CONDITIONS.has(first.value)) {
+        tokens.forEach(token => nullable.delete(token.value));
+      }
+      checked.forEach(name => nullable.delete(name));
+    });
+  });
+
+  return bugs;
+};
+
+// What a value opens, for the explanation (`A FileReader`), or null
+const openedResource = (value) => {
+  if (isName(value[0], 'new') && isName(value[1]) && RESOURCE_CLASS.test(value[1].value) && isOperator(value[2], '(')) {
+    // new Scanner(System.in) and new Scanner("text") hold nothing to close
+    const argument = value.slice(3, 6);
+    const standardStream = isName(argument[0], 'System') && isOperator(argument[1], '.') &&
+      isName(argument[2]) && STANDARD_STREAMS.has(argument[2].value);
+    const text = value[1].value === 'Scanner' && argument[0] && argument[0].type === 'string';
+    return standardStream || text ? null : `${/^[AEIOU]/.test(value[1].value) ? 'An' : 'A'} ${value[1].value}`;
+  }
+
+  const open = isOperator(value[value.length - 1], ')') ? callOpen(value) : -1;
+  const method = value[open - 1];
+  if (!isName(method) || !isOperator(value[open - 2], '.') || !(method.value in RESOURCE_METHODS)) return null;
+  const receiver = RESOURCE_METHODS[method.value];
+  return !receiver || isName(value[open - 3], receiver) ? `The object ${method.value}() returns` : null;
+};
+
+// Local files, streams, sockets and JDBC objects opened outside a
+// try-with-resources statement. One closed in a finally block, returned,
+// stored or passed on to another object is left alone.
+const checkResourceLeaks = (code) => {
+  const parsed = parseJava(code);
+  const { tokens } = parsed;
+  const bugs = [];
+
+  outerMethods(parsed).forEach(method => {
+    const locals = localNames(parsed, method);
+
+    methodStatements(parsed, method).forEach(statement => {
+      if (isName(statement.tokens[0], 'try')) return;
+
+      assignments(statement.tokens).forEach(({ target, value }) => {
+        const resource = openedResource(value);
+        if (!resource || !locals.has(target.value)) return;
+
+        let closed = null;
+        let escapes = false;
+        for (let index = statement.end; index < method.close && !escapes; index++) {
+          const token = tokens[index];
+          if (!isName(token, target.value) || isOperator(tokens[index - 1], '.')) continue;
+          const before = tokens[index - 1];
+          const after = tokens[index + 1];
+
+          if (isOperator(after, '.') && isName(tokens[index + 2], 'close')) {
+            closed = enclosingBlock(parsed, index, ['finally']) ? 'finally' : 'body';
+            if (closed === 'finally') break;
+          } else if (
+            // Returned itself; `return r.readLine();` only uses it
+            (isName(before, 'return') && isOperator(after, ';')) ||
+            // Passed to a method or constructor, or stored in a field or another variable
+            ((isOperator(before, '(') || isOperator(before, ',')) && (isOperator(after, ')') || isOperator(after, ','))) ||
+            (isOperator(before, '=') && isOperator(after, ';'))
+          ) {
+            escapes = true;
+          } else if (isOperator(after, '=')) {
+            // Reassigned: a later assignment is checked on its own
+            break;
+          }
+        }
+        if (escapes || closed === 'finally') return;
+
+        bugs.push({
+          message: closed
+            ? `'${target.value}' is not closed if an exception is thrown before close()`
+            : `'${target.value}' is never closed`,
+          line: target.line,
+          column: target.column,
+          explanation: `${resource} holds a file, socket or other system resource until it is closed, and leaked handles eventually run out.`,
+          fix: `Open ${target.value} in a try-with-resources statement, try (... ${target.value} = ...) { ... }, so it is closed even when an exception is thrown`
+        });
+      });
+    });
+  });
+
+  return bugs;
+};
+
+module.exports = {
+  checkNullPointers,
+  checkResourceLeaks
+};
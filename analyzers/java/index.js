@@ -0,0 +1,194 @@
+const { commonRules } = require('../common');
+const { taintRules } = require('../taint');
+const { insertAt, buildFix } = require('../fixes');
+const { splitStatements, unreachableCodeCheck } = require('../braces');
+const { measureBraceFunctions } = require('../measure');
+const { TOKENIZER_OPTIONS, parseJava, isName, isOperator, modifiersOf } = require('./parser');
+const { checkNullPointers, checkResourceLeaks } = require('./flow');
+const { findTaintFlows } = require('./security');
+
+const KEYWORDS = new Set([
+  'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue',
+  'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float', 'for', 'goto', 'if',
+  'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'package', 'private',
+  'protected', 'public', 'record', 'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized',
+  'this', 'throw', 'throws', 'transient', 'try', 'var', 'void', 'volatile', 'while', 'yield',
+  'true', 'false', 'null'
+]);
+
+// Top-level types with the token of their name
+const topLevelTypes = (parsed) => parsed.blocks
+  .filter(block => !block.parent && block.kind === 'type')
+  .map(block => ({
+    block,
+    name: parsed.tokens.slice(block.start, block.open).find(token => token.value === block.name),
+    modifiers: modifiersOf(parsed, block)
+  }));
+
+// Java has no code outside types, and a file has at most one public
+// top-level type (named after the file)
+const checkClassDeclaration = (code) => {
+  const parsed = parseJava(code);
+  const types = topLevelTypes(parsed);
+  const bugs = [];
+
+  if (!types.length) {
+    const first = splitStatements(parsed, 0, parsed.tokens.length)
+      .find(statement => !['package', 'import'].includes(statement.tokens[0].value));
+    if (first) {
+      bugs.push({
+        message: 'Missing class declaration',
+        line: first.tokens[0].line,
+        column: first.tokens[0].column,
+        fix: 'Put the code in a class: Java has no methods or statements outside classes, interfaces, enums and records'
+      });
+    }
+    return bugs;
+  }
+
+  parsed.blocks.filter(block => !block.parent && block.kind === 'function').forEach(block => {
+    const start = parsed.tokens[block.start];
+    bugs.push({
+      message: `Method '${block.name}' is declared outside a class`,
+      line: start.line,
+      column: start.column,
+      fix: `Move ${block.name} inside the class it belongs to`
+    });
+  });
+
+  types.filter(type => type.modifiers.includes('public')).slice(1).forEach(({ name }) => {
+    bugs.push({
+      message: `More than one public top-level type: '${name.value}'`,
+      line: name.line,
+      column: name.column,
+      fix: `Move ${name.value} to its own file, ${name.value}.java, or remove public from it`
+    });
+  });
+
+  return bugs;
+};
+
+// A main method the JVM can start: public static void main(String[] args),
+// String... args or String args[]
+const isEntryMethod = (parsed, method) => {
+  const { tokens } = parsed;
+  const modifiers = modifiersOf(parsed, method);
+  const shape = tokens.slice(method.params.open + 1, method.params.close)
+    .filter(token => !isName(token, 'final'))
+    .map(token => (isName(token) && token.value !== 'String' ? 'name' : token.value))
+    .join(' ');
+  return modifiers.includes('public') && modifiers.includes('static') &&
+    isName(tokens[method.params.open - 2], 'void') &&
+    ['String [ ] name', 'String ... name', 'String name [ ]'].includes(shape);
+};
+
+// Programs are started from a class named like one (Main, App, Program,
+// BankApp, ...) or from code that reads standard input; other classes are
+// libraries and need no main method
+const ENTRY_POINT_NAME = /(^|[a-z\d])(Main|App|Application|Program)$/;
+
+const checkMainMethod = (code) => {
+  const parsed = parseJava(code);
+  const { tokens } = parsed;
+  const types = topLevelTypes(parsed);
+  const readsInput = tokens.some((token, index) =>
+    isName(token, 'System') && isOperator(tokens[index + 1], '.') && isName(tokens[index + 2], 'in'));
+  const entry = types.find(type => ENTRY_POINT_NAME.test(type.block.name)) ||
+    (readsInput && (types.find(type => type.modifiers.includes('public')) || types[0]));
+  if (!entry) return [];
+
+  const mains = parsed.blocks.filter(block => block.kind === 'function' && block.name === 'main' &&
+    block.parent && block.parent.kind === 'type');
+  if (mains.some(method => isEntryMethod(parsed, method))) return [];
+
+  if (mains.length) {
+    const start = tokens[mains[0].start];
+    return [{
+      message: 'main method is not declared as public static void main(String[] args)',
+      line: start.line,
+      column: start.column,
+      explanation: 'The JVM only starts a program from a public static void method named main that takes a String array.',
+      fix: 'Declare it as public static void main(String[] args)'
+    }];
+  }
+
+  // Add an empty main before the class's closing brace when it has a line
+  // of its own
+  const lines = code.split('\n');
+  const close = tokens[entry.block.close];
+  const closeIndent = close && lines[close.line - 1].slice(0, close.column - 1);
+  let fix = `Add public static void main(String[] args) to ${entry.block.name}`;
+  if (close && !closeIndent.trim() && close.line > entry.name.line) {
+    const member = tokens[entry.block.open + 1];
+    const indent = member && member !== close ? lines[member.line - 1].match(/^\s*/)[0] : `${closeIndent}    `;
+    fix = buildFix(code, {
+      id: `main-method:${entry.name.line}`,
+      explanation: `Add a main method to ${entry.block.name} to start the program from`,
+      edits: [insertAt(close.line, 1, `${indent}public static void main(String[] args) {\n${indent}}\n`)]
+    });
+  }
+
+  return [{
+    message: 'Missing main method',
+    line: entry.name.line,
+    column: entry.name.column,
+    explanation: `${entry.block.name} looks like the program's entry point, but the JVM has no main method to start it from.`,
+    fix
+  }];
+};
+
+const generateSuggestions = (code) => {
+  const suggestions = [];
+  const types = topLevelTypes(parseJava(code));
+
+  if (types.length && !types.some(type => type.modifiers.includes('public'))) {
+    suggestions.push({
+      message: 'Add proper access modifiers to classes and methods',
+      example: {
+        before: 'class Calculator {\n    int add(int a, int b) {\n        return a + b;\n    }\n}',
+        after: 'public class Calculator {\n    public int add(int a, int b) {\n        return a + b;\n    }\n}'
+      }
+    });
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  id: 'java',
+  name: 'Java',
+  extensions: ['.java'],
+  comments: (code) => parseJava(code).comments,
+  checks: {
+    syntax: [
+      commonRules.missingSemicolon,
+      { id: 'missing-public-class', severity: 'warning', description: 'Code is inside a class, with at most one public top-level type per file', check: checkClassDeclaration },
+      { id: 'missing-main-method', severity: 'info', description: 'Entry-point classes need a public static void main method', check: checkMainMethod }
+    ],
+    runtime: [
+      { id: 'null-pointer', severity: 'warning', description: 'Local variables that may be null when they are used', check: checkNullPointers },
+      { id: 'resource-leak', severity: 'warning', description: 'Files, streams, sockets and connections opened outside try-with-resources', check: checkResourceLeaks }
+    ],
+    logical: [
+      commonRules.infiniteLoop,
+      { ...commonRules.unreachableCode, description: 'Statements after return, throw, break or continue', check: unreachableCodeCheck(TOKENIZER_OPTIONS) }
+    ],
+    security: [...taintRules(findTaintFlows, ['sql', 'command', 'code', 'xss', 'path', 'deserialization']), commonRules.hardcodedSecret]
+  },
+  suggestions: generateSuggestions,
+  measureFunctions: (code) => measureBraceFunctions(code, { keywords: KEYWORDS, separator: '.', tokenizerOptions: TOKENIZER_OPTIONS }),
+  bestPractices: [
+    'Follow Java naming conventions',
+    'Use appropriate access modifiers',
+    'Implement proper exception handling',
+    'Use interfaces for abstraction',
+    'Follow SOLID principles'
+  ],
+  fixes: {
+    'Potential null pointer exception': {
+      before: 'object.method()',
+      after: 'if (object != null) {\n    object.method();\n}',
+      explanation: 'Add null check before accessing object methods'
+    }
+  }
+};
@@ -0,0 +1,68 @@
+const { parseBraces, splitStatements } = require('../braces');
+
+const TOKENIZER_OPTIONS = { textBlocks: true };
+const MODIFIERS = new Set([
+  'public', 'protected', 'private', 'static', 'final', 'abstract', 'sealed', 'strictfp', 'synchronized', 'native',
+  'default', 'transient', 'volatile'
+]);
+// Words that can come right before a name without declaring it
+const NOT_TYPES = new Set(['return', 'throw', 'new', 'case', 'else', 'do', 'yield', 'instanceof', 'assert']);
+
+const parseJava = (code) => parseBraces(code, TOKENIZER_OPTIONS);
+
+const isName = (token, value) => Boolean(token) && token.type === 'name' && (value === undefined || token.value === value);
+const isOperator = (token, value) => Boolean(token) && token.type === 'operator' && token.value === value;
+
+// Modifiers written before a type or method declaration, annotations and
+// their arguments skipped
+const modifiersOf = (parsed, block) => {
+  const { tokens } = parsed;
+  const end = block.kind === 'function' ? block.params.open : block.open;
+  return tokens.slice(block.start, end).filter(token => isName(token) && MODIFIERS.has(token.value)).map(token => token.value);
+};
+
+// Methods and constructors that are not inside another one. Lambdas and
+// the methods of local or anonymous classes belong to the method around
+// them.
+const outerMethods = (parsed) => parsed.blocks.filter(block => {
+  if (block.kind !== 'function') return false;
+  for (let parent = block.parent; parent; parent = parent.parent) {
+    if (parent.kind === 'function') return false;
+  }
+  return true;
+});
+
+// Whether the name token at `index` is being declared: it follows a type
+// (`String s`, `List<String> s`, `int[] s`) and comes before `=`, `;`, `,`,
+// `:` or `)`
+const isDeclaration = (tokens, index) => {
+  const before = tokens[index - 1];
+  const after = tokens[index + 1];
+  const typeBefore = (isName(before) && !NOT_TYPES.has(before.value) && !MODIFIERS.has(before.value)) ||
+    isOperator(before, '>') || isOperator(before, '>>') || isOperator(before, ']') || isOperator(before, '...');
+  return typeBefore && Boolean(after) && ['=', ';', ',', ':', ')'].includes(after.value);
+};
+
+// Names declared in a method: its parameters and local variables
+const localNames = (parsed, method) => {
+  const { tokens } = parsed;
+  const names = new Set();
+  for (let index = method.params.open + 1; index < method.close; index++) {
+    if (isName(tokens[index]) && isDeclaration(tokens, index)) names.add(tokens[index].value);
+  }
+  return names;
+};
+
+// Statements of a method body, from the first after its `{`
+const methodStatements = (parsed, method) => splitStatements(parsed, method.open + 1, method.close);
+
+module.exports = {
+  TOKENIZER_OPTIONS,
+  parseJava,
+  isName,
+  isOperator,
+  modifiersOf,
+  outerMethods,
+  localNames,
+  methodStatements
+};
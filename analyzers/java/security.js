@@ -0,0 +1,106 @@
+const { trackTaint, callSink, callArguments, matchesAt, rangeLoopBinding } = require('../taint');
+const { parseJava, isName, isOperator, outerMethods, methodStatements } = require('./parser');
+
+// Servlet request methods that return what the client sent
+const REQUEST_METHODS = new Set([
+  'getParameter', 'getParameterValues', 'getParameterMap', 'getHeader', 'getHeaders', 'getQueryString', 'getCookies',
+  'getInputStream', 'getReader', 'getRequestURI', 'getPathInfo'
+]);
+// Annotations that bind a controller parameter to the request
+const REQUEST_ANNOTATIONS = new Set([
+  'RequestParam', 'PathVariable', 'RequestBody', 'RequestHeader', 'CookieValue', 'QueryParam', 'PathParam', 'FormParam'
+]);
+const WRITER_METHODS = new Set(['print', 'println', 'printf', 'format', 'write', 'append']);
+
+const sourceAt = (tokens, index) => {
+  const token = tokens[index];
+  if (matchesAt(tokens, index, ['System', '.', 'in'])) return { label: 'System.in' };
+  if (isName(token) && REQUEST_METHODS.has(token.value) && isOperator(tokens[index - 1], '.') && isOperator(tokens[index + 1], '(')) {
+    const receiver = isName(tokens[index - 2]) ? `${tokens[index - 2].value}.` : '';
+    return { label: `${receiver}${token.value}()` };
+  }
+  return null;
+};
+
+// Names assigned from response.getWriter() or getOutputStream()
+const writerNames = (tokens) => new Set(tokens
+  .filter((token, index) => isName(token) && isOperator(tokens[index + 1], '=') &&
+    tokens.slice(index + 2, index + 8).some(next => isName(next, 'getWriter') || isName(next, 'getOutputStream')))
+  .map(token => token.value));
+
+// `out.println(x)` on the response writer, or response.getWriter().write(x)
+const responseSink = (writers) => (tokens, index) => {
+  const token = tokens[index];
+  if (!isName(token) || !WRITER_METHODS.has(token.value) || !isOperator(tokens[index - 1], '.') || !isOperator(tokens[index + 1], '(')) {
+    return null;
+  }
+  const receiver = tokens[index - 2];
+  const direct = isOperator(receiver, ')') && isName(tokens[index - 4], 'getWriter');
+  const named = isName(receiver) && writers.has(receiver.value) && !isOperator(tokens[index - 3], '.');
+  if (!direct && !named) return null;
+  return { kind: 'xss', args: callArguments(tokens, index + 1), label: `response writer ${token.value}()` };
+};
+
+const SINKS = [
+  callSink('sql', {
+    names: [
+      'executeQuery', 'executeUpdate', 'execute', 'addBatch', 'prepareStatement', 'prepareCall', 'createQuery',
+      'createNativeQuery', 'createSQLQuery', 'query', 'queryForList', 'queryForObject', 'queryForMap'
+    ],
+    method: true
+  }),
+  callSink('command', { names: ['exec'], method: true, label: 'Runtime.exec()' }),
+  callSink('command', { names: ['ProcessBuilder'], construct: true, argument: 'any' }),
+  callSink('code', { names: ['eval'], method: true }),
+  callSink('path', {
+    names: ['File', 'FileInputStream', 'FileOutputStream', 'FileReader', 'FileWriter', 'RandomAccessFile'],
+    construct: true
+  }),
+  callSink('path', { names: ['get'], receiver: 'Paths' }),
+  callSink('path', { names: ['of'], receiver: 'Path' }),
+  callSink('deserialization', { names: ['ObjectInputStream', 'XMLDecoder'], construct: true })
+];
+
+// Parameters that start out tainted: main's arguments and controller
+// parameters bound to the request
+const taintedParameters = (tokens, method) => {
+  const open = method.params.open;
+  const parameters = callArguments(tokens, open);
+  const isMain = isName(tokens[open - 1], 'main');
+
+  return parameters
+    .filter(parameter => isMain || parameter.some((token, index) =>
+      isOperator(parameter[index - 1], '@') && REQUEST_ANNOTATIONS.has(token.value)))
+    .map(parameter => [...parameter].reverse().find(token => isName(token)))
+    .filter(Boolean)
+    .map(token => ({ token, label: isMain ? `command-line argument ${token.value}` : `request parameter ${token.value}` }));
+};
+
+// Each method is tracked on its own, with its lambdas
+const findTaintFlows = (code) => {
+  const parsed = parseJava(code);
+  const units = outerMethods(parsed).map(method => ({
+    statements: methodStatements(parsed, method).map(statement => statement.tokens),
+    tainted: taintedParameters(parsed.tokens, method)
+  }));
+
+  return trackTaint(units, {
+    sourceAt,
+    sinks: [...SINKS, responseSink(writerNames(parsed.tokens))],
+    sanitizers: [
+      'parseInt', 'parseLong', 'parseDouble', 'parseFloat', 'parseBoolean', 'escapeHtml4', 'escapeHtml', 'htmlEscape',
+      'encodeForHTML', 'encodeForSQL', 'encodeForOSCommand'
+    ],
+    cleanMembers: [
+      'length', 'size', 'isEmpty', 'isBlank', 'equals', 'equalsIgnoreCase', 'matches', 'contains', 'startsWith',
+      'endsWith', 'indexOf', 'hashCode', 'compareTo', 'nextInt', 'nextLong', 'nextDouble', 'nextFloat', 'nextBoolean',
+      'hasNext', 'hasNextLine', 'hasNextInt', 'close'
+    ],
+    propagators: ['append', 'insert', 'add', 'addAll', 'put', 'push', 'offer'],
+    loopBinding: rangeLoopBinding
+  });
+};
+
+module.exports = {
+  findTaintFlows
+};
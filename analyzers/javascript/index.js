@@ -0,0 +1,233 @@
+const { commonRules } = require('../common');
+const { taintRules } = require('../taint');
+const traverse = require('@babel/traverse').default;
+const { lineOffsets, toPosition, insertAt, replaceAt, buildFix } = require('../fixes');
+const { parseJavaScript, findComments, tokenEnd } = require('./parser');
+const { findUndefinedReferences } = require('./scope');
+const { measureFunctions } = require('./metrics');
+const { findTaintFlows } = require('./security');
+
+const SYNTAX_ERROR_FIXES = {
+  MissingSemicolon: 'Add a semicolon or a line break between the two statements',
+  UnterminatedString: 'Add the closing quote to complete the string',
+  UnterminatedTemplate: 'Add the closing backtick to complete the template literal',
+  UnterminatedComment: 'Close the block comment with */',
+  UnterminatedRegexp: 'Close the regular expression with /'
+};
+
+const checkSyntax = (code) => {
+  const { errors } = parseJavaScript(code);
+  const offsets = lineOffsets(code);
+
+  return errors.map(error => {
+    const atEnd = error.pos >= code.length;
+    const end = toPosition(offsets, tokenEnd(code, error.pos));
+    const expected = /expected "(.+)"/.exec(error.message);
+    let fix = SYNTAX_ERROR_FIXES[error.reasonCode];
+    if (!fix && expected) fix = `Insert "${expected[1]}" or remove the unexpected token`;
+    if (!fix && atEnd) fix = 'Check for an unclosed block, bracket, parenthesis or string before the end of the code';
+    if (!fix) fix = `Check the code at line ${error.loc.line}, column ${error.loc.column + 1}`;
+    if (error.reasonCode === 'MissingSemicolon') {
+      fix = buildFix(code, {
+        id: `semicolon:${error.loc.line}:${error.loc.column + 1}`,
+        explanation: fix,
+        edits: [insertAt(error.loc.line, error.loc.column + 1, ';')]
+      });
+    }
+
+    return {
+      // Babel appends the position as " (line:column)"; it is reported separately
+      message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+      line: error.loc.line,
+      column: error.loc.column + 1,
+      endLine: end.line,
+      endColumn: end.column,
+      fix
+    };
+  });
+};
+
+const checkUndefinedVariables = (code, options) => {
+  const { ast } = parseJavaScript(code);
+  // Code that does not parse is already reported as a syntax error
+  if (!ast) return [];
+
+  const lines = code.split('\n');
+
+  return findUndefinedReferences(ast, options).map(({ name, references }) => {
+    const [first] = references;
+    const sourceLine = lines[first.line - 1];
+
+    return {
+      message: `Potential undefined variable '${name}'`,
+      ...first,
+      name,
+      references,
+      fix: {
+        before: sourceLine.trim(),
+        after: `let ${name};\n${sourceLine.trim()}`,
+        explanation: `Declare or import ${name} before using it${references.length > 1 ? ` (used on lines ${references.map(ref => ref.line).join(', ')})` : ''}. If it is provided by the runtime, add its environment or name to the configured globals.`
+      }
+    };
+  });
+};
+
+// Whether a `var` can become block-scoped without changing behavior: every
+// name it declares is declared once and only used after it, inside the
+// enclosing block. In a loop, `let` and `const` give each iteration its own
+// variable, so a function inside the loop that uses it would see a
+// different value.
+const canBlockScope = (path) => {
+  const block = path.parentPath;
+  const enclosing = path.findParent(parent => parent.isLoop() || parent.isFunction());
+  const loop = enclosing && enclosing.isLoop() ? enclosing : null;
+  const capturedInLoop = (reference) => {
+    const fn = reference.getFunctionParent();
+    return Boolean(loop && fn && fn.isDescendant(loop));
+  };
+
+  return Object.keys(path.getBindingIdentifiers()).every(name => {
+    const binding = path.scope.getBinding(name);
+    // Babel records a for-in/of variable as reassigned by its own declarator
+    const redeclared = binding && (binding.path.parentPath !== path || binding.constantViolations
+      .some(violation => violation.isVariableDeclarator() && violation.parentPath !== path));
+    if (!binding || redeclared) {
+      return false;
+    }
+    return binding.referencePaths.every(reference =>
+      reference.node.start > path.node.start && reference.findParent(parent => parent === block) &&
+      !capturedInLoop(reference)
+    );
+  });
+};
+
+// `var` declarations rewritten as `const` when nothing reassigns them and
+// `let` otherwise
+const varEdits = (ast) => {
+  const edits = [];
+
+  traverse(ast, {
+    VariableDeclaration(path) {
+      if (path.node.kind !== 'var' || !canBlockScope(path)) return;
+
+      const reassigned = Object.keys(path.getBindingIdentifiers())
+        .some(name => path.scope.getBinding(name).constantViolations
+          .some(violation => violation.parentPath !== path));
+      const initialized = path.parentPath.isForXStatement() ||
+        path.node.declarations.every(declarator => declarator.init);
+      const { line, column } = path.node.loc.start;
+
+      edits.push(replaceAt(line, column + 1, 3, !reassigned && initialized ? 'const' : 'let'));
+    }
+  });
+
+  return edits;
+};
+
+const isNullish = (node) => node.type === 'NullLiteral' || (node.type === 'Identifier' && node.name === 'undefined');
+
+// `==` and `!=` rewritten as `===` and `!==`. Comparisons with null or
+// undefined are left alone: `x == null` is the idiom for "null or undefined".
+const strictEqualityEdits = (code, ast) => {
+  const edits = [];
+  const offsets = lineOffsets(code);
+
+  traverse(ast, {
+    BinaryExpression(path) {
+      const { operator, left, right } = path.node;
+      if (operator !== '==' && operator !== '!=') return;
+      if (isNullish(left) || isNullish(right)) return;
+
+      const index = left.end + code.slice(left.end, right.start).indexOf(operator);
+      const { line, column } = toPosition(offsets, index);
+      edits.push(replaceAt(line, column, 2, `${operator}=`));
+    }
+  });
+
+  return edits;
+};
+
+const generateSuggestions = (code) => {
+  const suggestions = [];
+  // Fixes need a syntax tree, possibly recovered from errors
+  const { ast } = parseJavaScript(code);
+
+  if (code.includes('var ')) {
+    const edits = ast ? varEdits(ast) : [];
+    suggestions.push({
+      message: 'Use const or let instead of var for better scoping',
+      example: {
+        before: 'var counter = 0;\nvar name = "John";',
+        after: 'const name = "John";\nlet counter = 0;'
+      },
+      ...(edits.length && {
+        fix: buildFix(code, {
+          id: 'var-to-let-const',
+          explanation: 'Replace var with const where the variable is never reassigned and let elsewhere. Declarations used before they are declared, outside their block or by a function inside their loop are left as var.',
+          edits
+        })
+      })
+    });
+  }
+  if (code.includes('function()') || code.includes('function ()')) {
+    suggestions.push({
+      message: 'Consider using arrow functions for better readability',
+      example: {
+        before: 'function multiply(a, b) {\n    return a * b;\n}',
+        after: 'const multiply = (a, b) => a * b;'
+      }
+    });
+  }
+  if (code.includes('==') || code.includes('!=')) {
+    const edits = ast ? strictEqualityEdits(code, ast) : [];
+    suggestions.push({
+      message: 'Use strict equality operators (=== and !==) instead of loose equality',
+      example: {
+        before: 'if (value == "5") {\n    console.log("Equal");\n}',
+        after: 'if (value === "5") {\n    console.log("Equal");\n}'
+      },
+      ...(edits.length && {
+        fix: buildFix(code, {
+          id: 'strict-equality',
+          explanation: 'Replace == and != with === and !== so values are not converted before comparing',
+          edits
+        })
+      })
+    });
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  id: 'javascript',
+  name: 'JavaScript',
+  extensions: ['.js', '.jsx', '.mjs', '.cjs'],
+  comments: findComments,
+  checks: {
+    syntax: [
+      { id: 'syntax-error', severity: 'error', description: 'Code that does not parse', check: checkSyntax }
+    ],
+    runtime: [
+      { id: 'no-undefined-var', severity: 'error', description: 'Names used without being declared', check: checkUndefinedVariables }
+    ],
+    logical: [commonRules.infiniteLoop, commonRules.unreachableCode],
+    security: [...taintRules(findTaintFlows, ['sql', 'command', 'code', 'xss', 'path', 'deserialization']), commonRules.hardcodedSecret]
+  },
+  suggestions: generateSuggestions,
+  measureFunctions,
+  bestPractices: [
+    'Use const for values that won\'t be reassigned',
+    'Use arrow functions for callbacks',
+    'Implement proper error handling',
+    'Use template literals for string interpolation',
+    'Follow the principle of least privilege'
+  ],
+  fixes: {
+    'Unterminated string constant.': {
+      before: 'const greeting = "Hello;',
+      after: 'const greeting = "Hello";',
+      explanation: 'Close the string with the same quote character it was opened with'
+    }
+  }
+};
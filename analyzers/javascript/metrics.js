@@ -0,0 +1,202 @@
+const traverse = require('@babel/traverse').default;
+const { VISITOR_KEYS } = require('@babel/types');
+const { parseJavaScript } = require('./parser');
+const { createMeasure, addOperator, addOperand, finishMeasure } = require('../metrics');
+
+const LOOPS = ['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'];
+
+// Token labels that are Halstead operands; every other token is an operator.
+// Closing brackets are counted with their opening one.
+const OPERAND_LABELS = new Set([
+  'name', 'string', 'num', 'bigint', 'decimal', 'regexp', 'template', 'privateName',
+  'jsxName', 'jsxText', 'true', 'false', 'null', 'this', 'super'
+]);
+const IGNORED_LABELS = new Set([')', ']', '}', '`', 'eof', 'jsxTagEnd']);
+
+const keyName = (key, code) => {
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return `[${code.slice(key.start, key.end)}]`;
+};
+
+// The name a function is known by: its own, its method or property key
+// (prefixed with the class name), or the variable it is assigned to
+const functionName = (path, code) => {
+  const { node, parent, parentPath } = path;
+
+  if (node.id) return node.id.name;
+
+  if (node.key) {
+    const classPath = path.findParent(p => p.isClass());
+    const prefix = classPath && classPath.node.id ? `${classPath.node.id.name}.` : '';
+    const accessor = node.kind === 'get' || node.kind === 'set' ? `${node.kind} ` : '';
+    return `${accessor}${prefix}${keyName(node.key, code)}`;
+  }
+
+  if (parentPath.isVariableDeclarator() && parent.id.type === 'Identifier') return parent.id.name;
+  if (parentPath.isAssignmentExpression()) return code.slice(parent.left.start, parent.left.end);
+  if ((parentPath.isObjectProperty() || parentPath.isClassProperty()) && parent.value === node) {
+    return keyName(parent.key, code);
+  }
+
+  return '(anonymous)';
+};
+
+// Walks one function's body (not the functions nested in it) and counts
+// decision points for cyclomatic complexity and, following SonarSource's
+// cognitive complexity, structures weighted by how deeply they are nested.
+const measureBody = (root, measure) => {
+  const nested = (state, isLoop) => ({
+    nesting: state.nesting + 1,
+    depth: state.depth + 1,
+    loops: state.loops + (isLoop ? 1 : 0)
+  });
+
+  const visit = (node, parent, state) => {
+    if (!node || typeof node.type !== 'string') return;
+    // Nested functions are measured on their own
+    if (node !== root && /Function|Method/.test(node.type) && node.body) return;
+
+    measure.nesting = Math.max(measure.nesting, state.depth);
+    measure.loopDepth = Math.max(measure.loopDepth, state.loops);
+
+    const children = (keys, childState) => keys.forEach(key => {
+      [].concat(node[key] || []).forEach(child => visit(child, node, childState));
+    });
+
+    switch (node.type) {
+      case 'IfStatement': {
+        // An else-if continues its chain at the nesting level of the first if
+        const elseIf = parent && parent.type === 'IfStatement' && parent.alternate === node;
+        measure.cyclomatic++;
+        measure.cognitive += elseIf ? 1 : 1 + state.nesting;
+        visit(node.test, node, state);
+        visit(node.consequent, node, nested(state));
+        if (node.alternate && node.alternate.type === 'IfStatement') {
+          visit(node.alternate, node, state);
+        } else if (node.alternate) {
+          measure.cognitive++;
+          visit(node.alternate, node, nested(state));
+        }
+        return;
+      }
+      case 'ConditionalExpression':
+        measure.cyclomatic++;
+        measure.cognitive += 1 + state.nesting;
+        visit(node.test, node, state);
+        children(['consequent', 'alternate'], nested(state));
+        return;
+      case 'SwitchStatement':
+        measure.cognitive += 1 + state.nesting;
+        visit(node.discriminant, node, state);
+        children(['cases'], nested(state));
+        return;
+      case 'SwitchCase':
+        if (node.test) measure.cyclomatic++;
+        break;
+      case 'CatchClause':
+        measure.cyclomatic++;
+        measure.cognitive += 1 + state.nesting;
+        children(['param', 'body'], nested(state));
+        return;
+      case 'TryStatement':
+        // try adds a level of nesting depth but no cognitive nesting
+        visit(node.block, node, { ...state, depth: state.depth + 1 });
+        children(['handler'], state);
+        visit(node.finalizer, node, { ...state, depth: state.depth + 1 });
+        return;
+      case 'LogicalExpression':
+        measure.cyclomatic++;
+        // Each run of the same operator (a && b && c) counts once
+        if (!(parent && parent.type === 'LogicalExpression' && parent.operator === node.operator)) {
+          measure.cognitive++;
+        }
+        break;
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        if (node.label) measure.cognitive++;
+        break;
+      case 'CallExpression':
+        if (node.callee.type === 'Identifier' && node.callee.name === measure.name) measure.cognitive++;
+        break;
+      default:
+        if (LOOPS.includes(node.type)) {
+          measure.cyclomatic++;
+          measure.cognitive += 1 + state.nesting;
+          children(['init', 'test', 'update', 'left', 'right'], state);
+          visit(node.body, node, nested(state, true));
+          return;
+        }
+    }
+
+    children(VISITOR_KEYS[node.type] || [], state);
+  };
+
+  visit(root, null, { nesting: 0, depth: 0, loops: 0 });
+};
+
+// Assigns every token to the innermost function containing it, for the
+// Halstead counts and lines of code
+const countTokens = (tokens, measured, topLevel, code) => {
+  const byStart = [...measured].sort((a, b) => a.node.start - b.node.start);
+  const open = [];
+  let next = 0;
+
+  tokens.forEach(token => {
+    if (typeof token.type === 'string') return;
+
+    while (open.length && token.start >= open[open.length - 1].node.end) open.pop();
+    while (next < byStart.length && byStart[next].node.start <= token.start) {
+      if (token.start < byStart[next].node.end) open.push(byStart[next]);
+      next++;
+    }
+
+    const measure = open.length ? open[open.length - 1].measure : topLevel;
+    const { label } = token.type;
+    measure.lines.add(token.loc.start.line);
+
+    if (IGNORED_LABELS.has(label)) return;
+    if (OPERAND_LABELS.has(label)) {
+      if (label === 'jsxText' && !token.value.trim()) return;
+      if (label === 'template' && !token.value) return;
+      addOperand(measure, code.slice(token.start, token.end));
+    } else {
+      addOperator(measure, typeof token.value === 'string' ? token.value : label);
+    }
+  });
+};
+
+const measureFunctions = (code) => {
+  const { ast } = parseJavaScript(code);
+  if (!ast) return { functions: [], topLevel: finishMeasure(createMeasure({ name: '(top level)', line: 1, endLine: 1 })) };
+
+  const measured = [];
+  traverse(ast, {
+    Function(path) {
+      const { node } = path;
+      const measure = createMeasure({
+        name: functionName(path, code),
+        line: node.loc.start.line,
+        endLine: node.loc.end.line,
+        params: node.params.length
+      });
+      measureBody(node, measure);
+      measured.push({ node, measure });
+    }
+  });
+
+  const topLevel = createMeasure({ name: '(top level)', line: 1, endLine: ast.loc.end.line });
+  measureBody(ast.program, topLevel);
+
+  countTokens(ast.tokens || [], measured, topLevel, code);
+
+  return {
+    functions: measured.map(({ measure }) => finishMeasure(measure)),
+    topLevel: finishMeasure(topLevel)
+  };
+};
+
+module.exports = {
+  measureFunctions
+};
@@ -0,0 +1,61 @@
+const { parse } = require('@babel/parser');
+const { tokenizeCLike } = require('../tokenizer');
+
+// Parser options for JavaScript snippets. Snippets are often a fragment of a
+// larger file, so top-level return/await are accepted and the source type is
+// inferred from the presence of import/export.
+const JAVASCRIPT_PARSER_OPTIONS = {
+  sourceType: 'unambiguous',
+  errorRecovery: true,
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+  // Tokens feed the Halstead metrics
+  tokens: true,
+  plugins: ['jsx']
+};
+
+// Every JavaScript check parses the same code, so keep the last result
+let lastParse = { code: null, result: null };
+
+const parseJavaScript = (code) => {
+  if (lastParse.code === code) return lastParse.result;
+
+  let result;
+  try {
+    const ast = parse(code, JAVASCRIPT_PARSER_OPTIONS);
+    result = { ast, errors: ast.errors || [] };
+  } catch (error) {
+    // Unrecoverable errors are thrown instead of collected on the AST
+    if (!error.loc) throw error;
+    result = { ast: null, errors: [error] };
+  }
+
+  lastParse = { code, result };
+  return result;
+};
+
+// Returns the end of the token starting at `index`, so a diagnostic covers
+// the offending word rather than a single character.
+const tokenEnd = (code, index) => {
+  const token = /[\w$]+|\S/y;
+  token.lastIndex = index;
+  const match = token.exec(code);
+  return index + (match ? match[0].length : 0);
+};
+
+// Comments as { value, line } with their delimiters. Code Babel cannot
+// parse at all falls back to the C-style tokenizer.
+const findComments = (code) => {
+  const { ast } = parseJavaScript(code);
+  if (!ast) return tokenizeCLike(code).comments;
+  return ast.comments.map(comment => ({
+    value: comment.type === 'CommentLine' ? `//${comment.value}` : `/*${comment.value}*/`,
+    line: comment.loc.start.line
+  }));
+};
+
+module.exports = {
+  parseJavaScript,
+  findComments,
+  tokenEnd
+};
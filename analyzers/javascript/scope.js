@@ -0,0 +1,60 @@
+const traverse = require('@babel/traverse').default;
+const globals = require('globals');
+
+// Environments whose globals are assumed when a request does not name any
+const DEFAULT_ENVIRONMENTS = ['browser', 'node'];
+// Every environment a request may name
+const ENVIRONMENTS = Object.keys(globals);
+
+// Names that are bound implicitly rather than declared
+const IMPLICIT_BINDINGS = ['arguments'];
+
+const knownGlobals = ({ env = DEFAULT_ENVIRONMENTS, globals: extraGlobals = [] } = {}) => {
+  const names = new Set([
+    ...Object.keys(globals.builtin),
+    ...IMPLICIT_BINDINGS,
+    ...extraGlobals
+  ]);
+
+  env.forEach(name => {
+    Object.keys(globals[name] || {}).forEach(global => names.add(global));
+  });
+
+  return names;
+};
+
+// Resolves every identifier reference against Babel's scope tracker, which
+// models function, block and module scope, parameters, destructuring,
+// imports and hoisting. Returns the names that resolve to nothing, each with
+// all of its reference locations in source order.
+const findUndefinedReferences = (ast, options) => {
+  const known = knownGlobals(options);
+  const unresolved = new Map();
+
+  traverse(ast, {
+    ReferencedIdentifier(path) {
+      const { name, loc } = path.node;
+
+      if (path.scope.hasBinding(name, true) || known.has(name)) return;
+
+      // `typeof undeclared` is the standard feature test and never throws
+      if (path.parentPath.isUnaryExpression({ operator: 'typeof' })) return;
+
+      if (!unresolved.has(name)) unresolved.set(name, []);
+      unresolved.get(name).push({
+        line: loc.start.line,
+        column: loc.start.column + 1,
+        endLine: loc.end.line,
+        endColumn: loc.end.column + 1
+      });
+    }
+  });
+
+  return Array.from(unresolved, ([name, references]) => ({ name, references }));
+};
+
+module.exports = {
+  DEFAULT_ENVIRONMENTS,
+  ENVIRONMENTS,
+  findUndefinedReferences
+};
@@ -0,0 +1,242 @@
+const traverse = require('@babel/traverse').default;
+const { parseJavaScript } = require('./parser');
+
+// Member expressions that hold input, by their dotted path
+const SOURCES = [
+  /^(req|request)\.(query|params|body|headers|cookies|files)$/,
+  /^((window|document)\.)?location(\.(hash|search|href|pathname))?$/,
+  /^document\.(URL|documentURI|referrer|cookie)$/,
+  /^process\.argv$/
+];
+// Calls whose result is safe to use, whatever their argument
+const SANITIZERS = new Set([
+  'parseInt', 'parseFloat', 'Number', 'Boolean', 'encodeURIComponent', 'encodeURI', 'escape', 'escapeHtml',
+  'sanitize', 'basename', 'escapeId'
+]);
+// Members of a tainted value that are safe (numbers and booleans)
+const CLEAN_MEMBERS = new Set(['length', 'size', 'includes', 'startsWith', 'endsWith', 'indexOf', 'test']);
+// Methods that taint the object they are called on with their arguments
+const PROPAGATORS = new Set(['push', 'unshift', 'append', 'set', 'add']);
+const FILE_METHODS = new Set([
+  'readFile', 'readFileSync', 'writeFile', 'writeFileSync', 'appendFile', 'appendFileSync', 'createReadStream',
+  'createWriteStream', 'unlink', 'unlinkSync', 'rm', 'rmSync', 'readdir', 'readdirSync', 'open', 'openSync', 'stat', 'statSync'
+]);
+const HTML_PROPERTIES = new Set(['innerHTML', 'outerHTML']);
+
+// `a.b.c` for a member expression made of plain names, or null
+const dottedPath = (node) => {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if ((node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') && !node.computed) {
+    const object = dottedPath(node.object);
+    return object && `${object}.${node.property.name}`;
+  }
+  return null;
+};
+
+const calleeName = (callee) => {
+  if (callee.type === 'Identifier') return callee.name;
+  if ((callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') && !callee.computed) {
+    return callee.property.name;
+  }
+  return null;
+};
+
+const calleeObject = (callee) => (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression'
+  ? dottedPath(callee.object)
+  : null);
+
+// The identifiers a declaration or assignment target binds
+const patternNames = (node) => {
+  switch (node.type) {
+    case 'Identifier':
+      return [node];
+    case 'ObjectPattern':
+      return node.properties.flatMap(property => patternNames(property.type === 'RestElement' ? property : property.value));
+    case 'ArrayPattern':
+      return node.elements.filter(Boolean).flatMap(patternNames);
+    case 'AssignmentPattern':
+      return patternNames(node.left);
+    case 'RestElement':
+      return patternNames(node.argument);
+    default:
+      return [];
+  }
+};
+
+const isCall = (node) => ['CallExpression', 'OptionalCallExpression', 'NewExpression'].includes(node.type);
+
+const step = (node, label) => ({ line: node.loc.start.line, column: node.loc.start.column + 1, label });
+
+// The source a member expression or call reads, or null
+const sourceLabel = (node, scope) => {
+  if (node.type === 'Identifier') {
+    return node.name === 'location' && !scope.hasBinding('location') ? 'location' : null;
+  }
+  if (isCall(node)) {
+    const object = calleeObject(node.callee);
+    return calleeName(node.callee) === 'prompt' && (object === 'window' || (!object && !scope.hasBinding('prompt')))
+      ? 'prompt()'
+      : null;
+  }
+  // document.getElementById('name').value
+  if (!node.computed && node.property.name === 'value' && isCall(node.object) &&
+      ['getElementById', 'querySelector'].includes(calleeName(node.object.callee))) {
+    return `${calleeName(node.object.callee)}(...).value`;
+  }
+  const path = dottedPath(node);
+  return path && SOURCES.some(source => source.test(path)) ? path : null;
+};
+
+// Sinks among calls: the kind, the arguments that must not be tainted and
+// a label, or null
+const callSink = (node) => {
+  const name = calleeName(node.callee);
+  const object = calleeObject(node.callee);
+  const label = `${node.type === 'NewExpression' ? 'new ' : ''}${object ? `${object}.` : ''}${name}()`;
+  const args = node.arguments;
+  const sink = (kind, checked = args.slice(0, 1)) => ({ kind, args: checked, label });
+
+  if (!name) return null;
+  if (object && ['query', 'execute', 'raw', '$queryRawUnsafe', '$executeRawUnsafe'].includes(name)) return sink('sql');
+  if (['exec', 'execSync'].includes(name) && (!object || /(^|\.)(child_?process|cp)$/i.test(object))) return sink('command');
+  if (!object && ['eval', 'Function', 'setTimeout', 'setInterval'].includes(name)) {
+    return sink('code', name === 'Function' ? args : args.slice(0, 1));
+  }
+  if (object === 'vm' && /^run|^Script$/.test(name)) return sink('code');
+  if (object === 'document' && ['write', 'writeln'].includes(name)) return sink('xss', args);
+  if (name === 'insertAdjacentHTML') return sink('xss', args.slice(1, 2));
+  if (object && /^(res|response)$/.test(object) && ['send', 'write', 'end'].includes(name)) return sink('xss');
+  if (object && /^(res|response)$/.test(object) && ['sendFile', 'download'].includes(name)) return sink('path');
+  if (object && /(^|\.)(fs|promises|fsPromises)$/.test(object) && FILE_METHODS.has(name)) return sink('path');
+  if (['unserialize', 'deserialize'].includes(name)) return sink('deserialization');
+  return null;
+};
+
+// Follows input through variables, keyed by Babel's bindings so that a
+// name in one function is not confused with the same name in another
+const findTaintFlows = (code) => {
+  const { ast } = parseJavaScript(code);
+  // Code that does not parse is already reported as a syntax error
+  if (!ast) return [];
+
+  const tainted = new Map();
+  const flows = [];
+
+  const taintOf = (node, scope) => {
+    if (!node) return null;
+    const first = (nodes) => nodes.reduce((found, inner) => found || taintOf(inner, scope), null);
+
+    switch (node.type) {
+      case 'Identifier': {
+        const source = sourceLabel(node, scope);
+        if (source) return [step(node, source)];
+        const binding = scope.getBinding(node.name);
+        return (binding && tainted.get(binding)) || null;
+      }
+      case 'MemberExpression':
+      case 'OptionalMemberExpression': {
+        const source = sourceLabel(node, scope);
+        if (source) return [step(node, source)];
+        if (!node.computed && CLEAN_MEMBERS.has(node.property.name)) return null;
+        return taintOf(node.object, scope);
+      }
+      case 'CallExpression':
+      case 'OptionalCallExpression':
+      case 'NewExpression': {
+        const source = sourceLabel(node, scope);
+        if (source) return [step(node, source)];
+        if (SANITIZERS.has(calleeName(node.callee))) return null;
+        const receiver = node.callee.type.endsWith('MemberExpression') ? [node.callee] : [];
+        return first([...receiver, ...node.arguments]);
+      }
+      case 'TemplateLiteral':
+        return first(node.expressions);
+      case 'BinaryExpression':
+        return node.operator === '+' ? first([node.left, node.right]) : null;
+      case 'LogicalExpression':
+        return first([node.left, node.right]);
+      case 'ConditionalExpression':
+        return first([node.consequent, node.alternate]);
+      case 'ArrayExpression':
+        return first(node.elements.filter(Boolean));
+      case 'ObjectExpression':
+        return first(node.properties.map(property => (property.type === 'SpreadElement' ? property.argument : property.value)));
+      case 'SpreadElement':
+      case 'AwaitExpression':
+        return taintOf(node.argument, scope);
+      case 'AssignmentExpression':
+        return taintOf(node.right, scope);
+      case 'SequenceExpression':
+        return taintOf(node.expressions[node.expressions.length - 1], scope);
+      // Tagged templates (sql`...`) escape their values
+      default:
+        return null;
+    }
+  };
+
+  // Taints (or clears) the variables bound by `id` from `value`
+  const assign = (path, id, value, { clears = true, verb = 'assigned to' } = {}) => {
+    const flow = taintOf(value, path.scope);
+    patternNames(id).forEach(identifier => {
+      const binding = path.scope.getBinding(identifier.name);
+      if (!binding) return;
+      if (flow) {
+        const last = flow[flow.length - 1];
+        const next = step(identifier, `${verb} ${identifier.name}`);
+        tainted.set(binding, last.line === next.line && last.label === next.label ? flow : [...flow, next]);
+      } else if (clears) {
+        tainted.delete(binding);
+      }
+    });
+  };
+
+  const report = (kind, node, flow, label) => {
+    if (flow) flows.push({ kind, flow, sink: step(node, label) });
+  };
+
+  traverse(ast, {
+    VariableDeclarator(path) {
+      if (path.node.init) assign(path, path.node.id, path.node.init);
+    },
+    'ForOfStatement|ForInStatement'(path) {
+      const { left, right } = path.node;
+      assign(path, left.type === 'VariableDeclaration' ? left.declarations[0].id : left, right);
+    },
+    AssignmentExpression(path) {
+      const { left, right, operator } = path.node;
+      if (left.type === 'MemberExpression' && !left.computed && HTML_PROPERTIES.has(left.property.name)) {
+        report('xss', left.property, taintOf(right, path.scope), left.property.name);
+      } else if (left.type === 'MemberExpression') {
+        // obj.field = input taints obj
+        let object = left.object;
+        while (object.type === 'MemberExpression') object = object.object;
+        if (object.type === 'Identifier') assign(path, object, right, { clears: false, verb: 'stored in' });
+      } else if (operator === '=' || operator === '+=') {
+        assign(path, left, right, { clears: operator === '=' });
+      }
+    },
+    'CallExpression|OptionalCallExpression|NewExpression'(path) {
+      const { node } = path;
+      const sink = callSink(node);
+      if (sink) report(sink.kind, node, sink.args.reduce((found, arg) => found || taintOf(arg, path.scope), null), sink.label);
+
+      const { callee } = node;
+      if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier' && PROPAGATORS.has(calleeName(callee))) {
+        assign(path, callee.object, { type: 'ArrayExpression', elements: node.arguments }, { clears: false, verb: 'added to' });
+      }
+    },
+    JSXAttribute(path) {
+      const { name, value } = path.node;
+      if (name.name === 'dangerouslySetInnerHTML' && value && value.type === 'JSXExpressionContainer') {
+        report('xss', name, taintOf(value.expression, path.scope), 'dangerouslySetInnerHTML');
+      }
+    }
+  });
+
+  return flows;
+};
+
+module.exports = {
+  findTaintFlows
+};
@@ -0,0 +1,395 @@
+const { tokenizeCLike, tokenizePython } = require('./tokenizer');
+const { CONTROL_HEADERS, BLOCK_KEYWORDS, matchBrackets, functionSignature, typeDeclaration } = require('./braces');
+const { createMeasure, addOperator, addOperand, finishMeasure } = require('./metrics');
+
+// Per-function metrics from tokens, for languages without a parser: block
+// structure comes from braces (Java, C++) or indentation (Python). Counting
+// follows javascript/metrics.js.
+
+const LITERAL_KEYWORDS = new Set(['true', 'false', 'null', 'nullptr', 'NULL', 'this', 'super', 'True', 'False', 'None', 'self']);
+// Control blocks that do not add cognitive nesting
+const FLAT_BLOCKS = new Set(['try', 'finally', 'synchronized', 'with']);
+const LOOP_BLOCKS = new Set(['for', 'while', 'do']);
+
+const isOperand = (token, keywords) =>
+  token.type === 'number' || token.type === 'string' || token.type === 'char' ||
+  (token.type === 'name' && (!keywords.has(token.value) || LITERAL_KEYWORDS.has(token.value)));
+
+const countHalstead = (measure, token, keywords) => {
+  if (token.type === 'newline' || token.type === 'indent' || token.type === 'dedent') return;
+  if (token.type === 'operator' && ')]}'.includes(token.value)) return;
+  if (isOperand(token, keywords)) addOperand(measure, token.value);
+  else addOperator(measure, token.value);
+};
+
+// Counts the parameters between two parenthesis tokens
+const countParams = (tokens, open, close, ignored = []) => {
+  let params = 0;
+  let depth = 0;
+  let current = [];
+
+  const flush = () => {
+    if (current.length && !(current.length === 1 && ignored.includes(current[0].value))) params++;
+    current = [];
+  };
+
+  for (let index = open + 1; index < close; index++) {
+    const token = tokens[index];
+    if ('([{<'.includes(token.value)) depth++;
+    if (')]}>'.includes(token.value)) depth--;
+    if (token.value === ',' && depth === 0) flush();
+    else current.push(token);
+  }
+  flush();
+
+  // `void` alone means no parameters in C
+  return params === 1 && tokens[open + 1].value === 'void' && close === open + 2 ? 0 : params;
+};
+
+const measureBraceFunctions = (code, { keywords, separator, tokenizerOptions }) => {
+  const tokens = tokenizeCLike(code, tokenizerOptions).tokens.filter(token => token.type !== 'preprocessor');
+  const matches = matchBrackets(tokens);
+  const functions = [];
+  const topLevel = createMeasure({ name: '(top level)', line: 1, endLine: code.split('\n').length });
+
+  // Find every function, type and control block before counting
+  const blocks = new Map();
+  const braceless = new Map();
+  const typeNames = [];
+
+  tokens.forEach((token, index) => {
+    if (token.value === '{') {
+      const previous = tokens[index - 1];
+      const header = previous && previous.value === ')' && tokens[matches.get(index - 1) - 1];
+
+      if (header && CONTROL_HEADERS.has(header.value)) {
+        blocks.set(index, { kind: header.value });
+      } else if (previous && BLOCK_KEYWORDS.has(previous.value)) {
+        blocks.set(index, { kind: previous.value });
+      } else {
+        const signature = functionSignature(tokens, index, matches);
+        const typeName = !signature && typeDeclaration(tokens, index, matches);
+        if (signature) {
+          const owner = typeNames.filter(type => type.start < index && type.end > index).pop();
+          const name = owner && !signature.name.includes('::') ? `${owner.name}${separator}${signature.name}` : signature.name;
+          const measure = createMeasure({
+            name,
+            line: tokens[signature.start].line,
+            endLine: tokens[matches.get(index)] ? tokens[matches.get(index)].line : token.line,
+            params: countParams(tokens, signature.open, signature.close)
+          });
+          measure.simpleName = signature.name.split('::').pop();
+          functions.push({ start: signature.start, body: index, end: matches.get(index) || tokens.length - 1, measure });
+          blocks.set(index, { kind: 'function' });
+        } else if (typeName) {
+          typeNames.push({ name: typeName, start: index, end: matches.get(index) || tokens.length - 1 });
+        }
+      }
+    }
+
+    // A control statement without braces governs the statement that follows
+    const next = (afterIndex) => tokens[afterIndex] && tokens[afterIndex].value !== '{' && afterIndex;
+    if (CONTROL_HEADERS.has(token.value) && tokens[index + 1] && tokens[index + 1].value === '(') {
+      const bodyStart = next(matches.get(index + 1) + 1);
+      if (bodyStart && !(token.value === 'while' && tokens[bodyStart].value === ';')) braceless.set(bodyStart, token.value);
+    }
+    if ((token.value === 'else' && tokens[index + 1] && tokens[index + 1].value !== 'if') || token.value === 'do') {
+      const bodyStart = next(index + 1);
+      if (bodyStart) braceless.set(bodyStart, token.value);
+    }
+  });
+
+  const stack = [];
+  const open = [];
+  let nextFunction = 0;
+  let braceDepth = 0;
+  let parenDepth = 0;
+  const logicalRuns = [null];
+  const byStart = [...functions].sort((a, b) => a.start - b.start);
+  let closedDoBlock = false;
+
+  // Type, namespace and plain blocks do not count as nesting
+  const controlsInFunction = () => {
+    const fromIndex = stack.map(block => block.kind).lastIndexOf('function') + 1;
+    return stack.slice(fromIndex).filter(block => CONTROL_HEADERS.has(block.kind) || BLOCK_KEYWORDS.has(block.kind));
+  };
+
+  tokens.forEach((token, index) => {
+    while (open.length && index > open[open.length - 1].end) open.pop();
+    while (nextFunction < byStart.length && byStart[nextFunction].start <= index) {
+      open.push(byStart[nextFunction]);
+      nextFunction++;
+    }
+    const measure = open.length ? open[open.length - 1].measure : topLevel;
+
+    if (braceless.has(index)) {
+      stack.push({ kind: braceless.get(index), virtual: true, braceDepth, parenDepth });
+    }
+
+    const controls = controlsInFunction();
+    const nesting = controls.filter(block => !FLAT_BLOCKS.has(block.kind)).length;
+    measure.nesting = Math.max(measure.nesting, controls.length);
+    measure.loopDepth = Math.max(measure.loopDepth, controls.filter(block => LOOP_BLOCKS.has(block.kind)).length);
+    measure.lines.add(token.line);
+    countHalstead(measure, token, keywords);
+
+    const previous = tokens[index - 1] || {};
+    const following = tokens[index + 1] || {};
+
+    switch (token.value) {
+      case 'if':
+        measure.cyclomatic++;
+        measure.cognitive += previous.value === 'else' ? 1 : 1 + nesting;
+        break;
+      case 'else':
+        if (following.value !== 'if') measure.cognitive++;
+        break;
+      case 'while':
+        // The `while` that closes a do-while was counted at `do`
+        if (closedDoBlock && previous.value === '}') break;
+        measure.cyclomatic++;
+        measure.cognitive += 1 + nesting;
+        break;
+      case 'for':
+      case 'do':
+      case 'catch':
+        measure.cyclomatic++;
+        measure.cognitive += 1 + nesting;
+        break;
+      case 'switch':
+        measure.cognitive += 1 + nesting;
+        break;
+      case 'case':
+        measure.cyclomatic++;
+        break;
+      case '?':
+        // Not a Java wildcard: List<?>, <? extends T>
+        if (['<', ','].includes(previous.value)) break;
+        measure.cyclomatic++;
+        measure.cognitive += 1 + nesting;
+        break;
+      case '&&':
+      case '||':
+        measure.cyclomatic++;
+        if (logicalRuns[logicalRuns.length - 1] !== token.value) measure.cognitive++;
+        logicalRuns[logicalRuns.length - 1] = token.value;
+        break;
+      case 'goto':
+        measure.cognitive++;
+        break;
+      case 'break':
+      case 'continue':
+        if (following.type === 'name') measure.cognitive++;
+        break;
+      default:
+        if (token.type === 'name' && token.value === measure.simpleName && following.value === '(' &&
+          open.length && index > open[open.length - 1].body && previous.value !== '.') {
+          measure.cognitive++;
+        }
+    }
+
+    closedDoBlock = false;
+    if (token.value === '(') {
+      parenDepth++;
+      logicalRuns.push(null);
+    } else if (token.value === ')') {
+      parenDepth--;
+      logicalRuns.pop();
+    } else if (token.value === '{') {
+      braceDepth++;
+      stack.push({ kind: (blocks.get(index) || { kind: 'block' }).kind, braceDepth });
+      logicalRuns[logicalRuns.length - 1] = null;
+    } else if (token.value === '}') {
+      braceDepth--;
+      const closed = stack.pop();
+      closedDoBlock = Boolean(closed && closed.kind === 'do');
+      // A braced statement also ends the braceless statements around it
+      while (stack.length && stack[stack.length - 1].virtual && stack[stack.length - 1].braceDepth === braceDepth &&
+        following.value !== 'else') {
+        stack.pop();
+      }
+      logicalRuns[logicalRuns.length - 1] = null;
+    } else if (token.value === ';') {
+      while (stack.length && stack[stack.length - 1].virtual &&
+        stack[stack.length - 1].braceDepth === braceDepth && stack[stack.length - 1].parenDepth === parenDepth) {
+        stack.pop();
+      }
+      logicalRuns[logicalRuns.length - 1] = null;
+    }
+  });
+
+  return {
+    functions: functions.map(({ measure }) => finishMeasure(measure)),
+    topLevel: finishMeasure(topLevel)
+  };
+};
+
+const PYTHON_COMPOUND = new Set(['if', 'elif', 'else', 'for', 'while', 'try', 'except', 'finally', 'with', 'match', 'case', 'def', 'class']);
+
+// Splits Python tokens into logical lines, keeping indent and dedent tokens
+// as separate entries
+const logicalLines = (tokens) => {
+  const lines = [];
+  let current = [];
+
+  tokens.forEach(token => {
+    if (token.type === 'indent' || token.type === 'dedent') {
+      lines.push({ type: token.type, tokens: [token] });
+    } else if (token.type === 'newline') {
+      if (current.length) lines.push({ type: 'line', tokens: current });
+      current = [];
+    } else {
+      current.push(token);
+    }
+  });
+  if (current.length) lines.push({ type: 'line', tokens: current });
+
+  return lines;
+};
+
+const measureIndentedFunctions = (code, { keywords }) => {
+  const lines = logicalLines(tokenizePython(code).tokens);
+  const functions = [];
+  const topLevel = createMeasure({ name: '(top level)', line: 1, endLine: code.split('\n').length });
+  // Blocks opened by indentation: { kind, measure?, name? }
+  const stack = [];
+  let pending = null;
+
+  const currentFunction = () => {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (stack[i].kind === 'def') return stack[i].measure;
+    }
+    return topLevel;
+  };
+  const controlsInFunction = () => {
+    const fromIndex = stack.map(block => block.kind).lastIndexOf('def') + 1;
+    return stack.slice(fromIndex).filter(block => block.kind !== 'class');
+  };
+
+  lines.forEach(({ type, tokens }) => {
+    if (type === 'indent') {
+      stack.push(pending || { kind: 'block' });
+      pending = null;
+      return;
+    }
+    if (type === 'dedent') {
+      stack.pop();
+      return;
+    }
+
+    const first = tokens[0].value === 'async' && tokens[1] ? tokens[1] : tokens[0];
+    const keyword = PYTHON_COMPOUND.has(first.value) ? first.value : null;
+    // `if x: return y` has its body on the same line
+    const opensBlock = keyword && tokens[tokens.length - 1].value === ':';
+    let measure = currentFunction();
+
+    if (keyword === 'def') {
+      const nameToken = tokens[tokens.indexOf(first) + 1];
+      const classNames = stack.filter(block => block.kind === 'class').map(block => block.name);
+      const owner = stack.length && stack[stack.length - 1].kind === 'class' ? `${classNames[classNames.length - 1]}.` : '';
+      const openIndex = tokens.findIndex(token => token.value === '(');
+      const matches = matchBrackets(tokens);
+      measure = createMeasure({
+        name: `${owner}${nameToken ? nameToken.value : '(anonymous)'}`,
+        line: tokens[0].line,
+        endLine: tokens[tokens.length - 1].line,
+        // A method's self or cls is not a parameter callers pass, nor are the bare * and / markers
+        params: openIndex === -1
+          ? 0
+          : countParams(tokens, openIndex, matches.get(openIndex), owner ? ['self', 'cls', '*', '/'] : ['*', '/'])
+      });
+      measure.simpleName = nameToken && nameToken.value;
+      functions.push(measure);
+      pending = opensBlock ? { kind: 'def', measure } : null;
+    } else if (keyword === 'class') {
+      pending = opensBlock ? { kind: 'class', name: tokens[1] && tokens[1].value } : null;
+    } else {
+      pending = opensBlock ? { kind: keyword } : null;
+    }
+
+    const controls = controlsInFunction();
+    const nesting = controls.filter(block => !FLAT_BLOCKS.has(block.kind)).length;
+    measure.nesting = Math.max(measure.nesting, controls.length);
+    measure.loopDepth = Math.max(measure.loopDepth, controls.filter(block => LOOP_BLOCKS.has(block.kind)).length);
+    // Functions end on the last line of their body
+    stack.filter(block => block.kind === 'def').forEach(block => {
+      block.measure.endLine = tokens[tokens.length - 1].line;
+    });
+
+    const logicalRuns = [null];
+    tokens.forEach((token, index) => {
+      measure.lines.add(token.line);
+      countHalstead(measure, token, keywords);
+
+      const atStart = token === first;
+      const previous = tokens[index - 1] || {};
+      const following = tokens[index + 1] || {};
+
+      switch (token.value) {
+        case 'if':
+          measure.cyclomatic++;
+          if (atStart) {
+            measure.cognitive += 1 + nesting;
+          } else if (tokens.slice(index).some(next => next.value === 'else')) {
+            // Conditional expression: a if test else b
+            measure.cognitive += 1 + nesting;
+          }
+          break;
+        case 'elif':
+          measure.cyclomatic++;
+          measure.cognitive++;
+          break;
+        case 'else':
+          if (atStart) measure.cognitive++;
+          break;
+        case 'for':
+        case 'while':
+          measure.cyclomatic++;
+          // Comprehension loops count as a decision only
+          if (atStart) measure.cognitive += 1 + nesting;
+          break;
+        case 'except':
+          measure.cyclomatic++;
+          measure.cognitive += 1 + nesting;
+          break;
+        case 'match':
+          if (atStart) measure.cognitive += 1 + nesting;
+          break;
+        case 'case':
+          if (atStart) measure.cyclomatic++;
+          break;
+        case 'and':
+        case 'or':
+          measure.cyclomatic++;
+          if (logicalRuns[logicalRuns.length - 1] !== token.value) measure.cognitive++;
+          logicalRuns[logicalRuns.length - 1] = token.value;
+          break;
+        case '(':
+        case '[':
+        case '{':
+          logicalRuns.push(null);
+          break;
+        case ')':
+        case ']':
+        case '}':
+          logicalRuns.pop();
+          break;
+        default:
+          if (token.type === 'name' && token.value === measure.simpleName && following.value === '(' &&
+            previous.value !== '.' && previous.value !== 'def') {
+            measure.cognitive++;
+          }
+      }
+    });
+  });
+
+  return {
+    functions: functions.map(finishMeasure),
+    topLevel: finishMeasure(topLevel)
+  };
+};
+
+module.exports = {
+  measureBraceFunctions,
+  measureIndentedFunctions
+};
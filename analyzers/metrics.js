@@ -0,0 +1,115 @@
+// Per-function metrics and the High/Medium/Low levels derived from them.
+//
+// Every language's `measureFunctions(code)` returns { functions, topLevel }:
+// one entry per function, plus the code outside any function measured the
+// same way. An entry is built with createMeasure() while walking the code and
+// finished with finishMeasure().
+
+// Levels for the review's summary chips. Each is [High, Medium] boundaries;
+// anything past Medium is Low (or High, for complexity).
+const THRESHOLDS = {
+  // Highest cyclomatic complexity of any function (McCabe: over 10 is complex)
+  complexity: { low: 10, medium: 20 },
+  // Lines-of-code weighted maintainability index (Visual Studio's bands)
+  maintainability: { high: 20, medium: 10 },
+  // Highest cognitive complexity of any function (Sonar flags over 15)
+  readability: { high: 8, medium: 15 },
+  // Deepest loop nesting in any function
+  efficiency: { high: 1, medium: 2 }
+};
+
+const createMeasure = ({ name, line, endLine, params = 0 }) => ({
+  name,
+  line,
+  endLine,
+  params,
+  cyclomatic: 1,
+  cognitive: 0,
+  nesting: 0,
+  loopDepth: 0,
+  lines: new Set(),
+  operators: new Map(),
+  operands: new Map()
+});
+
+const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+const addOperator = (measure, operator) => count(measure.operators, operator);
+
+const addOperand = (measure, operand) => count(measure.operands, operand);
+
+const sum = (map) => Array.from(map.values()).reduce((total, value) => total + value, 0);
+
+// Halstead volume: program length times the bits needed to pick each token
+// from the function's vocabulary
+const halsteadVolume = (operators, operands) => {
+  const length = sum(operators) + sum(operands);
+  const vocabulary = operators.size + operands.size;
+  return vocabulary > 1 ? length * Math.log2(vocabulary) : 0;
+};
+
+// Maintainability index on a 0-100 scale, as Visual Studio reports it
+const maintainabilityIndex = (volume, cyclomatic, loc) => {
+  const raw = 171 - 5.2 * Math.log(Math.max(volume, 1)) - 0.23 * cyclomatic - 16.2 * Math.log(Math.max(loc, 1));
+  return Math.max(0, Math.min(100, (raw * 100) / 171));
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const finishMeasure = (measure) => {
+  const loc = measure.lines.size;
+  const volume = halsteadVolume(measure.operators, measure.operands);
+
+  return {
+    name: measure.name,
+    line: measure.line,
+    endLine: measure.endLine,
+    params: measure.params,
+    loc,
+    cyclomatic: measure.cyclomatic,
+    cognitive: measure.cognitive,
+    nesting: measure.nesting,
+    loopDepth: measure.loopDepth,
+    halsteadVolume: round(volume),
+    maintainabilityIndex: round(maintainabilityIndex(volume, measure.cyclomatic, loc))
+  };
+};
+
+// Summary levels for the whole submission
+const summarizeMetrics = ({ functions, topLevel }) => {
+  const all = [...functions, topLevel].filter(entry => entry.loc > 0);
+  const max = (key) => Math.max(0, ...all.map(entry => entry[key]));
+  const totalLoc = all.reduce((total, entry) => total + entry.loc, 0);
+  const maintainability = totalLoc
+    ? all.reduce((total, entry) => total + entry.maintainabilityIndex * entry.loc, 0) / totalLoc
+    : 100;
+
+  const cyclomatic = max('cyclomatic');
+  const cognitive = max('cognitive');
+  const loopDepth = max('loopDepth');
+  const { complexity, readability, efficiency } = THRESHOLDS;
+
+  return {
+    complexity: cyclomatic <= complexity.low ? 'Low' : cyclomatic <= complexity.medium ? 'Medium' : 'High',
+    maintainability: maintainability >= THRESHOLDS.maintainability.high
+      ? 'High'
+      : maintainability >= THRESHOLDS.maintainability.medium ? 'Medium' : 'Low',
+    readability: cognitive <= readability.high ? 'High' : cognitive <= readability.medium ? 'Medium' : 'Low',
+    efficiency: loopDepth <= efficiency.high ? 'High' : loopDepth <= efficiency.medium ? 'Medium' : 'Low',
+    values: {
+      maxCyclomatic: cyclomatic,
+      maxCognitive: cognitive,
+      maxLoopDepth: loopDepth,
+      maintainabilityIndex: round(maintainability)
+    }
+  };
+};
+
+module.exports = {
+  THRESHOLDS,
+  createMeasure,
+  addOperator,
+  addOperand,
+  finishMeasure,
+  summarizeMetrics
+};
@@ -0,0 +1,52 @@
+const { BUG_TYPES, detectLanguage } = require('./registry');
+const { findSecrets, redactSecrets } = require('./secrets');
+
+// Paths that are never source files worth reviewing: dependencies, version
+// control, macOS archive metadata and dotfiles
+const IGNORED_PATH = /(^|\/)(__MACOSX|node_modules|\.git)(\/|$)|(^|\/)\.[^/]+$/;
+
+const isIgnoredPath = (filePath) => IGNORED_PATH.test(filePath.split('\\').join('/'));
+
+// Reviews a set of source files, e.g. an assignment or a small project.
+// `files` is a list of { path, content }; `analyzeCode` is passed in to keep
+// this module free of a circular import with the analyzer entry point.
+// Secrets in each file are masked in its review, as reviewCode does.
+const analyzeProject = (files, analyzeCode, options = {}) => {
+  const results = [];
+  const skipped = [];
+
+  files.forEach(({ path, content }) => {
+    const language = detectLanguage(path);
+    if (!language) {
+      skipped.push({ path, reason: 'Unsupported file type' });
+      return;
+    }
+
+    results.push({ path, language, review: redactSecrets(analyzeCode(content, language, options), findSecrets(content)) });
+  });
+
+  const bugTypes = BUG_TYPES.reduce((counts, type) => ({
+    ...counts,
+    [type]: results.reduce((sum, file) => sum + file.review.debugging.bugTypes[type], 0)
+  }), {});
+
+  const languages = results.reduce((counts, file) => ({
+    ...counts,
+    [file.language]: (counts[file.language] || 0) + 1
+  }), {});
+
+  return {
+    fileCount: results.length,
+    totalLines: results.reduce((sum, file) => sum + file.review.codeAnalysis.totalLines, 0),
+    languages,
+    bugCount: results.reduce((sum, file) => sum + file.review.debugging.bugCount, 0),
+    bugTypes,
+    files: results.sort((a, b) => a.path.localeCompare(b.path)),
+    skipped
+  };
+};
+
+module.exports = {
+  analyzeProject,
+  isIgnoredPath
+};
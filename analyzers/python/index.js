@@ -0,0 +1,345 @@
+const { commonRules } = require('../common');
+const { taintRules } = require('../taint');
+const { insertAt, buildFix } = require('../fixes');
+const { measureIndentedFunctions } = require('../measure');
+const { parsePython, tokenEnd, isOperator, enclosingScope } = require('./parser');
+const { BUILTINS, importedNames, boundNames, referencedNames } = require('./names');
+const {
+  checkSyntax,
+  checkUnclosedBrackets,
+  checkIndentation,
+  checkMissingColons,
+  checkBlockStructure,
+  checkUnreachableCode
+} = require('./structure');
+const { findTaintFlows } = require('./security');
+
+const KEYWORDS = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+  'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal',
+  'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+]);
+
+const DIVISION_OPERATORS = new Set(['/', '//', '%', '/=', '//=', '%=']);
+// Calls that build a new mutable object
+const MUTABLE_CALLS = new Set(['list', 'dict', 'set', 'bytearray', 'defaultdict', 'OrderedDict', 'deque', 'Counter']);
+
+const isName = (token, value) => Boolean(token) && token.type === 'name' && (value === undefined || token.value === value);
+
+const isZero = (token) => Boolean(token) && token.type === 'number' &&
+  Number(token.value.replace(/_/g, '').replace(/[jJ]$/, '')) === 0;
+
+// Divisions by a literal zero, or by a name whose last assignment was zero
+// and that is not checked first. Names are tracked per function.
+const checkDivisionByZero = (code) => {
+  const { statements } = parsePython(code);
+  const bugs = [];
+  // Name -> line of its `name = 0` assignment
+  let zeros = new Map();
+
+  statements.forEach(statement => {
+    const { tokens, keyword } = statement;
+    if (keyword === 'def') zeros = new Map();
+
+    tokens.forEach((token, index) => {
+      if (token.type !== 'operator' || !DIVISION_OPERATORS.has(token.value)) return;
+      const divisor = tokens[index + 1];
+      const after = tokens[index + 2];
+
+      if (isZero(divisor)) {
+        bugs.push({
+          message: 'Division by zero',
+          line: token.line,
+          column: token.column,
+          fix: 'Divide by a value that cannot be zero'
+        });
+      } else if (
+        isName(divisor) && zeros.has(divisor.value) &&
+        !['.', '(', '['].some(value => isOperator(after, value)) &&
+        // `x / n if n else 0` checks n in the same expression
+        !tokens.some(other => isName(other, 'if') || isName(other, 'and') || isName(other, 'or'))
+      ) {
+        bugs.push({
+          message: 'Potential division by zero',
+          line: token.line,
+          column: token.column,
+          explanation: `${divisor.value} is set to 0 on line ${zeros.get(divisor.value)} and may still be 0 here`,
+          fix: 'Add check for zero before division'
+        });
+      }
+    });
+
+    // Assignments count after the division: `n = n / 2` reads the old value
+    boundNames(statement).forEach(token => zeros.delete(token.value));
+    if (isName(tokens[0]) && tokens[1] && tokens[1].type === 'operator' && /^[^=]+=$/.test(tokens[1].value)) {
+      zeros.delete(tokens[0].value);
+    }
+    // A condition that mentions the name is taken as the check
+    if (['if', 'elif', 'while'].includes(keyword) || isName(tokens[0], 'assert')) {
+      tokens.forEach(token => zeros.delete(token.value));
+    }
+    if (tokens.length === 3 && isName(tokens[0]) && isOperator(tokens[1], '=') && isZero(tokens[2])) {
+      zeros.set(tokens[0].value, tokens[0].line);
+    }
+  });
+
+  return bugs;
+};
+
+// The statement a function body starts with, after its docstring, if the
+// body is on its own lines
+const firstBodyStatement = (statements, def) => {
+  const body = statements.filter(statement => statement.parent === def);
+  const [first, second] = body;
+  const isDocstring = first && first.tokens.length === 1 && first.tokens[0].type === 'string';
+  return isDocstring ? second : first;
+};
+
+// Defaults such as `items=[]` are created once, when the function is
+// defined, so every call shares them. The fix defaults to None and creates
+// the value inside the function.
+const checkMutableDefaults = (code) => {
+  const { statements, brackets } = parsePython(code);
+  const lines = code.split('\n');
+  const bugs = [];
+
+  statements.filter(statement => statement.keyword === 'def').forEach(def => {
+    const { tokens } = def;
+    const openIndex = tokens.findIndex(token => isOperator(token, '('));
+    const close = openIndex === -1 ? null : brackets.matches.get(tokens[openIndex]);
+    if (!close) return;
+
+    const defaults = [];
+    let depth = 0;
+    let param = null;
+    for (let index = openIndex + 1; index < tokens.indexOf(close); index++) {
+      const token = tokens[index];
+      const before = tokens[index - 1];
+      if (token.type === 'operator' && '([{'.includes(token.value)) depth++;
+      if (token.type === 'operator' && ')]}'.includes(token.value)) depth--;
+      if (depth === 0 && isName(token) && ['(', ',', '*', '**'].some(value => isOperator(before, value))) param = token;
+      if (depth !== 0 || !isOperator(token, '=') || !param) continue;
+
+      const start = tokens[index + 1];
+      const call = isName(start) && MUTABLE_CALLS.has(start.value) && isOperator(tokens[index + 2], '(');
+      if (!start || !(call || isOperator(start, '[') || isOperator(start, '{'))) continue;
+
+      const end = brackets.matches.get(call ? tokens[index + 2] : start);
+      if (end) defaults.push({ param, start, end });
+    }
+    if (!defaults.length) return;
+
+    // Edits only when each default is on one line and the body has its own lines
+    const target = firstBodyStatement(statements, def);
+    const targetLine = target && lines[target.line - 1];
+    const indent = target && targetLine.slice(0, target.tokens[0].column - 1);
+    const editable = target && !indent.trim() && defaults.every(({ start, end }) => start.line === end.line);
+    let fix = 'Default to None and create the value inside the function';
+
+    if (editable) {
+      const defIndent = lines[def.line - 1].match(/^\s*/)[0];
+      const unit = indent.slice(defIndent.length) || '    ';
+      const checks = defaults.map(({ param: name, start, end }) => {
+        const value = lines[start.line - 1].slice(start.column - 1, tokenEnd(end).column - 1);
+        return `${indent}if ${name.value} is None:\n${indent}${unit}${name.value} = ${value}\n`;
+      }).join('');
+
+      fix = buildFix(code, {
+        id: `mutable-default:${def.line}`,
+        explanation: 'Default to None and create a new value on each call that needs one',
+        edits: [
+          ...defaults.map(({ start, end }) => ({
+            line: start.line,
+            column: start.column,
+            endLine: end.line,
+            endColumn: tokenEnd(end).column,
+            text: 'None'
+          })),
+          insertAt(target.line, 1, checks)
+        ]
+      });
+    }
+
+    defaults.forEach(({ param: name, start }) => {
+      bugs.push({
+        message: `Mutable default value for parameter '${name.value}'`,
+        line: start.line,
+        column: start.column,
+        explanation: 'The default is created once, when the function is defined, so every call that uses it shares and changes the same object.',
+        fix
+      });
+    });
+  });
+
+  return bugs;
+};
+
+const checkBareExcept = (code) => parsePython(code).statements
+  .filter(statement => statement.keyword === 'except' && isOperator(statement.tokens[1], ':'))
+  .map(statement => {
+    const [keyword] = statement.tokens;
+    return {
+      message: "Bare 'except:' catches every exception",
+      line: keyword.line,
+      column: keyword.column,
+      explanation: 'It also catches KeyboardInterrupt and SystemExit, so the program cannot be stopped, and hides bugs such as misspelled names.',
+      fix: buildFix(code, {
+        id: `bare-except:${keyword.line}`,
+        explanation: 'Catch Exception, or better the specific errors you expect',
+        edits: [insertAt(keyword.line, keyword.column + keyword.value.length, ' Exception')]
+      })
+    };
+  });
+
+const checkUnusedImports = (code) => {
+  const { statements } = parsePython(code);
+  const used = referencedNames(code);
+  const lines = code.split('\n');
+  const bugs = [];
+
+  statements.forEach(statement => {
+    const names = importedNames(statement);
+    const unused = names.filter(token => !used.has(token.value));
+    if (!unused.length) return;
+
+    // A top-level import on its own lines can be deleted outright
+    let fix = 'Remove the unused name from the import';
+    if (unused.length === names.length && statement.whole && statement.level === 0) {
+      const end = tokenEnd(statement.tokens[statement.tokens.length - 1]);
+      fix = buildFix(code, {
+        id: `unused-import:${statement.line}`,
+        explanation: 'Remove the unused import',
+        edits: [end.line < lines.length
+          ? { line: statement.line, column: 1, endLine: end.line + 1, endColumn: 1, text: '' }
+          : { line: statement.line, column: 1, endLine: end.line, endColumn: lines[end.line - 1].length + 1, text: '' }]
+      });
+    }
+
+    unused.forEach(token => {
+      bugs.push({
+        message: `'${token.value}' is imported but never used`,
+        line: token.line,
+        column: token.column,
+        fix
+      });
+    });
+  });
+
+  return bugs;
+};
+
+// Variables, functions and parameters named like a built-in hide it for the
+// rest of their scope. Class attributes and methods (read as obj.name) are
+// not reported.
+const checkBuiltinShadowing = (code) => {
+  const { statements } = parsePython(code);
+  const reported = new Set();
+  const bugs = [];
+
+  statements.forEach(statement => {
+    const scope = enclosingScope(statement);
+    const nameIndex = statement.keyword === 'def' ? statement.tokens.findIndex(token => isName(token, 'def')) + 1 : -1;
+
+    boundNames(statement).filter(token => BUILTINS.has(token.value)).forEach(token => {
+      // Parameters belong to the function's own scope
+      const owner = statement.keyword === 'def' && token !== statement.tokens[nameIndex] ? statement : scope;
+      const key = `${owner ? owner.line : 0}:${token.value}`;
+      if ((owner && owner.keyword === 'class') || reported.has(key)) return;
+      reported.add(key);
+
+      bugs.push({
+        message: `'${token.value}' shadows a built-in`,
+        line: token.line,
+        column: token.column,
+        fix: `Rename it (for example ${token.value}_ or a more descriptive name) so the built-in ${token.value} stays available`
+      });
+    });
+  });
+
+  return bugs;
+};
+
+const generateSuggestions = (code) => {
+  const suggestions = [];
+  const { tokens } = parsePython(code);
+  const indents = tokens.filter(token => token.type === 'indent').map(token => token.value);
+
+  if (tokens.some((token, index) => isName(token, 'print') && isOperator(tokens[index + 1], '('))) {
+    suggestions.push({
+      message: 'Consider using logging instead of print statements',
+      example: {
+        before: 'print("Error occurred")',
+        after: 'import logging\nlogging.error("Error occurred")'
+      }
+    });
+  }
+  if (tokens.some(token => isName(token, 'global'))) {
+    suggestions.push({
+      message: 'Avoid using global variables, consider passing values as parameters',
+      example: {
+        before: 'global counter\ndef increment():\n    global counter\n    counter += 1',
+        after: 'def increment(counter):\n    return counter + 1'
+      }
+    });
+  }
+  if (indents.some(indent => indent.includes('\t') || indent.length % 4 !== 0)) {
+    suggestions.push({
+      message: 'Indent each block with 4 spaces, as PEP 8 recommends',
+      example: {
+        before: 'def test():\n  if ready:\n\tprint("test")',
+        after: 'def test():\n    if ready:\n        print("test")'
+      }
+    });
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  id: 'python',
+  name: 'Python',
+  extensions: ['.py'],
+  comments: (code) => parsePython(code).comments,
+  checks: {
+    syntax: [
+      { id: 'syntax-error', severity: 'error', description: 'Unterminated strings and brackets that close the wrong thing', check: checkSyntax },
+      { id: 'indentation', severity: 'error', description: 'Blocks must be indented under the statement that opens them', check: checkIndentation },
+      { id: 'missing-colon', severity: 'error', description: 'Compound statements end with a colon', check: checkMissingColons },
+      { id: 'unclosed-call', severity: 'error', description: 'Brackets and calls must be closed', check: checkUnclosedBrackets },
+      { id: 'block-structure', severity: 'error', description: "elif, else, except and finally in the right place; try with a handler; break, continue and return inside a loop or function", check: checkBlockStructure }
+    ],
+    runtime: [
+      { id: 'division-by-zero', severity: 'warning', description: 'Divisions by zero or by a variable that is still zero', check: checkDivisionByZero }
+    ],
+    logical: [
+      { id: 'mutable-default-arg', severity: 'warning', description: 'Lists, dicts and sets as default argument values', check: checkMutableDefaults },
+      { id: 'bare-except', severity: 'warning', description: "Bare 'except:' clauses", check: checkBareExcept },
+      { id: 'unused-import', severity: 'info', description: 'Imported names that are never used', check: checkUnusedImports },
+      { id: 'builtin-shadowing', severity: 'warning', description: 'Names that hide a built-in such as list or input', check: checkBuiltinShadowing },
+      commonRules.infiniteLoop,
+      { ...commonRules.unreachableCode, description: 'Statements after return, raise, break or continue', check: checkUnreachableCode }
+    ],
+    security: [...taintRules(findTaintFlows, ['sql', 'command', 'code', 'xss', 'path', 'deserialization']), commonRules.hardcodedSecret]
+  },
+  suggestions: generateSuggestions,
+  measureFunctions: (code) => measureIndentedFunctions(code, { keywords: KEYWORDS }),
+  bestPractices: [
+    'Follow PEP 8 style guide',
+    'Use virtual environments',
+    'Implement proper exception handling',
+    'Use type hints for better code clarity',
+    'Write docstrings for functions and classes'
+  ],
+  fixes: {
+    'Unreachable code after return statement': {
+      before: 'def total(items):\n    return sum(items)\n    print("done")',
+      after: 'def total(items):\n    print("done")\n    return sum(items)',
+      explanation: 'Remove code after the return statement or move it before'
+    },
+    'Potential division by zero': {
+      before: 'result = number / divisor',
+      after: 'if divisor != 0:\n    result = number / divisor\nelse:\n    print("Error: Division by zero")',
+      explanation: 'Add a check for zero before division'
+    }
+  }
+};
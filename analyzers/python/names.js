@@ -0,0 +1,186 @@
+const { parsePython, isOperator } = require('./parser');
+
+// Binding these hides the built-in of the same name in that scope
+const BUILTINS = new Set([
+  'abs', 'all', 'any', 'ascii', 'bin', 'bool', 'breakpoint', 'bytearray', 'bytes', 'callable', 'chr', 'compile',
+  'complex', 'delattr', 'dict', 'dir', 'divmod', 'enumerate', 'eval', 'exec', 'filter', 'float', 'format',
+  'frozenset', 'getattr', 'globals', 'hasattr', 'hash', 'help', 'hex', 'id', 'input', 'int', 'isinstance',
+  'issubclass', 'iter', 'len', 'list', 'locals', 'map', 'max', 'memoryview', 'min', 'next', 'object', 'oct',
+  'open', 'ord', 'pow', 'print', 'property', 'range', 'repr', 'reversed', 'round', 'set', 'setattr', 'slice',
+  'sorted', 'staticmethod', 'str', 'sum', 'super', 'tuple', 'type', 'vars', 'zip'
+]);
+
+const isName = (token) => token && token.type === 'name';
+
+// Name tokens bound by an import statement: `import a.b` binds a, `import
+// a as b` and `from m import a as b` bind b. Star imports and __future__
+// imports bind nothing to check.
+const importedNames = (statement) => {
+  const { tokens } = statement;
+  const names = [];
+  let index;
+
+  if (tokens[0].value === 'import') {
+    index = 1;
+  } else if (tokens[0].value === 'from') {
+    index = tokens.findIndex(token => isName(token) && token.value === 'import') + 1;
+    if (!index || (tokens[1] && tokens[1].value === '__future__')) return [];
+  } else {
+    return [];
+  }
+
+  while (index < tokens.length) {
+    const token = tokens[index];
+    if (isName(token)) {
+      // Skip the rest of a dotted name
+      let end = index;
+      while (isOperator(tokens[end + 1], '.') && isName(tokens[end + 2])) end += 2;
+      const alias = tokens[end + 1] && tokens[end + 1].value === 'as' ? tokens[end + 2] : null;
+      names.push(alias || token);
+      index = alias ? end + 3 : end + 1;
+    } else {
+      index++;
+    }
+  }
+  return names;
+};
+
+// Every name in a target list (`a, (b, c)`), skipping attributes and the
+// names inside subscripts and calls
+const targetNames = (tokens) => {
+  const names = [];
+  // Whether each open bracket groups targets, rather than subscripting or calling
+  const groups = [];
+
+  tokens.forEach((token, index) => {
+    const before = tokens[index - 1];
+    if (token.type === 'operator' && '([{'.includes(token.value)) {
+      groups.push(!before || (before.type === 'operator' && !')]}'.includes(before.value)));
+    } else if (token.type === 'operator' && ')]}'.includes(token.value)) {
+      groups.pop();
+    } else if (
+      isName(token) &&
+      groups.every(Boolean) &&
+      !isOperator(before, '.') &&
+      !['.', '[', '('].some(value => isOperator(tokens[index + 1], value))
+    ) {
+      names.push(token);
+    }
+  });
+
+  return names;
+};
+
+// Tokens of a statement split at `=` signs outside brackets
+const splitAssignment = (tokens) => {
+  const parts = [[]];
+  let depth = 0;
+
+  tokens.forEach(token => {
+    if (token.type === 'operator' && '([{'.includes(token.value)) depth++;
+    if (token.type === 'operator' && ')]}'.includes(token.value)) depth--;
+    if (depth === 0 && isOperator(token, '=')) {
+      parts.push([]);
+    } else {
+      parts[parts.length - 1].push(token);
+    }
+  });
+  return parts;
+};
+
+// Parameter names of a `def` header: names right after `(`, `,`, `*` or `**`
+// inside its parentheses (annotations and defaults are not names it binds)
+const parameterNames = (tokens) => {
+  const open = tokens.findIndex(token => isOperator(token, '('));
+  if (open === -1) return [];
+
+  const names = [];
+  let depth = 0;
+  for (let index = open; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (token.type === 'operator' && '([{'.includes(token.value)) depth++;
+    if (token.type === 'operator' && ')]}'.includes(token.value)) {
+      depth--;
+      if (depth === 0) break;
+    }
+    const before = tokens[index - 1];
+    if (depth === 1 && isName(token) && ['(', ',', '*', '**'].some(value => isOperator(before, value))) {
+      names.push(token);
+    }
+  }
+  return names;
+};
+
+// Tokens between `after` (exclusive) and the first `until` name at bracket
+// depth 0, or the end of the header
+const headerPart = (tokens, after, until) => {
+  const start = tokens.indexOf(after) + 1;
+  let end = start;
+  let depth = 0;
+  while (end < tokens.length) {
+    const token = tokens[end];
+    if (token.type === 'operator' && '([{'.includes(token.value)) depth++;
+    if (token.type === 'operator' && ')]}'.includes(token.value)) depth--;
+    if (depth === 0 && ((isName(token) && token.value === until) || isOperator(token, ':'))) break;
+    end++;
+  }
+  return tokens.slice(start, end);
+};
+
+// Names a statement binds in its scope, as tokens: assignment targets,
+// def and class names, parameters, loop variables and `as` targets.
+// Imports are listed by importedNames.
+const boundNames = (statement) => {
+  const { tokens, keyword } = statement;
+  const first = tokens[0].value === 'async' && tokens[1] ? tokens[1] : tokens[0];
+
+  if (keyword === 'def') {
+    return [tokens[tokens.indexOf(first) + 1], ...parameterNames(tokens)].filter(isName);
+  }
+  if (keyword === 'class') {
+    return [tokens[1]].filter(isName);
+  }
+  if (keyword === 'for') {
+    return targetNames(headerPart(tokens, first, 'in'));
+  }
+  if (keyword === 'with' || keyword === 'except') {
+    return tokens
+      .filter((token, index) => isName(tokens[index - 1]) && tokens[index - 1].value === 'as' && isName(token));
+  }
+  if (keyword) return [];
+
+  // Annotated assignment: `name: type = value`
+  if (isName(tokens[0]) && isOperator(tokens[1], ':')) return [tokens[0]];
+
+  const parts = splitAssignment(tokens);
+  return parts.length > 1 ? [].concat(...parts.slice(0, -1).map(targetNames)) : [];
+};
+
+// Names read anywhere except in import statements and after a `.`
+const referencedNames = (code) => {
+  const { statements } = parsePython(code);
+  const names = new Set();
+
+  statements.forEach(statement => {
+    const { tokens } = statement;
+    if (['import', 'from'].includes(tokens[0].value)) return;
+
+    tokens.forEach((token, index) => {
+      if (isName(token) && !isOperator(tokens[index - 1], '.')) names.add(token.value);
+      // Names exported by __all__ count as used
+      if (token.type === 'string' && isName(tokens[0]) && tokens[0].value === '__all__') {
+        names.add(token.value.replace(/^[a-zA-Z]*['"]+|['"]+$/g, ''));
+      }
+    });
+  });
+
+  return names;
+};
+
+module.exports = {
+  BUILTINS,
+  importedNames,
+  boundNames,
+  parameterNames,
+  referencedNames
+};
@@ -0,0 +1,189 @@
+const { tokenizePython } = require('../tokenizer');
+
+// Statements that take an indented block after a colon
+const COMPOUND_KEYWORDS = new Set(['if', 'elif', 'else', 'for', 'while', 'try', 'except', 'finally', 'with', 'def', 'class']);
+// `match` and `case` are soft keywords: `match = 1` is an assignment
+const SOFT_KEYWORDS = new Set(['match', 'case']);
+const OPENING = { '(': ')', '[': ']', '{': '}' };
+
+const isOperator = (token, value) => token && token.type === 'operator' && token.value === value;
+
+// Position just past a token, which may span lines (triple-quoted strings)
+const tokenEnd = (token) => {
+  const lines = token.value.split('\n');
+  return lines.length === 1
+    ? { line: token.line, column: token.column + token.value.length }
+    : { line: token.line + lines.length - 1, column: lines[lines.length - 1].length + 1 };
+};
+
+// Pairs brackets over the whole token stream. A closing bracket that does
+// not match the innermost open one is reported and ends it anyway, so one
+// typo does not unbalance the rest of the code.
+const matchBrackets = (tokens) => {
+  const matches = new Map();
+  const mismatched = [];
+  const unmatched = [];
+  const stack = [];
+
+  tokens.forEach(token => {
+    if (token.type !== 'operator') return;
+    if (OPENING[token.value]) {
+      stack.push(token);
+    } else if (')]}'.includes(token.value)) {
+      const open = stack.pop();
+      if (!open) {
+        unmatched.push(token);
+      } else {
+        if (OPENING[open.value] !== token.value) mismatched.push({ open, close: token });
+        matches.set(open, token);
+        matches.set(token, open);
+      }
+    }
+  });
+
+  return { matches, mismatched, unmatched, unclosed: stack };
+};
+
+// Index of the colon that ends a compound statement's header: the first one
+// outside brackets that does not belong to a lambda
+const headerColon = (tokens) => {
+  let depth = 0;
+  let lambdas = 0;
+
+  for (let index = 0; index < tokens.length; index++) {
+    const { type, value } = tokens[index];
+    if (type === 'operator' && OPENING[value]) depth++;
+    else if (type === 'operator' && ')]}'.includes(value)) depth--;
+    else if (depth === 0 && type === 'name' && value === 'lambda') lambdas++;
+    else if (depth === 0 && type === 'operator' && value === ':') {
+      if (!lambdas) return index;
+      lambdas--;
+    }
+  }
+  return -1;
+};
+
+// Splits a logical line into simple statements at semicolons outside brackets
+const splitStatements = (tokens) => {
+  const parts = [[]];
+  let depth = 0;
+
+  tokens.forEach(token => {
+    if (token.type === 'operator' && OPENING[token.value]) depth++;
+    if (token.type === 'operator' && ')]}'.includes(token.value)) depth--;
+    if (depth === 0 && isOperator(token, ';')) {
+      parts.push([]);
+    } else {
+      parts[parts.length - 1].push(token);
+    }
+  });
+
+  return parts.filter(part => part.length);
+};
+
+const compoundKeyword = (tokens) => {
+  const first = tokens[0].value === 'async' && tokens[1] ? tokens[1] : tokens[0];
+  if (first.type !== 'name') return null;
+  if (COMPOUND_KEYWORDS.has(first.value)) return first.value;
+  // A soft keyword starts a statement only when the line ends with a colon,
+  // which no expression or assignment does
+  if (SOFT_KEYWORDS.has(first.value) && tokens.length > 2 && isOperator(tokens[tokens.length - 1], ':')) {
+    return first.value;
+  }
+  return null;
+};
+
+// Statements with their block structure:
+//   tokens     - the statement's tokens
+//   line       - line of the first token
+//   level      - indentation level (0 at the top)
+//   indented   - whether an indent came right before it
+//   keyword    - the compound statement keyword, if any (`async` skipped)
+//   colon      - index of the header's colon, or -1
+//   opensBlock - whether its body is the indented block that should follow
+//   parent     - the statement whose block it is in, or null
+//   whole      - whether it is the only statement on its logical line
+const toStatements = (tokens) => {
+  const statements = [];
+  const open = [];
+  let level = 0;
+  let indented = false;
+  let current = [];
+
+  const addLine = () => {
+    const parts = splitStatements(current);
+    parts.forEach((part, index) => {
+      while (open.length && open[open.length - 1].level >= level) open.pop();
+
+      const keyword = compoundKeyword(part);
+      const colon = keyword ? headerColon(part) : -1;
+      const statement = {
+        tokens: part,
+        line: part[0].line,
+        level,
+        indented: indented && index === 0,
+        keyword,
+        colon,
+        // A header without its colon would still have opened a block
+        opensBlock: Boolean(keyword) && (colon === -1 || colon === part.length - 1),
+        parent: open.length ? open[open.length - 1] : null,
+        whole: parts.length === 1
+      };
+      statements.push(statement);
+      if (statement.opensBlock) open.push(statement);
+    });
+    current = [];
+    indented = false;
+  };
+
+  tokens.forEach(token => {
+    if (token.type === 'indent') {
+      level++;
+      indented = true;
+    } else if (token.type === 'dedent') {
+      level--;
+    } else if (token.type === 'newline') {
+      if (current.length) addLine();
+    } else {
+      current.push(token);
+    }
+  });
+  if (current.length) addLine();
+
+  return statements;
+};
+
+// The function or class a statement is in, or null at module level
+const enclosingScope = (statement) => {
+  for (let parent = statement.parent; parent; parent = parent.parent) {
+    if (parent.keyword === 'def' || parent.keyword === 'class') return parent;
+  }
+  return null;
+};
+
+// Every Python check works on the same code, so keep the last result
+let lastParse = { code: null, result: null };
+
+const parsePython = (code) => {
+  if (lastParse.code === code) return lastParse.result;
+
+  const { tokens, comments, errors } = tokenizePython(code);
+  const brackets = matchBrackets(tokens);
+  const result = {
+    tokens,
+    comments,
+    errors,
+    brackets,
+    statements: toStatements(tokens)
+  };
+
+  lastParse = { code, result };
+  return result;
+};
+
+module.exports = {
+  parsePython,
+  tokenEnd,
+  isOperator,
+  enclosingScope
+};
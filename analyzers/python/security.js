@@ -0,0 +1,121 @@
+const { trackTaint, callSink, matchesAt } = require('../taint');
+const { parsePython, isOperator, enclosingScope } = require('./parser');
+const { parameterNames } = require('./names');
+
+// Attributes of a Flask or Django request that hold what the client sent
+const REQUEST_DATA = new Set([
+  'args', 'form', 'values', 'json', 'data', 'cookies', 'headers', 'files', 'get_json', 'GET', 'POST', 'COOKIES',
+  'META', 'body', 'query_params'
+]);
+// Decorators that make a function's parameters come from the URL
+const ROUTE_DECORATORS = new Set(['route', 'get', 'post', 'put', 'patch', 'delete', 'api_view']);
+
+const isName = (token, value) => Boolean(token) && token.type === 'name' && (value === undefined || token.value === value);
+
+const sourceAt = (tokens, index) => {
+  const token = tokens[index];
+  if (!isName(token) || isOperator(tokens[index - 1], '.')) return null;
+  if (token.value === 'input' && isOperator(tokens[index + 1], '(')) return { label: 'input()' };
+  if (token.value === 'argv') return { label: 'sys.argv' };
+  if (matchesAt(tokens, index, ['sys', '.', 'argv'])) return { label: 'sys.argv' };
+  if (matchesAt(tokens, index, ['sys', '.', 'stdin'])) return { label: 'sys.stdin' };
+  if (matchesAt(tokens, index, ['request', '.', '*']) && REQUEST_DATA.has(tokens[index + 2].value)) {
+    return { label: `request.${tokens[index + 2].value}` };
+  }
+  return null;
+};
+
+// Whether a keyword argument `name=` is passed with a value matching `values`
+const hasKeyword = (args, name, values) => args.some(arg =>
+  matchesAt(arg, 0, [name, '=']) && arg.length > 2 && values.test(arg[arg.length - 1].value));
+
+const SINKS = [
+  callSink('sql', { names: ['execute', 'executemany', 'executescript', 'raw'], method: true }),
+  callSink('command', { names: ['system', 'popen'], receiver: 'os' }),
+  callSink('command', { names: ['getoutput', 'getstatusoutput'], receiver: 'subprocess' }),
+  callSink('command', {
+    names: ['call', 'run', 'Popen', 'check_call', 'check_output'],
+    receiver: 'subprocess',
+    when: args => hasKeyword(args, 'shell', /^True$/)
+  }),
+  callSink('code', { names: ['eval', 'exec'] }),
+  callSink('xss', { names: ['render_template_string', 'Markup', 'HttpResponse', 'make_response'] }),
+  callSink('path', { names: ['open', 'send_file'] }),
+  callSink('path', { names: ['remove', 'unlink', 'rmdir'], receiver: 'os' }),
+  callSink('path', { names: ['rmtree'], receiver: 'shutil' }),
+  callSink('deserialization', { names: ['load', 'loads'], receiver: 'pickle' }),
+  callSink('deserialization', { names: ['loads'], receiver: 'marshal' }),
+  callSink('deserialization', { names: ['unsafe_load'], receiver: 'yaml' }),
+  callSink('deserialization', {
+    names: ['load'],
+    receiver: 'yaml',
+    when: args => !hasKeyword(args, 'Loader', /^C?SafeLoader$/)
+  })
+];
+
+// Names inside the {} of an f-string
+const stringNames = (token) => {
+  const prefix = /^[a-zA-Z]*/.exec(token.value)[0];
+  if (!/f/i.test(prefix)) return [];
+  const names = [];
+  token.value.replace(/\{\{|\{([^{}]*)\}/g, (match, expression) => {
+    if (expression) names.push(...(expression.match(/[a-zA-Z_]\w*/g) || []));
+    return match;
+  });
+  return names;
+};
+
+// `for a, b in value:`
+const loopBinding = (tokens) => {
+  if (!isName(tokens[0], 'for') && !(isName(tokens[0], 'async') && isName(tokens[1], 'for'))) return null;
+  const start = tokens.findIndex(token => isName(token, 'for')) + 1;
+  const at = tokens.findIndex(token => isName(token, 'in'));
+  if (at === -1) return null;
+  const colon = tokens.findIndex((token, index) => index > at && isOperator(token, ':'));
+  return {
+    targets: tokens.slice(start, at).filter(token => isName(token)),
+    value: tokens.slice(at + 1, colon === -1 ? tokens.length : colon)
+  };
+};
+
+const isRoute = (statement) => isOperator(statement.tokens[0], '@') &&
+  statement.tokens.some((token, index) => index < 4 && isName(token) && ROUTE_DECORATORS.has(token.value));
+
+// The module and each function are tracked separately. Parameters of view
+// functions decorated with a route come from the request URL.
+const findTaintFlows = (code) => {
+  const { statements } = parsePython(code);
+  const units = new Map([[null, { statements: [], tainted: [] }]]);
+
+  statements.forEach((statement, index) => {
+    if (statement.keyword === 'def') {
+      const decorators = [];
+      for (let before = index - 1; before >= 0 && isOperator(statements[before].tokens[0], '@'); before--) {
+        decorators.push(statements[before]);
+      }
+      const tainted = decorators.some(isRoute)
+        ? parameterNames(statement.tokens).map(token => ({ token, label: `route parameter ${token.value}` }))
+        : [];
+      units.set(statement, { statements: [], tainted });
+      return;
+    }
+    const unit = units.get(enclosingScope(statement));
+    if (unit && statement.keyword !== 'class' && !isOperator(statement.tokens[0], '@')) {
+      unit.statements.push(statement.tokens);
+    }
+  });
+
+  return trackTaint([...units.values()], {
+    sourceAt,
+    sinks: SINKS,
+    sanitizers: ['int', 'float', 'bool', 'len', 'abs', 'escape', 'quote', 'basename', 'secure_filename', 'clean'],
+    cleanMembers: ['isdigit', 'isnumeric', 'isalpha', 'isalnum', 'startswith', 'endswith', 'count', 'find', 'index'],
+    propagators: ['append', 'extend', 'insert', 'update', 'add'],
+    stringNames,
+    loopBinding
+  });
+};
+
+module.exports = {
+  findTaintFlows
+};
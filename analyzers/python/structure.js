@@ -0,0 +1,219 @@
+const { insertAt, buildFix } = require('../fixes');
+const { parsePython, tokenEnd } = require('./parser');
+
+// Clauses that continue the compound statement before them at the same
+// level, and the statements they may follow
+const CONTINUES = {
+  elif: ['if', 'elif'],
+  else: ['if', 'elif', 'for', 'while', 'try', 'except'],
+  except: ['try', 'except'],
+  finally: ['try', 'except', 'else']
+};
+const LOOPS = ['for', 'while'];
+// Statements after which the rest of their block never runs
+const TERMINATORS = ['return', 'raise', 'break', 'continue'];
+// Headers with nothing between the keyword and the colon
+const BARE_HEADERS = ['else', 'try', 'finally'];
+
+// An unclosed bracket swallows the rest of the code into one statement,
+// which is reported once as unclosed rather than again here
+const withoutUnclosed = (code) => {
+  const { statements, brackets } = parsePython(code);
+  const unclosed = new Set(brackets.unclosed);
+  return statements.filter(statement => !statement.tokens.some(token => unclosed.has(token)));
+};
+
+const keywordToken = (statement) => statement.tokens[statement.tokens[0].value === 'async' ? 1 : 0];
+
+// Unterminated strings and brackets that close the wrong thing or nothing
+const checkSyntax = (code) => {
+  const { errors, brackets } = parsePython(code);
+
+  return [
+    ...errors
+      .filter(error => error.message.startsWith('Unterminated'))
+      .map(error => ({
+        ...error,
+        fix: 'Close the string with the same quotes it was opened with, or escape the quote inside it'
+      })),
+    ...brackets.mismatched.map(({ open, close }) => ({
+      message: `Closing '${close.value}' does not match opening '${open.value}' on line ${open.line}`,
+      line: close.line,
+      column: close.column,
+      fix: 'Close each bracket with its own kind: ( with ), [ with ] and { with }'
+    })),
+    ...brackets.unmatched.map(token => ({
+      message: `Unmatched '${token.value}'`,
+      line: token.line,
+      column: token.column,
+      fix: `Remove the '${token.value}' or add the bracket it should close`
+    }))
+  ];
+};
+
+const checkUnclosedBrackets = (code) => parsePython(code).brackets.unclosed.map(token => ({
+  message: `'${token.value}' was never closed`,
+  line: token.line,
+  column: token.column,
+  fix: 'Add the closing bracket where the expression or call ends'
+}));
+
+// Blocks that are indented without a header, or headers without a block
+const checkIndentation = (code) => {
+  const { errors } = parsePython(code);
+  const statements = withoutUnclosed(code);
+  const problems = errors
+    .filter(error => error.message.startsWith('Unindent'))
+    .map(error => ({ ...error, fix: 'Indent the line to the same level as the block it belongs to' }));
+
+  statements.forEach((statement, index) => {
+    const previous = statements[index - 1];
+    const next = statements[index + 1];
+
+    if (statement.indented && !(previous && previous.opensBlock)) {
+      problems.push({
+        message: 'Unexpected indent',
+        line: statement.line,
+        column: statement.tokens[0].column,
+        fix: 'Remove the extra indentation, or add the statement that should open this block'
+      });
+    }
+    if (statement.opensBlock && !(next && next.indented)) {
+      const at = next ? next.tokens[0] : statement.tokens[statement.tokens.length - 1];
+      problems.push({
+        message: `Expected an indented block after '${statement.keyword}' statement on line ${statement.line}`,
+        line: at.line,
+        column: at.column,
+        fix: 'Indent the statements that belong to the block, or write pass if it is meant to be empty'
+      });
+    }
+  });
+
+  return problems;
+};
+
+const checkMissingColons = (code) => withoutUnclosed(code)
+  .filter(statement => statement.keyword && statement.colon === -1)
+  .map(statement => {
+    const keyword = keywordToken(statement);
+    const last = BARE_HEADERS.includes(statement.keyword) ? keyword : statement.tokens[statement.tokens.length - 1];
+    const { line, column } = tokenEnd(last);
+
+    return {
+      message: `Missing colon after ${statement.keyword} statement`,
+      line,
+      column,
+      fix: buildFix(code, {
+        id: `colon:${line}`,
+        explanation: `Add a colon at the end of the ${statement.keyword} statement`,
+        edits: [insertAt(line, column, ':')]
+      })
+    };
+  });
+
+const insideLoop = (statement) => {
+  for (let parent = statement.parent; parent; parent = parent.parent) {
+    if (LOOPS.includes(parent.keyword)) return true;
+    if (parent.keyword === 'def' || parent.keyword === 'class') return false;
+  }
+  return false;
+};
+
+const insideFunction = (statement) => {
+  for (let parent = statement.parent; parent; parent = parent.parent) {
+    if (parent.keyword === 'def') return true;
+    if (parent.keyword === 'class') return false;
+  }
+  return false;
+};
+
+// Clauses in the wrong place, `try` without a handler, and statements that
+// only work inside a loop or function
+const checkBlockStructure = (code) => {
+  const problems = [];
+  // The last statement at each indentation level
+  const previous = [];
+
+  const checkTry = (statement, next) => {
+    if (statement && statement.keyword === 'try' && !(next && ['except', 'finally'].includes(next.keyword))) {
+      problems.push({
+        message: "'try' block without 'except' or 'finally'",
+        line: statement.line,
+        column: statement.tokens[0].column,
+        fix: 'Add an except block that handles the errors you expect, or a finally block'
+      });
+    }
+  };
+
+  withoutUnclosed(code).forEach(statement => {
+    const { level, keyword } = statement;
+    // Blocks deeper than this statement have ended
+    previous.splice(level + 1).forEach(last => checkTry(last, null));
+    const before = previous[level];
+    checkTry(before, statement);
+
+    const allowedAfter = CONTINUES[keyword];
+    if (allowedAfter && !(before && allowedAfter.includes(before.keyword))) {
+      problems.push({
+        message: `'${keyword}' without a matching ${allowedAfter.filter(name => name !== keyword).join(', ')} statement`,
+        line: statement.line,
+        column: keywordToken(statement).column,
+        fix: `Line '${keyword}' up with the statement it belongs to`
+      });
+    }
+
+    const first = statement.tokens[0];
+    if (first.type === 'name' && ['break', 'continue'].includes(first.value) && !insideLoop(statement)) {
+      problems.push({
+        message: `'${first.value}' outside loop`,
+        line: first.line,
+        column: first.column,
+        fix: `Use ${first.value} only inside a for or while loop`
+      });
+    }
+    if (first.type === 'name' && ['return', 'yield'].includes(first.value) && !insideFunction(statement)) {
+      problems.push({
+        message: `'${first.value}' outside function`,
+        line: first.line,
+        column: first.column,
+        fix: `Use ${first.value} only inside a function`
+      });
+    }
+
+    previous[level] = statement;
+  });
+  previous.forEach(last => checkTry(last, null));
+
+  return problems;
+};
+
+// The first statement after a return, raise, break or continue in the same
+// block
+const checkUnreachableCode = (code) => {
+  const statements = withoutUnclosed(code);
+
+  return statements
+    .filter((statement, index) => {
+      const previous = statements[index - 1];
+      return previous && TERMINATORS.includes(previous.tokens[0].value) && previous.tokens[0].type === 'name' &&
+        previous.parent === statement.parent && previous.level === statement.level;
+    })
+    .map(statement => {
+      const terminator = statements[statements.indexOf(statement) - 1].tokens[0].value;
+      return {
+        message: `Unreachable code after ${terminator} statement`,
+        line: statement.line,
+        column: statement.tokens[0].column,
+        fix: `Remove the code after ${terminator} or move it before`
+      };
+    });
+};
+
+module.exports = {
+  checkSyntax,
+  checkUnclosedBrackets,
+  checkIndentation,
+  checkMissingColons,
+  checkBlockStructure,
+  checkUnreachableCode
+};
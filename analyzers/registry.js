@@ -0,0 +1,106 @@
+const { createMeasure, finishMeasure } = require('./metrics');
+const { tokenizeCLike } = require('./tokenizer');
+
+// Language analyzers keyed by language id (the value sent as `language`).
+//
+// An analyzer is a plain object:
+//   id            - language id, e.g. 'javascript'
+//   name          - display name for the client, e.g. 'JavaScript'
+//   extensions    - file extensions used to detect the language
+//   checks        - { syntax, runtime, logical, security }, each a list of
+//                   rules (below)
+//   comments      - `(code) => comments` as { value, line }, the text with
+//                   its delimiters, for suppression comments; defaults to
+//                   C-style comments
+//   suggestions   - `(code) => suggestions` for language-specific advice
+//   bestPractices - list of best-practice strings
+//   fixes         - before/after fix templates keyed by bug message
+//   measureFunctions - `(code) => { functions, topLevel }` per-function
+//                   metrics (see metrics.js)
+//
+// A rule is { id, severity, description, check, enabled }: `id` is stable and
+// used in rule configs and suppression comments, `severity` is the default
+// level ('error', 'warning' or 'info'), `check` is a `(code, options) => bugs`
+// function and `enabled: false` turns the rule off unless a config enables it.
+// Security rules also name the weakness they find as `cwe` ('CWE-89').
+// Languages that share a check share its rule id.
+const languages = new Map();
+
+const BUG_TYPES = ['syntax', 'runtime', 'logical', 'security'];
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const normalizeRule = (languageId, rule) => {
+  if (!rule || !rule.id || typeof rule.check !== 'function') {
+    throw new Error(`Rules for ${languageId} must have an id and a check function`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Rule ${rule.id} must have a severity of ${SEVERITIES.join(', ')}`);
+  }
+
+  return { description: '', enabled: true, ...rule };
+};
+
+const registerLanguage = (analyzer) => {
+  if (!analyzer || !analyzer.id) {
+    throw new Error('Language analyzer must have an id');
+  }
+
+  languages.set(analyzer.id, {
+    name: analyzer.id,
+    extensions: [],
+    suggestions: () => [],
+    bestPractices: [],
+    fixes: {},
+    comments: (code) => tokenizeCLike(code).comments,
+    measureFunctions: () => ({ functions: [], topLevel: finishMeasure(createMeasure({ name: '(top level)', line: 1, endLine: 1 })) }),
+    ...analyzer,
+    checks: BUG_TYPES.reduce((checks, type) => ({
+      ...checks,
+      [type]: ((analyzer.checks && analyzer.checks[type]) || []).map(rule => normalizeRule(analyzer.id, rule))
+    }), {})
+  });
+};
+
+const getLanguage = (id) => languages.get(id);
+
+// Every rule, with its bug type and the languages that use it
+const listRules = () => {
+  const rules = new Map();
+
+  languages.forEach(analyzer => {
+    BUG_TYPES.forEach(type => {
+      analyzer.checks[type].forEach(({ id, severity, description, enabled, cwe }) => {
+        if (!rules.has(id)) rules.set(id, { id, type, severity, description, enabled, ...(cwe && { cwe }), languages: [] });
+        rules.get(id).languages.push(analyzer.id);
+      });
+    });
+  });
+
+  return Array.from(rules.values());
+};
+
+const listLanguages = () => Array.from(languages.values()).map(({ id, name, extensions }) => ({
+  id,
+  name,
+  extensions
+}));
+
+// Picks the language whose extensions match the file name
+const detectLanguage = (filename) => {
+  const lower = filename.toLowerCase();
+  const analyzer = Array.from(languages.values()).find(({ extensions }) =>
+    extensions.some(extension => lower.endsWith(extension))
+  );
+
+  return analyzer ? analyzer.id : null;
+};
+
+module.exports = {
+  BUG_TYPES,
+  SEVERITIES,
+  registerLanguage,
+  getLanguage,
+  listRules,
+  listLanguages,
+  detectLanguage
+};
@@ -0,0 +1,71 @@
+const { SEVERITIES, listRules } = require('./registry');
+
+// Rule configs map rule ids to a level: 'off', 'on' (the rule's default
+// severity, for rules that are off by default) or a severity that replaces
+// the default, e.g. { 'missing-main-method': 'off', 'division-by-zero': 'info' }.
+const RULE_LEVELS = ['off', 'on', ...SEVERITIES];
+
+const SUPPRESSION_DIRECTIVE = 'reviewer-disable-next-line';
+
+// Returns an error message when `config` is not a valid rule config
+const validateRuleConfig = (config) => {
+  if (config === undefined) return null;
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return 'rules must be an object mapping rule ids to levels';
+  }
+
+  const known = new Set(listRules().map(rule => rule.id));
+  const unknown = Object.keys(config).find(id => !known.has(id));
+  if (unknown) return `Unknown rule: ${unknown}`;
+
+  const invalid = Object.keys(config).find(id => !RULE_LEVELS.includes(config[id]));
+  if (invalid) return `Invalid level for rule ${invalid}; use one of ${RULE_LEVELS.join(', ')}`;
+
+  return null;
+};
+
+// The severity a rule reports at under `config`, or null when it is off
+const ruleLevel = (rule, config = {}) => {
+  const level = config[rule.id];
+  if (level === 'off') return null;
+  if (SEVERITIES.includes(level)) return level;
+  if (level === 'on' || rule.enabled) return rule.severity;
+  return null;
+};
+
+const SUPPRESSION_PATTERN = new RegExp(`^(?://|/\\*|#)\\s*${SUPPRESSION_DIRECTIVE}\\b(.*)`);
+
+// Lines silenced by `reviewer-disable-next-line [rule, ...]` comments, as a
+// map from line number to the rule ids silenced there (null for every rule).
+// Text after ` -- ` is a free-form reason. `comments` are the code's
+// comments as { value, line }, with their delimiters, from the language's
+// tokenizer, so the directive inside a string does not count.
+const findSuppressions = (comments) => {
+  const suppressions = new Map();
+
+  comments.forEach(comment => {
+    const match = SUPPRESSION_PATTERN.exec(comment.value);
+    if (!match) return;
+
+    const ids = match[1].replace(/\*\/.*$/, '').split(' -- ')[0]
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    suppressions.set(comment.line + 1, ids.length ? ids : null);
+  });
+
+  return suppressions;
+};
+
+const isSuppressed = (suppressions, bug) => {
+  if (!suppressions.has(bug.line)) return false;
+  const ids = suppressions.get(bug.line);
+  return ids === null || ids.includes(bug.rule);
+};
+
+module.exports = {
+  RULE_LEVELS,
+  validateRuleConfig,
+  ruleLevel,
+  findSuppressions,
+  isSuppressed
+};
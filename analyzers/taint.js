@@ -0,0 +1,346 @@
+// Data-flow security checks: untrusted input (a source) that reaches a
+// dangerous call or property (a sink) without passing through a sanitizer.
+// Each language finds its flows, as
+//   { kind, flow: [{ line, column, label }], sink: { line, column, label } }
+// where `flow` runs from the source through the assignments that carried it,
+// and `kind` is one of VULNERABILITIES. Python, Java and C++ use the token
+// tracker below; JavaScript walks its syntax tree.
+
+const VULNERABILITIES = {
+  sql: {
+    rule: 'sql-injection',
+    severity: 'error',
+    cwe: 'CWE-89',
+    name: 'SQL injection',
+    description: 'Untrusted input in SQL statements',
+    fix: 'Pass the value as a query parameter (a ? or %s placeholder) instead of building the SQL string from it'
+  },
+  command: {
+    rule: 'command-injection',
+    severity: 'error',
+    cwe: 'CWE-78',
+    name: 'Command injection',
+    description: 'Untrusted input in shell commands',
+    fix: 'Run the program with a list of arguments and no shell, and check the input against the values you expect'
+  },
+  code: {
+    rule: 'code-injection',
+    severity: 'error',
+    cwe: 'CWE-95',
+    name: 'Code injection',
+    description: 'Untrusted input evaluated as code',
+    fix: 'Never evaluate input as code; parse the value you expect from it instead (a number, JSON, ...)'
+  },
+  xss: {
+    rule: 'xss',
+    severity: 'error',
+    cwe: 'CWE-79',
+    name: 'Cross-site scripting',
+    description: 'Untrusted input written to a page as HTML',
+    fix: 'Insert it as text (textContent) or escape it for HTML before writing it to the page'
+  },
+  path: {
+    rule: 'path-traversal',
+    severity: 'warning',
+    cwe: 'CWE-22',
+    name: 'Path traversal',
+    description: 'Untrusted input used as a file path',
+    fix: 'Reduce the input to a file name (basename) and check that the resolved path stays inside the intended directory'
+  },
+  deserialization: {
+    rule: 'unsafe-deserialization',
+    severity: 'error',
+    cwe: 'CWE-502',
+    name: 'Unsafe deserialization',
+    description: 'Untrusted input deserialized into objects',
+    fix: 'Read untrusted data with a data-only format such as JSON, or a safe loader'
+  },
+  format: {
+    rule: 'format-string',
+    severity: 'warning',
+    cwe: 'CWE-134',
+    name: 'Format string injection',
+    description: 'Untrusted input used as a printf format string',
+    fix: 'Print the input through a constant format string: printf("%s", input)'
+  }
+};
+
+const toFinding = ({ kind, flow, sink }) => {
+  const { name, cwe, fix } = VULNERABILITIES[kind];
+  const [source] = flow;
+  const steps = [...flow, sink];
+
+  return {
+    message: `${name}: ${source.label} from line ${source.line} reaches ${sink.label}`,
+    line: sink.line,
+    column: sink.column,
+    cwe,
+    flow: steps,
+    explanation: steps.map(step => `line ${step.line}: ${step.label}`).join(' → '),
+    fix
+  };
+};
+
+// One security rule per kind of vulnerability the language can find.
+// `findTaintFlows(code, options)` runs once per code and each rule keeps
+// the flows of its own kind.
+const taintRules = (findTaintFlows, kinds) => {
+  let last = { code: null, flows: [] };
+  const flowsFor = (code, options) => {
+    if (last.code !== code) last = { code, flows: findTaintFlows(code, options) };
+    return last.flows;
+  };
+
+  return kinds.map(kind => {
+    const { rule, severity, cwe, description } = VULNERABILITIES[kind];
+    return {
+      id: rule,
+      severity,
+      cwe,
+      description,
+      check: (code, options) => flowsFor(code, options).filter(flow => flow.kind === kind).map(toFinding)
+    };
+  });
+};
+
+const isName = (token, value) => Boolean(token) && token.type === 'name' && (value === undefined || token.value === value);
+const isOperator = (token, value) => Boolean(token) && token.type === 'operator' && token.value === value;
+const isOpening = (token) => Boolean(token) && token.type === 'operator' && '([{'.includes(token.value);
+const isClosing = (token) => Boolean(token) && token.type === 'operator' && ')]}'.includes(token.value);
+const ASSIGNMENTS = new Set(['=', '+=', '|=', '<<=']);
+
+// Index of the bracket closing the one at `open`, within `tokens`
+const closingIndex = (tokens, open) => {
+  let depth = 0;
+  for (let index = open; index < tokens.length; index++) {
+    if (isOpening(tokens[index])) depth++;
+    if (isClosing(tokens[index]) && --depth === 0) return index;
+  }
+  return tokens.length;
+};
+
+// The arguments of the call whose `(` is at `open`, split at top-level commas
+const callArguments = (tokens, open) => {
+  const close = closingIndex(tokens, open);
+  const args = [[]];
+  let depth = 0;
+  for (let index = open + 1; index < close; index++) {
+    const token = tokens[index];
+    if (isOpening(token)) depth++;
+    if (isClosing(token)) depth--;
+    if (depth === 0 && isOperator(token, ',')) args.push([]);
+    else args[args.length - 1].push(token);
+  }
+  return args[0].length ? args : [];
+};
+
+// Whether `values` (token values, `*` for any name) appear in order at `index`
+const matchesAt = (tokens, index, values) => values.every((value, offset) => {
+  const token = tokens[index + offset];
+  return Boolean(token) && token.type !== 'string' && (value === '*' ? token.type === 'name' : token.value === value);
+});
+
+// Sink matcher for calls such as `cursor.execute(q)`, `os.system(cmd)` or
+// `new File(path)`:
+//   names       - function or method names
+//   receiver    - the object the method must be called on (`os` for os.system)
+//   method      - whether it must be called as a method (after `.` or `->`)
+//   construct   - whether it must follow `new`
+//   argument    - the argument that must not be tainted (default 0), or 'any'
+//   when        - extra test on the argument tokens, e.g. shell=True
+//   label       - how the sink is described, defaults to `object.name()`
+const callSink = (kind, { names, receiver, method = false, construct = false, argument = 0, when, label }) => {
+  const nameSet = new Set(names);
+  return (tokens, index) => {
+    const token = tokens[index];
+    if (!isName(token) || !nameSet.has(token.value) || !isOperator(tokens[index + 1], '(')) return null;
+    const before = tokens[index - 1];
+    const member = isOperator(before, '.') || isOperator(before, '->');
+    if (receiver && !(member && isName(tokens[index - 2], receiver))) return null;
+    if (method && !member) return null;
+    if (!method && !receiver && member) return null;
+    if (construct !== isName(before, 'new')) return null;
+
+    const args = callArguments(tokens, index + 1);
+    if (when && !when(args)) return null;
+    const checked = argument === 'any' ? args : [args[argument] || []];
+    const object = member && isName(tokens[index - 2]) ? `${tokens[index - 2].value}.` : '';
+    return { kind, args: checked, label: label || `${construct ? 'new ' : object}${token.value}()` };
+  };
+};
+
+// The names assigned at the first `=` (or `+=`, ...) outside brackets: the
+// name ending each comma-separated target, so `String q =` assigns q and
+// `a, b[i] =` assigns a and b
+const assignmentIn = (tokens) => {
+  let depth = 0;
+  const at = tokens.findIndex(token => {
+    if (isOpening(token)) depth++;
+    if (isClosing(token)) depth--;
+    return depth === 0 && token.type === 'operator' && ASSIGNMENTS.has(token.value);
+  });
+  if (at <= 0) return null;
+
+  const parts = [[]];
+  tokens.slice(0, at).forEach(token => {
+    if (isOpening(token)) depth++;
+    if (isClosing(token)) depth--;
+    if (depth === 0 && isOperator(token, ',')) parts.push([]);
+    else parts[parts.length - 1].push(token);
+  });
+  const targets = parts.map(part => {
+    // Skip annotations (`name: str =`) and subscripts (`b[i]` assigns b)
+    const colon = part.findIndex(token => isOperator(token, ':'));
+    let last = (colon === -1 ? part.length : colon) - 1;
+    while (isOperator(part[last], ']')) {
+      let nested = 0;
+      do {
+        if (isClosing(part[last])) nested++;
+        if (isOpening(part[last])) nested--;
+        last--;
+      } while (last >= 0 && nested > 0);
+    }
+    return part[last];
+  }).filter(token => isName(token));
+
+  return { targets, value: tokens.slice(at + 1), compound: tokens[at].value !== '=' };
+};
+
+// `for (Type name : value)`, the range loop of Java and C++
+const rangeLoopBinding = (tokens) => {
+  if (!isName(tokens[0], 'for') || !isOperator(tokens[1], '(')) return null;
+  const parts = callArguments(tokens, 1);
+  const header = parts.length === 1 ? parts[0] : [];
+  const colon = header.findIndex(token => isOperator(token, ':'));
+  if (colon === -1) return null;
+  const target = header[colon - 1];
+  return { targets: isName(target) ? [target] : [], value: header.slice(colon + 1) };
+};
+
+// Follows taint through the statements of each unit (a function body or
+// the module), in order. `spec` describes the language:
+//   sourceAt(tokens, index)    - { label } when a source starts at index
+//   sinks                      - matchers made with callSink (or alike)
+//   sanitizers                 - calls whose result is safe, e.g. int()
+//   cleanMembers               - members of a tainted value that are safe
+//                                (length, size)
+//   inputTargets(tokens)       - [{ token, label }] names a statement reads
+//                                input into (C++ `cin >> x`)
+//   propagators                - methods that taint their receiver from their
+//                                arguments (sb.append(x))
+//   copyCalls                  - { name: index } functions that taint their
+//                                argument at index (strcpy(dst, src))
+//   stringNames(token)         - names interpolated in a string token
+//                                (Python f-strings)
+//   loopBinding(tokens)        - { targets, value } for a loop header that
+//                                assigns each item of value to targets
+// Each unit is { statements: [tokens], tainted: [{ token, label }] } with
+// the names that start out tainted, such as main's arguments.
+const trackTaint = (units, spec) => {
+  const flows = [];
+  const seen = new Set();
+  const sanitizers = new Set(spec.sanitizers || []);
+  const cleanMembers = new Set(spec.cleanMembers || []);
+  const propagators = new Set(spec.propagators || []);
+  const copyCalls = new Map(Object.entries(spec.copyCalls || {}));
+
+  units.forEach(unit => {
+    // Name -> flow that tainted it
+    const tainted = new Map();
+    (unit.tainted || []).forEach(({ token, label }) => {
+      tainted.set(token.value, [{ line: token.line, column: token.column, label }]);
+    });
+
+    // The flow of the first tainted value in `tokens`, or null
+    const taintOf = (tokens) => {
+      for (let index = 0; index < tokens.length; index++) {
+        const token = tokens[index];
+        const before = tokens[index - 1];
+
+        if (isName(token) && sanitizers.has(token.value) && isOperator(tokens[index + 1], '(')) {
+          index = closingIndex(tokens, index + 1);
+          continue;
+        }
+        const source = spec.sourceAt(tokens, index);
+        if (source) return [{ line: token.line, column: token.column, label: source.label }];
+
+        if (isName(token) && tainted.has(token.value) && !isOperator(before, '.') && !isOperator(before, '->')) {
+          const member = tokens[index + 2];
+          if (isOperator(tokens[index + 1], '.') && isName(member) && cleanMembers.has(member.value)) continue;
+          return tainted.get(token.value);
+        }
+        if (token.type === 'string' && spec.stringNames) {
+          const name = spec.stringNames(token).find(inner => tainted.has(inner));
+          if (name) return tainted.get(name);
+        }
+      }
+      return null;
+    };
+
+    const taint = (token, flow, label) => {
+      const last = flow[flow.length - 1];
+      const step = { line: token.line, column: token.column, label };
+      tainted.set(token.value, last.line === step.line && last.label === label ? flow : [...flow, step]);
+    };
+
+    unit.statements.forEach(tokens => {
+      // Sinks first: `q = q + x; run(q)` is two statements
+      tokens.forEach((token, index) => {
+        spec.sinks.forEach(sink => {
+          const match = sink(tokens, index);
+          if (!match) return;
+          const flow = match.args.map(taintOf).find(Boolean);
+          const key = `${match.kind}:${token.line}:${token.column}`;
+          if (!flow || seen.has(key)) return;
+          seen.add(key);
+          flows.push({ kind: match.kind, flow, sink: { line: token.line, column: token.column, label: match.label } });
+        });
+      });
+
+      (spec.inputTargets ? spec.inputTargets(tokens) : []).forEach(({ token, label }) => {
+        tainted.set(token.value, [{ line: token.line, column: token.column, label }]);
+      });
+
+      // `target = value`, `target += value` and `for (target : value)`
+      const binding = (spec.loopBinding && spec.loopBinding(tokens)) || assignmentIn(tokens);
+      if (binding) {
+        const flow = taintOf(binding.value);
+        binding.targets.forEach(target => {
+          if (flow) taint(target, flow, `assigned to ${target.value}`);
+          else if (!binding.compound) tainted.delete(target.value);
+        });
+      }
+
+      // sb.append(x), strcpy(dst, x), stream << x
+      tokens.forEach((token, index) => {
+        if (!isName(token)) return;
+        const next = tokens[index + 1];
+        const call = isOperator(tokens[index - 1], '.') && propagators.has(token.value) && isOperator(next, '(');
+        if (call && isName(tokens[index - 2])) {
+          const flow = taintOf(callArguments(tokens, index + 1).flat());
+          if (flow) taint(tokens[index - 2], flow, `added to ${tokens[index - 2].value}`);
+        } else if (copyCalls.has(token.value) && isOperator(next, '(') && !isOperator(tokens[index - 1], '.')) {
+          const args = callArguments(tokens, index + 1);
+          const target = args[copyCalls.get(token.value)];
+          const flow = taintOf(args.filter(arg => arg !== target).flat());
+          if (flow && target && isName(target[0])) taint(target[0], flow, `copied into ${target[0].value}`);
+        } else if (index === 0 && isOperator(next, '<<') && !tainted.has(token.value)) {
+          const flow = taintOf(tokens.slice(2));
+          if (flow) taint(token, flow, `written to ${token.value}`);
+        }
+      });
+    });
+  });
+
+  return flows;
+};
+
+module.exports = {
+  VULNERABILITIES,
+  taintRules,
+  trackTaint,
+  callSink,
+  callArguments,
+  matchesAt,
+  rangeLoopBinding
+};
@@ -0,0 +1,286 @@
+// Tokenizers for languages the analyzers have no parser for. Tokens are
+// { type, value, line, column } with 1-based positions; type is one of
+// 'name' (identifiers and keywords), 'number', 'string', 'char', 'operator',
+// 'preprocessor' and, for Python, 'newline', 'indent' and 'dedent'.
+// Comments are returned separately and problems (an unterminated string, a
+// bad dedent) are collected as errors instead of thrown.
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+const C_NUMBER = /(0[xX][\da-fA-F']+|0[bB][01']+|(\d[\d']*\.?[\d']*|\.\d[\d']*)([eE][+-]?\d+)?)[uUlLfFdD]*/y;
+const PYTHON_NUMBER = /(0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(\d[\d_]*\.?[\d_]*|\.\d[\d_]*)([eE][+-]?\d[\d_]*)?)[jJ]?/y;
+
+const C_OPERATORS = [
+  '>>>=', '<<=', '>>=', '>>>', '...', '->*', '<=>',
+  '::', '->', '++', '--', '&&', '||', '==', '!=', '<=', '>=',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<', '>>'
+];
+const PYTHON_OPERATORS = [
+  '**=', '//=', '>>=', '<<=', '...',
+  '**', '//', '->', ':=', '==', '!=', '<=', '>=', '+=', '-=', '*=', '/=',
+  '%=', '&=', '|=', '^=', '@=', '<<', '>>'
+];
+
+const matchAt = (pattern, text, index) => {
+  pattern.lastIndex = index;
+  const match = pattern.exec(text);
+  return match && match[0].length ? match[0] : null;
+};
+
+const operatorAt = (operators, code, index) =>
+  operators.find(operator => code.startsWith(operator, index)) || code[index];
+
+// Keeps line and column in step while the tokenizer moves through the code
+const createCursor = (code) => {
+  const cursor = { index: 0, line: 1, column: 1 };
+
+  cursor.advance = (count) => {
+    for (let i = 0; i < count; i++) {
+      if (code[cursor.index] === '\n') {
+        cursor.line++;
+        cursor.column = 1;
+      } else {
+        cursor.column++;
+      }
+      cursor.index++;
+    }
+  };
+
+  return cursor;
+};
+
+// Index just past a quoted literal starting at `start` (at the opening quote)
+const quotedEnd = (code, start, quote, multiline) => {
+  let index = start + quote.length;
+  while (index < code.length) {
+    if (code[index] === '\\') {
+      index += 2;
+    } else if (code.startsWith(quote, index)) {
+      return index + quote.length;
+    } else if (code[index] === '\n' && !multiline) {
+      return -1;
+    } else {
+      index++;
+    }
+  }
+  return -1;
+};
+
+// Java and C/C++ (and other brace languages). `preprocessor` reads `#` lines
+// as one token; `textBlocks` reads Java's """ text blocks.
+const tokenizeCLike = (code, { preprocessor = false, textBlocks = false } = {}) => {
+  const tokens = [];
+  const comments = [];
+  const errors = [];
+  const cursor = createCursor(code);
+  let lineStart = true;
+
+  while (cursor.index < code.length) {
+    const { index, line, column } = cursor;
+    const char = code[index];
+
+    if (char === '\n') {
+      lineStart = true;
+      cursor.advance(1);
+      continue;
+    }
+    if (/\s/.test(char)) {
+      cursor.advance(1);
+      continue;
+    }
+
+    const push = (type, value) => {
+      tokens.push({ type, value, line, column });
+      cursor.advance(value.length);
+    };
+
+    if (code.startsWith('//', index)) {
+      const end = code.indexOf('\n', index);
+      const text = code.slice(index, end === -1 ? code.length : end);
+      comments.push({ value: text, line, column });
+      cursor.advance(text.length);
+    } else if (code.startsWith('/*', index)) {
+      const end = code.indexOf('*/', index + 2);
+      if (end === -1) errors.push({ message: 'Unterminated comment', line, column });
+      const text = code.slice(index, end === -1 ? code.length : end + 2);
+      comments.push({ value: text, line, column });
+      cursor.advance(text.length);
+    } else if (preprocessor && lineStart && char === '#') {
+      // Directives run to the end of the line, or further after a backslash
+      let end = index;
+      do {
+        end = code.indexOf('\n', end + 1);
+      } while (end !== -1 && code[end - 1] === '\\');
+      push('preprocessor', code.slice(index, end === -1 ? code.length : end));
+    } else if (textBlocks && code.startsWith('"""', index)) {
+      const end = quotedEnd(code, index, '"""', true);
+      if (end === -1) errors.push({ message: 'Unterminated text block', line, column });
+      push('string', code.slice(index, end === -1 ? code.length : end));
+    } else if (preprocessor && /^(u8|[uUL])?R"/.test(code.slice(index, index + 4))) {
+      // C++ raw string: R"delimiter( ... )delimiter"
+      const open = code.indexOf('"', index);
+      const paren = code.indexOf('(', open);
+      const delimiter = code.slice(open + 1, paren);
+      const end = code.indexOf(`)${delimiter}"`, paren);
+      if (end === -1) errors.push({ message: 'Unterminated raw string literal', line, column });
+      push('string', code.slice(index, end === -1 ? code.length : end + delimiter.length + 2));
+    } else if (char === '"' || char === '\'') {
+      const end = quotedEnd(code, index, char, false);
+      if (end === -1) {
+        errors.push({ message: char === '"' ? 'Unterminated string literal' : 'Unterminated character literal', line, column });
+        const lineEnd = code.indexOf('\n', index);
+        push(char === '"' ? 'string' : 'char', code.slice(index, lineEnd === -1 ? code.length : lineEnd));
+      } else {
+        push(char === '"' ? 'string' : 'char', code.slice(index, end));
+      }
+    } else if (/\d/.test(char) || (char === '.' && /\d/.test(code[index + 1] || ''))) {
+      push('number', matchAt(C_NUMBER, code, index));
+    } else if (matchAt(IDENTIFIER, code, index)) {
+      push('name', matchAt(IDENTIFIER, code, index));
+    } else {
+      push('operator', operatorAt(C_OPERATORS, code, index));
+    }
+
+    lineStart = false;
+  }
+
+  return { tokens, comments, errors };
+};
+
+const STRING_PREFIX = /(?:[rRbBuUfF]|[rR][bBfF]|[bBfF][rR])?(?='|")/y;
+
+const indentWidth = (text) => {
+  let width = 0;
+  for (const char of text) {
+    width = char === '\t' ? width + 8 - (width % 8) : width + 1;
+  }
+  return width;
+};
+
+// Python, including the 'newline', 'indent' and 'dedent' tokens that give a
+// program its block structure. Lines inside brackets or after a backslash
+// continue the logical line, as in Python's own tokenizer.
+const tokenizePython = (code) => {
+  const tokens = [];
+  const comments = [];
+  const errors = [];
+  const cursor = createCursor(code);
+  const indents = [0];
+  let depth = 0;
+  let atLineStart = true;
+  let lineHasTokens = false;
+
+  const endLogicalLine = (line, column) => {
+    if (lineHasTokens) tokens.push({ type: 'newline', value: '', line, column });
+    lineHasTokens = false;
+  };
+
+  while (cursor.index < code.length) {
+    const { index, line, column } = cursor;
+    const char = code[index];
+
+    if (atLineStart && depth === 0) {
+      atLineStart = false;
+      const indentation = /[ \t\f]*/y;
+      indentation.lastIndex = index;
+      const text = indentation.exec(code)[0];
+      const next = code[index + text.length];
+
+      // Blank and comment-only lines do not affect indentation
+      if (next !== undefined && next !== '\n' && next !== '\r' && next !== '#') {
+        const width = indentWidth(text);
+        if (width > indents[indents.length - 1]) {
+          indents.push(width);
+          tokens.push({ type: 'indent', value: text, line, column: 1 });
+        } else {
+          while (width < indents[indents.length - 1]) {
+            indents.pop();
+            tokens.push({ type: 'dedent', value: '', line, column: 1 });
+          }
+          if (width !== indents[indents.length - 1]) {
+            errors.push({ message: 'Unindent does not match any outer indentation level', line, column: text.length + 1 });
+          }
+        }
+      }
+      cursor.advance(text.length);
+      continue;
+    }
+
+    if (char === '\n') {
+      if (depth === 0) {
+        endLogicalLine(line, column);
+        atLineStart = true;
+      }
+      cursor.advance(1);
+      continue;
+    }
+    if (char === '\\' && (code[index + 1] === '\n' || code.startsWith('\r\n', index + 1))) {
+      cursor.advance(code[index + 1] === '\n' ? 2 : 3);
+      continue;
+    }
+    if (/\s/.test(char)) {
+      cursor.advance(1);
+      continue;
+    }
+
+    const push = (type, value) => {
+      tokens.push({ type, value, line, column });
+      lineHasTokens = true;
+      cursor.advance(value.length);
+    };
+
+    if (char === '#') {
+      const end = code.indexOf('\n', index);
+      const text = code.slice(index, end === -1 ? code.length : end);
+      comments.push({ value: text, line, column });
+      cursor.advance(text.length);
+      continue;
+    }
+
+    const prefix = matchAt(STRING_PREFIX, code, index) || '';
+    const quoteIndex = index + prefix.length;
+    if (code[quoteIndex] === '"' || code[quoteIndex] === '\'') {
+      const quote = code.startsWith(code[quoteIndex].repeat(3), quoteIndex)
+        ? code[quoteIndex].repeat(3)
+        : code[quoteIndex];
+      const end = quotedEnd(code, quoteIndex, quote, quote.length === 3);
+      if (end === -1) {
+        errors.push({
+          message: quote.length === 3 ? 'Unterminated triple-quoted string' : 'Unterminated string literal',
+          line,
+          column
+        });
+        const lineEnd = code.indexOf('\n', index);
+        push('string', code.slice(index, quote.length === 3 || lineEnd === -1 ? code.length : lineEnd));
+      } else {
+        push('string', code.slice(index, end));
+      }
+    } else if (/\d/.test(char) || (char === '.' && /\d/.test(code[index + 1] || ''))) {
+      push('number', matchAt(PYTHON_NUMBER, code, index));
+    } else if (matchAt(IDENTIFIER, code, index) && char !== '$') {
+      push('name', matchAt(IDENTIFIER, code, index));
+    } else {
+      const operator = operatorAt(PYTHON_OPERATORS, code, index);
+      if ('([{'.includes(operator)) depth++;
+      if (')]}'.includes(operator)) {
+        if (depth === 0) errors.push({ message: `Unmatched '${operator}'`, line, column });
+        depth = Math.max(depth - 1, 0);
+      }
+      push('operator', operator);
+    }
+  }
+
+  const end = { line: cursor.line, column: cursor.column };
+  if (depth > 0) errors.push({ message: 'Unclosed bracket at the end of the code', ...end });
+  endLogicalLine(end.line, end.column);
+  while (indents.length > 1) {
+    indents.pop();
+    tokens.push({ type: 'dedent', value: '', ...end });
+  }
+
+  return { tokens, comments, errors };
+};
+
+module.exports = {
+  tokenizeCLike,
+  tokenizePython
+};
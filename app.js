@@ -0,0 +1,237 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const cors = require('cors');
+const { getLanguage, listLanguages, listRules, validateReviewOptions } = require('./analyzers');
+const { baseFromDiff } = require('./analyzers/changes');
+const { findSecrets, redactSecrets } = require('./analyzers/secrets');
+const { reviewCode, reviewChanges } = require('./pipeline');
+const Review = require('./models/Review');
+const reviewRoutes = require('./routes/reviews');
+const authRoutes = require('./routes/auth');
+const projectRoutes = require('./routes/projects');
+const runRoutes = require('./routes/run');
+const fixRoutes = require('./routes/fix');
+const gradeRoutes = require('./routes/grade');
+const exportRoutes = require('./routes/export');
+const assignmentRoutes = require('./routes/assignments');
+const { createGitHubRouter } = require('./routes/github');
+const { requireAuth, reviewAuth, RUN_AUTH_ERROR } = require('./middleware/auth');
+
+// Builds the Express app. `llm` is the reviewer used for the optional LLM
+// pass (see llm/index.js); pass null to run rule-based reviews only, or a
+// stub with the same `review()` method in tests. `github` is the pull request
+// integration (see github/config.js); tests can pass one with a fake client.
+const createApp = ({ llm = null, github = null } = {}) => {
+  const app = express();
+
+  // Middleware
+  // Only the configured client origins may call the API; report downloads
+  // name their file in Content-Disposition
+  app.use(cors({
+    origin: (process.env.CORS_ORIGIN || 'http://localhost:3000').split(',').map(origin => origin.trim()),
+    exposedHeaders: ['Content-Disposition']
+  }));
+  // Mounted before the JSON parser: webhook signatures cover the raw body
+  app.use('/api/github', createGitHubRouter(github));
+  app.use(express.json());
+
+  // Routes
+  app.get('/api/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+      llm: llm
+        ? { provider: llm.provider, model: llm.model, baseURL: llm.baseURL }
+        : { provider: 'none' },
+      github: { enabled: Boolean(github) }
+    });
+  });
+
+  app.get('/api/languages', (req, res) => {
+    res.json({ languages: listLanguages() });
+  });
+
+  // GET /api/rules?language=python lists the rules a rule config can set
+  app.get('/api/rules', (req, res) => {
+    const { language } = req.query;
+    res.json({
+      rules: listRules().filter(rule => !language || rule.languages.includes(language))
+    });
+  });
+
+  // Returns an error message when a review request is invalid
+  const validateReviewRequest = ({ code, language, options, llmOptions, baseCode, diff }, useLlm) => {
+    if (!code) return 'Code is required';
+    if (!language) return 'Programming language is required';
+    if (!getLanguage(language)) return `Unsupported language: ${language}`;
+
+    if (baseCode !== undefined && diff !== undefined) return 'Send either baseCode or diff, not both';
+    if (baseCode !== undefined && typeof baseCode !== 'string') return 'baseCode must be a string';
+    if (diff !== undefined) {
+      if (typeof diff !== 'string') return 'diff must be a string';
+      try {
+        baseFromDiff(code, diff);
+      } catch (diffError) {
+        return diffError.message;
+      }
+    }
+
+    const optionsError = validateReviewOptions(options);
+    if (optionsError) return optionsError;
+
+    if (useLlm && llm && llmOptions) {
+      try {
+        llm.resolveSettings(llmOptions);
+      } catch (validationError) {
+        return validationError.message;
+      }
+    }
+
+    return null;
+  };
+
+  // With `baseCode`, or a `diff` from it to `code`, only the changes are
+  // reviewed (see reviewChanges in pipeline.js)
+  const runReview = ({ code, baseCode, diff, ...request }) => {
+    if (diff !== undefined) return reviewChanges({ ...request, code, baseCode: baseFromDiff(code, diff) });
+    if (baseCode !== undefined) return reviewChanges({ ...request, code, baseCode });
+    return reviewCode({ ...request, code });
+  };
+
+  // History is kept for signed-in users and is best-effort: a review still
+  // succeeds without a database. Secrets are masked in what is stored; the
+  // hash is of the code as submitted.
+  const saveReview = async (user, code, language, review) => {
+    if (!user || mongoose.connection.readyState !== 1) return undefined;
+
+    try {
+      const secrets = findSecrets(code);
+      const saved = await Review.create({
+        user: user._id,
+        code: redactSecrets(code, secrets),
+        language,
+        result: redactSecrets(review, secrets),
+        contentHash: Review.hashContent(code, language)
+      });
+      return saved._id;
+    } catch (saveError) {
+      console.error('Failed to save review:', saveError);
+      return undefined;
+    }
+  };
+
+  app.post('/api/review', reviewAuth, async (req, res) => {
+    try {
+      const { code, baseCode, diff, language, options, llmOptions, run } = req.body;
+      // The LLM pass runs when one is configured, unless the request opts out
+      const useLlm = req.body.llm !== false;
+
+      const validationError = validateReviewRequest(req.body, useLlm);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      if (run && !req.user) {
+        return res.status(401).json({ error: RUN_AUTH_ERROR });
+      }
+
+      const review = await runReview({
+        code,
+        baseCode,
+        diff,
+        language,
+        options: req.user ? req.user.reviewOptions(options) : options,
+        llm: useLlm ? llm : null,
+        llmOptions,
+        run
+      });
+
+      const reviewId = await saveReview(req.user, code, language, review);
+
+      res.json({ review, reviewId });
+    } catch (error) {
+      console.error('Error details:', error);
+      res.status(500).json({
+        error: error.message || 'Failed to review code'
+      });
+    }
+  });
+
+  // Same request body as /api/review, answered as Server-Sent Events:
+  //   findings  - { type, bugs } as each rule-based bug type is checked
+  //   analysis  - { review } with the complete rule-based review
+  //   execution - { execution } with the program's output, when `run` is set
+  //   token     - { text, attempt } for each chunk of LLM output
+  //   review    - { review, reviewId } with the final merged review
+  //   error     - { error } if the review fails
+  // Closing the connection cancels the LLM request.
+  app.post('/api/review/stream', reviewAuth, async (req, res) => {
+    const { code, baseCode, diff, language, options, llmOptions, run } = req.body;
+    const useLlm = req.body.llm !== false;
+
+    const validationError = validateReviewRequest(req.body, useLlm);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (run && !req.user) {
+      return res.status(401).json({ error: RUN_AUTH_ERROR });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    try {
+      const review = await runReview({
+        code,
+        baseCode,
+        diff,
+        language,
+        options: req.user ? req.user.reviewOptions(options) : options,
+        llm: useLlm ? llm : null,
+        llmOptions,
+        run,
+        onEvent: send,
+        signal: controller.signal
+      });
+
+      const reviewId = await saveReview(req.user, code, language, review);
+
+      send('review', { review, reviewId });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+
+      console.error('Error details:', error);
+      send('error', { error: error.message || 'Failed to review code' });
+    }
+    res.end();
+  });
+
+  app.use('/api/review/project', reviewAuth, projectRoutes);
+  // Running code always needs an account, even when anonymous reviews are allowed
+  app.use('/api/run', requireAuth, runRoutes);
+  app.use('/api/fix', reviewAuth, fixRoutes);
+  app.use('/api/grade', reviewAuth, gradeRoutes);
+  app.use('/api/export', reviewAuth, exportRoutes);
+  app.use('/api/auth', authRoutes);
+  app.use('/api/reviews', requireAuth, reviewRoutes);
+  app.use('/api/assignments', requireAuth, assignmentRoutes);
+
+  return app;
+};
+
+module.exports = {
+  createApp
+};
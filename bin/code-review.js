@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// Reviews files offline with the rule-based analyzers, without the server,
+// the database or an LLM. See `code-review --help`.
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { SEVERITIES, analyzeProject, validateReviewOptions } = require('../analyzers');
+const { collectFiles } = require('../cli/files');
+const { allBugs, formatText, formatJson, formatSarif } = require('../cli/formatters');
+const { version } = require('../package.json');
+
+const FORMATS = ['text', 'json', 'sarif'];
+const FAIL_ON = [...SEVERITIES, 'none'];
+
+const USAGE = `Usage: code-review [options] <files or directories...>
+
+Options:
+  -f, --format <format>   Output format: ${FORMATS.join(', ')} (default: text)
+  -o, --output <file>     Write the report to a file instead of stdout
+      --fail-on <level>   Exit with code 1 when a finding is at least this
+                          severe: ${FAIL_ON.join(', ')} (default: error)
+  -r, --rule <id=level>   Set a rule's level (off, on, error, warning, info);
+                          repeat for more rules
+  -c, --config <file>     JSON review options: { "rules", "env", "globals" }
+  -h, --help              Show this help
+  -v, --version           Show the version
+
+Exit codes: 0 no findings at the --fail-on level, 1 findings at that level,
+2 invalid arguments, unreadable files or nothing to review.`;
+
+const readConfig = (file) => {
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read config ${file}: ${error.message}`);
+  }
+};
+
+// --rule id=level flags, applied over the config file's rules
+const parseRules = (flags) => flags.reduce((rules, flag) => {
+  const [id, level] = flag.split('=');
+  if (!id || !level) throw new Error(`Invalid --rule ${flag}; use --rule id=level`);
+  return { ...rules, [id]: level };
+}, {});
+
+const main = () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'text' },
+      output: { type: 'string', short: 'o' },
+      'fail-on': { type: 'string', default: 'error' },
+      rule: { type: 'string', short: 'r', multiple: true, default: [] },
+      config: { type: 'string', short: 'c' },
+      help: { type: 'boolean', short: 'h' },
+      version: { type: 'boolean', short: 'v' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (values.version) {
+    console.log(version);
+    return 0;
+  }
+  if (!positionals.length) throw new Error(`No files or directories given\n\n${USAGE}`);
+  if (!FORMATS.includes(values.format)) throw new Error(`Unknown format: ${values.format}`);
+  if (!FAIL_ON.includes(values['fail-on'])) throw new Error(`Unknown --fail-on level: ${values['fail-on']}`);
+
+  const config = readConfig(values.config);
+  const options = { ...config, rules: { ...config.rules, ...parseRules(values.rule) } };
+  const optionsError = validateReviewOptions(options);
+  if (optionsError) throw new Error(optionsError);
+
+  const { sources, skipped } = collectFiles(positionals);
+  const project = analyzeProject(sources, options);
+  project.skipped = [...skipped, ...project.skipped];
+  if (!project.fileCount) throw new Error('No files to review in a supported language');
+
+  const report = values.format === 'json'
+    ? formatJson(project)
+    : values.format === 'sarif' ? formatSarif(project, { version }) : formatText(project);
+
+  if (values.output) {
+    fs.writeFileSync(values.output, report);
+  } else {
+    process.stdout.write(report);
+  }
+
+  // Lower index in SEVERITIES is more severe
+  const threshold = SEVERITIES.indexOf(values['fail-on']);
+  const failed = threshold !== -1 && allBugs(project).some(bug => SEVERITIES.indexOf(bug.severity) <= threshold);
+  return failed ? 1 : 0;
+};
+
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error(`code-review: ${error.message}`);
+  process.exitCode = 2;
+}
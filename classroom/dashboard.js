@@ -0,0 +1,115 @@
+const { listRules } = require('../analyzers');
+const { BUG_TYPES } = require('../analyzers/registry');
+
+const MAX_COMMON_FINDINGS = 10;
+
+const emptyBugTypes = () => Object.fromEntries(BUG_TYPES.map(type => [type, 0]));
+
+const studentOf = (submission) => ({
+  id: submission.student._id,
+  name: submission.student.name,
+  email: submission.student.email
+});
+
+// Findings from the same rule count as one finding whatever their message
+// says; LLM and run findings without a rule are grouped by message
+const findingKey = (bug) => (bug.rule ? `rule:${bug.rule}` : `${bug.type}:${bug.message}`);
+
+// The findings most students' latest submissions have, each counted once
+// per student: { rule, type, severity, message, students, occurrences }
+const commonFindings = (latest) => {
+  const descriptions = new Map(listRules().map(rule => [rule.id, rule.description]));
+  const findings = new Map();
+
+  latest.forEach(submission => {
+    const seen = new Set();
+    submission.result.debugging.bugs.forEach(bug => {
+      const key = findingKey(bug);
+      if (!findings.has(key)) {
+        findings.set(key, {
+          rule: bug.rule || null,
+          type: bug.type,
+          severity: bug.severity,
+          message: (bug.rule && descriptions.get(bug.rule)) || bug.message,
+          students: 0,
+          occurrences: 0
+        });
+      }
+      const finding = findings.get(key);
+      finding.occurrences++;
+      if (!seen.has(key)) {
+        finding.students++;
+        seen.add(key);
+      }
+    });
+  });
+
+  return Array.from(findings.values())
+    .sort((a, b) => b.students - a.students || b.occurrences - a.occurrences)
+    .slice(0, MAX_COMMON_FINDINGS);
+};
+
+const testCounts = ({ execution }) => (execution && execution.runs
+  ? { passed: execution.passed, failed: execution.failed, total: execution.runs.length }
+  : null);
+
+// An instructor's view of an assignment from its submissions (with
+// `student` populated, oldest first):
+//   students       - per student, the latest submission's bug counts by
+//                    type and test results, and every submission in order
+//   bugTypes       - bug counts by type over each student's latest submission
+//   commonFindings - what the class gets wrong most often (see above)
+//   timeline       - submissions per day
+const buildDashboard = (submissions) => {
+  const byStudent = new Map();
+  submissions.forEach(submission => {
+    const id = String(submission.student._id);
+    if (!byStudent.has(id)) byStudent.set(id, []);
+    byStudent.get(id).push(submission);
+  });
+
+  const latest = Array.from(byStudent.values()).map(attempts => attempts[attempts.length - 1]);
+
+  const students = Array.from(byStudent.values()).map(attempts => {
+    const last = attempts[attempts.length - 1];
+    return {
+      student: studentOf(last),
+      submissionCount: attempts.length,
+      latest: {
+        id: last._id,
+        createdAt: last.createdAt,
+        bugCount: last.result.debugging.bugCount,
+        bugTypes: { ...emptyBugTypes(), ...last.result.debugging.bugTypes },
+        tests: testCounts(last.result)
+      },
+      submissions: attempts.map(attempt => ({
+        id: attempt._id,
+        createdAt: attempt.createdAt,
+        bugCount: attempt.result.debugging.bugCount,
+        tests: testCounts(attempt.result)
+      }))
+    };
+  }).sort((a, b) => (a.student.name || a.student.email).localeCompare(b.student.name || b.student.email));
+
+  const timeline = new Map();
+  submissions.forEach(submission => {
+    const day = submission.createdAt.toISOString().slice(0, 10);
+    timeline.set(day, (timeline.get(day) || 0) + 1);
+  });
+
+  return {
+    studentCount: students.length,
+    submissionCount: submissions.length,
+    bugTypes: latest.reduce((totals, submission) => {
+      BUG_TYPES.forEach(type => { totals[type] += submission.result.debugging.bugTypes[type] || 0; });
+      return totals;
+    }, emptyBugTypes()),
+    students,
+    commonFindings: commonFindings(latest),
+    timeline: Array.from(timeline, ([date, count]) => ({ date, submissions: count }))
+  };
+};
+
+module.exports = {
+  buildDashboard
+};
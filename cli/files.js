@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { detectLanguage, isIgnoredPath } = require('../analyzers');
+
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Paths are reported relative to `cwd` with forward slashes, as SARIF and
+// most editors expect
+const displayPath = (filePath, cwd) => path.relative(cwd, filePath).split(path.sep).join('/') || '.';
+
+// Expands file and directory arguments into { path, content } sources.
+// Directories are searched recursively for files in a supported language;
+// files named explicitly are always read, so an unsupported one is reported.
+const collectFiles = (targets, cwd = process.cwd()) => {
+  const sources = [];
+  const skipped = [];
+  const seen = new Set();
+
+  const addFile = (filePath) => {
+    const display = displayPath(filePath, cwd);
+    if (seen.has(display)) return;
+    seen.add(display);
+
+    const { size } = fs.statSync(filePath);
+    if (size > MAX_FILE_SIZE) {
+      skipped.push({ path: display, reason: 'File is too large' });
+      return;
+    }
+
+    const buffer = fs.readFileSync(filePath);
+    if (buffer.includes(0)) {
+      skipped.push({ path: display, reason: 'Binary file' });
+      return;
+    }
+    sources.push({ path: display, content: buffer.toString('utf8') });
+  };
+
+  const walk = (directory) => {
+    fs.readdirSync(directory, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        const entryPath = path.join(directory, entry.name);
+        if (isIgnoredPath(displayPath(entryPath, directory))) return;
+
+        if (entry.isDirectory()) {
+          walk(entryPath);
+        } else if (entry.isFile() && detectLanguage(entry.name)) {
+          addFile(entryPath);
+        }
+      });
+  };
+
+  targets.forEach(target => {
+    const targetPath = path.resolve(cwd, target);
+    if (!fs.existsSync(targetPath)) {
+      throw new Error(`No such file or directory: ${target}`);
+    }
+
+    if (fs.statSync(targetPath).isDirectory()) {
+      walk(targetPath);
+    } else {
+      addFile(targetPath);
+    }
+  });
+
+  return { sources, skipped };
+};
+
+module.exports = {
+  collectFiles
+};
@@ -0,0 +1,151 @@
+const { pathToFileURL } = require('url');
+const { SEVERITIES, listRules } = require('../analyzers');
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Every bug in a project review, with the path of its file
+const allBugs = (project) => project.files.flatMap(file =>
+  file.review.debugging.bugs.map(bug => ({ ...bug, path: file.path }))
+);
+
+const countSeverities = (bugs) => SEVERITIES.reduce((counts, severity) => ({
+  ...counts,
+  [severity]: bugs.filter(bug => bug.severity === severity).length
+}), {});
+
+const hasLine = (bug) => Number.isInteger(bug.line);
+
+// Tags code-scanning services group results by: the bug type and, for
+// security rules, the CWE in the form `external/cwe/cwe-089`
+const ruleTags = (rule) => [
+  rule.type,
+  ...(rule.cwe ? [`external/cwe/cwe-${rule.cwe.replace(/^CWE-/, '').padStart(3, '0')}`] : [])
+];
+
+// Findings grouped by file, one per line:
+//   src/app.js
+//     12:5  error  Potential undefined variable 'foo'  no-undefined-var
+const formatText = (project) => {
+  const bugs = allBugs(project);
+  const output = [];
+
+  project.files.forEach(file => {
+    const { bugs: fileBugs, suppressed } = file.review.debugging;
+    if (!fileBugs.length) return;
+
+    output.push(file.path);
+    fileBugs.forEach(bug => {
+      const location = hasLine(bug) ? `${bug.line}:${bug.column || 1}` : '-';
+      output.push(`  ${location.padEnd(8)}${bug.severity.padEnd(9)}${bug.message}  ${bug.rule || ''}`.trimEnd());
+    });
+    if (suppressed.length) output.push(`  (${plural(suppressed.length, 'finding')} suppressed)`);
+    output.push('');
+  });
+
+  project.skipped.forEach(({ path, reason }) => output.push(`Skipped ${path}: ${reason}`));
+  if (project.skipped.length) output.push('');
+
+  const counts = countSeverities(bugs);
+  output.push(bugs.length
+    ? `${plural(bugs.length, 'problem')} (${plural(counts.error, 'error')}, ${plural(counts.warning, 'warning')}, ${counts.info} info) in ${plural(project.fileCount, 'file')}`
+    : `No problems found in ${plural(project.fileCount, 'file')}`);
+
+  return `${output.join('\n')}\n`;
+};
+
+const formatJson = (project) => `${JSON.stringify({
+  files: project.files.map(({ path, language, review }) => ({
+    path,
+    language,
+    bugs: review.debugging.bugs,
+    suppressed: review.debugging.suppressed,
+    functions: review.codeAnalysis.functions
+  })),
+  skipped: project.skipped,
+  summary: {
+    fileCount: project.fileCount,
+    bugCount: project.bugCount,
+    bugTypes: project.bugTypes,
+    severities: countSeverities(allBugs(project))
+  }
+}, null, 2)}\n`;
+
+// SARIF 2.1.0, the format code-scanning services (e.g. GitHub) accept.
+// Paths are relative to %SRCROOT%, the directory the reviewer ran in.
+const formatSarif = (project, { version, cwd = process.cwd() }) => {
+  const rules = listRules();
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+  const results = allBugs(project).map(bug => {
+    const region = hasLine(bug)
+      ? {
+          startLine: bug.line,
+          ...(bug.column && { startColumn: bug.column }),
+          ...(Number.isInteger(bug.endLine) && { endLine: bug.endLine }),
+          ...(bug.endColumn && { endColumn: bug.endColumn })
+        }
+      : undefined;
+
+    const artifactLocation = { uri: encodeURI(bug.path), uriBaseId: '%SRCROOT%' };
+
+    return {
+      ruleId: bug.rule,
+      ...(ruleIndex.has(bug.rule) && { ruleIndex: ruleIndex.get(bug.rule) }),
+      level: SARIF_LEVELS[bug.severity] || 'warning',
+      message: { text: bug.message },
+      locations: [{
+        physicalLocation: {
+          artifactLocation,
+          ...(region && { region })
+        }
+      }],
+      // Security findings carry the steps from the input to the sink
+      ...(bug.flow && {
+        codeFlows: [{
+          threadFlows: [{
+            locations: bug.flow.map(step => ({
+              location: {
+                physicalLocation: { artifactLocation, region: { startLine: step.line, startColumn: step.column } },
+                message: { text: step.label }
+              }
+            }))
+          }]
+        }]
+      })
+    };
+  });
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'code-review',
+          version,
+          rules: rules.map(rule => ({
+            id: rule.id,
+            shortDescription: { text: rule.description || rule.id },
+            defaultConfiguration: { level: SARIF_LEVELS[rule.severity], enabled: rule.enabled },
+            properties: { tags: ruleTags(rule), languages: rule.languages }
+          }))
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: `${pathToFileURL(cwd).href}/` }
+      },
+      results
+    }]
+  };
+
+  return `${JSON.stringify(sarif, null, 2)}\n`;
+};
+
+module.exports = {
+  allBugs,
+  formatText,
+  formatJson,
+  formatSarif
+};
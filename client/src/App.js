@@ -1,102 +1,293 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import {
   Container,
   Box,
-  TextField,
   Button,
   Typography,
-  Paper,
   Select,
   MenuItem,
   FormControl,
   InputLabel,
   CircularProgress,
+  Alert,
+  Grid,
+  Tab,
+  Tabs,
+  Checkbox,
+  FormControlLabel,
 } from '@mui/material';
-import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
-import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
-import axios from 'axios';
+import api, { streamEvents } from './api';
+import AccountBar from './components/AccountBar';
+import HistorySidebar from './components/HistorySidebar';
+import ReviewResults from './components/ReviewResults';
+import ReviewProgress from './components/ReviewProgress';
+import RunPanel from './components/RunPanel';
+import FixPanel from './components/FixPanel';
+import ExportButtons from './components/ExportButtons';
+import GradePanel from './components/GradePanel';
+import RuleSettings from './components/RuleSettings';
+import ProjectUpload from './components/ProjectUpload';
+import ProjectResults from './components/ProjectResults';
+import CodeEditor from './components/CodeEditor';
+import ClassroomPage from './components/ClassroomPage';
 
 function App() {
   const [code, setCode] = useState('');
   const [language, setLanguage] = useState('javascript');
+  const [languages, setLanguages] = useState([]);
+  const [user, setUser] = useState(null);
   const [review, setReview] = useState('');
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [reviewId, setReviewId] = useState(null);
+  const [historyKey, setHistoryKey] = useState(0);
+  const [mode, setMode] = useState('snippet');
+  const [project, setProject] = useState(null);
+  const [useLlm, setUseLlm] = useState(true);
+  const [runCode, setRunCode] = useState(false);
+  const [compare, setCompare] = useState(false);
+  const [baseCode, setBaseCode] = useState('');
+  const [rules, setRules] = useState({});
+  const [tests, setTests] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const abortRef = useRef(null);
+  const editorRef = useRef(null);
+
+  useEffect(() => {
+    api.get('/api/languages')
+      .then((response) => setLanguages(response.data.languages))
+      .catch((error) => console.error('Error loading languages:', error));
+  }, []);
+
+  // The classroom is only for signed-in users
+  useEffect(() => {
+    if (!user) setMode((current) => (current === 'classroom' ? 'snippet' : current));
+  }, [user]);
+
+  // Streams the review so findings show up as each checker finishes
+  const handleStreamEvent = (event, data) => {
+    switch (event) {
+      case 'findings':
+        setProgress((current) => ({
+          ...current,
+          checked: [...current.checked, data.type],
+          findings: [...current.findings, ...data.bugs],
+        }));
+        break;
+      case 'analysis':
+        setReview(data.review);
+        break;
+      case 'token':
+        // A retried LLM request starts its output over
+        setProgress((current) => ({
+          ...current,
+          attempt: data.attempt,
+          llmText: data.attempt === current.attempt ? current.llmText + data.text : data.text,
+        }));
+        break;
+      case 'review':
+        setReview(data.review);
+        setReviewId(data.reviewId || null);
+        setHistoryKey((key) => key + 1);
+        break;
+      case 'error':
+        setError(data.error);
+        break;
+      default:
+        break;
+    }
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    const controller = new AbortController();
+    abortRef.current = controller;
     setLoading(true);
+    setError('');
+    setReview('');
+    setReviewId(null);
+    setProgress({ checked: [], findings: [], llmText: '', attempt: 1 });
     try {
-      const response = await axios.post('http://localhost:5000/api/review', {
+      await streamEvents('/api/review/stream', {
         code,
         language,
-      });
-      setReview(response.data.review);
+        llm: useLlm,
+        run: runCode && Boolean(user),
+        options: { rules },
+        ...(compare && { baseCode }),
+      }, { onEvent: handleStreamEvent, signal: controller.signal });
     } catch (error) {
-      console.error('Error:', error);
-      setReview('Error reviewing code. Please try again.');
+      if (error.name !== 'AbortError') {
+        console.error('Error details:', error);
+        setError(error.message || 'Error reviewing code. Please try again.');
+      }
     }
+    abortRef.current = null;
+    setProgress(null);
     setLoading(false);
   };
 
+  // The review no longer matches the code once fixes are applied
+  const handleApplyFixes = (fixedCode) => {
+    setCode(fixedCode);
+    setReview('');
+    setReviewId(null);
+  };
+
+  const handleSelectLine = (line) => {
+    if (editorRef.current) editorRef.current.revealLine(line);
+  };
+
+  // Closing the stream makes the server cancel the LLM request
+  const handleCancel = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const handleOpenReview = async (id) => {
+    setError('');
+    try {
+      const response = await api.get(`/api/reviews/${id}`);
+      setCode(response.data.code);
+      setLanguage(response.data.language);
+      setReview(response.data.review);
+      setReviewId(id);
+      setMode('snippet');
+    } catch (error) {
+      console.error('Error details:', error);
+      setError(error.response?.data?.error || error.message || 'Error loading review.');
+    }
+  };
+
   return (
-    <Container maxWidth="lg" sx={{ py: 4 }}>
+    <Container maxWidth="xl" sx={{ py: 4 }}>
       <Typography variant="h3" component="h1" gutterBottom align="center">
         AI Code Reviewer & Debugger
       </Typography>
 
-      <Box component="form" onSubmit={handleSubmit} sx={{ mb: 4 }}>
-        <FormControl fullWidth sx={{ mb: 2 }}>
-          <InputLabel>Programming Language</InputLabel>
-          <Select
-            value={language}
-            label="Programming Language"
-            onChange={(e) => setLanguage(e.target.value)}
-          >
-            <MenuItem value="javascript">JavaScript</MenuItem>
-            <MenuItem value="python">Python</MenuItem>
-            <MenuItem value="java">Java</MenuItem>
-            <MenuItem value="cpp">C++</MenuItem>
-          </Select>
-        </FormControl>
-
-        <TextField
-          fullWidth
-          multiline
-          rows={10}
-          variant="outlined"
-          label="Enter your code"
-          value={code}
-          onChange={(e) => setCode(e.target.value)}
-          sx={{ mb: 2 }}
-        />
-
-        <Button
-          variant="contained"
-          color="primary"
-          type="submit"
-          disabled={loading}
-          fullWidth
-        >
-          {loading ? <CircularProgress size={24} /> : 'Review Code'}
-        </Button>
-      </Box>
-
-      {review && (
-        <Paper sx={{ p: 3 }}>
-          <Typography variant="h5" gutterBottom>
-            Review Results
-          </Typography>
-          <Typography
-            component="div"
-            sx={{
-              whiteSpace: 'pre-wrap',
-              fontFamily: 'monospace',
-            }}
-          >
-            {review}
-          </Typography>
-        </Paper>
-      )}
+      <AccountBar user={user} onUserChange={setUser} />
+
+      <Grid container spacing={3}>
+        {user && (
+          <Grid item xs={12} md={3}>
+            <HistorySidebar
+              languages={languages}
+              selectedId={reviewId}
+              refreshKey={`${user.id}-${historyKey}`}
+              onOpen={handleOpenReview}
+            />
+          </Grid>
+        )}
+
+        <Grid item xs={12} md={user ? 9 : 12}>
+          <Tabs value={mode} onChange={(e, value) => setMode(value)} sx={{ mb: 2 }}>
+            <Tab label="Snippet" value="snippet" />
+            <Tab label="Files / Project" value="project" />
+            {user && <Tab label="Classroom" value="classroom" />}
+          </Tabs>
+
+          {mode === 'snippet' ? (
+            <Box component="form" onSubmit={handleSubmit} sx={{ mb: 4 }}>
+              <FormControl fullWidth sx={{ mb: 2 }}>
+                <InputLabel>Programming Language</InputLabel>
+                <Select
+                  value={languages.length ? language : ''}
+                  label="Programming Language"
+                  onChange={(e) => setLanguage(e.target.value)}
+                >
+                  {languages.map((option) => (
+                    <MenuItem key={option.id} value={option.id}>{option.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              <CodeEditor
+                ref={editorRef}
+                label="Enter your code"
+                value={code}
+                onChange={setCode}
+                language={language}
+                bugs={review?.debugging.bugs}
+              />
+
+              <FormControlLabel
+                control={<Checkbox checked={compare} onChange={(e) => setCompare(e.target.checked)} />}
+                label="Only report findings on lines changed since an earlier version"
+                sx={{ mb: 1 }}
+              />
+
+              {compare && (
+                <CodeEditor
+                  label="Earlier version"
+                  value={baseCode}
+                  onChange={setBaseCode}
+                  language={language}
+                />
+              )}
+
+              <FormControlLabel
+                control={<Checkbox checked={useLlm} onChange={(e) => setUseLlm(e.target.checked)} />}
+                label="Include AI review (when the server has an LLM configured)"
+                sx={{ mb: 1 }}
+              />
+
+              <FormControlLabel
+                control={<Checkbox checked={runCode && Boolean(user)} onChange={(e) => setRunCode(e.target.checked)} />}
+                label={user ? 'Run the code and report runtime errors' : 'Run the code and report runtime errors (sign in first)'}
+                disabled={!user}
+                sx={{ mb: 1 }}
+              />
+
+              <RuleSettings
+                language={language}
+                rules={rules}
+                onChange={setRules}
+                user={user}
+                onUserChange={setUser}
+              />
+
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button
+                  variant="contained"
+                  color="primary"
+                  type="submit"
+                  disabled={loading}
+                  fullWidth
+                >
+                  {loading ? <CircularProgress size={24} /> : 'Review Code'}
+                </Button>
+                {loading && (
+                  <Button variant="outlined" color="error" onClick={handleCancel}>
+                    Cancel
+                  </Button>
+                )}
+              </Box>
+            </Box>
+          ) : mode === 'project' && (
+            <ProjectUpload onResult={setProject} onError={setError} />
+          )}
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {mode === 'snippet' && user && <RunPanel code={code} language={language} tests={tests} onTestsChange={setTests} />}
+          {mode === 'snippet' && progress && <ReviewProgress progress={progress} showFindings={!review} />}
+          {mode === 'snippet' && review && !progress && (
+            <FixPanel review={review} code={code} language={language} rules={rules} onApply={handleApplyFixes} />
+          )}
+          {mode === 'snippet' && review && !progress && (
+            <ExportButtons review={review} reviewId={reviewId} code={code} language={language} />
+          )}
+          {mode === 'snippet' && review && !progress && (
+            <GradePanel review={review} code={code} language={language} rules={rules} tests={user ? tests : []} />
+          )}
+          {mode === 'snippet' && review && <ReviewResults review={review} onSelectLine={handleSelectLine} />}
+          {mode === 'project' && project && <ProjectResults project={project} />}
+          {mode === 'classroom' && user && <ClassroomPage user={user} languages={languages} />}
+        </Grid>
+      </Grid>
     </Container>
   );
 }
@@ -0,0 +1,73 @@
+import axios from 'axios';
+
+const TOKEN_KEY = 'authToken';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+// Shared client for the review API; every request carries the signed-in
+// user's token when there is one
+const api = axios.create({
+  baseURL: 'http://localhost:5000',
+});
+
+api.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export default api;
+
+// Posts to a Server-Sent Events endpoint and calls onEvent(name, data) for
+// each event. axios cannot read a response body as it arrives, so this uses
+// fetch; abort `signal` to cancel the request.
+export const streamEvents = async (url, body, { onEvent, signal }) => {
+  const token = getToken();
+  const response = await fetch(`${api.defaults.baseURL}${url}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+
+    messages.forEach((message) => {
+      let event = 'message';
+      let data = '';
+      message.split('\n').forEach((line) => {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        if (line.startsWith('data: ')) data += line.slice(6);
+      });
+      onEvent(event, data ? JSON.parse(data) : null);
+    });
+  }
+};
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Radio,
+  RadioGroup,
+  Tab,
+  Tabs,
+  TextField,
+  Typography,
+} from '@mui/material';
+import api, { getToken, setToken } from '../api';
+
+function AccountBar({ user, onUserChange }) {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [role, setRole] = useState('student');
+  const [instructorCode, setInstructorCode] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  // Restore the session from a stored token
+  useEffect(() => {
+    if (!getToken()) return;
+    api.get('/api/auth/me')
+      .then((response) => onUserChange(response.data.user))
+      .catch(() => {
+        setToken(null);
+        onUserChange(null);
+      });
+  }, [onUserChange]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await api.post(`/api/auth/${mode}`, mode === 'register'
+        ? { email, password, name, role, ...(role === 'instructor' && { instructorCode }) }
+        : { email, password });
+      setToken(response.data.token);
+      onUserChange(response.data.user);
+      setOpen(false);
+      setPassword('');
+    } catch (error) {
+      console.error('Error details:', error);
+      setError(error.response?.data?.error || error.message || 'Authentication failed');
+    }
+    setSubmitting(false);
+  };
+
+  const handleLogout = () => {
+    setToken(null);
+    onUserChange(null);
+  };
+
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 2, mb: 2 }}>
+      {user ? (
+        <>
+          <Typography variant="body2" color="text.secondary">
+            Signed in as {user.name || user.email}{user.role === 'instructor' ? ' (instructor)' : ''}
+          </Typography>
+          <Button size="small" onClick={handleLogout}>Log out</Button>
+        </>
+      ) : (
+        <Button size="small" variant="outlined" onClick={() => setOpen(true)}>
+          Log in
+        </Button>
+      )}
+
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="xs" fullWidth>
+        <Box component="form" onSubmit={handleSubmit}>
+          <DialogTitle>{mode === 'login' ? 'Log in' : 'Create account'}</DialogTitle>
+          <DialogContent>
+            <Tabs value={mode} onChange={(e, value) => setMode(value)} sx={{ mb: 2 }}>
+              <Tab label="Log in" value="login" />
+              <Tab label="Register" value="register" />
+            </Tabs>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+            {mode === 'register' && (
+              <TextField
+                fullWidth
+                label="Name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                sx={{ mb: 2 }}
+              />
+            )}
+            <TextField
+              fullWidth
+              required
+              type="email"
+              label="Email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              fullWidth
+              required
+              type="password"
+              label="Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+            {mode === 'register' && (
+              <>
+                <RadioGroup row value={role} onChange={(e) => setRole(e.target.value)} sx={{ mt: 2 }}>
+                  <FormControlLabel value="student" control={<Radio />} label="Student" />
+                  <FormControlLabel value="instructor" control={<Radio />} label="Instructor" />
+                </RadioGroup>
+                {role === 'instructor' && (
+                  <TextField
+                    fullWidth
+                    required
+                    label="Instructor code"
+                    helperText="Ask your administrator for the code"
+                    value={instructorCode}
+                    onChange={(e) => setInstructorCode(e.target.value)}
+                    sx={{ mt: 1 }}
+                  />
+                )}
+              </>
+            )}
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setOpen(false)}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={submitting}>
+              {mode === 'login' ? 'Log in' : 'Register'}
+            </Button>
+          </DialogActions>
+        </Box>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default AccountBar;
@@ -0,0 +1,292 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Grid,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import api from '../api';
+import ReviewResults from './ReviewResults';
+
+const BUG_TYPES = ['syntax', 'runtime', 'logical', 'security'];
+
+const BUG_TYPE_COLORS = {
+  syntax: 'error',
+  runtime: 'warning',
+  logical: 'info',
+  security: 'error',
+};
+
+const testsCell = (tests) => (tests ? `${tests.passed}/${tests.total}` : '-');
+
+// Submissions per day as bars scaled to the busiest day
+function Timeline({ days }) {
+  const busiest = Math.max(1, ...days.map((day) => day.submissions));
+  return (
+    <Box>
+      {days.map((day) => (
+        <Box key={day.date} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+          <Typography variant="body2" sx={{ width: 96, fontFamily: 'monospace' }}>{day.date}</Typography>
+          <Box sx={{ height: 12, bgcolor: 'primary.main', width: `${(day.submissions / busiest) * 70}%` }} />
+          <Typography variant="body2" color="text.secondary">{day.submissions}</Typography>
+        </Box>
+      ))}
+    </Box>
+  );
+}
+
+// An instructor's overview of an assignment: each student's latest bug
+// counts by type, the findings most of the class has and when students
+// submitted. Selecting a student shows their attempts; selecting an attempt
+// shows its review.
+function AssignmentDashboard({ assignment, onDelete }) {
+  const [dashboard, setDashboard] = useState(null);
+  const [studentId, setStudentId] = useState(null);
+  const [submission, setSubmission] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const response = await api.get(`/api/assignments/${assignment.id}/dashboard`);
+      setDashboard(response.data.dashboard);
+      setError('');
+    } catch (error) {
+      console.error('Error loading dashboard:', error);
+      setError(error.response?.data?.error || 'The dashboard is unavailable');
+    }
+  }, [assignment.id]);
+
+  useEffect(() => {
+    setStudentId(null);
+    setSubmission(null);
+    load();
+  }, [load]);
+
+  const handleOpenSubmission = async (id) => {
+    try {
+      const response = await api.get(`/api/assignments/${assignment.id}/submissions/${id}`);
+      setSubmission(response.data.submission);
+    } catch (error) {
+      console.error('Error details:', error);
+      setError(error.response?.data?.error || error.message || 'Error loading submission.');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${assignment.title}" and all its submissions?`)) return;
+    try {
+      await api.delete(`/api/assignments/${assignment.id}`);
+      onDelete(assignment.id);
+    } catch (error) {
+      console.error('Error details:', error);
+      setError(error.response?.data?.error || error.message || 'Error deleting assignment.');
+    }
+  };
+
+  const student = dashboard?.students.find((entry) => entry.student.id === studentId);
+
+  return (
+    <Box>
+      <Paper sx={{ p: 3, mb: 2 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+          <Box>
+            <Typography variant="h5" gutterBottom>
+              {assignment.title}
+            </Typography>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              {assignment.language}
+              {assignment.tests.length > 0 ? ` · ${assignment.tests.length} tests` : ''}
+              {Object.keys(assignment.rules).length > 0 ? ` · ${Object.keys(assignment.rules).length} rule changes` : ''}
+            </Typography>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button size="small" onClick={load}>Refresh</Button>
+            <Button size="small" color="error" onClick={handleDelete}>Delete</Button>
+          </Box>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ my: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {dashboard && (
+          <>
+            <Typography gutterBottom>
+              {dashboard.studentCount} students, {dashboard.submissionCount} submissions
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              {BUG_TYPES.map((type) => (
+                <Chip
+                  key={type}
+                  label={`${type[0].toUpperCase()}${type.slice(1)}: ${dashboard.bugTypes[type]}`}
+                  color={BUG_TYPE_COLORS[type]}
+                  size="small"
+                />
+              ))}
+            </Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              Counts are from each student's latest submission.
+            </Typography>
+          </>
+        )}
+      </Paper>
+
+      {dashboard && dashboard.studentCount === 0 && (
+        <Typography color="text.secondary">No submissions yet.</Typography>
+      )}
+
+      {dashboard && dashboard.studentCount > 0 && (
+        <Grid container spacing={2}>
+          <Grid item xs={12}>
+            <Paper sx={{ p: 2 }}>
+              <Typography variant="h6" gutterBottom>
+                Students
+              </Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Student</TableCell>
+                    <TableCell align="right">Submissions</TableCell>
+                    {BUG_TYPES.map((type) => (
+                      <TableCell key={type} align="right" sx={{ textTransform: 'capitalize' }}>{type}</TableCell>
+                    ))}
+                    <TableCell align="right">Tests</TableCell>
+                    <TableCell>Last submitted</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {dashboard.students.map((entry) => (
+                    <TableRow
+                      key={entry.student.id}
+                      hover
+                      selected={entry.student.id === studentId}
+                      onClick={() => {
+                        setStudentId(entry.student.id);
+                        setSubmission(null);
+                      }}
+                      sx={{ cursor: 'pointer' }}
+                    >
+                      <TableCell>{entry.student.name || entry.student.email}</TableCell>
+                      <TableCell align="right">{entry.submissionCount}</TableCell>
+                      {BUG_TYPES.map((type) => (
+                        <TableCell key={type} align="right">{entry.latest.bugTypes[type]}</TableCell>
+                      ))}
+                      <TableCell align="right">{testsCell(entry.latest.tests)}</TableCell>
+                      <TableCell>{new Date(entry.latest.createdAt).toLocaleString()}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Paper>
+          </Grid>
+
+          <Grid item xs={12} md={7}>
+            <Paper sx={{ p: 2 }}>
+              <Typography variant="h6" gutterBottom>
+                Most Common Findings
+              </Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Finding</TableCell>
+                    <TableCell>Type</TableCell>
+                    <TableCell align="right">Students</TableCell>
+                    <TableCell align="right">Occurrences</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {dashboard.commonFindings.map((finding) => (
+                    <TableRow key={finding.rule || `${finding.type}:${finding.message}`}>
+                      <TableCell>
+                        {finding.message}
+                        {finding.rule && (
+                          <Box component="span" sx={{ ml: 1, fontFamily: 'monospace', color: 'text.secondary' }}>
+                            {finding.rule}
+                          </Box>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Chip label={finding.type} color={BUG_TYPE_COLORS[finding.type] || 'default'} size="small" />
+                      </TableCell>
+                      <TableCell align="right">{finding.students}</TableCell>
+                      <TableCell align="right">{finding.occurrences}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Paper>
+          </Grid>
+
+          <Grid item xs={12} md={5}>
+            <Paper sx={{ p: 2 }}>
+              <Typography variant="h6" gutterBottom>
+                Submissions per Day
+              </Typography>
+              <Timeline days={dashboard.timeline} />
+            </Paper>
+          </Grid>
+
+          {student && (
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  {student.student.name || student.student.email}: Submission History
+                </Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Submitted</TableCell>
+                      <TableCell align="right">Issues</TableCell>
+                      <TableCell align="right">Tests</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {student.submissions.map((attempt) => (
+                      <TableRow
+                        key={attempt.id}
+                        hover
+                        selected={submission?.id === attempt.id}
+                        onClick={() => handleOpenSubmission(attempt.id)}
+                        sx={{ cursor: 'pointer' }}
+                      >
+                        <TableCell>{new Date(attempt.createdAt).toLocaleString()}</TableCell>
+                        <TableCell align="right">{attempt.bugCount}</TableCell>
+                        <TableCell align="right">{testsCell(attempt.tests)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </Paper>
+            </Grid>
+          )}
+
+          {submission && (
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2, mb: 2 }}>
+                <Typography variant="subtitle1" gutterBottom>
+                  Submitted code
+                </Typography>
+                <Box component="pre" sx={{ p: 2, m: 0, bgcolor: 'grey.100', fontFamily: 'monospace', overflow: 'auto' }}>
+                  {submission.code}
+                </Box>
+              </Paper>
+              <ReviewResults review={submission.review} />
+            </Grid>
+          )}
+        </Grid>
+      )}
+    </Box>
+  );
+}
+
+export default AssignmentDashboard;
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import api from '../api';
+import CodeEditor from './CodeEditor';
+import RuleSettings from './RuleSettings';
+
+// Creates an assignment: what students see (title, description, starter
+// code) and how their submissions are reviewed (rules, test cases)
+function AssignmentForm({ open, languages, onClose, onCreated }) {
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [language, setLanguage] = useState('javascript');
+  const [starterCode, setStarterCode] = useState('');
+  const [rules, setRules] = useState({});
+  const [tests, setTests] = useState([]);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const updateTest = (index, field, value) => {
+    setTests((current) => current.map((test, i) => (i === index ? { ...test, [field]: value } : test)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await api.post('/api/assignments', {
+        title,
+        description,
+        language,
+        starterCode,
+        rules,
+        // An empty expected output only checks that the program runs
+        tests: tests.map((test) => ({
+          ...(test.name && { name: test.name }),
+          input: test.input,
+          ...(test.expected && { expected: test.expected }),
+        })),
+      });
+      onCreated(response.data.assignment);
+      setTitle('');
+      setDescription('');
+      setStarterCode('');
+      setRules({});
+      setTests([]);
+    } catch (error) {
+      console.error('Error details:', error);
+      setError(error.response?.data?.error || error.message || 'Error creating assignment.');
+    }
+    setSaving(false);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <Box component="form" onSubmit={handleSubmit}>
+        <DialogTitle>New Assignment</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            required
+            label="Title"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            sx={{ my: 1 }}
+          />
+          <TextField
+            fullWidth
+            multiline
+            minRows={3}
+            label="Description"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            sx={{ mb: 2 }}
+          />
+          <FormControl fullWidth sx={{ mb: 2 }}>
+            <InputLabel>Programming Language</InputLabel>
+            <Select
+              value={languages.length ? language : ''}
+              label="Programming Language"
+              onChange={(e) => {
+                setLanguage(e.target.value);
+                setRules({});
+              }}
+            >
+              {languages.map((option) => (
+                <MenuItem key={option.id} value={option.id}>{option.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <CodeEditor label="Starter code" value={starterCode} onChange={setStarterCode} language={language} />
+
+          <RuleSettings language={language} rules={rules} onChange={setRules} />
+
+          <Typography variant="subtitle1" sx={{ mt: 1 }}>
+            Test cases
+          </Typography>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Every submission is run with each input. Leave the expected output empty to only check that the program runs.
+          </Typography>
+          {tests.map((test, index) => (
+            <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1, alignItems: 'flex-start' }}>
+              <TextField
+                size="small"
+                label="Name"
+                value={test.name}
+                onChange={(e) => updateTest(index, 'name', e.target.value)}
+              />
+              <TextField
+                size="small"
+                multiline
+                fullWidth
+                label="Input"
+                value={test.input}
+                onChange={(e) => updateTest(index, 'input', e.target.value)}
+              />
+              <TextField
+                size="small"
+                multiline
+                fullWidth
+                label="Expected output"
+                value={test.expected}
+                onChange={(e) => updateTest(index, 'expected', e.target.value)}
+              />
+              <IconButton
+                aria-label="Remove test"
+                onClick={() => setTests((current) => current.filter((_, i) => i !== index))}
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+          <Button size="small" onClick={() => setTests((current) => [...current, { name: '', input: '', expected: '' }])}>
+            Add Test
+          </Button>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={saving}>
+            Create
+          </Button>
+        </DialogActions>
+      </Box>
+    </Dialog>
+  );
+}
+
+export default AssignmentForm;
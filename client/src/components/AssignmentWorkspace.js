@@ -0,0 +1,142 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  List,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  Typography,
+} from '@mui/material';
+import api from '../api';
+import CodeEditor from './CodeEditor';
+import ReviewResults from './ReviewResults';
+
+// Passed/total tests of a submission, when the assignment has tests
+const testsLabel = (tests) => (tests ? `${tests.passed}/${tests.total} tests passed` : null);
+
+// A student's view of an assignment: write the code starting from the
+// starter code, submit it and look back at earlier attempts
+function AssignmentWorkspace({ assignment }) {
+  const [code, setCode] = useState(assignment.starterCode);
+  const [submissions, setSubmissions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadSubmissions = useCallback(async () => {
+    try {
+      const response = await api.get(`/api/assignments/${assignment.id}/submissions`);
+      setSubmissions(response.data.submissions);
+    } catch (error) {
+      console.error('Error loading submissions:', error);
+      setError(error.response?.data?.error || 'Submissions are unavailable');
+    }
+  }, [assignment.id]);
+
+  useEffect(() => {
+    setCode(assignment.starterCode);
+    setSelected(null);
+    loadSubmissions();
+  }, [assignment, loadSubmissions]);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await api.post(`/api/assignments/${assignment.id}/submissions`, { code });
+      setSelected(response.data.submission);
+      loadSubmissions();
+    } catch (error) {
+      console.error('Error details:', error);
+      setError(error.response?.data?.error || error.message || 'Error submitting code.');
+    }
+    setSubmitting(false);
+  };
+
+  const handleOpen = async (id) => {
+    setError('');
+    try {
+      const response = await api.get(`/api/assignments/${assignment.id}/submissions/${id}`);
+      setSelected(response.data.submission);
+      setCode(response.data.submission.code);
+    } catch (error) {
+      console.error('Error details:', error);
+      setError(error.response?.data?.error || error.message || 'Error loading submission.');
+    }
+  };
+
+  return (
+    <Box>
+      <Paper sx={{ p: 3, mb: 2 }}>
+        <Typography variant="h5" gutterBottom>
+          {assignment.title}
+        </Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          {assignment.language}
+          {assignment.instructor?.name ? ` · ${assignment.instructor.name}` : ''}
+        </Typography>
+        {assignment.description && (
+          <Typography sx={{ whiteSpace: 'pre-wrap', mb: 2 }}>{assignment.description}</Typography>
+        )}
+        {assignment.tests.length > 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Your code is run against {assignment.tests.length} test case{assignment.tests.length === 1 ? '' : 's'} when you submit.
+          </Typography>
+        )}
+
+        <CodeEditor
+          label="Your code"
+          value={code}
+          onChange={setCode}
+          language={assignment.language}
+          bugs={selected?.code === code ? selected.review.debugging.bugs : undefined}
+        />
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        <Button variant="contained" onClick={handleSubmit} disabled={submitting || !code.trim()}>
+          {submitting ? <CircularProgress size={24} /> : 'Submit'}
+        </Button>
+      </Paper>
+
+      {submissions.length > 0 && (
+        <Paper sx={{ p: 2, mb: 2 }}>
+          <Typography variant="h6" gutterBottom>
+            My Submissions
+          </Typography>
+          <List dense>
+            {submissions.map((submission) => (
+              <ListItemButton
+                key={submission.id}
+                selected={selected?.id === submission.id}
+                onClick={() => handleOpen(submission.id)}
+              >
+                <ListItemText
+                  primary={new Date(submission.createdAt).toLocaleString()}
+                  secondary={testsLabel(submission.tests)}
+                />
+                <Chip
+                  label={`${submission.bugCount} issue${submission.bugCount === 1 ? '' : 's'}`}
+                  color={submission.bugCount ? 'warning' : 'success'}
+                  size="small"
+                />
+              </ListItemButton>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      {selected && <ReviewResults review={selected.review} />}
+    </Box>
+  );
+}
+
+export default AssignmentWorkspace;
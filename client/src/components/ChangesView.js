@@ -0,0 +1,52 @@
+import React from 'react';
+import { Box, Chip, Typography } from '@mui/material';
+import DiffView from './DiffView';
+
+const sameFinding = (a, b) => a.line === b.line && a.rule === b.rule && a.message === b.message;
+
+// What a diff-aware review found in the changed lines: the diff with new and
+// remaining findings under the lines they are on, and the earlier version's
+// findings that the change fixed under theirs
+function ChangesView({ review }) {
+  const { changes } = review;
+  const isNew = (bug) => changes.introduced.some((introduced) => sameFinding(introduced, bug));
+  const existing = review.debugging.bugs.filter((bug) => !isNew(bug));
+
+  const annotations = {
+    old: changes.fixed.map((bug) => ({ ...bug, label: 'Fixed', severity: 'info' })),
+    new: review.debugging.bugs.map((bug) => ({ ...bug, label: isNew(bug) ? 'New' : 'Still present' })),
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+        <Chip label={`Changed lines: ${changes.changedLines.length}`} size="small" />
+        <Chip label={`New: ${changes.introduced.length}`} color={changes.introduced.length ? 'error' : 'default'} size="small" />
+        <Chip label={`Fixed: ${changes.fixed.length}`} color={changes.fixed.length ? 'success' : 'default'} size="small" />
+        {existing.length > 0 && <Chip label={`Still present: ${existing.length}`} color="warning" size="small" />}
+      </Box>
+
+      {changes.hunks.length > 0 ? (
+        <DiffView hunks={changes.hunks} annotations={annotations} />
+      ) : (
+        <Typography color="text.secondary">The code is the same as the earlier version.</Typography>
+      )}
+
+      {changes.fixed.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            Fixed since the earlier version
+          </Typography>
+          {changes.fixed.map((bug, index) => (
+            <Typography key={index} variant="body2" color="text.secondary">
+              Line {bug.line} (earlier version): {bug.message}{' '}
+              {bug.rule && <Box component="span" sx={{ fontFamily: 'monospace' }}>({bug.rule})</Box>}
+            </Typography>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default ChangesView;
@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Button,
+  Grid,
+  List,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  Typography,
+} from '@mui/material';
+import api from '../api';
+import AssignmentForm from './AssignmentForm';
+import AssignmentDashboard from './AssignmentDashboard';
+import AssignmentWorkspace from './AssignmentWorkspace';
+
+// Assignments for signed-in users. Instructors create assignments and see a
+// dashboard for each; students pick one and submit code against it.
+function ClassroomPage({ user, languages }) {
+  const [assignments, setAssignments] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const isInstructor = user.role === 'instructor';
+
+  useEffect(() => {
+    api.get('/api/assignments')
+      .then((response) => {
+        setAssignments(response.data.assignments);
+        setError('');
+      })
+      .catch((error) => {
+        console.error('Error loading assignments:', error);
+        setError(error.response?.data?.error || 'Assignments are unavailable');
+      });
+  }, [user.id]);
+
+  const handleCreated = (assignment) => {
+    setAssignments((current) => [assignment, ...current]);
+    setSelectedId(assignment.id);
+    setCreating(false);
+  };
+
+  const handleDeleted = (id) => {
+    setAssignments((current) => current.filter((assignment) => assignment.id !== id));
+    setSelectedId(null);
+  };
+
+  const selected = assignments.find((assignment) => assignment.id === selectedId);
+
+  return (
+    <Grid container spacing={2}>
+      <Grid item xs={12} md={3}>
+        <Paper sx={{ p: 2 }}>
+          <Typography variant="h6" gutterBottom>
+            Assignments
+          </Typography>
+          {isInstructor && (
+            <Button variant="outlined" size="small" fullWidth onClick={() => setCreating(true)} sx={{ mb: 1 }}>
+              New Assignment
+            </Button>
+          )}
+          {error && (
+            <Alert severity="error" sx={{ mb: 1 }}>
+              {error}
+            </Alert>
+          )}
+          <List dense>
+            {assignments.map((assignment) => (
+              <ListItemButton
+                key={assignment.id}
+                selected={assignment.id === selectedId}
+                onClick={() => setSelectedId(assignment.id)}
+              >
+                <ListItemText
+                  primary={assignment.title}
+                  secondary={isInstructor ? assignment.language : `${assignment.language} · ${assignment.instructor?.name || assignment.instructor?.email || ''}`}
+                />
+              </ListItemButton>
+            ))}
+          </List>
+          {!error && assignments.length === 0 && (
+            <Typography variant="body2" color="text.secondary">
+              {isInstructor ? 'Create an assignment for your students.' : 'No assignments yet.'}
+            </Typography>
+          )}
+        </Paper>
+      </Grid>
+
+      <Grid item xs={12} md={9}>
+        {selected && (isInstructor
+          ? <AssignmentDashboard assignment={selected} onDelete={handleDeleted} />
+          : <AssignmentWorkspace assignment={selected} />)}
+      </Grid>
+
+      {isInstructor && (
+        <AssignmentForm
+          open={creating}
+          languages={languages}
+          onClose={() => setCreating(false)}
+          onCreated={handleCreated}
+        />
+      )}
+    </Grid>
+  );
+}
+
+export default ClassroomPage;
@@ -0,0 +1,127 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useMemo, useRef } from 'react';
+import { Box, Typography } from '@mui/material';
+import CodeMirror from '@uiw/react-codemirror';
+import { EditorSelection } from '@codemirror/state';
+import { EditorView } from '@codemirror/view';
+import { lintGutter, setDiagnostics } from '@codemirror/lint';
+import { javascript } from '@codemirror/lang-javascript';
+import { python } from '@codemirror/lang-python';
+import { java } from '@codemirror/lang-java';
+import { cpp } from '@codemirror/lang-cpp';
+
+// Syntax modes by language id; other registered languages are edited as
+// plain text
+const LANGUAGE_MODES = {
+  javascript: () => javascript({ jsx: true }),
+  python: () => python(),
+  java: () => java(),
+  cpp: () => cpp(),
+};
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const NO_BUGS = [];
+
+const fixExplanation = (bug) => (bug.fix && typeof bug.fix === 'object' ? bug.fix.explanation : bug.fix);
+
+// Hover tooltip contents: the message, then how to fix it
+const renderMessage = (bug) => () => {
+  const container = document.createElement('div');
+  const message = document.createElement('div');
+  message.textContent = bug.message;
+  container.appendChild(message);
+
+  const fix = fixExplanation(bug);
+  if (fix) {
+    const fixText = document.createElement('div');
+    fixText.textContent = `Fix: ${fix}`;
+    fixText.style.marginTop = '4px';
+    fixText.style.opacity = '0.8';
+    container.appendChild(fixText);
+  }
+  return container;
+};
+
+// Underlines a bug from its column (or the line's first non-blank
+// character) to the end of its last line. Bugs on lines the document no
+// longer has are dropped.
+const toDiagnostics = (doc, bugs) => bugs
+  .filter((bug) => bug.line >= 1 && bug.line <= doc.lines)
+  .map((bug) => {
+    const line = doc.line(bug.line);
+    const last = bug.endLine > bug.line && bug.endLine <= doc.lines ? doc.line(bug.endLine) : line;
+    const indent = line.text.length - line.text.trimStart().length;
+    const from = bug.column ? Math.min(line.from + bug.column - 1, line.to) : line.from + indent;
+
+    return {
+      from,
+      to: Math.max(last.to, from),
+      severity: SEVERITIES.includes(bug.severity) ? bug.severity : 'warning',
+      source: bug.rule,
+      message: bug.message,
+      renderMessage: renderMessage(bug),
+    };
+  });
+
+const showDiagnostics = (view, bugs) => {
+  view.dispatch(setDiagnostics(view.state, toDiagnostics(view.state.doc, bugs)));
+};
+
+// Code editor with syntax highlighting for the built-in languages. `bugs`
+// (a review's debugging.bugs) are shown as gutter markers and underlines
+// with the message and fix on hover. The ref's revealLine(line) moves the
+// cursor to a line and scrolls it into view.
+const CodeEditor = forwardRef(function CodeEditor({ value, onChange, language, bugs = NO_BUGS, label }, ref) {
+  const viewRef = useRef(null);
+  const bugsRef = useRef(bugs);
+  bugsRef.current = bugs;
+
+  const extensions = useMemo(() => [
+    ...(LANGUAGE_MODES[language] ? [LANGUAGE_MODES[language]()] : []),
+    lintGutter(),
+  ], [language]);
+
+  useEffect(() => {
+    if (viewRef.current) showDiagnostics(viewRef.current, bugs);
+  }, [bugs]);
+
+  useImperativeHandle(ref, () => ({
+    revealLine: (lineNumber) => {
+      const view = viewRef.current;
+      if (!view) return;
+
+      const { doc } = view.state;
+      const line = doc.line(Math.min(Math.max(lineNumber, 1), doc.lines));
+      view.dispatch({
+        selection: EditorSelection.cursor(line.from),
+        effects: EditorView.scrollIntoView(line.from, { y: 'center' }),
+      });
+      view.dom.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      view.focus();
+    },
+  }), []);
+
+  return (
+    <Box sx={{ mb: 1 }}>
+      {label && (
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          {label}
+        </Typography>
+      )}
+      <Box sx={{ border: 1, borderColor: 'divider', borderRadius: 1, overflow: 'hidden' }}>
+        <CodeMirror
+          value={value}
+          onChange={onChange}
+          extensions={extensions}
+          minHeight="240px"
+          maxHeight="480px"
+          onCreateEditor={(view) => {
+            viewRef.current = view;
+            showDiagnostics(view, bugsRef.current);
+          }}
+        />
+      </Box>
+    </Box>
+  );
+});
+
+export default CodeEditor;
@@ -0,0 +1,131 @@
+import React from 'react';
+import { Box, Table, TableBody, TableCell, TableRow, Typography } from '@mui/material';
+
+const cellSx = {
+  fontFamily: 'monospace',
+  fontSize: '0.8rem',
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-all',
+  py: 0.25,
+  px: 1,
+  borderBottom: 'none',
+  verticalAlign: 'top',
+  width: '50%',
+};
+
+const numberSx = {
+  ...cellSx,
+  width: 40,
+  color: 'text.secondary',
+  textAlign: 'right',
+  userSelect: 'none',
+};
+
+// Pairs each hunk's removed and added lines into side-by-side rows
+const toRows = (hunks) => {
+  const rows = [];
+
+  hunks.forEach((hunk) => {
+    let oldLine = hunk.oldStart;
+    let newLine = hunk.newStart;
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+      for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+        rows.push({ type: 'change', left: removed[i], right: added[i] });
+      }
+      removed = [];
+      added = [];
+    };
+
+    rows.push({ type: 'hunk', text: `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@` });
+
+    hunk.lines.forEach((line) => {
+      const text = line.slice(1);
+      if (line[0] === '-') {
+        removed.push({ number: oldLine++, text });
+      } else if (line[0] === '+') {
+        added.push({ number: newLine++, text });
+      } else if (line[0] === ' ') {
+        flush();
+        rows.push({ type: 'context', left: { number: oldLine++, text }, right: { number: newLine++, text } });
+      }
+    });
+    flush();
+  });
+
+  return rows;
+};
+
+const noteColor = (severity) => {
+  switch (severity) {
+    case 'error': return 'error.main';
+    case 'warning': return 'warning.main';
+    default: return 'info.main';
+  }
+};
+
+const notesFor = (notes, line) => (line ? notes.filter((note) => note.line === line.number) : []);
+
+// Side-by-side view of a structured diff (hunks from the `diff` package).
+// `annotations.old` and `annotations.new` ({ line, message, severity, label })
+// are shown under the line they refer to on that side.
+function DiffView({ hunks, annotations = {} }) {
+  const rows = toRows(hunks);
+  const oldNotes = annotations.old || [];
+  const newNotes = annotations.new || [];
+
+  const noteCell = (notes) => (
+    <TableCell colSpan={2} sx={{ ...cellSx, fontFamily: 'inherit', width: 'auto' }}>
+      {notes.map((note, index) => (
+        <Typography key={index} variant="body2" sx={{ color: noteColor(note.severity) }}>
+          {note.label && <strong>{note.label}: </strong>}
+          {note.message}
+        </Typography>
+      ))}
+    </TableCell>
+  );
+
+  const side = (line, changed, color) => [
+    <TableCell key="number" sx={{ ...numberSx, bgcolor: line && changed ? color : undefined }}>
+      {line ? line.number : ''}
+    </TableCell>,
+    <TableCell key="text" sx={{ ...cellSx, bgcolor: line && changed ? color : undefined }}>
+      {line ? line.text : ''}
+    </TableCell>,
+  ];
+
+  return (
+    <Box sx={{ overflowX: 'auto', border: 1, borderColor: 'divider', borderRadius: 1 }}>
+      <Table size="small">
+        <TableBody>
+          {rows.map((row, index) => (
+            row.type === 'hunk' ? (
+              <TableRow key={index}>
+                <TableCell colSpan={4} sx={{ ...cellSx, bgcolor: 'grey.100', color: 'text.secondary' }}>
+                  {row.text}
+                </TableCell>
+              </TableRow>
+            ) : (
+              <React.Fragment key={index}>
+                <TableRow>
+                  {side(row.left, row.type === 'change', 'error.light')}
+                  {side(row.right, row.type === 'change', 'success.light')}
+                </TableRow>
+                {(notesFor(oldNotes, row.left).length > 0 || notesFor(newNotes, row.right).length > 0) && (
+                  <TableRow>
+                    {noteCell(notesFor(oldNotes, row.left))}
+                    {noteCell(notesFor(newNotes, row.right))}
+                  </TableRow>
+                )}
+              </React.Fragment>
+            )
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+}
+
+export default DiffView;
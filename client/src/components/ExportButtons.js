@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Alert, Box, Button, ButtonGroup, CircularProgress, Typography } from '@mui/material';
+import api from '../api';
+
+const FORMATS = [
+  { id: 'md', label: 'Markdown' },
+  { id: 'html', label: 'HTML' },
+  { id: 'pdf', label: 'PDF' },
+];
+
+// The file name the server gives the download, from Content-Disposition
+const fileName = (disposition, format) => {
+  const match = /filename="([^"]+)"/.exec(disposition || '');
+  return match ? match[1] : `review.${format}`;
+};
+
+// Downloads the review as a report. A saved review is exported from
+// history, with the code it was made from; otherwise the review and code
+// are posted.
+function ExportButtons({ review, reviewId, code, language }) {
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setError('');
+    try {
+      const response = reviewId
+        ? await api.get(`/api/reviews/${reviewId}/export`, { params: { format }, responseType: 'blob' })
+        : await api.post('/api/export', { format, code, language, review }, { responseType: 'blob' });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName(response.headers['content-disposition'], format);
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error details:', error);
+      // Error bodies arrive as a Blob too
+      const body = error.response?.data instanceof Blob
+        ? await error.response.data.text().then(JSON.parse).catch(() => ({}))
+        : {};
+      setError(body.error || error.message || 'Error exporting review.');
+    }
+    setExporting(null);
+  };
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+        <Typography variant="body2" color="text.secondary">
+          Export report:
+        </Typography>
+        <ButtonGroup size="small" variant="outlined" disabled={Boolean(exporting)}>
+          {FORMATS.map((format) => (
+            <Button key={format.id} onClick={() => handleExport(format.id)}>
+              {exporting === format.id ? <CircularProgress size={16} /> : format.label}
+            </Button>
+          ))}
+        </ButtonGroup>
+      </Box>
+      {error && (
+        <Alert severity="error" sx={{ mt: 1 }}>
+          {error}
+        </Alert>
+      )}
+    </Box>
+  );
+}
+
+export default ExportButtons;
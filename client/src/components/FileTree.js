@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Chip,
+  Collapse,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+} from '@mui/material';
+import FolderIcon from '@mui/icons-material/Folder';
+import FolderOpenIcon from '@mui/icons-material/FolderOpen';
+import DescriptionIcon from '@mui/icons-material/Description';
+
+// Turns flat paths into nested { name, path, children, file } nodes
+const buildTree = (files) => {
+  const root = { children: {} };
+
+  files.forEach((file) => {
+    let node = root;
+    const parts = file.path.split('/');
+    parts.forEach((part, index) => {
+      const nodePath = parts.slice(0, index + 1).join('/');
+      if (!node.children[part]) {
+        node.children[part] = { name: part, path: nodePath, children: {} };
+      }
+      node = node.children[part];
+    });
+    node.file = file;
+  });
+
+  return root;
+};
+
+const sortNodes = (nodes) => Object.values(nodes).sort((a, b) => {
+  // Folders before files, then alphabetically
+  if (!a.file !== !b.file) return a.file ? 1 : -1;
+  return a.name.localeCompare(b.name);
+});
+
+function TreeNode({ node, depth, selectedPath, onSelect }) {
+  const [open, setOpen] = useState(true);
+
+  if (node.file) {
+    const { bugCount } = node.file.review.debugging;
+    return (
+      <ListItemButton
+        selected={node.path === selectedPath}
+        onClick={() => onSelect(node.path)}
+        sx={{ pl: 2 + depth * 2 }}
+      >
+        <ListItemIcon sx={{ minWidth: 32 }}>
+          <DescriptionIcon fontSize="small" />
+        </ListItemIcon>
+        <ListItemText primary={node.name} primaryTypographyProps={{ noWrap: true }} />
+        <Chip label={bugCount} size="small" color={bugCount ? 'warning' : 'success'} />
+      </ListItemButton>
+    );
+  }
+
+  return (
+    <>
+      <ListItemButton onClick={() => setOpen(!open)} sx={{ pl: 2 + depth * 2 }}>
+        <ListItemIcon sx={{ minWidth: 32 }}>
+          {open ? <FolderOpenIcon fontSize="small" /> : <FolderIcon fontSize="small" />}
+        </ListItemIcon>
+        <ListItemText primary={node.name} primaryTypographyProps={{ noWrap: true }} />
+      </ListItemButton>
+      <Collapse in={open}>
+        {sortNodes(node.children).map((child) => (
+          <TreeNode
+            key={child.path}
+            node={child}
+            depth={depth + 1}
+            selectedPath={selectedPath}
+            onSelect={onSelect}
+          />
+        ))}
+      </Collapse>
+    </>
+  );
+}
+
+function FileTree({ files, selectedPath, onSelect }) {
+  const tree = useMemo(() => buildTree(files), [files]);
+
+  return (
+    <List dense disablePadding>
+      {sortNodes(tree.children).map((node) => (
+        <TreeNode
+          key={node.path}
+          node={node}
+          depth={0}
+          selectedPath={selectedPath}
+          onSelect={onSelect}
+        />
+      ))}
+    </List>
+  );
+}
+
+export default FileTree;
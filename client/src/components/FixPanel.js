@@ -0,0 +1,103 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  CircularProgress,
+  FormControlLabel,
+  Paper,
+  Typography,
+} from '@mui/material';
+import api from '../api';
+import DiffView from './DiffView';
+
+// Mechanical fixes in a review, one per fix id
+const collectFixes = (review) => {
+  const fixes = new Map();
+  [...review.debugging.bugs, ...review.suggestions].forEach((finding) => {
+    if (finding.fix?.edits && !fixes.has(finding.fix.id)) {
+      fixes.set(finding.fix.id, { ...finding.fix, message: finding.message, line: finding.line });
+    }
+  });
+  return Array.from(fixes.values());
+};
+
+// Lets the user pick fixes, preview the patched code side by side and copy
+// it into the editor
+function FixPanel({ review, code, language, rules, onApply }) {
+  const fixes = useMemo(() => collectFixes(review), [review]);
+  const [selected, setSelected] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setSelected(fixes.map((fix) => fix.id));
+    setPreview(null);
+  }, [fixes]);
+
+  if (fixes.length === 0) return null;
+
+  const toggle = (id) => {
+    setSelected((current) => (current.includes(id) ? current.filter((value) => value !== id) : [...current, id]));
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await api.post('/api/fix', { code, language, options: { rules }, fixIds: selected });
+      setPreview(response.data);
+    } catch (error) {
+      console.error('Error details:', error);
+      setError(error.response?.data?.error || error.message || 'Error applying fixes.');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        Automatic Fixes
+      </Typography>
+
+      {fixes.map((fix) => (
+        <Box key={fix.id}>
+          <FormControlLabel
+            control={<Checkbox checked={selected.includes(fix.id)} onChange={() => toggle(fix.id)} />}
+            label={`${fix.message}${fix.line ? ` (line ${fix.line})` : ''}`}
+          />
+        </Box>
+      ))}
+
+      <Box sx={{ display: 'flex', gap: 1, my: 2 }}>
+        <Button variant="outlined" onClick={handlePreview} disabled={loading || selected.length === 0}>
+          {loading ? <CircularProgress size={24} /> : 'Preview Fixes'}
+        </Button>
+        {preview && (
+          <Button variant="contained" onClick={() => onApply(preview.code)} disabled={preview.applied.length === 0}>
+            Apply to Editor
+          </Button>
+        )}
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {preview && preview.skipped.length > 0 && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          {preview.skipped.length} fix(es) overlap another fix and were not applied. Apply and review again to pick them up.
+        </Alert>
+      )}
+
+      {preview && <DiffView hunks={preview.hunks} />}
+    </Paper>
+  );
+}
+
+export default FixPanel;
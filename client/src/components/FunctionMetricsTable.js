@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TableSortLabel,
+  Tooltip,
+} from '@mui/material';
+
+const COLUMNS = [
+  { id: 'name', label: 'Function' },
+  { id: 'line', label: 'Lines', numeric: true },
+  { id: 'cyclomatic', label: 'Cyclomatic', numeric: true, help: 'Independent paths through the function' },
+  { id: 'cognitive', label: 'Cognitive', numeric: true, help: 'How hard the control flow is to follow; nesting costs more' },
+  { id: 'nesting', label: 'Nesting', numeric: true, help: 'Deepest nested block' },
+  { id: 'params', label: 'Params', numeric: true },
+  { id: 'loc', label: 'LOC', numeric: true, help: 'Lines with code' },
+  { id: 'maintainabilityIndex', label: 'Maintainability', numeric: true, help: '0-100, higher is easier to maintain' },
+];
+
+// Same bands as the server's THRESHOLDS in analyzers/metrics.js
+const cellColor = (column, value) => {
+  if (column === 'cyclomatic' && value > 20) return 'error.main';
+  if (column === 'cyclomatic' && value > 10) return 'warning.main';
+  if (column === 'cognitive' && value > 15) return 'error.main';
+  if (column === 'cognitive' && value > 8) return 'warning.main';
+  if (column === 'maintainabilityIndex' && value < 10) return 'error.main';
+  if (column === 'maintainabilityIndex' && value < 20) return 'warning.main';
+  return undefined;
+};
+
+const compare = (a, b, orderBy) => (
+  typeof a[orderBy] === 'string' ? a[orderBy].localeCompare(b[orderBy]) : a[orderBy] - b[orderBy]
+);
+
+// Per-function metrics from the review, sortable by any column
+function FunctionMetricsTable({ functions }) {
+  const [orderBy, setOrderBy] = useState('cognitive');
+  const [order, setOrder] = useState('desc');
+
+  const handleSort = (column) => {
+    if (orderBy === column) {
+      setOrder(order === 'asc' ? 'desc' : 'asc');
+    } else {
+      setOrderBy(column);
+      setOrder(column === 'name' || column === 'line' ? 'asc' : 'desc');
+    }
+  };
+
+  const rows = [...functions].sort((a, b) => (order === 'asc' ? 1 : -1) * compare(a, b, orderBy));
+
+  return (
+    <TableContainer sx={{ maxHeight: 400 }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            {COLUMNS.map((column) => (
+              <TableCell key={column.id} align={column.numeric ? 'right' : 'left'}>
+                <Tooltip title={column.help || ''}>
+                  <TableSortLabel
+                    active={orderBy === column.id}
+                    direction={orderBy === column.id ? order : 'asc'}
+                    onClick={() => handleSort(column.id)}
+                  >
+                    {column.label}
+                  </TableSortLabel>
+                </Tooltip>
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map((fn) => (
+            <TableRow key={`${fn.name}:${fn.line}`} hover>
+              <TableCell sx={{ fontFamily: 'monospace' }}>{fn.name}</TableCell>
+              <TableCell align="right">{fn.line === fn.endLine ? fn.line : `${fn.line}-${fn.endLine}`}</TableCell>
+              {COLUMNS.slice(2).map((column) => (
+                <TableCell key={column.id} align="right" sx={{ color: cellColor(column.id, fn[column.id]) }}>
+                  {fn[column.id]}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+export default FunctionMetricsTable;
@@ -0,0 +1,256 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  IconButton,
+  MenuItem,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import api from '../api';
+
+// Parameters set to their defaults, for a newly added criterion
+const defaultParams = (definition) => Object.fromEntries(
+  Object.entries(definition.params)
+    .filter(([, spec]) => spec.default !== undefined)
+    .map(([name, spec]) => [name, spec.default])
+);
+
+const scoreColor = (score) => {
+  if (score === null) return 'default';
+  if (score >= 80) return 'success';
+  return score >= 50 ? 'warning' : 'error';
+};
+
+// Grades the code against an editable rubric of weighted criteria. Grading
+// re-runs the review with the same rules and the Run Code test cases.
+function GradePanel({ review, code, language, rules, tests }) {
+  const [criteriaTypes, setCriteriaTypes] = useState([]);
+  const [defaultRubric, setDefaultRubric] = useState(null);
+  const [criteria, setCriteria] = useState([]);
+  const [grade, setGrade] = useState(null);
+  const [grading, setGrading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.get('/api/grade')
+      .then((response) => {
+        setCriteriaTypes(response.data.criteria);
+        setDefaultRubric(response.data.defaultRubric);
+        setCriteria(response.data.defaultRubric.criteria);
+      })
+      .catch((error) => console.error('Error loading rubric criteria:', error));
+  }, []);
+
+  // A grade is for the reviewed code only
+  useEffect(() => {
+    setGrade(null);
+  }, [review]);
+
+  const definitionOf = (type) => criteriaTypes.find((definition) => definition.type === type);
+
+  const updateCriterion = (index, changes) => {
+    setCriteria((current) => current.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion)));
+  };
+
+  // A parameter left empty is dropped so the server uses its default
+  const setParam = (index, name, value) => {
+    setCriteria((current) => current.map((criterion, i) => {
+      if (i !== index) return criterion;
+      const { [name]: previous, ...rest } = criterion;
+      return value === '' ? rest : { ...rest, [name]: value };
+    }));
+  };
+
+  const changeType = (index, type) => {
+    setCriteria((current) => current.map((criterion, i) => (
+      i === index ? { type, weight: criterion.weight, ...defaultParams(definitionOf(type)) } : criterion
+    )));
+  };
+
+  const handleGrade = async () => {
+    setGrading(true);
+    setError('');
+    try {
+      const response = await api.post('/api/grade', {
+        code,
+        language,
+        rubric: { criteria },
+        options: { rules },
+        tests,
+      });
+      setGrade(response.data.grade);
+    } catch (error) {
+      console.error('Error details:', error);
+      setError(error.response?.data?.error || error.message || 'Error grading code.');
+    }
+    setGrading(false);
+  };
+
+  if (!defaultRubric) return null;
+
+  return (
+    <Paper sx={{ p: 3, mb: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        Grade
+      </Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Each criterion earns its weight when met. Test pass rate uses the test cases under Run Code.
+      </Typography>
+
+      <Table size="small" sx={{ mb: 2 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Criterion</TableCell>
+            <TableCell>Settings</TableCell>
+            <TableCell sx={{ width: 100 }}>Weight</TableCell>
+            <TableCell padding="checkbox" />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {criteria.map((criterion, index) => {
+            const definition = definitionOf(criterion.type);
+            return (
+              <TableRow key={index}>
+                <TableCell>
+                  <TextField
+                    select
+                    size="small"
+                    value={criterion.type}
+                    onChange={(e) => changeType(index, e.target.value)}
+                    helperText={definition?.description}
+                  >
+                    {criteriaTypes.map((option) => (
+                      <MenuItem key={option.type} value={option.type}>{option.type}</MenuItem>
+                    ))}
+                  </TextField>
+                </TableCell>
+                <TableCell>
+                  <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                    {definition && Object.entries(definition.params).map(([name, spec]) => (spec.values ? (
+                      <TextField
+                        key={name}
+                        select
+                        size="small"
+                        label={name}
+                        value={criterion[name] ?? ''}
+                        onChange={(e) => setParam(index, name, e.target.value)}
+                        sx={{ minWidth: 140 }}
+                      >
+                        {spec.default === undefined && <MenuItem value="">any</MenuItem>}
+                        {spec.values.map((value) => (
+                          <MenuItem key={value} value={value}>{value}</MenuItem>
+                        ))}
+                      </TextField>
+                    ) : (
+                      <TextField
+                        key={name}
+                        type="number"
+                        size="small"
+                        label={name}
+                        value={criterion[name] ?? ''}
+                        onChange={(e) => setParam(index, name, e.target.value === '' ? '' : Number(e.target.value))}
+                        inputProps={{ min: spec.min, max: spec.max }}
+                        sx={{ width: 100 }}
+                      />
+                    )))}
+                  </Box>
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    type="number"
+                    size="small"
+                    value={criterion.weight}
+                    onChange={(e) => updateCriterion(index, { weight: Number(e.target.value) })}
+                    inputProps={{ min: 0 }}
+                  />
+                </TableCell>
+                <TableCell padding="checkbox">
+                  <IconButton
+                    aria-label="Remove criterion"
+                    onClick={() => setCriteria((current) => current.filter((_, i) => i !== index))}
+                  >
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+
+      <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+        <Button
+          size="small"
+          onClick={() => setCriteria((current) => [
+            ...current,
+            { type: criteriaTypes[0].type, weight: 10, ...defaultParams(criteriaTypes[0]) },
+          ])}
+        >
+          Add Criterion
+        </Button>
+        <Button size="small" onClick={() => setCriteria(defaultRubric.criteria)}>
+          Reset to Default
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button variant="contained" onClick={handleGrade} disabled={grading || !code || criteria.length === 0}>
+          {grading ? <CircularProgress size={24} /> : 'Grade Code'}
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {grade && (
+        <Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+            <Chip
+              label={grade.score === null ? 'Not graded' : `${grade.score} / 100`}
+              color={scoreColor(grade.score)}
+            />
+            <Typography variant="body2" color="text.secondary">
+              {grade.points} of {grade.maxPoints} points
+            </Typography>
+          </Box>
+          <Typography gutterBottom>{grade.justification}</Typography>
+
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Criterion</TableCell>
+                <TableCell align="right">Points</TableCell>
+                <TableCell>Justification</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {grade.criteria.map((criterion, index) => (
+                <TableRow key={index}>
+                  <TableCell>{criterion.label}</TableCell>
+                  <TableCell align="right">
+                    {criterion.skipped ? 'not graded' : `${criterion.points} / ${criterion.weight}`}
+                  </TableCell>
+                  <TableCell>{criterion.justification}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Box>
+      )}
+    </Paper>
+  );
+}
+
+export default GradePanel;
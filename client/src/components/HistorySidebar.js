@@ -0,0 +1,141 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  FormControl,
+  IconButton,
+  InputLabel,
+  List,
+  ListItemButton,
+  ListItemText,
+  MenuItem,
+  Paper,
+  Select,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import api from '../api';
+
+const BUG_TYPES = ['syntax', 'runtime', 'logical', 'security'];
+
+function HistorySidebar({ languages, selectedId, refreshKey, onOpen }) {
+  const [reviews, setReviews] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [language, setLanguage] = useState('');
+  const [bugType, setBugType] = useState('');
+  const [error, setError] = useState('');
+
+  const loadPage = useCallback(async (pageToLoad) => {
+    try {
+      const response = await api.get('/api/reviews', {
+        params: {
+          page: pageToLoad,
+          language: language || undefined,
+          bugType: bugType || undefined,
+        },
+      });
+      setReviews((current) => (pageToLoad === 1
+        ? response.data.reviews
+        : [...current, ...response.data.reviews]));
+      setPage(pageToLoad);
+      setTotalPages(response.data.totalPages);
+      setError('');
+    } catch (error) {
+      console.error('Error loading history:', error);
+      setError(error.response?.data?.error || 'History is unavailable');
+    }
+  }, [language, bugType]);
+
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage, refreshKey]);
+
+  const handleDelete = async (id) => {
+    try {
+      await api.delete(`/api/reviews/${id}`);
+      setReviews((current) => current.filter((review) => review.id !== id));
+    } catch (error) {
+      console.error('Error deleting review:', error);
+      setError(error.response?.data?.error || 'Failed to delete review');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        History
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+        <FormControl size="small" fullWidth>
+          <InputLabel>Language</InputLabel>
+          <Select value={language} label="Language" onChange={(e) => setLanguage(e.target.value)}>
+            <MenuItem value="">All</MenuItem>
+            {languages.map((option) => (
+              <MenuItem key={option.id} value={option.id}>{option.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" fullWidth>
+          <InputLabel>Bug type</InputLabel>
+          <Select value={bugType} label="Bug type" onChange={(e) => setBugType(e.target.value)}>
+            <MenuItem value="">All</MenuItem>
+            {BUG_TYPES.map((type) => (
+              <MenuItem key={type} value={type}>{type}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {error && (
+        <Typography variant="body2" color="text.secondary">
+          {error}
+        </Typography>
+      )}
+
+      {!error && reviews.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          No reviews yet.
+        </Typography>
+      )}
+
+      <List dense disablePadding>
+        {reviews.map((review) => (
+          <ListItemButton
+            key={review.id}
+            selected={review.id === selectedId}
+            onClick={() => onOpen(review.id)}
+          >
+            <ListItemText
+              primary={review.preview || '(empty)'}
+              secondary={new Date(review.createdAt).toLocaleString()}
+              primaryTypographyProps={{ noWrap: true, fontFamily: 'monospace' }}
+            />
+            <Chip label={review.bugCount} size="small" color={review.bugCount ? 'warning' : 'success'} sx={{ mx: 1 }} />
+            <IconButton
+              edge="end"
+              size="small"
+              aria-label="Delete review"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleDelete(review.id);
+              }}
+            >
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </ListItemButton>
+        ))}
+      </List>
+
+      {page < totalPages && (
+        <Button size="small" fullWidth onClick={() => loadPage(page + 1)}>
+          Load more
+        </Button>
+      )}
+    </Paper>
+  );
+}
+
+export default HistorySidebar;
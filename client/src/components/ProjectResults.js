@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Chip,
+  Grid,
+  Paper,
+  Typography,
+} from '@mui/material';
+import FileTree from './FileTree';
+import ReviewResults from './ReviewResults';
+
+function ProjectResults({ project }) {
+  const [selectedPath, setSelectedPath] = useState(null);
+
+  useEffect(() => {
+    setSelectedPath(project.files.length ? project.files[0].path : null);
+  }, [project]);
+
+  const selectedFile = project.files.find((file) => file.path === selectedPath);
+
+  return (
+    <Box>
+      <Paper sx={{ p: 3, mb: 2 }}>
+        <Typography variant="h5" gutterBottom>
+          Project Report
+        </Typography>
+        <Typography gutterBottom>
+          {project.fileCount} files, {project.totalLines} lines, {project.bugCount} issues found
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+          <Chip label={`Syntax: ${project.bugTypes.syntax}`} color="error" size="small" />
+          <Chip label={`Runtime: ${project.bugTypes.runtime}`} color="warning" size="small" />
+          <Chip label={`Logical: ${project.bugTypes.logical}`} color="info" size="small" />
+          <Chip label={`Security: ${project.bugTypes.security}`} color="error" size="small" />
+        </Box>
+        {project.skipped.length > 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            Skipped: {project.skipped.map((file) => `${file.path} (${file.reason})`).join(', ')}
+          </Typography>
+        )}
+      </Paper>
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={4}>
+          <Paper sx={{ py: 1 }}>
+            <FileTree files={project.files} selectedPath={selectedPath} onSelect={setSelectedPath} />
+          </Paper>
+        </Grid>
+        <Grid item xs={12} md={8}>
+          {selectedFile ? (
+            <>
+              <Typography variant="subtitle1" sx={{ fontFamily: 'monospace', mb: 1 }}>
+                {selectedFile.path}
+              </Typography>
+              <ReviewResults review={selectedFile.review} />
+            </>
+          ) : (
+            <Typography color="text.secondary">
+              No reviewable source files were found.
+            </Typography>
+          )}
+        </Grid>
+      </Grid>
+    </Box>
+  );
+}
+
+export default ProjectResults;
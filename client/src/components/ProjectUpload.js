@@ -0,0 +1,111 @@
+import React, { useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Paper,
+  Typography,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import api from '../api';
+
+function ProjectUpload({ onResult, onError }) {
+  const [files, setFiles] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const inputRef = useRef(null);
+
+  const addFiles = (fileList) => {
+    const added = Array.from(fileList);
+    setFiles((current) => [
+      ...current.filter((file) => !added.some((newFile) => newFile.name === file.name)),
+      ...added,
+    ]);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  const handleSubmit = async () => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+
+    setLoading(true);
+    onError('');
+    try {
+      const response = await api.post('/api/review/project', formData);
+      onResult(response.data.project);
+    } catch (error) {
+      console.error('Error details:', error);
+      onError(error.response?.data?.error || error.message || 'Error reviewing files. Please try again.');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <Box sx={{ mb: 4 }}>
+      <Paper
+        variant="outlined"
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current.click()}
+        sx={{
+          p: 4,
+          mb: 2,
+          textAlign: 'center',
+          cursor: 'pointer',
+          borderStyle: 'dashed',
+          borderColor: dragging ? 'primary.main' : 'divider',
+          bgcolor: dragging ? 'action.hover' : 'background.paper',
+        }}
+      >
+        <UploadFileIcon color="action" fontSize="large" />
+        <Typography>
+          Drag source files or a .zip archive here, or click to choose files
+        </Typography>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          hidden
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = '';
+          }}
+        />
+      </Paper>
+
+      {files.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+          {files.map((file) => (
+            <Chip
+              key={file.name}
+              label={file.name}
+              onDelete={() => setFiles((current) => current.filter((other) => other !== file))}
+            />
+          ))}
+        </Box>
+      )}
+
+      <Button
+        variant="contained"
+        color="primary"
+        disabled={loading || files.length === 0}
+        onClick={handleSubmit}
+        fullWidth
+      >
+        {loading ? <CircularProgress size={24} /> : `Review ${files.length || ''} File${files.length === 1 ? '' : 's'}`}
+      </Button>
+    </Box>
+  );
+}
+
+export default ProjectUpload;
@@ -0,0 +1,82 @@
+import React from 'react';
+import {
+  Box,
+  Chip,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Paper,
+  Typography,
+} from '@mui/material';
+
+const BUG_TYPES = ['syntax', 'runtime', 'logical', 'security'];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Live view of a streaming review: rule-based checkers as they finish, the
+// findings so far (until the full results arrive) and the LLM output as it
+// is generated
+function ReviewProgress({ progress, showFindings }) {
+  const findingsFor = (type) => progress.findings.filter((bug) => bug.type === type);
+
+  return (
+    <Paper sx={{ p: 3, mb: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        Reviewing...
+      </Typography>
+      <LinearProgress sx={{ mb: 2 }} />
+
+      <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+        {BUG_TYPES.map((type) => (
+          progress.checked.includes(type) ? (
+            <Chip
+              key={type}
+              label={`${capitalize(type)}: ${findingsFor(type).length}`}
+              color={findingsFor(type).length ? 'warning' : 'success'}
+              size="small"
+            />
+          ) : (
+            <Chip key={type} label={`${capitalize(type)}: checking`} variant="outlined" size="small" />
+          )
+        ))}
+      </Box>
+
+      {showFindings && progress.findings.length > 0 && (
+        <List dense>
+          {progress.findings.map((bug, index) => (
+            <ListItem key={index} disableGutters>
+              <ListItemText primary={bug.message} secondary={`${capitalize(bug.type)} - Line ${bug.line}`} />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      {progress.llmText && (
+        <>
+          <Typography variant="subtitle2" gutterBottom>
+            AI review{progress.attempt > 1 ? ` (attempt ${progress.attempt})` : ''}
+          </Typography>
+          <Box
+            component="pre"
+            sx={{
+              bgcolor: 'grey.100',
+              p: 1,
+              borderRadius: 1,
+              maxHeight: 200,
+              overflow: 'auto',
+              whiteSpace: 'pre-wrap',
+              wordBreak: 'break-word',
+              fontSize: '0.8rem',
+              m: 0,
+            }}
+          >
+            {progress.llmText}
+          </Box>
+        </>
+      )}
+    </Paper>
+  );
+}
+
+export default ReviewProgress;
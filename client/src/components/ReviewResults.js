@@ -0,0 +1,422 @@
+import React from 'react';
+import {
+  Accordion,
+  AccordionDetails,
+  AccordionSummary,
+  Alert,
+  Box,
+  Chip,
+  Divider,
+  Grid,
+  Link,
+  Paper,
+  Typography,
+} from '@mui/material';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import RunResults from './RunResults';
+import FunctionMetricsTable from './FunctionMetricsTable';
+import ChangesView from './ChangesView';
+
+const getMetricColor = (metric) => {
+  switch (metric) {
+    case 'High': return 'success';
+    case 'Medium': return 'warning';
+    case 'Low': return 'error';
+    default: return 'default';
+  }
+};
+
+// Unlike the other metrics, high complexity is bad
+const getComplexityColor = (complexity) => {
+  switch (complexity) {
+    case 'Low': return 'success';
+    case 'Medium': return 'warning';
+    case 'High': return 'error';
+    default: return 'default';
+  }
+};
+
+const getBugTypeColor = (type) => {
+  switch (type) {
+    case 'syntax': return 'error';
+    case 'runtime': return 'warning';
+    case 'logical': return 'info';
+    case 'security': return 'error';
+    default: return 'default';
+  }
+};
+
+const getSeverityColor = (severity) => {
+  switch (severity) {
+    case 'error': return 'error';
+    case 'warning': return 'warning';
+    case 'info': return 'info';
+    default: return 'default';
+  }
+};
+
+const formatLocation = (bug) => {
+  if (bug.endLine && bug.endLine !== bug.line) {
+    return `Lines: ${bug.line}-${bug.endLine}`;
+  }
+  return `Line: ${bug.line}${bug.column ? `, Column: ${bug.column}` : ''}`;
+};
+
+// Shows whether a finding came from the rule-based analyzer, the LLM pass or
+// actually running the code
+function SourceChip({ source }) {
+  switch (source) {
+    case 'llm': return <Chip label="AI" color="secondary" size="small" sx={{ ml: 1 }} />;
+    case 'run': return <Chip label="Run" color="primary" size="small" sx={{ ml: 1 }} />;
+    default: return <Chip label="Rule" variant="outlined" size="small" sx={{ ml: 1 }} />;
+  }
+}
+
+// `onSelectLine(line)`, when given, makes each bug's location a link to
+// that line in the editor
+function ReviewResults({ review, onSelectLine }) {
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="h5" gutterBottom>
+        Review Results
+      </Typography>
+
+      {review.llm?.error && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {review.llm.error}. Showing rule-based findings only.
+        </Alert>
+      )}
+
+      {review.execution?.error && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {review.execution.error}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <Typography variant="h6" gutterBottom>
+            Code Analysis
+          </Typography>
+          <Box sx={{ mb: 2 }}>
+            <Typography><strong>Language:</strong> {review.codeAnalysis.language}</Typography>
+            <Typography><strong>Total Lines:</strong> {review.codeAnalysis.totalLines}</Typography>
+            <Typography><strong>Comment Lines:</strong> {review.codeAnalysis.commentLines}</Typography>
+            <Typography><strong>Function Count:</strong> {review.codeAnalysis.functionCount}</Typography>
+            <Typography><strong>Code to Comment Ratio:</strong> {review.codeAnalysis.codeToCommentRatio.toFixed(1)}%</Typography>
+            <Box sx={{ mt: 1 }}>
+              <Chip 
+                label={`Complexity: ${review.codeAnalysis.complexity}`}
+                color={getComplexityColor(review.codeAnalysis.complexity)}
+                size="small"
+                sx={{ mr: 1 }}
+              />
+            </Box>
+          </Box>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <Typography variant="h6" gutterBottom>
+            Code Metrics
+          </Typography>
+          <Box sx={{ mb: 2 }}>
+            <Chip 
+              label={`Maintainability: ${review.metrics.maintainability}`}
+              color={getMetricColor(review.metrics.maintainability)}
+              sx={{ mr: 1, mb: 1 }}
+            />
+            <Chip 
+              label={`Readability: ${review.metrics.readability}`}
+              color={getMetricColor(review.metrics.readability)}
+              sx={{ mr: 1, mb: 1 }}
+            />
+            <Chip 
+              label={`Efficiency: ${review.metrics.efficiency}`}
+              color={getMetricColor(review.metrics.efficiency)}
+              sx={{ mr: 1, mb: 1 }}
+            />
+          </Box>
+        </Grid>
+
+        {review.codeAnalysis.functions?.length > 0 && (
+          <Grid item xs={12}>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="h6" gutterBottom>
+              Functions
+            </Typography>
+            <FunctionMetricsTable functions={review.codeAnalysis.functions} />
+          </Grid>
+        )}
+
+        {review.changes && (
+          <Grid item xs={12}>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="h6" gutterBottom>
+              Changes
+            </Typography>
+            <ChangesView review={review} />
+          </Grid>
+        )}
+
+        <Grid item xs={12}>
+          <Divider sx={{ my: 2 }} />
+          <Typography variant="h6" gutterBottom>
+            Debugging Analysis
+          </Typography>
+          <Box sx={{ mb: 2 }}>
+            <Typography variant="subtitle1" gutterBottom>
+              Total Issues Found{review.changes ? ' on Changed Lines' : ''}: {review.debugging.bugCount}
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+              <Chip 
+                label={`Syntax: ${review.debugging.bugTypes.syntax}`}
+                color="error"
+                size="small"
+              />
+              <Chip 
+                label={`Runtime: ${review.debugging.bugTypes.runtime}`}
+                color="warning"
+                size="small"
+              />
+              <Chip 
+                label={`Logical: ${review.debugging.bugTypes.logical}`}
+                color="info"
+                size="small"
+              />
+              <Chip 
+                label={`Security: ${review.debugging.bugTypes.security}`}
+                color="error"
+                size="small"
+              />
+            </Box>
+          </Box>
+
+          {review.debugging.bugs.length > 0 ? (
+            <Box>
+              {review.debugging.bugs.map((bug, index) => (
+                <Paper 
+                  key={index} 
+                  sx={{ 
+                    p: 2, 
+                    mb: 2, 
+                    borderLeft: 4, 
+                    borderColor: getBugTypeColor(bug.type),
+                    backgroundColor: 'background.default'
+                  }}
+                >
+                  <Typography variant="subtitle1" gutterBottom>
+                    {bug.message}
+                    {bug.severity && (
+                      <Chip label={bug.severity} color={getSeverityColor(bug.severity)} size="small" sx={{ ml: 1 }} />
+                    )}
+                    <SourceChip source={bug.source} />
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" gutterBottom>
+                    {onSelectLine && bug.line > 0 ? (
+                      <Link component="button" type="button" variant="body2" onClick={() => onSelectLine(bug.line)}>
+                        {formatLocation(bug)}
+                      </Link>
+                    ) : formatLocation(bug)}
+                    {bug.rule && <Box component="span" sx={{ ml: 2, fontFamily: 'monospace' }}>{bug.rule}</Box>}
+                    {bug.cwe && (
+                      <Link
+                        href={`https://cwe.mitre.org/data/definitions/${bug.cwe.replace(/^CWE-/, '')}.html`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        variant="body2"
+                        sx={{ ml: 2 }}
+                      >
+                        {bug.cwe}
+                      </Link>
+                    )}
+                  </Typography>
+                  {bug.explanation && (
+                    <Typography
+                      variant="body2"
+                      gutterBottom
+                      sx={bug.source === 'run' ? { fontFamily: 'monospace', whiteSpace: 'pre-wrap' } : undefined}
+                    >
+                      {bug.explanation}
+                    </Typography>
+                  )}
+
+                  {bug.fix && (
+                    <Accordion sx={{ mt: 2 }}>
+                      <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                        <Typography variant="body2" color="success.main">
+                          View Suggested Fix
+                        </Typography>
+                      </AccordionSummary>
+                      <AccordionDetails>
+                        <Box sx={{ mb: 2 }}>
+                          <Typography variant="subtitle2" gutterBottom>
+                            Before:
+                          </Typography>
+                          <Paper 
+                            sx={{ 
+                              p: 2, 
+                              bgcolor: 'grey.100',
+                              fontFamily: 'monospace',
+                              whiteSpace: 'pre-wrap'
+                            }}
+                          >
+                            {bug.fix.before}
+                          </Paper>
+                        </Box>
+
+                        <Box sx={{ mb: 2 }}>
+                          <Typography variant="subtitle2" gutterBottom>
+                            After:
+                          </Typography>
+                          <Paper 
+                            sx={{ 
+                              p: 2, 
+                              bgcolor: 'success.light',
+                              fontFamily: 'monospace',
+                              whiteSpace: 'pre-wrap'
+                            }}
+                          >
+                            {bug.fix.after}
+                          </Paper>
+                        </Box>
+
+                        <Typography variant="body2" color="text.secondary">
+                          {bug.fix.explanation}
+                        </Typography>
+                      </AccordionDetails>
+                    </Accordion>
+                  )}
+                </Paper>
+              ))}
+            </Box>
+          ) : (
+            <Typography color="success.main">
+              No potential bugs or issues found in the code.
+            </Typography>
+          )}
+
+          {review.debugging.suppressed?.length > 0 && (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                Suppressed by comments
+              </Typography>
+              {review.debugging.suppressed.map((finding, index) => (
+                <Typography key={index} variant="body2" color="text.secondary">
+                  Line {finding.line}: {finding.message}{' '}
+                  <Box component="span" sx={{ fontFamily: 'monospace' }}>({finding.rule})</Box>
+                </Typography>
+              ))}
+            </Box>
+          )}
+
+          {review.debugging.disabledRules?.length > 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+              Rules turned off: {review.debugging.disabledRules.join(', ')}
+            </Typography>
+          )}
+        </Grid>
+
+        {review.execution?.runs && (
+          <Grid item xs={12}>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="h6" gutterBottom>
+              Execution
+            </Typography>
+            <RunResults result={review.execution} />
+          </Grid>
+        )}
+
+        {review.logicExplanation && (
+          <Grid item xs={12}>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="h6" gutterBottom>
+              How the Code Works
+              <SourceChip source="llm" />
+            </Typography>
+            <Paper sx={{ p: 2 }}>
+              <Typography sx={{ whiteSpace: 'pre-wrap' }}>
+                {review.logicExplanation}
+              </Typography>
+            </Paper>
+          </Grid>
+        )}
+
+        <Grid item xs={12}>
+          <Divider sx={{ my: 2 }} />
+          <Typography variant="h6" gutterBottom>
+            Suggestions for Improvement
+          </Typography>
+          <Box>
+            {review.suggestions.map((suggestion, index) => (
+              <Paper key={index} sx={{ p: 2, mb: 2 }}>
+                <Typography variant="subtitle1" gutterBottom>
+                  {suggestion.message}
+                  {suggestion.category && (
+                    <Chip label={suggestion.category} size="small" sx={{ ml: 1 }} />
+                  )}
+                  <SourceChip source={suggestion.source} />
+                </Typography>
+                {suggestion.example && (
+                  <Accordion>
+                    <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                      <Typography variant="body2" color="success.main">
+                        View Code Example
+                      </Typography>
+                    </AccordionSummary>
+                    <AccordionDetails>
+                      <Box sx={{ mb: 2 }}>
+                        <Typography variant="subtitle2" gutterBottom>
+                          Before:
+                        </Typography>
+                        <Paper 
+                          sx={{ 
+                            p: 2, 
+                            bgcolor: 'grey.100',
+                            fontFamily: 'monospace',
+                            whiteSpace: 'pre-wrap'
+                          }}
+                        >
+                          {suggestion.example.before}
+                        </Paper>
+                      </Box>
+
+                      <Box sx={{ mb: 2 }}>
+                        <Typography variant="subtitle2" gutterBottom>
+                          After:
+                        </Typography>
+                        <Paper 
+                          sx={{ 
+                            p: 2, 
+                            bgcolor: 'success.light',
+                            fontFamily: 'monospace',
+                            whiteSpace: 'pre-wrap'
+                          }}
+                        >
+                          {suggestion.example.after}
+                        </Paper>
+                      </Box>
+                    </AccordionDetails>
+                  </Accordion>
+                )}
+              </Paper>
+            ))}
+          </Box>
+        </Grid>
+
+        <Grid item xs={12}>
+          <Divider sx={{ my: 2 }} />
+          <Typography variant="h6" gutterBottom>
+            Best Practices for {review.codeAnalysis.language}
+          </Typography>
+          <ul>
+            {review.bestPractices.map((practice, index) => (
+              <li key={index}>{practice}</li>
+            ))}
+          </ul>
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+}
+
+export default ReviewResults;
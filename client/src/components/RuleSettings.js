@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import api from '../api';
+
+const LEVELS = ['off', 'error', 'warning', 'info'];
+
+// Sets rule levels for the current language. Changes apply to the next
+// review; signed-in users can also save them as their defaults.
+function RuleSettings({ language, rules, onChange, user, onUserChange }) {
+  const [open, setOpen] = useState(false);
+  const [available, setAvailable] = useState([]);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    api.get('/api/rules', { params: { language } })
+      .then((response) => setAvailable(response.data.rules))
+      .catch((error) => setError(error.response?.data?.error || error.message || 'Error loading rules.'));
+  }, [open, language]);
+
+  // 'on' turns a rule that is off by default on at its own severity
+  const shownLevel = (rule, level) => (level === 'on' ? rule.severity : level);
+  // The level without this request's overrides: the user's saved level or the rule's own
+  const defaultLevel = (rule) => shownLevel(rule, user?.settings?.rules?.[rule.id])
+    || (rule.enabled ? rule.severity : 'off');
+  const levelOf = (rule) => shownLevel(rule, rules[rule.id]) || defaultLevel(rule);
+
+  const setLevel = (rule, level) => {
+    const next = { ...rules };
+    if (level === defaultLevel(rule)) {
+      delete next[rule.id];
+    } else {
+      next[rule.id] = !rule.enabled && level === rule.severity ? 'on' : level;
+    }
+    onChange(next);
+  };
+
+  const handleSaveDefaults = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await api.patch('/api/auth/me', {
+        settings: { rules: { ...user.settings?.rules, ...rules } },
+      });
+      onUserChange(response.data.user);
+      onChange({});
+    } catch (error) {
+      console.error('Error details:', error);
+      setError(error.response?.data?.error || error.message || 'Error saving rules.');
+    }
+    setSaving(false);
+  };
+
+  const overrides = Object.keys(rules).length;
+
+  return (
+    <>
+      <Button size="small" onClick={() => setOpen(true)} sx={{ mb: 1 }}>
+        Rules{overrides ? ` (${overrides} changed)` : ''}
+      </Button>
+
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="md" fullWidth>
+        <DialogTitle>Rules</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Silence a single finding with a comment on the line above it, e.g.{' '}
+            <Box component="code">{language === 'python' ? '#' : '//'} reviewer-disable-next-line rule-id</Box>
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Rule</TableCell>
+                <TableCell>Description</TableCell>
+                <TableCell>Level</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {available.map((rule) => (
+                <TableRow key={rule.id}>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{rule.id}</TableCell>
+                  <TableCell>{rule.description}</TableCell>
+                  <TableCell>
+                    <Select size="small" value={levelOf(rule)} onChange={(e) => setLevel(rule, e.target.value)}>
+                      {LEVELS.map((level) => (
+                        <MenuItem key={level} value={level}>{level}</MenuItem>
+                      ))}
+                    </Select>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => onChange({})} disabled={!overrides}>Reset</Button>
+          {user && (
+            <Button onClick={handleSaveDefaults} disabled={saving || !overrides}>
+              Save as My Defaults
+            </Button>
+          )}
+          <Button variant="contained" onClick={() => setOpen(false)}>Done</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+export default RuleSettings;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  IconButton,
+  Paper,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import api from '../api';
+import RunResults from './RunResults';
+
+// Runs the editor's code on the server with stdin or a set of test cases.
+// The test cases are kept by the parent so grading can use them too.
+function RunPanel({ code, language, tests, onTestsChange: setTests }) {
+  const [stdin, setStdin] = useState('');
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateTest = (index, field, value) => {
+    setTests((current) => current.map((test, i) => (i === index ? { ...test, [field]: value } : test)));
+  };
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError('');
+    try {
+      const response = await api.post('/api/run', { code, language, stdin, tests });
+      setResult(response.data.result);
+    } catch (error) {
+      console.error('Error details:', error);
+      setError(error.response?.data?.error || error.message || 'Error running code.');
+      setResult(null);
+    }
+    setRunning(false);
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        Run Code
+      </Typography>
+
+      {tests.length === 0 && (
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          label="Standard input"
+          value={stdin}
+          onChange={(e) => setStdin(e.target.value)}
+          sx={{ mb: 2 }}
+        />
+      )}
+
+      {tests.map((test, index) => (
+        <Box key={index} sx={{ display: 'flex', gap: 1, mb: 2, alignItems: 'flex-start' }}>
+          <TextField
+            fullWidth
+            multiline
+            size="small"
+            label={`Input ${index + 1}`}
+            value={test.input}
+            onChange={(e) => updateTest(index, 'input', e.target.value)}
+          />
+          <TextField
+            fullWidth
+            multiline
+            size="small"
+            label="Expected output"
+            value={test.expected}
+            onChange={(e) => updateTest(index, 'expected', e.target.value)}
+          />
+          <IconButton aria-label="Remove test case" onClick={() => setTests((current) => current.filter((_, i) => i !== index))}>
+            <DeleteIcon />
+          </IconButton>
+        </Box>
+      ))}
+
+      <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+        <Button variant="outlined" onClick={() => setTests((current) => [...current, { input: '', expected: '' }])}>
+          Add Test Case
+        </Button>
+        <Button variant="contained" onClick={handleRun} disabled={running || !code}>
+          {running ? <CircularProgress size={24} /> : 'Run'}
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {result && <RunResults result={result} />}
+    </Paper>
+  );
+}
+
+export default RunPanel;
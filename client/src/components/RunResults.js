@@ -0,0 +1,77 @@
+import React from 'react';
+import { Box, Chip, Paper, Typography } from '@mui/material';
+
+const outputSx = {
+  p: 1,
+  m: 0,
+  bgcolor: 'grey.100',
+  fontFamily: 'monospace',
+  fontSize: '0.8rem',
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-word',
+  maxHeight: 240,
+  overflow: 'auto',
+};
+
+function Output({ label, text }) {
+  if (!text) return null;
+  return (
+    <Box sx={{ mb: 1 }}>
+      <Typography variant="caption" color="text.secondary">{label}</Typography>
+      <Box component="pre" sx={outputSx}>{text}</Box>
+    </Box>
+  );
+}
+
+const statusChip = (run) => {
+  if (run.timedOut) return <Chip label="Timed out" color="error" size="small" />;
+  if (run.cpuLimitExceeded) return <Chip label="CPU limit" color="error" size="small" />;
+  if (run.outputExceeded) return <Chip label="Output limit" color="error" size="small" />;
+  if (run.passed === true) return <Chip label="Passed" color="success" size="small" />;
+  if (run.passed === false) return <Chip label="Failed" color="error" size="small" />;
+  return run.exitCode === 0
+    ? <Chip label="Exited 0" color="success" size="small" />
+    : <Chip label={run.signal || `Exited ${run.exitCode}`} color="error" size="small" />;
+};
+
+// Compiler output and one card per run, as returned by /api/run
+function RunResults({ result }) {
+  const hasTests = result.runs.some((run) => run.expected !== undefined);
+
+  return (
+    <Box>
+      {result.compile && result.compile.exitCode !== 0 && (
+        <Paper sx={{ p: 2, mb: 2, borderLeft: 4, borderColor: 'error.main' }}>
+          <Typography variant="subtitle1" gutterBottom>Compilation failed</Typography>
+          <Output label="Compiler output" text={result.compile.stderr || result.compile.stdout} />
+        </Paper>
+      )}
+
+      {hasTests && (
+        <Typography variant="subtitle1" gutterBottom>
+          Tests: {result.passed} passed, {result.failed} failed
+        </Typography>
+      )}
+
+      {result.runs.map((run, index) => (
+        <Paper key={index} sx={{ p: 2, mb: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+            <Typography variant="subtitle2">
+              {run.name || (result.runs.length > 1 ? `Case ${index + 1}` : 'Run')}
+            </Typography>
+            {statusChip(run)}
+            <Typography variant="caption" color="text.secondary">
+              {Math.round(run.timeMs)} ms
+            </Typography>
+          </Box>
+          <Output label="Input" text={run.input} />
+          <Output label="Expected output" text={run.expected} />
+          <Output label="Output" text={run.stdout} />
+          <Output label="Errors" text={run.stderr} />
+        </Paper>
+      ))}
+    </Box>
+  );
+}
+
+export default RunResults;
@@ -0,0 +1,77 @@
+// Minimal GitHub REST client for pull request reviews. `baseURL` points it
+// at GitHub Enterprise or at a local fake server in tests.
+const DEFAULT_BASE_URL = 'https://api.github.com';
+const PER_PAGE = 100;
+const MAX_PAGES = 30;
+
+const createGitHubClient = ({ token, baseURL = DEFAULT_BASE_URL, fetch = globalThis.fetch }) => {
+  const request = async (method, path, { body, accept = 'application/vnd.github+json', query } = {}) => {
+    const url = new URL(`${baseURL.replace(/\/$/, '')}${path}`);
+    Object.entries(query || {}).forEach(([key, value]) => url.searchParams.set(key, value));
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Accept: accept,
+        Authorization: `Bearer ${token}`,
+        'User-Agent': 'ai-code-reviewer',
+        'X-GitHub-Api-Version': '2022-11-28',
+        ...(body && { 'Content-Type': 'application/json' })
+      },
+      body: body && JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      const error = new Error(`GitHub ${method} ${path} failed with ${response.status}: ${text.slice(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return accept.endsWith('raw+json') ? response.text() : response.json();
+  };
+
+  const paginate = async (path) => {
+    const items = [];
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const batch = await request('GET', path, { query: { per_page: PER_PAGE, page } });
+      items.push(...batch);
+      if (batch.length < PER_PAGE) break;
+    }
+    return items;
+  };
+
+  const repoPath = ({ owner, repo }) => `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+  return {
+    listPullRequestFiles: (pr) => paginate(`${repoPath(pr)}/pulls/${pr.number}/files`),
+
+    listReviewComments: (pr) => paginate(`${repoPath(pr)}/pulls/${pr.number}/comments`),
+
+    getFileContent: (pr, filePath, ref) => request(
+      'GET',
+      `${repoPath(pr)}/contents/${filePath.split('/').map(encodeURIComponent).join('/')}`,
+      { accept: 'application/vnd.github.raw+json', query: { ref } }
+    ),
+
+    // comments: [{ path, line, side, body }]
+    createReview: (pr, { commitId, body, comments }) => request('POST', `${repoPath(pr)}/pulls/${pr.number}/reviews`, {
+      body: { commit_id: commitId, event: 'COMMENT', body, comments }
+    }),
+
+    listIssueComments: (pr) => paginate(`${repoPath(pr)}/issues/${pr.number}/comments`),
+
+    createIssueComment: (pr, body) => request('POST', `${repoPath(pr)}/issues/${pr.number}/comments`, {
+      body: { body }
+    }),
+
+    updateIssueComment: (pr, commentId, body) => request('PATCH', `${repoPath(pr)}/issues/comments/${commentId}`, {
+      body: { body }
+    })
+  };
+};
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  createGitHubClient
+};
@@ -0,0 +1,37 @@
+const { SEVERITIES } = require('../analyzers');
+const { DEFAULT_BASE_URL, createGitHubClient } = require('./client');
+
+const DEFAULT_MIN_SEVERITY = 'warning';
+const DEFAULT_MAX_COMMENTS = 20;
+
+// Builds the GitHub integration described by the environment (see .env
+// template), or returns null when GITHUB_TOKEN or GITHUB_WEBHOOK_SECRET is
+// not set.
+const createGitHubFromEnv = (env = process.env) => {
+  if (!env.GITHUB_TOKEN || !env.GITHUB_WEBHOOK_SECRET) return null;
+
+  const minSeverity = env.GITHUB_REVIEW_MIN_SEVERITY || DEFAULT_MIN_SEVERITY;
+  if (!SEVERITIES.includes(minSeverity)) {
+    throw new Error(`GITHUB_REVIEW_MIN_SEVERITY must be one of ${SEVERITIES.join(', ')}`);
+  }
+
+  const maxComments = env.GITHUB_REVIEW_MAX_COMMENTS === undefined || env.GITHUB_REVIEW_MAX_COMMENTS === ''
+    ? DEFAULT_MAX_COMMENTS
+    : Number(env.GITHUB_REVIEW_MAX_COMMENTS);
+  if (!Number.isInteger(maxComments) || maxComments < 0) {
+    throw new Error('GITHUB_REVIEW_MAX_COMMENTS must be a whole number');
+  }
+
+  return {
+    client: createGitHubClient({
+      token: env.GITHUB_TOKEN,
+      baseURL: env.GITHUB_API_URL || DEFAULT_BASE_URL
+    }),
+    webhookSecret: env.GITHUB_WEBHOOK_SECRET,
+    settings: { minSeverity, maxComments }
+  };
+};
+
+module.exports = {
+  createGitHubFromEnv
+};
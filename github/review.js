@@ -0,0 +1,141 @@
+const { SEVERITIES, analyzeCode, detectLanguage, isIgnoredPath } = require('../analyzers');
+const { addedLines } = require('../analyzers/changes');
+
+// Hidden marker that identifies the summary comment, so later pushes update
+// it instead of adding another
+const SUMMARY_MARKER = '<!-- code-review-summary -->';
+// Most findings listed in the summary when they did not fit the comment budget
+const MAX_LISTED_OVERFLOW = 30;
+const MAX_FILES = 100;
+
+const severityRank = (severity) => {
+  const rank = SEVERITIES.indexOf(severity);
+  return rank === -1 ? SEVERITIES.length : rank;
+};
+
+const commentBody = (finding) => {
+  const explanation = finding.fix && typeof finding.fix === 'object' ? finding.fix.explanation : finding.fix;
+  return [
+    `**${finding.severity}**: ${finding.message} (\`${finding.rule}\`)`,
+    explanation && `\n${explanation}`
+  ].filter(Boolean).join('\n');
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const summaryBody = ({ headSha, reviewed, skipped, findings, posted, overflow, settings }) => {
+  const counts = SEVERITIES
+    .filter(severity => severityRank(severity) <= severityRank(settings.minSeverity))
+    .map(severity => `${findings.filter(finding => finding.severity === severity).length} ${severity}`);
+
+  const lines = [
+    SUMMARY_MARKER,
+    '### Code review',
+    '',
+    findings.length
+      ? `Reviewed ${plural(reviewed, 'changed file')} at ${headSha.slice(0, 7)}: ${plural(findings.length, 'finding')} on changed lines (${counts.join(', ')}).`
+      : `Reviewed ${plural(reviewed, 'changed file')} at ${headSha.slice(0, 7)}: no findings on changed lines.`
+  ];
+
+  if (posted) lines.push('', `Posted ${plural(posted, 'new inline comment')}.`);
+  if (overflow.length) {
+    lines.push('', `${plural(overflow.length, 'more finding')} did not fit the budget of ${settings.maxComments} inline comments:`, '');
+    overflow.slice(0, MAX_LISTED_OVERFLOW).forEach(finding => {
+      lines.push(`- \`${finding.path}:${finding.line}\` **${finding.severity}**: ${finding.message} (\`${finding.rule}\`)`);
+    });
+    if (overflow.length > MAX_LISTED_OVERFLOW) lines.push(`- ...and ${overflow.length - MAX_LISTED_OVERFLOW} more`);
+  }
+  if (skipped.length) {
+    lines.push('', `Not reviewed: ${skipped.map(({ path, reason }) => `\`${path}\` (${reason})`).join(', ')}.`);
+  }
+  lines.push('', `Findings below ${settings.minSeverity} severity are not reported.`);
+
+  return lines.join('\n');
+};
+
+// Reviews the files a pull request changes and reports findings on the lines
+// it added: as inline review comments, most severe first, up to
+// `settings.maxComments`, plus one summary comment. Comments already posted
+// for an earlier push are not repeated.
+//
+// pr: { owner, repo, number, headSha }
+// settings: { minSeverity, maxComments, options } (options as for analyzeCode)
+const reviewPullRequest = async ({ client, pr, settings }) => {
+  const files = await client.listPullRequestFiles(pr);
+  const findings = [];
+  const skipped = [];
+  let reviewed = 0;
+
+  for (const file of files) {
+    const language = detectLanguage(file.filename);
+    if (file.status === 'removed' || !language || isIgnoredPath(file.filename)) continue;
+    if (!file.patch) {
+      skipped.push({ path: file.filename, reason: 'diff too large' });
+      continue;
+    }
+    if (reviewed >= MAX_FILES) {
+      skipped.push({ path: file.filename, reason: `over ${MAX_FILES} files` });
+      continue;
+    }
+
+    // Findings need the whole file for context, but only changed lines are reported
+    const content = await client.getFileContent(pr, file.filename, pr.headSha);
+    const changed = addedLines(file.patch);
+    const review = analyzeCode(content, language, settings.options);
+    reviewed++;
+
+    review.debugging.bugs
+      .filter(bug => changed.has(bug.line))
+      .filter(bug => severityRank(bug.severity) <= severityRank(settings.minSeverity))
+      .forEach(bug => findings.push({ ...bug, path: file.filename }));
+  }
+
+  if (!reviewed) return { reviewed, findings, posted: 0 };
+
+  findings.sort((a, b) =>
+    severityRank(a.severity) - severityRank(b.severity) || a.path.localeCompare(b.path) || a.line - b.line
+  );
+
+  const existing = new Set((await client.listReviewComments(pr))
+    .map(comment => `${comment.path}:${comment.line}:${comment.body}`));
+  const fresh = findings.filter(finding =>
+    !existing.has(`${finding.path}:${finding.line}:${commentBody(finding)}`)
+  );
+  const comments = fresh.slice(0, settings.maxComments);
+  const overflow = fresh.slice(settings.maxComments);
+
+  if (comments.length) {
+    await client.createReview(pr, {
+      commitId: pr.headSha,
+      body: `${plural(comments.length, 'finding')} on changed lines. See the summary comment for details.`,
+      comments: comments.map(finding => ({
+        path: finding.path,
+        line: finding.line,
+        side: 'RIGHT',
+        body: commentBody(finding)
+      }))
+    });
+  }
+
+  const body = summaryBody({
+    headSha: pr.headSha,
+    reviewed,
+    skipped,
+    findings,
+    posted: comments.length,
+    overflow,
+    settings
+  });
+  const summary = (await client.listIssueComments(pr)).find(comment => comment.body && comment.body.startsWith(SUMMARY_MARKER));
+  if (summary) {
+    await client.updateIssueComment(pr, summary.id, body);
+  } else {
+    await client.createIssueComment(pr, body);
+  }
+
+  return { reviewed, findings, posted: comments.length };
+};
+
+module.exports = {
+  reviewPullRequest
+};
@@ -0,0 +1,63 @@
+const { createOpenAiProvider } = require('./providers/openai');
+const { createMockProvider } = require('./providers/mock');
+const { createReviewer } = require('./index');
+
+const PROVIDERS = ['openai', 'openai-compatible', 'mock', 'none'];
+
+const number = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+// Builds the LLM reviewer described by the environment (see .env template),
+// or returns null when the LLM pass is disabled.
+const createReviewerFromEnv = (env = process.env) => {
+  const providerName = env.LLM_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'none');
+
+  if (!PROVIDERS.includes(providerName)) {
+    throw new Error(`Unknown LLM_PROVIDER "${providerName}"; expected one of ${PROVIDERS.join(', ')}`);
+  }
+
+  let provider;
+  switch (providerName) {
+    case 'openai':
+      provider = createOpenAiProvider({
+        apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+        responseFormat: env.LLM_RESPONSE_FORMAT || 'json_schema'
+      });
+      break;
+
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+      }
+      provider = createOpenAiProvider({
+        name: 'openai-compatible',
+        apiKey: env.LLM_API_KEY,
+        baseURL: env.LLM_BASE_URL,
+        defaultModel: env.LLM_MODEL || 'llama3',
+        responseFormat: env.LLM_RESPONSE_FORMAT || 'json_object'
+      });
+      break;
+
+    case 'mock':
+      provider = createMockProvider();
+      break;
+
+    default:
+      return null;
+  }
+
+  return createReviewer({
+    provider,
+    model: env.LLM_MODEL,
+    temperature: number(env.LLM_TEMPERATURE),
+    maxTokens: number(env.LLM_MAX_TOKENS),
+    maxTokensLimit: number(env.LLM_MAX_TOKENS_LIMIT),
+    allowedModels: env.LLM_ALLOWED_MODELS
+      ? env.LLM_ALLOWED_MODELS.split(',').map(model => model.trim()).filter(Boolean)
+      : undefined
+  });
+};
+
+module.exports = {
+  PROVIDERS,
+  createReviewerFromEnv
+};
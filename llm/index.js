@@ -0,0 +1,192 @@
+const { REVIEW_SCHEMA, validate, coerce } = require('./schema');
+
+const MAX_ATTEMPTS = 2;
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 2000;
+const DEFAULT_MAX_TOKENS_LIMIT = 8000;
+
+// Builds the prompt for the LLM pass. The rule-based findings are included so
+// the model adds to them instead of repeating them.
+const buildPrompt = (code, language, review) => {
+  const ruleFindings = review.debugging.bugs
+    .map(bug => `- [${bug.type}] line ${bug.line}: ${bug.message}`)
+    .join('\n') || '- none';
+  const numberedCode = code
+    .split('\n')
+    .map((line, index) => `${index + 1}: ${line}`)
+    .join('\n');
+
+  return `You are reviewing ${language} code. A rule-based analyzer already reported these findings:
+${ruleFindings}
+
+Find additional bugs the analyzer missed (do not repeat its findings), note performance improvements, explain what the code does, and list best practices that apply to it.
+Line numbers are prefixed to each line of the code; use them for startLine and endLine. "replacement" is the code that should replace those lines, or null if there is no mechanical fix.
+Respond with only a JSON object matching this JSON schema:
+${JSON.stringify(REVIEW_SCHEMA)}
+
+Code:
+${numberedCode}`;
+};
+
+// Models sometimes wrap JSON in a code fence, add prose around it or leave
+// trailing commas; strip those before parsing.
+const repairJson = (content) => {
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/.exec(content);
+  let json = fenced ? fenced[1] : content;
+
+  const start = json.indexOf('{');
+  const end = json.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    json = json.slice(start, end + 1);
+  }
+
+  return json.replace(/,\s*([}\]])/g, '$1');
+};
+
+// Parses and validates a model response. Returns { data } when it matches
+// the schema and { errors } otherwise.
+const parseReview = (content) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(repairJson(content || ''));
+  } catch (error) {
+    return { errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const data = coerce(parsed, REVIEW_SCHEMA);
+  const errors = validate(data, REVIEW_SCHEMA);
+  return errors.length ? { errors } : { data };
+};
+
+// Maps a validated response onto the rule-based bug and suggestion shapes
+const toFindings = (data, code) => {
+  const lines = code.split('\n');
+
+  return {
+    bugs: data.bugs.map(bug => {
+      const endLine = Math.max(bug.endLine, bug.startLine);
+      return {
+        type: bug.type,
+        severity: bug.severity,
+        message: bug.message,
+        line: bug.startLine,
+        endLine,
+        explanation: bug.explanation,
+        fix: {
+          before: lines.slice(bug.startLine - 1, endLine).join('\n'),
+          after: bug.replacement || '',
+          explanation: bug.explanation
+        }
+      };
+    }),
+    suggestions: data.performance.map(note => ({
+      message: note.message,
+      category: 'performance',
+      ...(note.line && { line: note.line }),
+      ...(note.before && note.after && {
+        example: { before: note.before, after: note.after }
+      })
+    })),
+    logicExplanation: data.logicExplanation,
+    bestPractices: data.bestPractices
+  };
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Runs the LLM pass on top of a provider (see providers/). Any object with the
+// same `review({ code, language, review, overrides })` method can stand in
+// for a reviewer, e.g. a stub in tests.
+//
+// `overrides` are per-request { model, temperature, maxTokens } settings,
+// checked against `allowedModels` and `maxTokensLimit`.
+//
+// The model is constrained to REVIEW_SCHEMA where the provider supports it; a
+// response that still fails validation is sent back with the errors and
+// retried, up to `maxAttempts` requests in total.
+//
+// `onToken(text, attempt)` streams the raw response as it is generated and
+// `signal` (an AbortSignal) cancels the request.
+const createReviewer = ({
+  provider,
+  model = provider.defaultModel,
+  temperature = DEFAULT_TEMPERATURE,
+  maxTokens = DEFAULT_MAX_TOKENS,
+  maxTokensLimit = DEFAULT_MAX_TOKENS_LIMIT,
+  allowedModels,
+  maxAttempts = MAX_ATTEMPTS
+}) => {
+  const resolveSettings = (overrides = {}) => {
+    const settings = { model, temperature, maxTokens };
+    ['model', 'temperature', 'maxTokens'].forEach(key => {
+      if (overrides[key] !== undefined) settings[key] = overrides[key];
+    });
+
+    if (typeof settings.model !== 'string' || !settings.model) {
+      throw badRequest('llmOptions.model must be a model name');
+    }
+    if (allowedModels && !allowedModels.includes(settings.model)) {
+      throw badRequest(`llmOptions.model must be one of ${allowedModels.join(', ')}`);
+    }
+    if (typeof settings.temperature !== 'number' || settings.temperature < 0 || settings.temperature > 2) {
+      throw badRequest('llmOptions.temperature must be a number from 0 to 2');
+    }
+    if (!Number.isInteger(settings.maxTokens) || settings.maxTokens < 1 || settings.maxTokens > maxTokensLimit) {
+      throw badRequest(`llmOptions.maxTokens must be an integer from 1 to ${maxTokensLimit}`);
+    }
+
+    return {
+      model: settings.model,
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens
+    };
+  };
+
+  return {
+    provider: provider.name,
+    baseURL: provider.baseURL,
+    model,
+    resolveSettings,
+    review: async ({ code, language, review, overrides, onToken, signal }) => {
+      const settings = resolveSettings(overrides);
+      const messages = [{ role: 'user', content: buildPrompt(code, language, review) }];
+      let errors = [];
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const content = await provider.complete({
+          ...settings,
+          messages,
+          schema: REVIEW_SCHEMA,
+          context: { code, language, review },
+          onToken: onToken && (text => onToken(text, attempt)),
+          signal
+        });
+
+        const result = parseReview(content);
+        if (result.data) {
+          return { ...toFindings(result.data, code), model: settings.model };
+        }
+
+        errors = result.errors;
+        messages.push(
+          { role: 'assistant', content: content || '' },
+          { role: 'user', content: `That response does not match the schema:\n${errors.slice(0, 10).join('\n')}\nReply with only the corrected JSON object.` }
+        );
+      }
+
+      throw new Error(`Invalid LLM response after ${maxAttempts} attempts: ${errors.slice(0, 3).join('; ')}`);
+    }
+  };
+};
+
+module.exports = {
+  buildPrompt,
+  repairJson,
+  parseReview,
+  toFindings,
+  createReviewer
+};
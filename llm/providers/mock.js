@@ -0,0 +1,78 @@
+// Deterministic offline provider for tests, demos and machines without
+// network access. It ignores the prompt and derives a schema-valid response
+// from the code itself, so the same code always gets the same review.
+
+const CHUNK_SIZE = 16;
+
+const abortError = () => {
+  const error = new Error('The LLM request was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Emits the response in small chunks, yielding between them like a real
+// streaming response would
+const streamContent = async (content, onToken, signal) => {
+  for (let start = 0; start < content.length; start += CHUNK_SIZE) {
+    await new Promise(resolve => setImmediate(resolve));
+    if (signal && signal.aborted) throw abortError();
+    onToken(content.slice(start, start + CHUNK_SIZE));
+  }
+};
+
+const createMockProvider = () => ({
+  name: 'mock',
+  baseURL: null,
+  defaultModel: 'mock',
+  complete: async ({ context, onToken, signal }) => {
+    if (signal && signal.aborted) throw abortError();
+
+    const { code, language } = context;
+    const lines = code.split('\n');
+
+    const bugs = [];
+    const performance = [];
+
+    lines.forEach((line, index) => {
+      const lineNumber = index + 1;
+
+      if (/\b(TODO|FIXME)\b/.test(line)) {
+        bugs.push({
+          type: 'logical',
+          severity: 'info',
+          startLine: lineNumber,
+          endLine: lineNumber,
+          message: 'Unfinished work is marked in a comment',
+          explanation: 'TODO and FIXME comments usually mean the code does not handle every case yet.',
+          replacement: null
+        });
+      }
+
+      if (/\bfor\b.*\.length\b/.test(line)) {
+        performance.push({
+          message: 'Read the collection length once instead of on every iteration',
+          line: lineNumber,
+          before: null,
+          after: null
+        });
+      }
+    });
+
+    const nonBlank = lines.filter(line => line.trim()).length;
+
+    const content = JSON.stringify({
+      bugs,
+      performance,
+      logicExplanation: `This ${language} code has ${nonBlank} non-blank line${nonBlank === 1 ? '' : 's'}. ` +
+        'This explanation comes from the mock LLM provider, which returns fixed output for testing.',
+      bestPractices: ['Keep functions small and focused on one task']
+    });
+
+    if (onToken) await streamContent(content, onToken, signal);
+    return content;
+  }
+});
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,60 @@
+const OpenAI = require('openai');
+
+// Chat completions provider for OpenAI and any server that speaks the same
+// API (llama.cpp, Ollama, vLLM, LM Studio...) via `baseURL`.
+//
+// `responseFormat` says how the server can be held to the review schema:
+//   'json_schema' - structured outputs (OpenAI, recent llama.cpp/Ollama)
+//   'json_object' - JSON mode only; the schema is enforced by validation
+//   'none'        - plain text; the schema is enforced by validation
+const createOpenAiProvider = ({
+  name = 'openai',
+  apiKey,
+  baseURL,
+  defaultModel = 'gpt-4o',
+  responseFormat = 'json_schema',
+  client = new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL && { baseURL }) })
+}) => ({
+  name,
+  baseURL: baseURL || null,
+  defaultModel,
+  // With `onToken` the completion is streamed and each chunk of text is
+  // passed on as it arrives; `signal` aborts the HTTP request.
+  complete: async ({ messages, model, temperature, maxTokens, schema, onToken, signal }) => {
+    const request = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+
+    if (responseFormat === 'json_schema') {
+      request.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'code_review', strict: true, schema }
+      };
+    } else if (responseFormat === 'json_object') {
+      request.response_format = { type: 'json_object' };
+    }
+
+    if (!onToken) {
+      const completion = await client.chat.completions.create(request, { signal });
+      return completion.choices[0].message.content;
+    }
+
+    const stream = await client.chat.completions.create({ ...request, stream: true }, { signal });
+    let content = '';
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) {
+        content += text;
+        onToken(text);
+      }
+    }
+    return content;
+  }
+});
+
+module.exports = {
+  createOpenAiProvider
+};
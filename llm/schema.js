@@ -0,0 +1,141 @@
+// JSON schema the LLM review must follow. It is sent to the model as a
+// structured-output constraint and used to validate what comes back.
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const nullable = (type) => ({ type: [type, 'null'] });
+
+const REVIEW_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['bugs', 'performance', 'logicExplanation', 'bestPractices'],
+  properties: {
+    bugs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type', 'severity', 'startLine', 'endLine', 'message', 'explanation', 'replacement'],
+        properties: {
+          type: { type: 'string', enum: ['syntax', 'runtime', 'logical', 'security'] },
+          severity: { type: 'string', enum: SEVERITIES },
+          startLine: { type: 'integer', minimum: 1 },
+          endLine: { type: 'integer', minimum: 1 },
+          message: { type: 'string' },
+          explanation: { type: 'string' },
+          // Code that should replace lines startLine..endLine, if known
+          replacement: nullable('string')
+        }
+      }
+    },
+    performance: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['message', 'line', 'before', 'after'],
+        properties: {
+          message: { type: 'string' },
+          line: nullable('integer'),
+          before: nullable('string'),
+          after: nullable('string')
+        }
+      }
+    },
+    logicExplanation: { type: 'string' },
+    bestPractices: {
+      type: 'array',
+      items: { type: 'string' }
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// Validates `value` against the subset of JSON schema used above. Returns a
+// list of human-readable errors, empty when the value is valid.
+const validate = (value, schema, path = '$') => {
+  const types = [].concat(schema.type);
+  const actual = typeOf(value);
+
+  if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    return [`${path} should be ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${path} should be at least ${schema.minimum}`);
+  }
+
+  if (actual === 'object' && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.keys(value).forEach(key => {
+      if (schema.properties[key]) {
+        errors.push(...validate(value[key], schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+};
+
+// Fixes the near-misses models commonly produce: numbers sent as strings,
+// optional values left out, unknown keys and severities in another case.
+const coerce = (value, schema) => {
+  const types = [].concat(schema.type);
+
+  if (value === undefined) {
+    if (types.includes('null')) return null;
+    if (types.includes('array')) return [];
+    return value;
+  }
+
+  if (types.includes('integer') && typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    return parseInt(value, 10);
+  }
+
+  if (schema.enum && typeof value === 'string') {
+    const match = schema.enum.find(option => option === value.toLowerCase().trim());
+    if (match) return match;
+  }
+
+  if (types.includes('object') && typeOf(value) === 'object' && schema.properties) {
+    return Object.keys(schema.properties).reduce((result, key) => {
+      const coerced = coerce(value[key], schema.properties[key]);
+      return coerced === undefined ? result : { ...result, [key]: coerced };
+    }, {});
+  }
+
+  if (types.includes('array') && Array.isArray(value) && schema.items) {
+    return value.map(item => coerce(item, schema.items));
+  }
+
+  return value;
+};
+
+module.exports = {
+  SEVERITIES,
+  REVIEW_SCHEMA,
+  validate,
+  coerce
+};
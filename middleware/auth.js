@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const MIN_SECRET_LENGTH = 32;
+// Values from templates and examples: anyone could sign tokens with them
+const PLACEHOLDER_SECRETS = ['change_me', 'changeme', 'secret', 'jwt_secret', 'your_jwt_secret', 'a_long_random_string'];
+
+// Returns an error message when JWT_SECRET is set to a value that would let
+// others forge tokens. An empty value is allowed (see jwtSecret).
+const validateJwtSecret = (secret) => {
+  if (!secret) return null;
+  if (PLACEHOLDER_SECRETS.includes(secret.toLowerCase())) {
+    return 'JWT_SECRET is a placeholder value; set it to a long random string';
+  }
+  if (secret.length < MIN_SECRET_LENGTH) {
+    return `JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Read on first use so the value from .env is loaded by then. Without a
+// configured secret, tokens only survive until the server restarts.
+let temporarySecret;
+const jwtSecret = () => {
+  if (process.env.JWT_SECRET) {
+    const secretError = validateJwtSecret(process.env.JWT_SECRET);
+    if (secretError) throw new Error(secretError);
+    return process.env.JWT_SECRET;
+  }
+  if (!temporarySecret) {
+    console.warn('JWT_SECRET is not set; using a temporary secret for this process');
+    temporarySecret = crypto.randomBytes(32).toString('hex');
+  }
+  return temporarySecret;
+};
+
+const signToken = (user) => jwt.sign({ sub: String(user._id) }, jwtSecret(), {
+  expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+});
+
+// Attaches req.user when the request carries a valid bearer token. Requests
+// without a token pass through anonymously; a bad token is always rejected.
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    req.user = null;
+    return next();
+  }
+
+  try {
+    const payload = jwt.verify(token, jwtSecret());
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return res.status(401).json({ error: 'Account no longer exists' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    next(error);
+  }
+};
+
+const requireAuth = (req, res, next) => {
+  authenticate(req, res, () => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+  });
+};
+
+// Mount after requireAuth: only users with `role` may continue
+const requireRole = (role) => (req, res, next) => {
+  if (req.user.role !== role) {
+    return res.status(403).json({ error: `Only ${role}s can do this` });
+  }
+  next();
+};
+
+// Code execution is never anonymous: routes behind reviewAuth refuse a
+// request that asks to run code with this error (401) when there is no user
+const RUN_AUTH_ERROR = 'Sign in to run code';
+
+// Anonymous reviews are allowed unless ALLOW_ANONYMOUS_REVIEWS=false
+const allowAnonymousReviews = () => process.env.ALLOW_ANONYMOUS_REVIEWS !== 'false';
+
+const reviewAuth = (req, res, next) => (allowAnonymousReviews()
+  ? authenticate(req, res, next)
+  : requireAuth(req, res, next));
+
+module.exports = {
+  signToken,
+  authenticate,
+  requireAuth,
+  requireRole,
+  reviewAuth,
+  validateJwtSecret,
+  RUN_AUTH_ERROR
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A coding exercise set by an instructor; students submit code against it
+const assignmentSchema = new mongoose.Schema({
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  language: {
+    type: String,
+    required: true
+  },
+  starterCode: {
+    type: String,
+    default: ''
+  },
+  // Rule config every submission is reviewed with (see analyzers/rules.js)
+  rules: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Run in the sandbox with each submission (see sandbox/index.js)
+  tests: [{
+    _id: false,
+    name: String,
+    input: { type: String, default: '' },
+    expected: String
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+assignmentSchema.methods.toJSON = function () {
+  return {
+    id: this._id,
+    instructor: this.populated('instructor')
+      ? { id: this.instructor._id, name: this.instructor.name, email: this.instructor.email }
+      : this.instructor,
+    title: this.title,
+    description: this.description,
+    language: this.language,
+    starterCode: this.starterCode,
+    rules: this.rules,
+    tests: this.tests,
+    createdAt: this.createdAt
+  };
+};
+
+// What students see: test inputs without their expected output, so the
+// tests cannot be passed by printing the answers
+assignmentSchema.methods.toStudentJSON = function () {
+  return {
+    ...this.toJSON(),
+    tests: this.tests.map(({ name, input }) => ({ ...(name && { name }), input }))
+  };
+};
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
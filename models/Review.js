@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  language: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Full analyzeCode output, returned as-is when a review is reopened
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  contentHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+// Same code in the same language always hashes the same
+reviewSchema.statics.hashContent = (code, language) => crypto
+  .createHash('sha256')
+  .update(`${language}\n${code}`)
+  .digest('hex');
+
+// Lightweight shape for history listings
+reviewSchema.methods.toSummary = function () {
+  const debugging = (this.result && this.result.debugging) || {};
+
+  return {
+    id: this._id,
+    language: this.language,
+    contentHash: this.contentHash,
+    createdAt: this.createdAt,
+    preview: this.code.split('\n').find(line => line.trim()) || '',
+    bugCount: debugging.bugCount || 0,
+    bugTypes: debugging.bugTypes || {}
+  };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
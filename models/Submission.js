@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One attempt by a student at an assignment. Every attempt is kept, so
+// instructors can follow how the code changed.
+const submissionSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true,
+    index: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  // Full review of the code, including test runs when the assignment has tests
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+// Lightweight shape for submission listings
+submissionSchema.methods.toSummary = function () {
+  const { debugging = {}, execution = {} } = this.result || {};
+
+  return {
+    id: this._id,
+    assignment: this.assignment,
+    student: this.populated('student')
+      ? { id: this.student._id, name: this.student.name, email: this.student.email }
+      : this.student,
+    createdAt: this.createdAt,
+    bugCount: debugging.bugCount || 0,
+    bugTypes: debugging.bugTypes || {},
+    ...(execution.runs && { tests: { passed: execution.passed, failed: execution.failed, total: execution.runs.length } })
+  };
+};
+
+module.exports = mongoose.model('Submission', submissionSchema);
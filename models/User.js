@@ -0,0 +1,82 @@
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+const SALT_ROUNDS = 10;
+// Instructors create assignments and see their students' submissions
+const ROLES = ['student', 'instructor'];
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'student'
+  },
+  // Defaults applied to this user's reviews; request options take precedence
+  settings: {
+    env: [String],
+    globals: [String],
+    // Rule config: rule id to level (see analyzers/rules.js)
+    rules: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+userSchema.methods.checkPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Review options from this user's settings, overridden by `options`. Rule
+// levels are merged rule by rule.
+userSchema.methods.reviewOptions = function (options = {}) {
+  const defaults = {};
+  ['env', 'globals'].forEach(key => {
+    if (this.settings[key] && this.settings[key].length) {
+      defaults[key] = [...this.settings[key]];
+    }
+  });
+
+  const rules = { ...this.settings.rules, ...options.rules };
+
+  return { ...defaults, ...options, rules };
+};
+
+userSchema.methods.toJSON = function () {
+  return {
+    id: this._id,
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    settings: this.settings,
+    createdAt: this.createdAt
+  };
+};
+
+const User = mongoose.model('User', userSchema);
+User.ROLES = ROLES;
+
+module.exports = User;
@@ -0,0 +1,156 @@
+const { analyzeCode, getLanguage, summarizeBugs } = require('./analyzers');
+const { addedLines, touchesLines, compareFindings } = require('./analyzers/changes');
+const { diffCode } = require('./analyzers/fixes');
+const { findSecrets, redactSecrets } = require('./analyzers/secrets');
+const { runCode } = require('./sandbox');
+
+// Runs the code in the sandbox and adds what actually failed (compiler errors,
+// uncaught exceptions, crashes) as bugs with source 'run'. When the sandbox
+// cannot run it, `execution` has the `error` and its HTTP `status` instead.
+const withExecution = async (review, { code, language, run }) => {
+  try {
+    const { bugs, ...execution } = await runCode({ code, language, stdin: run.stdin, tests: run.tests });
+    return {
+      ...review,
+      execution,
+      debugging: { ...review.debugging, ...summarizeBugs([...review.debugging.bugs, ...bugs]) }
+    };
+  } catch (error) {
+    console.error('Code execution failed:', error);
+    return {
+      ...review,
+      execution: { error: `Code execution failed: ${error.message}`, status: error.status || 500 }
+    };
+  }
+};
+
+// Hybrid review: rule-based findings are always produced; when an LLM
+// reviewer is supplied it gets those findings as context and its extra
+// findings are merged in, tagged with source 'llm'. An LLM failure never
+// fails the review. `llmOptions` are per-request model settings; validate
+// them with `llm.resolveSettings` before calling.
+//
+// `run` ({ stdin, tests }, or true) also executes the code in the sandbox
+// before the LLM pass, so the model sees real runtime errors.
+//
+// `onEvent(name, data)` reports progress for streaming clients: 'findings'
+// per rule-based bug type, 'execution' with the sandbox result, 'analysis'
+// with the complete rule-based review and 'token' for each chunk of LLM
+// output. Aborting `signal` cancels the LLM
+// request and rejects with its AbortError.
+//
+// Secrets in the code (see analyzers/secrets.js) are masked everywhere the
+// review and its events repeat them, and in the code the LLM is sent.
+const reviewCode = async ({ code, language, options, llm, llmOptions, run, onEvent, signal }) => {
+  const secrets = findSecrets(code);
+  const hide = (value) => redactSecrets(value, secrets);
+  const emit = onEvent && ((event, data) => onEvent(event, hide(data)));
+
+  let review = analyzeCode(code, language, options, {
+    onFindings: emit && ((type, bugs) => emit('findings', { type, bugs }))
+  });
+
+  if (run) {
+    review = await withExecution(review, { code, language, run: run === true ? {} : run });
+    if (emit) emit('execution', { execution: review.execution });
+  }
+  if (emit) emit('analysis', { review });
+
+  if (!llm) {
+    return hide({ ...review, llm: { used: false } });
+  }
+
+  try {
+    const extra = await llm.review({
+      code: hide(code),
+      language,
+      review: hide(review),
+      overrides: llmOptions,
+      onToken: emit && ((text, attempt) => emit('token', { text, attempt })),
+      signal
+    });
+    const bugs = [
+      ...review.debugging.bugs,
+      ...(extra.bugs || []).map(bug => ({ ...bug, source: 'llm' }))
+    ];
+    const bestPractices = (extra.bestPractices || [])
+      .filter(practice => !review.bestPractices.includes(practice));
+
+    return hide({
+      ...review,
+      suggestions: [
+        ...review.suggestions,
+        ...(extra.suggestions || []).map(suggestion => ({ ...suggestion, source: 'llm' }))
+      ],
+      bestPractices: [...review.bestPractices, ...bestPractices],
+      logicExplanation: extra.logicExplanation || null,
+      debugging: { ...review.debugging, ...summarizeBugs(bugs) },
+      llm: { used: true, provider: llm.provider, model: extra.model || llm.model }
+    });
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+
+    console.error('LLM review failed:', error);
+    return hide({
+      ...review,
+      llm: { used: false, error: `LLM review failed: ${error.message}` }
+    });
+  }
+};
+
+// Diff-aware review of `code` against an earlier version, `baseCode`. The
+// whole file is reviewed for context, but only bugs on lines the change
+// added are reported. `review.changes` holds the diff, those lines, the
+// reported bugs that are new since `baseCode` (`introduced`) and the rule
+// findings of `baseCode` that no longer occur (`fixed`, with lines in
+// `baseCode`). Takes the same arguments as reviewCode otherwise.
+const reviewChanges = async ({ baseCode, ...request }) => {
+  const { code, language, options, onEvent } = request;
+  const { diff, hunks } = diffCode(baseCode, code, `code${getLanguage(language).extensions[0]}`);
+  const changedLines = addedLines(diff);
+  const base = analyzeCode(baseCode, language, options);
+  // The diff shows lines of both versions
+  const secrets = [...findSecrets(baseCode), ...findSecrets(code)];
+
+  const focus = (review) => {
+    const { introduced, fixed } = compareFindings({
+      baseCode,
+      baseBugs: base.debugging.bugs,
+      code,
+      bugs: review.debugging.bugs
+    });
+    const onChangedLines = bug => touchesLines(bug, changedLines);
+
+    return redactSecrets({
+      ...review,
+      debugging: { ...review.debugging, ...summarizeBugs(review.debugging.bugs.filter(onChangedLines)) },
+      changes: {
+        diff,
+        hunks,
+        changedLines: Array.from(changedLines),
+        introduced: introduced.filter(onChangedLines),
+        fixed
+      }
+    }, secrets);
+  };
+
+  const review = await reviewCode({
+    ...request,
+    onEvent: onEvent && ((event, data) => {
+      if (event === 'findings') {
+        onEvent(event, { ...data, bugs: data.bugs.filter(bug => touchesLines(bug, changedLines)) });
+      } else if (event === 'analysis') {
+        onEvent(event, { review: focus(data.review) });
+      } else {
+        onEvent(event, data);
+      }
+    })
+  });
+
+  return focus(review);
+};
+
+module.exports = {
+  reviewCode,
+  reviewChanges
+};
@@ -0,0 +1,156 @@
+const { getLanguage } = require('../analyzers');
+const { detectLanguage } = require('./highlight');
+
+// A finding's location as `L12`, `L12:5` or `L12-L15`
+const lineReference = (finding) => {
+  if (!(finding.line > 0)) return null;
+  if (finding.endLine && finding.endLine !== finding.line) return `L${finding.line}-L${finding.endLine}`;
+  return finding.column ? `L${finding.line}:${finding.column}` : `L${finding.line}`;
+};
+
+// A rule's fix that is only advice comes as { before: 'Original code',
+// after: advice, explanation: advice }; only mechanical and LLM fixes have
+// code to show
+const describeFix = (fix) => {
+  if (!fix) return null;
+  if (typeof fix === 'string') return { explanation: fix };
+  const hasCode = Boolean(fix.after) && fix.after !== fix.explanation;
+  return {
+    explanation: fix.explanation || null,
+    before: hasCode && fix.before !== 'Original code' ? fix.before : null,
+    after: hasCode ? fix.after : null
+  };
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => value === undefined || value === null || typeof value === 'string';
+const isLine = (value) => value === undefined || value === null || Number.isInteger(value);
+
+// Finding fields shown as text, and those holding line numbers
+const TEXT_FIELDS = ['message', 'explanation', 'severity', 'type', 'rule', 'cwe', 'category', 'source'];
+const LINE_FIELDS = ['line', 'column', 'endLine'];
+
+const checkFinding = (finding, at) => {
+  if (!isObject(finding)) return `${at} must be an object`;
+
+  const text = TEXT_FIELDS.find(name => !isText(finding[name]));
+  if (text) return `${at}.${text} must be a string`;
+  const line = LINE_FIELDS.find(name => !isLine(finding[name]));
+  if (line) return `${at}.${line} must be a whole number`;
+
+  const { fix, example } = finding;
+  if (fix !== undefined && fix !== null && typeof fix !== 'string' &&
+      (!isObject(fix) || !['before', 'after', 'explanation'].every(name => isText(fix[name])))) {
+    return `${at}.fix must be a string or { before, after, explanation } strings`;
+  }
+  if (example !== undefined && example !== null &&
+      (!isObject(example) || typeof example.before !== 'string' || typeof example.after !== 'string')) {
+    return `${at}.example must have before and after strings`;
+  }
+  return null;
+};
+
+const checkFindings = (findings, at) => {
+  if (!Array.isArray(findings)) return `${at} must be an array`;
+  for (const [index, finding] of findings.entries()) {
+    const error = checkFinding(finding, `${at}[${index}]`);
+    if (error) return error;
+  }
+  return null;
+};
+
+// Returns an error message when `review`, as posted by a client rather than
+// read from a saved review, is not something buildReport can render
+const validateReview = (review) => {
+  if (!isObject(review) || !isObject(review.debugging)) return 'A review result is required';
+
+  const object = ['codeAnalysis', 'metrics'].find(name => review[name] !== undefined && !isObject(review[name]));
+  if (object) return `review.${object} must be an object`;
+  if (review.debugging.bugTypes !== undefined && !isObject(review.debugging.bugTypes)) {
+    return 'review.debugging.bugTypes must be an object';
+  }
+  if (!isText(review.logicExplanation)) return 'review.logicExplanation must be a string';
+  if (review.bestPractices !== undefined &&
+      (!Array.isArray(review.bestPractices) || !review.bestPractices.every(practice => typeof practice === 'string'))) {
+    return 'review.bestPractices must be an array of strings';
+  }
+
+  return checkFindings(review.debugging.bugs, 'review.debugging.bugs') ||
+    (review.debugging.suppressed === undefined ? null : checkFindings(review.debugging.suppressed, 'review.debugging.suppressed')) ||
+    (review.suggestions === undefined ? null : checkFindings(review.suggestions, 'review.suggestions'));
+};
+
+const cweLink = (cwe) => `https://cwe.mitre.org/data/definitions/${cwe.replace(/^CWE-/, '')}.html`;
+
+// What every report format shows, in the order the review page shows it:
+// the code with its language, analysis and metrics, then the bugs (in line
+// order) with their fixes, suggestions and best practices
+const buildReport = ({ code = '', language, review, createdAt, title }) => {
+  const { codeAnalysis = {}, metrics = {}, debugging = { bugs: [] } } = review;
+  const languageName = (getLanguage(language) || { name: language }).name;
+  const lines = code.split('\n');
+  const bugs = [...debugging.bugs]
+    .sort((a, b) => (a.line || Infinity) - (b.line || Infinity))
+    .map(bug => ({
+      ...bug,
+      reference: lineReference(bug),
+      cweLink: bug.cwe ? cweLink(bug.cwe) : null,
+      fix: describeFix(bug.fix)
+    }));
+
+  return {
+    title: title || 'Code Review Report',
+    language,
+    languageName,
+    createdAt: createdAt ? new Date(createdAt) : new Date(),
+    lines,
+    code,
+    analysis: [
+      ['Language', languageName],
+      ['Total lines', codeAnalysis.totalLines],
+      ['Comment lines', codeAnalysis.commentLines],
+      ['Functions', codeAnalysis.functionCount],
+      ['Code to comment ratio', typeof codeAnalysis.codeToCommentRatio === 'number'
+        ? `${codeAnalysis.codeToCommentRatio.toFixed(1)}%`
+        : undefined],
+      ['Complexity', codeAnalysis.complexity]
+    ].filter(([, value]) => value !== undefined),
+    metrics: [
+      ['Maintainability', metrics.maintainability],
+      ['Readability', metrics.readability],
+      ['Efficiency', metrics.efficiency]
+    ].filter(([, value]) => value !== undefined),
+    bugTypes: Object.entries(debugging.bugTypes || {}),
+    bugs,
+    // Lines with a bug on them, highlighted in the code listing
+    bugLines: new Set(bugs.flatMap(bug => {
+      if (!(bug.line > 0)) return [];
+      const last = Math.min(Math.max(bug.line, bug.endLine || 0), lines.length);
+      const marked = [];
+      for (let line = bug.line; line <= last; line++) marked.push(line);
+      return marked;
+    })),
+    suppressed: (debugging.suppressed || []).map(finding => ({ ...finding, reference: lineReference(finding) })),
+    logicExplanation: review.logicExplanation || null,
+    suggestions: (review.suggestions || []).map(suggestion => ({
+      ...suggestion,
+      reference: lineReference(suggestion),
+      exampleLanguage: suggestion.example
+        ? detectLanguage(`${suggestion.example.before}\n${suggestion.example.after}`)
+        : null,
+      fix: describeFix(suggestion.fix)
+    })),
+    bestPractices: review.bestPractices || []
+  };
+};
+
+// Sources shown next to a finding, as on the review page
+const SOURCE_LABELS = { rule: 'Rule', llm: 'AI', run: 'Run' };
+
+const sourceLabel = (source) => SOURCE_LABELS[source] || SOURCE_LABELS.rule;
+
+module.exports = {
+  validateReview,
+  buildReport,
+  sourceLabel
+};
@@ -0,0 +1,72 @@
+const hljs = require('highlight.js');
+
+// highlight.js language names for the analyzer's language ids
+const HIGHLIGHT_LANGUAGES = { javascript: 'javascript', python: 'python', java: 'java', cpp: 'cpp' };
+
+// Colors for highlight.js scopes, close to GitHub's light theme
+const SCOPE_COLORS = {
+  keyword: '#d73a49',
+  type: '#d73a49',
+  built_in: '#e36209',
+  literal: '#005cc5',
+  number: '#005cc5',
+  string: '#032f62',
+  regexp: '#032f62',
+  comment: '#6a737d',
+  meta: '#6a737d',
+  title: '#6f42c1',
+  attr: '#005cc5',
+  params: '#24292e',
+  variable: '#e36209',
+  subst: '#24292e'
+};
+const DEFAULT_COLOR = '#24292e';
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#x27;': "'" };
+
+// The code split into lines of { text, scope } runs, where scope is the
+// innermost highlight.js scope (`keyword`, `string`) or null. Spans in the
+// highlighter's output can cover several lines (block comments, multi-line
+// strings), so runs are split at line breaks.
+const highlightLines = (code, language) => {
+  const highlighter = HIGHLIGHT_LANGUAGES[language];
+  if (!highlighter) return code.split('\n').map(line => [{ text: line, scope: null }]);
+
+  const html = hljs.highlight(code, { language: highlighter, ignoreIllegals: true }).value;
+  const lines = [[]];
+  const scopes = [];
+
+  for (const [tag, open, text] of html.matchAll(/<span class="([^"]*)">|<\/span>|([^<]+)/g)) {
+    if (open !== undefined) {
+      const scope = open.split(' ').find(name => name.startsWith('hljs-'));
+      scopes.push(scope ? scope.slice('hljs-'.length) : scopes[scopes.length - 1]);
+    } else if (tag === '</span>') {
+      scopes.pop();
+    } else {
+      const scope = scopes.length ? scopes[scopes.length - 1] : null;
+      text.replace(/&(?:amp|lt|gt|quot|#x27);/g, entity => ENTITIES[entity]).split('\n').forEach((part, index) => {
+        if (index > 0) lines.push([]);
+        if (part) lines[lines.length - 1].push({ text: part, scope });
+      });
+    }
+  }
+  return lines;
+};
+
+// Which of the analyzer's languages a snippet is written in. Rule-based
+// suggestion examples are shared between languages, so they are not
+// always in the language of the review.
+const detectLanguage = (code) => {
+  const { language } = hljs.highlightAuto(code, Object.values(HIGHLIGHT_LANGUAGES));
+  return Object.keys(HIGHLIGHT_LANGUAGES).find(id => HIGHLIGHT_LANGUAGES[id] === language) || null;
+};
+
+const scopeColor = (scope) => SCOPE_COLORS[scope] || DEFAULT_COLOR;
+
+module.exports = {
+  SCOPE_COLORS,
+  DEFAULT_COLOR,
+  highlightLines,
+  detectLanguage,
+  scopeColor
+};
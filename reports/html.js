@@ -0,0 +1,148 @@
+const { SCOPE_COLORS, DEFAULT_COLOR, highlightLines } = require('./highlight');
+const { sourceLabel } = require('./content');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const METRIC_CLASSES = { High: 'good', Medium: 'fair', Low: 'poor' };
+// Unlike the other metrics, high complexity is bad
+const COMPLEXITY_CLASSES = { Low: 'good', Medium: 'fair', High: 'poor' };
+
+const STYLE = `
+body { font-family: -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: ${DEFAULT_COLOR}; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+h1, h2 { border-bottom: 1px solid #e1e4e8; padding-bottom: 0.3rem; }
+.meta, .details { color: #586069; font-size: 0.9rem; }
+table.facts td { padding: 0.2rem 1rem 0.2rem 0; }
+.chip { display: inline-block; padding: 0 0.5rem; border-radius: 1rem; font-size: 0.85rem; border: 1px solid #d1d5da; }
+.good { background: #dcffe4; } .fair { background: #fff5b1; } .poor { background: #ffdce0; }
+.error { background: #ffdce0; } .warning { background: #fff5b1; } .info { background: #dbedff; }
+.finding { border-left: 4px solid #d1d5da; padding: 0.5rem 1rem; margin: 1rem 0; background: #fafbfc; }
+.finding.error { border-color: #d73a49; } .finding.warning { border-color: #f9c513; } .finding.info { border-color: #0366d6; }
+.finding h3 { margin: 0 0 0.25rem; font-size: 1rem; }
+pre, code { font-family: SFMono-Regular, Consolas, 'Liberation Mono', Menlo, monospace; font-size: 0.85rem; }
+pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; white-space: pre-wrap; }
+pre.after { background: #e6ffed; }
+table.code { border-collapse: collapse; width: 100%; background: #f6f8fa; }
+table.code td { padding: 0 0.5rem; vertical-align: top; }
+table.code td.number { text-align: right; color: #959da5; user-select: none; width: 1%; }
+table.code td.number a { color: inherit; text-decoration: none; }
+table.code tr.bug { background: #ffeef0; }
+table.code tr:target { background: #fff5b1; }
+table.code pre { background: none; padding: 0; margin: 0; }
+${Object.entries(SCOPE_COLORS).map(([scope, color]) => `.hl-${scope} { color: ${color}; }`).join('\n')}
+.hl-comment { font-style: italic; }
+`;
+
+const highlighted = (runs) => runs
+  .map(({ text, scope }) => (scope ? `<span class="hl-${scope}">${escapeHtml(text)}</span>` : escapeHtml(text)))
+  .join('');
+
+const codeBlock = (code, language, className = '') =>
+  `<pre${className ? ` class="${className}"` : ''}><code>${highlightLines(code, language).map(highlighted).join('\n')}</code></pre>`;
+
+// The code with numbered lines that findings link to (#L12); lines with a
+// bug on them are tinted
+const codeListing = (report) => {
+  const rows = highlightLines(report.code, report.language).map((runs, index) => {
+    const line = index + 1;
+    return `<tr id="L${line}"${report.bugLines.has(line) ? ' class="bug"' : ''}>` +
+      `<td class="number"><a href="#L${line}">${line}</a></td><td><pre>${highlighted(runs) || ' '}</pre></td></tr>`;
+  });
+  return `<table class="code">${rows.join('\n')}</table>`;
+};
+
+const lineLink = (finding) => (finding.line > 0
+  ? `<a href="#L${finding.line}">${escapeHtml(finding.reference)}</a>`
+  : null);
+
+const facts = (rows, classes = {}) => `<table class="facts">${rows.map(([name, value]) => {
+  const className = classes[name] && classes[name][value];
+  const shown = className ? `<span class="chip ${className}">${escapeHtml(value)}</span>` : escapeHtml(value);
+  return `<tr><td><strong>${escapeHtml(name)}</strong></td><td>${shown}</td></tr>`;
+}).join('')}</table>`;
+
+const fixSection = (fix, language) => {
+  if (!fix) return '';
+  return [
+    fix.explanation ? `<p><strong>Fix:</strong> ${escapeHtml(fix.explanation)}</p>` : '',
+    fix.before ? `<p>Before:</p>${codeBlock(fix.before, language)}` : '',
+    fix.after ? `<p>After:</p>${codeBlock(fix.after, language, 'after')}` : ''
+  ].join('');
+};
+
+const bugSection = (bug, language) => {
+  const details = [
+    lineLink(bug),
+    bug.severity && `<span class="chip ${escapeHtml(bug.severity)}">${escapeHtml(bug.severity)}</span>`,
+    bug.type && escapeHtml(bug.type),
+    escapeHtml(sourceLabel(bug.source)),
+    bug.rule && `<code>${escapeHtml(bug.rule)}</code>`,
+    bug.cwe && `<a href="${escapeHtml(bug.cweLink)}">${escapeHtml(bug.cwe)}</a>`
+  ].filter(Boolean);
+  let explanation = '';
+  if (bug.explanation) {
+    explanation = bug.source === 'run' ? `<pre>${escapeHtml(bug.explanation)}</pre>` : `<p>${escapeHtml(bug.explanation)}</p>`;
+  }
+
+  return `<div class="finding ${escapeHtml(bug.severity || '')}">` +
+    `<h3>${escapeHtml(bug.message)}</h3><div class="details">${details.join(' · ')}</div>` +
+    `${explanation}${fixSection(bug.fix, language)}</div>`;
+};
+
+const suggestionSection = (suggestion, language) => {
+  const details = [lineLink(suggestion), suggestion.category && escapeHtml(suggestion.category), escapeHtml(sourceLabel(suggestion.source))]
+    .filter(Boolean);
+  const example = suggestion.example
+    ? `<p>Before:</p>${codeBlock(suggestion.example.before, suggestion.exampleLanguage)}<p>After:</p>${codeBlock(suggestion.example.after, suggestion.exampleLanguage, 'after')}`
+    : '';
+
+  return `<div class="finding"><h3>${escapeHtml(suggestion.message)}</h3><div class="details">${details.join(' · ')}</div>` +
+    `${example}${fixSection(suggestion.fix, language)}</div>`;
+};
+
+// A standalone page: styles are inline and nothing is loaded from elsewhere,
+// so it can be attached to feedback or opened offline
+const renderHtml = (report) => {
+  const { language } = report;
+  const bugTypes = report.bugTypes.map(([type, count]) => `${escapeHtml(type)}: ${count}`).join(', ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">${escapeHtml(report.languageName)} · ${escapeHtml(report.createdAt.toISOString())}</p>
+<h2>Code Analysis</h2>
+${facts(report.analysis, { Complexity: COMPLEXITY_CLASSES })}
+<h2>Code Metrics</h2>
+${facts(report.metrics, Object.fromEntries(report.metrics.map(([name]) => [name, METRIC_CLASSES])))}
+<h2>Code</h2>
+${codeListing(report)}
+<h2>Bugs</h2>
+<p>${report.bugs.length} found${bugTypes ? ` (${bugTypes})` : ''}</p>
+${report.bugs.map(bug => bugSection(bug, language)).join('\n')}
+${report.suppressed.length ? `<p class="details">Suppressed by comments:</p><ul class="details">${report.suppressed
+    .map(finding => `<li>${lineLink(finding) || '-'}: ${escapeHtml(finding.message)} (<code>${escapeHtml(finding.rule)}</code>)</li>`)
+    .join('')}</ul>` : ''}
+${report.logicExplanation ? `<h2>How the Code Works</h2><p style="white-space: pre-wrap">${escapeHtml(report.logicExplanation)}</p>` : ''}
+<h2>Suggestions for Improvement</h2>
+${report.suggestions.map(suggestion => suggestionSection(suggestion, language)).join('\n')}
+<h2>Best Practices for ${escapeHtml(report.languageName)}</h2>
+<ul>${report.bestPractices.map(practice => `<li>${escapeHtml(practice)}</li>`).join('')}</ul>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  renderHtml
+};
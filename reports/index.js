@@ -0,0 +1,44 @@
+const { validateReview, buildReport } = require('./content');
+const { renderMarkdown } = require('./markdown');
+const { renderHtml } = require('./html');
+const { renderPdf } = require('./pdf');
+
+// Report formats by the name used in ?format= and the request body
+const FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: renderMarkdown },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: renderHtml },
+  pdf: { contentType: 'application/pdf', extension: 'pdf', render: renderPdf }
+};
+
+const listFormats = () => Object.keys(FORMATS);
+
+// Renders a review of `code` as a downloadable report:
+// { contentType, extension, body }, where body is a string or, for PDF, a
+// Buffer. Throws an error with status 400 for an unknown format.
+const renderReport = async (format, { code, language, review, createdAt, title }) => {
+  const { contentType, extension, render } = FORMATS[format] || {};
+  if (!render) {
+    const error = new Error(`Unknown report format: ${format}. Use one of: ${listFormats().join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const body = await render(buildReport({ code, language, review, createdAt, title }));
+  return { contentType, extension, body };
+};
+
+// Sends a rendered report as a file download named `<name>.<extension>`
+const sendReport = (res, { contentType, extension, body }, name) => {
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${name}.${extension}"`
+  });
+  res.send(body);
+};
+
+module.exports = {
+  listFormats,
+  validateReview,
+  renderReport,
+  sendReport
+};
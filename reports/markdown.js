@@ -0,0 +1,99 @@
+const { sourceLabel } = require('./content');
+
+// A fence longer than any run of backticks inside the code
+const codeBlock = (code, language = '') => {
+  const longest = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${language}\n${code}\n${fence}`;
+};
+
+const table = (rows) => [
+  '| | |',
+  '| --- | --- |',
+  ...rows.map(([name, value]) => `| ${name} | ${String(value).replace(/\|/g, '\\|')} |`)
+].join('\n');
+
+const fixSection = (fix, language) => {
+  if (!fix) return [];
+  return [
+    ...(fix.explanation ? [`**Fix:** ${fix.explanation}`] : []),
+    ...(fix.before ? ['Before:', codeBlock(fix.before, language)] : []),
+    ...(fix.after ? ['After:', codeBlock(fix.after, language)] : [])
+  ];
+};
+
+const bugSection = (bug, language) => {
+  const details = [
+    bug.reference && `**${bug.reference}**`,
+    bug.severity,
+    bug.type,
+    sourceLabel(bug.source),
+    bug.rule && `\`${bug.rule}\``,
+    bug.cwe && `[${bug.cwe}](${bug.cweLink})`
+  ].filter(Boolean);
+
+  return [
+    `### ${bug.message}`,
+    details.join(' · '),
+    ...(bug.explanation ? [bug.source === 'run' ? codeBlock(bug.explanation) : bug.explanation] : []),
+    ...fixSection(bug.fix, language)
+  ].join('\n\n');
+};
+
+const suggestionSection = (suggestion, language) => {
+  const details = [suggestion.reference && `**${suggestion.reference}**`, suggestion.category, sourceLabel(suggestion.source)]
+    .filter(Boolean);
+
+  return [
+    `### ${suggestion.message}`,
+    details.join(' · '),
+    ...(suggestion.example ? [
+      'Before:', codeBlock(suggestion.example.before, suggestion.exampleLanguage || ''),
+      'After:', codeBlock(suggestion.example.after, suggestion.exampleLanguage || '')
+    ] : []),
+    ...fixSection(suggestion.fix, language)
+  ].join('\n\n');
+};
+
+// GitHub-flavored Markdown: code in fenced blocks tagged with the language,
+// so renderers highlight it, and findings referenced by line (`L12`)
+const renderMarkdown = (report) => {
+  const { language } = report;
+  const sections = [
+    `# ${report.title}`,
+    `${report.languageName} · ${report.createdAt.toISOString()}`,
+    '## Code Analysis',
+    table(report.analysis),
+    '## Code Metrics',
+    table(report.metrics),
+    '## Code',
+    codeBlock(report.code, language),
+    '## Bugs',
+    `${report.bugs.length} found${report.bugTypes.length
+      ? ` (${report.bugTypes.map(([type, count]) => `${type}: ${count}`).join(', ')})`
+      : ''}`,
+    ...report.bugs.map(bug => bugSection(bug, language))
+  ];
+
+  if (report.suppressed.length) {
+    sections.push(
+      'Suppressed by comments:',
+      report.suppressed.map(finding => `- ${finding.reference || '-'}: ${finding.message} (\`${finding.rule}\`)`).join('\n')
+    );
+  }
+  if (report.logicExplanation) {
+    sections.push('## How the Code Works', report.logicExplanation);
+  }
+  sections.push(
+    '## Suggestions for Improvement',
+    ...report.suggestions.map(suggestion => suggestionSection(suggestion, language)),
+    `## Best Practices for ${report.languageName}`,
+    report.bestPractices.map(practice => `- ${practice}`).join('\n')
+  );
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+module.exports = {
+  renderMarkdown
+};
@@ -0,0 +1,185 @@
+const PDFDocument = require('pdfkit');
+const { DEFAULT_COLOR, highlightLines, scopeColor } = require('./highlight');
+const { sourceLabel } = require('./content');
+
+const MUTED_COLOR = '#586069';
+const LINK_COLOR = '#0366d6';
+const BUG_LINE_COLOR = '#ffeef0';
+const SEVERITY_COLORS = { error: '#d73a49', warning: '#b08800', info: '#0366d6' };
+const CODE_SIZE = 8.5;
+
+// The standard PDF fonts only cover Latin-1 (WinAnsi); other characters
+// would print as garbage
+const pdfText = (text) => String(text)
+  .replace(/→/g, '->')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/\t/g, '    ')
+  .replace(/[^\n\x20-\x7e\xa0-\xff]/g, '?');
+
+// Highlighted code, one line at a time so that a listing's line numbers
+// and tinted bug lines stay next to their code across page breaks
+const writeCode = (doc, code, language, { numbered = false, bugLines = new Set() } = {}) => {
+  const lines = highlightLines(code, language);
+  const left = doc.page.margins.left;
+  const gutter = numbered ? doc.font('Courier').fontSize(CODE_SIZE).widthOfString(`${lines.length}  `) : 12;
+  const width = doc.page.width - doc.page.margins.right - left - gutter;
+
+  doc.font('Courier').fontSize(CODE_SIZE);
+  lines.forEach((runs, index) => {
+    const line = index + 1;
+    const text = runs.map(run => pdfText(run.text)).join('') || ' ';
+    const height = doc.heightOfString(text, { width });
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+    const { y } = doc;
+    if (numbered) {
+      doc.addNamedDestination(`L${line}`, 'XYZ', null, doc.page.height - y, null);
+      if (bugLines.has(line)) {
+        doc.rect(left, y - 1, gutter + width, height + 1).fill(BUG_LINE_COLOR);
+      }
+      doc.fillColor(MUTED_COLOR).text(String(line).padStart(String(lines.length).length), left, y, { lineBreak: false });
+    }
+
+    if (!runs.length) {
+      doc.text(' ', left + gutter, y, { width });
+    } else {
+      runs.forEach((run, runIndex) => {
+        const options = { width, continued: runIndex < runs.length - 1 };
+        doc.fillColor(scopeColor(run.scope));
+        if (runIndex === 0) {
+          doc.text(pdfText(run.text), left + gutter, y, options);
+        } else {
+          doc.text(pdfText(run.text), options);
+        }
+      });
+    }
+  });
+
+  doc.x = left;
+  doc.fillColor(DEFAULT_COLOR).font('Helvetica').fontSize(10).moveDown(0.5);
+};
+
+const heading = (doc, text) => {
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(14).fillColor(DEFAULT_COLOR).text(pdfText(text));
+  doc.moveDown(0.3).font('Helvetica').fontSize(10);
+};
+
+const facts = (doc, rows) => {
+  rows.forEach(([name, value]) => {
+    doc.font('Helvetica-Bold').text(`${pdfText(name)}: `, { continued: true })
+      .font('Helvetica').text(pdfText(value));
+  });
+};
+
+// The line reference links to the line in the code listing
+const details = (doc, finding, parts) => {
+  doc.fontSize(9);
+  if (finding.reference && finding.line > 0) {
+    doc.fillColor(LINK_COLOR).text(finding.reference, { goTo: `L${finding.line}`, continued: true, underline: true })
+      .text('', { goTo: null, underline: false, continued: true });
+    if (parts.length) doc.fillColor(MUTED_COLOR).text('  -  ', { continued: true });
+  }
+  doc.fillColor(MUTED_COLOR).text(pdfText(parts.join('  -  ')) || ' ');
+  doc.fillColor(DEFAULT_COLOR).fontSize(10);
+};
+
+const fixSection = (doc, fix, language) => {
+  if (!fix) return;
+  if (fix.explanation) {
+    doc.font('Helvetica-Bold').text('Fix: ', { continued: true }).font('Helvetica').text(pdfText(fix.explanation));
+  }
+  if (fix.before) {
+    doc.text('Before:');
+    writeCode(doc, fix.before, language);
+  }
+  if (fix.after) {
+    doc.text('After:');
+    writeCode(doc, fix.after, language);
+  }
+};
+
+const bugSection = (doc, bug, language) => {
+  doc.moveDown(0.5).font('Helvetica-Bold').fillColor(SEVERITY_COLORS[bug.severity] || DEFAULT_COLOR)
+    .text(pdfText(bug.message));
+  doc.font('Helvetica');
+  details(doc, bug, [bug.severity, bug.type, sourceLabel(bug.source), bug.rule, bug.cwe].filter(Boolean));
+  if (bug.explanation) {
+    if (bug.source === 'run') {
+      writeCode(doc, bug.explanation);
+    } else {
+      doc.text(pdfText(bug.explanation));
+    }
+  }
+  fixSection(doc, bug.fix, language);
+};
+
+const suggestionSection = (doc, suggestion, language) => {
+  doc.moveDown(0.5).font('Helvetica-Bold').text(pdfText(suggestion.message));
+  doc.font('Helvetica');
+  details(doc, suggestion, [suggestion.category, sourceLabel(suggestion.source)].filter(Boolean));
+  if (suggestion.example) {
+    doc.text('Before:');
+    writeCode(doc, suggestion.example.before, suggestion.exampleLanguage);
+    doc.text('After:');
+    writeCode(doc, suggestion.example.after, suggestion.exampleLanguage);
+  }
+  fixSection(doc, suggestion.fix, language);
+};
+
+// Generated here with PDFKit and its built-in fonts, so no service sees the
+// code. Resolves to the PDF as a Buffer.
+const renderPdf = (report) => new Promise((resolve, reject) => {
+  const { language } = report;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: report.title, CreationDate: report.createdAt }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(DEFAULT_COLOR).text(pdfText(report.title));
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR)
+    .text(`${pdfText(report.languageName)}  -  ${report.createdAt.toISOString()}`);
+  doc.fillColor(DEFAULT_COLOR);
+
+  heading(doc, 'Code Analysis');
+  facts(doc, report.analysis);
+  heading(doc, 'Code Metrics');
+  facts(doc, report.metrics);
+
+  heading(doc, 'Code');
+  writeCode(doc, report.code, language, { numbered: true, bugLines: report.bugLines });
+
+  heading(doc, 'Bugs');
+  const bugTypes = report.bugTypes.map(([type, count]) => `${type}: ${count}`).join(', ');
+  doc.text(`${report.bugs.length} found${bugTypes ? ` (${bugTypes})` : ''}`);
+  report.bugs.forEach(bug => bugSection(doc, bug, language));
+  if (report.suppressed.length) {
+    doc.moveDown(0.5).fillColor(MUTED_COLOR).text('Suppressed by comments:');
+    report.suppressed.forEach(finding => {
+      doc.text(pdfText(`${finding.reference || '-'}: ${finding.message} (${finding.rule})`));
+    });
+    doc.fillColor(DEFAULT_COLOR);
+  }
+
+  if (report.logicExplanation) {
+    heading(doc, 'How the Code Works');
+    doc.text(pdfText(report.logicExplanation));
+  }
+
+  heading(doc, 'Suggestions for Improvement');
+  report.suggestions.forEach(suggestion => suggestionSection(doc, suggestion, language));
+
+  heading(doc, `Best Practices for ${report.languageName}`);
+  doc.list(report.bestPractices.map(pdfText));
+
+  doc.end();
+});
+
+module.exports = {
+  renderPdf
+};
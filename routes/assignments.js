@@ -0,0 +1,273 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const { getLanguage, validateRuleConfig } = require('../analyzers');
+const { findSecrets, redactSecrets } = require('../analyzers/secrets');
+const { reviewCode } = require('../pipeline');
+const { validateTests } = require('../sandbox');
+const { buildDashboard } = require('../classroom/dashboard');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+const instructorOnly = requireRole('instructor');
+const studentOnly = requireRole('student');
+
+// Every route needs req.user, so mount behind requireAuth. Instructors only
+// see their own assignments; students see every assignment but only their
+// own submissions.
+
+// Returns an error message when the fields of an assignment are invalid.
+// Fields left out of an update are not checked.
+const validateAssignment = ({ title, description, language, starterCode, rules, tests }, update) => {
+  if (!update || title !== undefined) {
+    if (typeof title !== 'string' || !title.trim()) return 'Title is required';
+  }
+  if (!update || language !== undefined) {
+    if (!language) return 'Programming language is required';
+    if (!getLanguage(language)) return `Unsupported language: ${language}`;
+  }
+  if (description !== undefined && typeof description !== 'string') return 'description must be a string';
+  if (starterCode !== undefined && typeof starterCode !== 'string') return 'starterCode must be a string';
+
+  const ruleError = validateRuleConfig(rules);
+  if (ruleError) return ruleError;
+
+  return tests === undefined ? null : validateTests(tests);
+};
+
+const ASSIGNMENT_FIELDS = ['title', 'description', 'language', 'starterCode', 'rules', 'tests'];
+
+// The assignment if the user may see it
+const findAssignment = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  const filter = { _id: req.params.id };
+  if (req.user.role === 'instructor') filter.instructor = req.user._id;
+  return Assignment.findOne(filter).populate('instructor', 'name email');
+};
+
+// Students get assignments without expected test output, and reviews of
+// their submissions without it too
+const forUser = (user, assignment) => (user.role === 'instructor' ? assignment : assignment.toStudentJSON());
+
+const reviewForUser = (user, review) => {
+  if (user.role === 'instructor' || !review.execution || !review.execution.runs) return review;
+  return {
+    ...review,
+    execution: {
+      ...review.execution,
+      runs: review.execution.runs.map(({ expected, ...run }) => run)
+    }
+  };
+};
+
+// GET /api/assignments
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.user.role === 'instructor' ? { instructor: req.user._id } : {};
+    const assignments = await Assignment.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('instructor', 'name email');
+
+    res.json({ assignments: assignments.map(assignment => forUser(req.user, assignment)) });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to list assignments' });
+  }
+});
+
+// POST /api/assignments { title, description?, language, starterCode?, rules?, tests? }
+router.post('/', instructorOnly, async (req, res) => {
+  try {
+    const validationError = validateAssignment(req.body, false);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const fields = Object.fromEntries(ASSIGNMENT_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+    const assignment = await Assignment.create({ ...fields, instructor: req.user._id });
+
+    res.status(201).json({ assignment });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to create assignment' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const assignment = await findAssignment(req);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    res.json({ assignment: forUser(req.user, assignment) });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to load assignment' });
+  }
+});
+
+// PATCH /api/assignments/:id with any of the fields POST takes. Earlier
+// submissions keep the review they got.
+router.patch('/:id', instructorOnly, async (req, res) => {
+  try {
+    const assignment = await findAssignment(req);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    const validationError = validateAssignment(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    ASSIGNMENT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) assignment[field] = req.body[field];
+    });
+    // Mixed paths are not change-tracked
+    if (req.body.rules !== undefined) assignment.markModified('rules');
+
+    await assignment.save();
+    res.json({ assignment });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to update assignment' });
+  }
+});
+
+// Deletes the assignment with all its submissions
+router.delete('/:id', instructorOnly, async (req, res) => {
+  try {
+    const assignment = await findAssignment(req);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    await Submission.deleteMany({ assignment: assignment._id });
+    await assignment.deleteOne();
+
+    res.json({ id: assignment._id, deleted: true });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to delete assignment' });
+  }
+});
+
+// POST /api/assignments/:id/submissions { code }
+// Reviews the code with the assignment's rules, runs its tests when it has
+// any, and stores the attempt with secrets masked
+router.post('/:id/submissions', studentOnly, async (req, res) => {
+  try {
+    const assignment = await findAssignment(req);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const { tests, rules } = assignment.toObject();
+    const review = await reviewCode({
+      code,
+      language: assignment.language,
+      options: { rules },
+      llm: null,
+      run: tests.length ? { tests } : undefined
+    });
+
+    // Not stored: the student can submit again once the sandbox is free
+    if (review.execution && review.execution.error) {
+      return res.status(review.execution.status).json({ error: review.execution.error });
+    }
+
+    const submission = await Submission.create({
+      assignment: assignment._id,
+      student: req.user._id,
+      code: redactSecrets(code, findSecrets(code)),
+      result: review
+    });
+
+    res.status(201).json({
+      submission: { ...submission.toSummary(), code: submission.code, review: reviewForUser(req.user, review) }
+    });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to submit' });
+  }
+});
+
+// GET /api/assignments/:id/submissions lists every student's submissions
+// for the assignment's instructor, and their own for a student; newest first
+router.get('/:id/submissions', async (req, res) => {
+  try {
+    const assignment = await findAssignment(req);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    const filter = { assignment: assignment._id };
+    if (req.user.role !== 'instructor') filter.student = req.user._id;
+
+    const submissions = await Submission.find(filter)
+      .sort({ createdAt: -1 })
+      .select('assignment student createdAt result.debugging.bugCount result.debugging.bugTypes ' +
+        'result.execution.passed result.execution.failed result.execution.runs.passed')
+      .populate('student', 'name email');
+
+    res.json({ submissions: submissions.map(submission => submission.toSummary()) });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to list submissions' });
+  }
+});
+
+router.get('/:id/submissions/:submissionId', async (req, res) => {
+  try {
+    const assignment = await findAssignment(req);
+    const submission = assignment && mongoose.isValidObjectId(req.params.submissionId) &&
+      await Submission.findOne({
+        _id: req.params.submissionId,
+        assignment: assignment._id,
+        ...(req.user.role !== 'instructor' && { student: req.user._id })
+      }).populate('student', 'name email');
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    res.json({
+      submission: { ...submission.toSummary(), code: submission.code, review: reviewForUser(req.user, submission.result) }
+    });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to load submission' });
+  }
+});
+
+// GET /api/assignments/:id/dashboard (see classroom/dashboard.js)
+router.get('/:id/dashboard', instructorOnly, async (req, res) => {
+  try {
+    const assignment = await findAssignment(req);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    const submissions = await Submission.find({ assignment: assignment._id })
+      .sort({ createdAt: 1 })
+      .select('student createdAt result.debugging result.execution.passed result.execution.failed ' +
+        'result.execution.runs.passed')
+      .populate('student', 'name email');
+
+    res.json({ assignment, dashboard: buildDashboard(submissions) });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to load dashboard' });
+  }
+});
+
+module.exports = router;
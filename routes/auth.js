@@ -0,0 +1,109 @@
+const express = require('express');
+const User = require('../models/User');
+const { validateReviewOptions } = require('../analyzers');
+const { signToken, requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password, name, role = 'student', instructorCode } = req.body;
+
+    if (!email || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    if (!User.ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${User.ROLES.join(', ')}` });
+    }
+
+    // Instructor signup is closed unless the server configures a code
+    const signupCode = process.env.INSTRUCTOR_SIGNUP_CODE;
+    if (role === 'instructor' && !signupCode) {
+      return res.status(403).json({ error: 'Instructor signup is disabled on this server' });
+    }
+    if (role === 'instructor' && instructorCode !== signupCode) {
+      return res.status(403).json({ error: 'A valid instructor code is required' });
+    }
+
+    if (await User.exists({ email: email.toLowerCase().trim() })) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const user = new User({ email, name, role });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({ token: signToken(user), user });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to register' });
+  }
+});
+
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !(await user.checkPassword(password))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({ token: signToken(user), user });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to log in' });
+  }
+});
+
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// PATCH /api/auth/me { name, settings: { env, globals, rules } }
+router.patch('/me', requireAuth, async (req, res) => {
+  try {
+    const { name, settings } = req.body;
+
+    const settingsError = validateReviewOptions(settings, 'settings');
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    if (name !== undefined) {
+      req.user.name = name;
+    }
+    if (settings) {
+      ['env', 'globals'].forEach(key => {
+        if (settings[key]) {
+          req.user.settings[key] = settings[key];
+        }
+      });
+      if (settings.rules) {
+        req.user.settings.rules = settings.rules;
+        // Mixed paths are not change-tracked
+        req.user.markModified('settings.rules');
+      }
+    }
+
+    await req.user.save();
+    res.json({ user: req.user });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to update account' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { getLanguage } = require('../analyzers');
+const { findSecrets, redactSecrets } = require('../analyzers/secrets');
+const { listFormats, validateReview, renderReport, sendReport } = require('../reports');
+
+const router = express.Router();
+
+// POST /api/export { format, code, language, review }
+// Renders a review the client already has, such as one that was not saved,
+// as a report to download. Secrets in the code are masked as they are in
+// saved reviews.
+router.post('/', async (req, res) => {
+  try {
+    const { format = 'md', code, language, review } = req.body;
+
+    if (!listFormats().includes(format)) {
+      return res.status(400).json({ error: `Unknown report format: ${format}` });
+    }
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    if (!language) {
+      return res.status(400).json({ error: 'Programming language is required' });
+    }
+
+    if (!getLanguage(language)) {
+      return res.status(400).json({ error: `Unsupported language: ${language}` });
+    }
+
+    const reviewError = validateReview(review);
+    if (reviewError) {
+      return res.status(400).json({ error: reviewError });
+    }
+
+    const secrets = findSecrets(code);
+    const report = await renderReport(format, {
+      code: redactSecrets(code, secrets),
+      language,
+      review: redactSecrets(review, secrets)
+    });
+    sendReport(res, report, 'review');
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(error.status || 500).json({ error: error.message || 'Failed to export review' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { analyzeCode, getLanguage, validateReviewOptions } = require('../analyzers');
+const { applyFixes, diffCode } = require('../analyzers/fixes');
+
+const router = express.Router();
+
+// Every mechanical fix in a review, in the order the findings are reported
+const collectFixes = (review) => {
+  const fixes = new Map();
+
+  [...review.debugging.bugs, ...review.suggestions].forEach(finding => {
+    if (finding.fix && finding.fix.edits && !fixes.has(finding.fix.id)) {
+      fixes.set(finding.fix.id, finding.fix);
+    }
+  });
+
+  return fixes;
+};
+
+// POST /api/fix { code, language, options?, fixIds? }
+// Re-runs the rule-based review and applies the chosen fixes (all of them
+// when fixIds is omitted), so edits always match the submitted code.
+router.post('/', (req, res) => {
+  try {
+    const { code, language, options, fixIds } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    if (!language) {
+      return res.status(400).json({ error: 'Programming language is required' });
+    }
+
+    if (!getLanguage(language)) {
+      return res.status(400).json({ error: `Unsupported language: ${language}` });
+    }
+
+    if (fixIds !== undefined && !Array.isArray(fixIds)) {
+      return res.status(400).json({ error: 'fixIds must be an array' });
+    }
+
+    const optionsError = validateReviewOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const review = analyzeCode(code, language, req.user ? req.user.reviewOptions(options) : options);
+    const available = collectFixes(review);
+
+    const unknown = (fixIds || []).filter(id => !available.has(id));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown fix: ${unknown.join(', ')}` });
+    }
+
+    const chosen = fixIds ? fixIds.map(id => available.get(id)) : Array.from(available.values());
+    const { code: fixedCode, applied, skipped } = applyFixes(code, chosen);
+    const extension = getLanguage(language).extensions[0];
+
+    res.json({
+      code: fixedCode,
+      ...diffCode(code, fixedCode, `code${extension}`),
+      applied,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to apply fixes'
+    });
+  }
+});
+
+module.exports = router;
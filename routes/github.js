@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const express = require('express');
+const { reviewPullRequest } = require('../github/review');
+
+// pull_request actions that change what there is to review
+const REVIEWED_ACTIONS = ['opened', 'synchronize', 'reopened', 'ready_for_review'];
+const MAX_PAYLOAD = '5mb';
+
+// Whether `signature` (the X-Hub-Signature-256 header) is the HMAC of the
+// raw body under `secret`
+const verifySignature = (secret, body, signature) => {
+  if (!signature || !signature.startsWith('sha256=')) return false;
+
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// `github` is { client, webhookSecret, settings } (see github/config.js), or
+// null when the integration is not configured. An optional
+// `github.onReviewed(result, error)` is called when a background review
+// finishes, e.g. for tests.
+const createGitHubRouter = (github) => {
+  const router = express.Router();
+
+  // POST /api/github/webhook - GitHub pull_request events. The body is read
+  // raw because the signature covers its exact bytes.
+  router.post('/webhook', express.raw({ type: '*/*', limit: MAX_PAYLOAD }), (req, res) => {
+    try {
+      if (!github) {
+        return res.status(503).json({ error: 'GitHub integration is not configured' });
+      }
+
+      if (!verifySignature(github.webhookSecret, req.body, req.get('X-Hub-Signature-256'))) {
+        return res.status(401).json({ error: 'Invalid webhook signature' });
+      }
+
+      const event = req.get('X-GitHub-Event');
+      const payload = JSON.parse(req.body.toString('utf8'));
+
+      if (event === 'ping') {
+        return res.json({ ok: true });
+      }
+      if (event !== 'pull_request' || !REVIEWED_ACTIONS.includes(payload.action) || payload.pull_request.draft) {
+        return res.status(202).json({ ignored: true });
+      }
+
+      const pr = {
+        owner: payload.repository.owner.login,
+        repo: payload.repository.name,
+        number: payload.pull_request.number,
+        headSha: payload.pull_request.head.sha
+      };
+
+      // GitHub gives up on slow webhooks, so the review runs after responding
+      reviewPullRequest({ client: github.client, pr, settings: github.settings })
+        .then(result => github.onReviewed && github.onReviewed(result))
+        .catch(error => {
+          console.error(`GitHub review of ${pr.owner}/${pr.repo}#${pr.number} failed:`, error);
+          if (github.onReviewed) github.onReviewed(null, error);
+        });
+
+      res.status(202).json({ accepted: true });
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        return res.status(400).json({ error: 'Webhook payload must be JSON' });
+      }
+      console.error('Error details:', error);
+      res.status(error.status || 500).json({ error: error.message || 'Failed to handle webhook' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  verifySignature,
+  createGitHubRouter
+};
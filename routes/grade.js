@@ -0,0 +1,76 @@
+const express = require('express');
+const { getLanguage, validateReviewOptions } = require('../analyzers');
+const { DEFAULT_RUBRIC, listCriteria, validateRubric, gradeReview } = require('../analyzers/grading');
+const { reviewCode } = require('../pipeline');
+const { validateTests } = require('../sandbox');
+const { RUN_AUTH_ERROR } = require('../middleware/auth');
+
+const router = express.Router();
+
+// GET /api/grade lists the criterion types a rubric can use and the rubric
+// used when a request sends none
+router.get('/', (req, res) => {
+  res.json({ defaultRubric: DEFAULT_RUBRIC, criteria: listCriteria() });
+});
+
+// POST /api/grade { code, language, rubric?, options?, tests? }
+// Re-runs the rule-based review (and the tests, when there are any) and
+// grades it against the rubric, so the grade always matches the submitted code.
+router.post('/', async (req, res) => {
+  try {
+    const { code, language, rubric = DEFAULT_RUBRIC, options, tests } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    if (!language) {
+      return res.status(400).json({ error: 'Programming language is required' });
+    }
+
+    if (!getLanguage(language)) {
+      return res.status(400).json({ error: `Unsupported language: ${language}` });
+    }
+
+    const rubricError = validateRubric(rubric);
+    if (rubricError) {
+      return res.status(400).json({ error: rubricError });
+    }
+
+    const optionsError = validateReviewOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const testsError = tests === undefined ? null : validateTests(tests);
+    if (testsError) {
+      return res.status(400).json({ error: testsError });
+    }
+
+    if (tests && tests.length && !req.user) {
+      return res.status(401).json({ error: RUN_AUTH_ERROR });
+    }
+
+    const review = await reviewCode({
+      code,
+      language,
+      options: req.user ? req.user.reviewOptions(options) : options,
+      llm: null,
+      run: tests && tests.length ? { tests } : undefined
+    });
+
+    // A grade without its tests would be too high: report why they did not run
+    if (review.execution && review.execution.error) {
+      return res.status(review.execution.status).json({ error: review.execution.error });
+    }
+
+    res.json({ grade: gradeReview(review, rubric), rubric });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to grade code'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const multer = require('multer');
+const AdmZip = require('adm-zip');
+const { analyzeProject, isIgnoredPath, validateReviewOptions } = require('../analyzers');
+
+const router = express.Router();
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_UPLOADS = 50;
+// Limits on what a single archive may expand to
+const MAX_ARCHIVE_ENTRIES = 500;
+const MAX_SOURCE_SIZE = 512 * 1024;
+const MAX_TOTAL_SOURCE_SIZE = 10 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_UPLOADS }
+}).array('files');
+
+const isBinary = (buffer) => buffer.includes(0);
+
+// Zip compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+// An archive entry's contents. Entries are inflated here rather than by
+// adm-zip, which trusts the size the archive declares and does not limit the
+// output when it is 0, so a zip bomb stops at MAX_SOURCE_SIZE. Returns
+// { data } or { reason } when the entry cannot be read.
+const readEntry = (entry) => {
+  if (entry.header.encrypted) return { reason: 'Encrypted file' };
+
+  try {
+    const compressed = entry.getCompressedData();
+    if (entry.header.method === STORED) return { data: compressed };
+    if (entry.header.method === DEFLATED) {
+      return { data: zlib.inflateRawSync(compressed, { maxOutputLength: MAX_SOURCE_SIZE }) };
+    }
+    return { reason: 'Unsupported compression method' };
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') return { reason: 'File is too large' };
+    return { reason: `Could not extract: ${error.message}` };
+  }
+};
+
+// Flattens uploaded files and .zip archives into { path, content } entries
+const collectSources = (uploads) => {
+  const sources = [];
+  const skipped = [];
+  let totalSize = 0;
+
+  const addSource = (filePath, buffer) => {
+    if (buffer.length > MAX_SOURCE_SIZE) {
+      skipped.push({ path: filePath, reason: 'File is too large' });
+    } else if (isBinary(buffer)) {
+      skipped.push({ path: filePath, reason: 'Binary file' });
+    } else if (totalSize + buffer.length > MAX_TOTAL_SOURCE_SIZE) {
+      skipped.push({ path: filePath, reason: 'Upload size limit reached' });
+    } else {
+      totalSize += buffer.length;
+      sources.push({ path: filePath, content: buffer.toString('utf8') });
+    }
+  };
+
+  uploads.forEach(file => {
+    if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+      addSource(file.originalname, file.buffer);
+      return;
+    }
+
+    let entries;
+    try {
+      entries = new AdmZip(file.buffer).getEntries().filter(entry => !entry.isDirectory);
+    } catch (zipError) {
+      const error = new Error(`${file.originalname} is not a valid zip archive`);
+      error.status = 400;
+      throw error;
+    }
+
+    if (entries.length > MAX_ARCHIVE_ENTRIES) {
+      const error = new Error(`${file.originalname} has more than ${MAX_ARCHIVE_ENTRIES} files`);
+      error.status = 400;
+      throw error;
+    }
+
+    entries.forEach(entry => {
+      const entryPath = `${file.originalname}/${entry.entryName}`;
+      if (isIgnoredPath(entry.entryName)) return;
+
+      // The declared size is only a shortcut: readEntry enforces the limit
+      if (entry.header.size > MAX_SOURCE_SIZE) {
+        skipped.push({ path: entryPath, reason: 'File is too large' });
+        return;
+      }
+      const { data, reason } = readEntry(entry);
+      if (reason) {
+        skipped.push({ path: entryPath, reason });
+      } else {
+        addSource(entryPath, data);
+      }
+    });
+  });
+
+  return { sources, skipped };
+};
+
+// POST /api/review/project (multipart/form-data, field "files")
+router.post('/', (req, res) => {
+  upload(req, res, (uploadError) => {
+    if (uploadError) {
+      const status = uploadError instanceof multer.MulterError ? 400 : 500;
+      return res.status(status).json({ error: uploadError.message || 'Failed to upload files' });
+    }
+
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'At least one file is required' });
+      }
+
+      // Multipart fields arrive as strings
+      let options;
+      try {
+        options = req.body.options ? JSON.parse(req.body.options) : undefined;
+      } catch (parseError) {
+        return res.status(400).json({ error: 'options must be a JSON object' });
+      }
+      const optionsError = validateReviewOptions(options);
+      if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+      }
+
+      const { sources, skipped } = collectSources(req.files);
+      const project = analyzeProject(sources, req.user ? req.user.reviewOptions(options) : options);
+
+      res.json({
+        project: {
+          ...project,
+          skipped: [...skipped, ...project.skipped]
+        }
+      });
+    } catch (error) {
+      console.error('Error details:', error);
+      res.status(error.status || 500).json({
+        error: error.message || 'Failed to review project'
+      });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const { BUG_TYPES } = require('../analyzers/registry');
+const { listFormats, renderReport, sendReport } = require('../reports');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Every route is scoped to req.user, so mount behind requireAuth
+
+// GET /api/reviews?page=1&limit=20&language=python&bugType=security
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const { language, bugType } = req.query;
+
+    const filter = { user: req.user._id };
+    if (language) {
+      filter.language = language;
+    }
+    if (bugType) {
+      if (!BUG_TYPES.includes(bugType)) {
+        return res.status(400).json({ error: `Unknown bug type: ${bugType}` });
+      }
+      filter[`result.debugging.bugTypes.${bugType}`] = { $gt: 0 };
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('code language contentHash createdAt result.debugging.bugCount result.debugging.bugTypes'),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      reviews: reviews.map(review => review.toSummary()),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to list reviews' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const review = mongoose.isValidObjectId(req.params.id) &&
+      await Review.findOne({ _id: req.params.id, user: req.user._id });
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json({
+      id: review._id,
+      code: review.code,
+      language: review.language,
+      contentHash: review.contentHash,
+      createdAt: review.createdAt,
+      review: review.result
+    });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to load review' });
+  }
+});
+
+// GET /api/reviews/:id/export?format=md|html|pdf downloads the review as a
+// report (see reports/index.js)
+router.get('/:id/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'md';
+    if (!listFormats().includes(format)) {
+      return res.status(400).json({ error: `Unknown report format: ${format}` });
+    }
+
+    const review = mongoose.isValidObjectId(req.params.id) &&
+      await Review.findOne({ _id: req.params.id, user: req.user._id });
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const report = await renderReport(format, {
+      code: review.code,
+      language: review.language,
+      review: review.result,
+      createdAt: review.createdAt
+    });
+    sendReport(res, report, `review-${review._id}`);
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(error.status || 500).json({ error: error.message || 'Failed to export review' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const review = mongoose.isValidObjectId(req.params.id) &&
+      await Review.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json({ id: review._id, deleted: true });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(500).json({ error: error.message || 'Failed to delete review' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const { runCode } = require('../sandbox');
+
+const router = express.Router();
+
+// POST /api/run { code, language, stdin?, tests?: [{ name?, input, expected? }] }
+router.post('/', async (req, res) => {
+  try {
+    const { code, language, stdin, tests } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    if (!language) {
+      return res.status(400).json({ error: 'Programming language is required' });
+    }
+
+    const result = await runCode({ code, language, stdin, tests });
+    res.json({ result });
+  } catch (error) {
+    console.error('Error details:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to run code'
+    });
+  }
+});
+
+module.exports = router;
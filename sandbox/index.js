@@ -0,0 +1,346 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { getRunner, RUNNABLE_LANGUAGES } = require('./languages');
+const { exitStatus, hasIsolation, isolate, isolationFromEnv, prepareWorkDir } = require('./isolation');
+
+// Runs untrusted code as a separate process in a throwaway directory with
+// resource limits from prlimit(1), isolated from the network and the
+// server's files (see isolation.js). Without that isolation nothing runs.
+
+const MAX_TESTS = 20;
+const MAX_STDIN_SIZE = 64 * 1024;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_STDERR_LINES = 20;
+
+const number = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Limits for every run, from the environment (see .env template)
+const limitsFromEnv = (env = process.env) => ({
+  timeMs: number(env.SANDBOX_TIME_LIMIT_MS, 5000),
+  cpuSeconds: number(env.SANDBOX_CPU_SECONDS, 2),
+  memoryMb: number(env.SANDBOX_MEMORY_MB, 256),
+  maxOutputBytes: number(env.SANDBOX_MAX_OUTPUT_BYTES, 64 * 1024),
+  compileTimeMs: number(env.SANDBOX_COMPILE_TIME_LIMIT_MS, 30000),
+  maxConcurrent: number(env.SANDBOX_MAX_CONCURRENT, 2),
+  // Threads count too: a JVM starts a dozen or more
+  maxProcesses: number(env.SANDBOX_MAX_PROCESSES, 128)
+});
+
+let activeRuns = 0;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const installed = new Map();
+
+// Whether a compiler or interpreter is on the PATH programs get
+const commandExists = (command) => {
+  if (!installed.has(command)) {
+    const result = spawnSync('sh', ['-c', 'command -v "$0"', command], {
+      stdio: 'ignore',
+      timeout: 5000,
+      env: { PATH: isolationFromEnv().PATH }
+    });
+    installed.set(command, result.status === 0);
+  }
+  return installed.get(command);
+};
+
+const unavailable = (message) => {
+  const error = new Error(message);
+  error.status = 503;
+  return error;
+};
+
+// Spawns `command` with the limits applied and collects its output. Output
+// beyond `maxOutputBytes` kills the process, as does running past `timeMs`
+// of wall-clock time (CPU time is enforced by the kernel).
+const execute = (command, { base, work, stdin = '', timeMs, cpuSeconds, memoryMb, addressSpaceMb, maxOutputBytes, maxProcesses }) => {
+  const isolation = isolationFromEnv();
+  const prlimit = [
+    'prlimit',
+    `--cpu=${cpuSeconds}`,
+    `--fsize=${MAX_FILE_SIZE}`,
+    '--core=0',
+    '--nofile=64',
+    `--nproc=${maxProcesses}`,
+    ...(addressSpaceMb === null ? [] : [`--as=${(memoryMb + addressSpaceMb) * 1024 * 1024}`]),
+    '--'
+  ];
+  const argv = isolate([...prlimit, ...command], { base, work, isolation });
+
+  return new Promise((resolve, reject) => {
+    const started = process.hrtime.bigint();
+    const child = spawn(argv[0], argv.slice(1), {
+      cwd: base,
+      // Nothing from the server's environment (API keys, database URLs) leaks in
+      env: { PATH: isolation.PATH, HOME: '/sandbox', LANG: 'C.UTF-8' },
+      // Its own process group, so killing it takes the namespace down with it
+      detached: true
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let outputSize = 0;
+    let timedOut = false;
+    let outputExceeded = false;
+
+    const kill = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already exited
+      }
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, timeMs);
+
+    const collect = (append) => (chunk) => {
+      if (outputExceeded) return;
+      const remaining = maxOutputBytes - outputSize;
+      if (chunk.length > remaining) {
+        append(chunk.slice(0, remaining).toString());
+        outputExceeded = true;
+        kill();
+        return;
+      }
+      outputSize += chunk.length;
+      append(chunk.toString());
+    };
+
+    child.stdout.on('data', collect(text => { stdout += text; }));
+    child.stderr.on('data', collect(text => { stderr += text; }));
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code, closeSignal) => {
+      clearTimeout(timer);
+      const { exitCode, signal } = exitStatus(code, closeSignal);
+      resolve({
+        stdout,
+        stderr,
+        exitCode,
+        signal,
+        timeMs: Number(process.hrtime.bigint() - started) / 1e6,
+        timedOut,
+        outputExceeded,
+        // SIGXCPU, or SIGKILL once the hard limit is reached
+        cpuLimitExceeded: !timedOut && !outputExceeded && (signal === 'SIGXCPU' || signal === 'SIGKILL')
+      });
+    });
+
+    // The program may exit without reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin);
+  });
+};
+
+// Trailing whitespace is not significant when comparing program output
+const normalizeOutput = (text) => text
+  .split('\n')
+  .map(line => line.trimEnd())
+  .join('\n')
+  .trimEnd();
+
+const lastLines = (text, count) => text.trimEnd().split('\n').slice(-count).join('\n');
+
+// Why a run failed, in one line
+const describeFailure = (run) => {
+  if (run.timedOut) return 'Program did not finish within the time limit';
+  if (run.cpuLimitExceeded) return 'Program exceeded the CPU time limit';
+  if (run.outputExceeded) return 'Program exceeded the output size limit';
+  if (run.signal) return `Program was killed by ${run.signal}`;
+
+  const lines = run.stderr.trim().split('\n');
+  // The exception is usually the last line of a traceback (Python) or the
+  // first one naming an error (JavaScript, Java)
+  const errorLine = lines.find(line => /^(Exception in thread|\w+(Error|Exception)\b)/.test(line.trim())) ||
+    lines.find(line => /(Error|Exception)\b/.test(line)) ||
+    lines[lines.length - 1];
+
+  return errorLine ? errorLine.trim() : `Program exited with code ${run.exitCode}`;
+};
+
+// Maps compiler errors and failed runs onto the review's bug shape. Runs
+// that fail the same way are reported once.
+const toBugs = (result, runner, code) => {
+  if (result.compile && result.compile.exitCode !== 0) {
+    const errors = runner.compileErrors
+      ? [...result.compile.stderr.matchAll(runner.compileErrors)]
+      : [];
+
+    return (errors.length ? errors : [[null, '1', lastLines(result.compile.stderr, 1)]])
+      .map(([, line, message]) => ({
+        type: 'syntax',
+        source: 'run',
+        rule: 'compile-error',
+        severity: 'error',
+        message: `Compilation failed: ${message}`,
+        line: parseInt(line, 10),
+        explanation: lastLines(result.compile.stderr, MAX_STDERR_LINES),
+        fix: null
+      }));
+  }
+
+  const seen = new Set();
+  return result.runs
+    .filter(run => run.exitCode !== 0)
+    .map(run => ({
+      type: 'runtime',
+      source: 'run',
+      rule: 'runtime-error',
+      severity: 'error',
+      message: describeFailure(run),
+      line: runner.locate(run.stderr, code) || 1,
+      explanation: lastLines(run.stderr, MAX_STDERR_LINES) || describeFailure(run),
+      fix: null
+    }))
+    .filter(bug => {
+      const key = `${bug.line}:${bug.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// Returns an error message when `tests` is not a list of test cases
+const validateTests = (tests) => {
+  if (!Array.isArray(tests) || tests.length > MAX_TESTS) {
+    return `tests must be an array of at most ${MAX_TESTS} test cases`;
+  }
+  const invalid = tests.findIndex(test => !test || typeof test.input !== 'string' ||
+    (test.expected !== undefined && typeof test.expected !== 'string') ||
+    (test.name !== undefined && typeof test.name !== 'string'));
+  return invalid === -1 ? null : `tests[${invalid}] must have a string input and an optional string name and expected`;
+};
+
+// Compiles (when the language needs it) and runs `code` once per test case,
+// or once with `stdin` when there are no tests. A test passes when the
+// program exits cleanly and its output matches `expected`.
+const runCode = async ({ code, language, stdin = '', tests = [], limits = limitsFromEnv() }) => {
+  const runner = getRunner(language);
+  if (!runner) {
+    throw badRequest(`Code execution is not supported for ${language}; supported languages are ${RUNNABLE_LANGUAGES.join(', ')}`);
+  }
+  if (typeof stdin !== 'string') {
+    throw badRequest('stdin must be a string');
+  }
+  const testsError = validateTests(tests);
+  if (testsError) {
+    throw badRequest(testsError);
+  }
+  if ([stdin, ...tests.map(test => test.input)].some(input => input.length > MAX_STDIN_SIZE)) {
+    throw badRequest(`Input is limited to ${MAX_STDIN_SIZE} bytes per run`);
+  }
+
+  if (!hasIsolation()) {
+    throw unavailable('Code execution is unavailable: this server cannot isolate programs from its network and files');
+  }
+
+  const source = runner.source(code);
+  const commands = [
+    ...(runner.compile ? [runner.compile({ source })] : []),
+    runner.run({ memoryMb: limits.memoryMb, code })
+  ];
+  const missing = commands.map(command => command[0]).find(command => !command.startsWith('./') && !commandExists(command));
+  if (missing) {
+    throw unavailable(`Code execution for ${language} is unavailable: ${missing} is not installed on the server`);
+  }
+
+  if (activeRuns >= limits.maxConcurrent) {
+    const error = new Error('Too many programs are running; try again shortly');
+    error.status = 429;
+    throw error;
+  }
+
+  activeRuns++;
+  let base;
+
+  try {
+    base = await fs.mkdtemp(path.join(os.tmpdir(), 'code-review-run-'));
+    const work = path.join(base, 'work');
+    await fs.mkdir(work);
+    prepareWorkDir(work);
+    // Error messages read better without the working directory in paths
+    const relative = (text) => text.split('/sandbox/').join('');
+
+    await fs.writeFile(path.join(work, source), code);
+
+    let compile = null;
+    if (runner.compile) {
+      compile = await execute(commands[0], {
+        base,
+        work,
+        timeMs: limits.compileTimeMs,
+        cpuSeconds: Math.ceil(limits.compileTimeMs / 1000),
+        memoryMb: limits.memoryMb,
+        addressSpaceMb: null,
+        maxOutputBytes: limits.maxOutputBytes,
+        maxProcesses: limits.maxProcesses
+      });
+    }
+
+    const runs = [];
+    if (!compile || compile.exitCode === 0) {
+      const cases = tests.length ? tests : [{ input: stdin }];
+
+      // One at a time, so runs do not compete for CPU time
+      for (const test of cases) {
+        const run = await execute(commands[commands.length - 1], {
+          base,
+          work,
+          stdin: test.input,
+          timeMs: limits.timeMs,
+          cpuSeconds: limits.cpuSeconds,
+          memoryMb: limits.memoryMb,
+          addressSpaceMb: runner.addressSpaceMb,
+          maxOutputBytes: limits.maxOutputBytes,
+          maxProcesses: limits.maxProcesses
+        });
+
+        runs.push({
+          ...(test.name && { name: test.name }),
+          input: test.input,
+          ...run,
+          stderr: relative(run.stderr),
+          ...(test.expected !== undefined && {
+            expected: test.expected,
+            passed: run.exitCode === 0 && normalizeOutput(run.stdout) === normalizeOutput(test.expected)
+          })
+        });
+      }
+    }
+
+    const result = {
+      language,
+      compile,
+      runs,
+      passed: runs.filter(run => run.passed === true).length,
+      failed: runs.filter(run => run.passed === false).length
+    };
+
+    return { ...result, bugs: toBugs(result, runner, code) };
+  } finally {
+    activeRuns--;
+    if (base) await fs.rm(base, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  RUNNABLE_LANGUAGES,
+  limitsFromEnv,
+  runCode,
+  validateTests
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Wraps a command so it runs in its own mount, PID, network, IPC and UTS
+// namespaces (unshare(1)) as a dedicated uid. The program's root directory
+// is a fresh tmpfs holding only read-only binds of the toolchain
+// directories, /dev/null and friends, a private /proc and /tmp, and its
+// working directory at /sandbox: the server's files, including .env, are
+// not there to read. Killing the outer unshare kills every process in the
+// PID namespace, so programs cannot leave children behind with setsid.
+//
+// A server running as root drops the program to SANDBOX_UID/SANDBOX_GID.
+// Otherwise the namespaces are created in a user namespace and the program
+// runs as SANDBOX_UID inside it, which the host sees as the server's user.
+
+// Directories visible to programs; toolchains installed elsewhere need
+// their directory added with SANDBOX_PATHS
+const DEFAULT_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc'];
+
+// Runs as the first process in the new namespaces. Arguments: the working
+// directory, the directory to build the root in, the uid and gid, the
+// colon-separated directories to bind and whether to drop privileges with
+// setpriv (root) or a user namespace; then the command. The shell stays
+// PID 1 and exits with 128 + the signal number when the program is killed
+// by a signal (unshare --fork cannot pass a child's signal on).
+const SETUP_SCRIPT = `set -e
+work=$1 root=$2 uid=$3 gid=$4 paths=$5 drop=$6
+shift 6
+mount -t tmpfs -o mode=755,size=1m sandbox "$root"
+IFS=:
+for dir in $paths; do
+  [ -d "$dir" ] || continue
+  mkdir -p "$root$dir"
+  mount --rbind "$dir" "$root$dir"
+  mount -o remount,bind,ro,nosuid,nodev "$root$dir"
+done
+unset IFS
+mkdir -p "$root/dev" "$root/proc" "$root/tmp" "$root/sandbox"
+for device in null zero random urandom; do
+  touch "$root/dev/$device"
+  mount --bind "/dev/$device" "$root/dev/$device"
+done
+mount -t proc -o nosuid,nodev,noexec proc "$root/proc"
+mount -t tmpfs -o mode=1777,size=16m,nosuid,nodev tmp "$root/tmp"
+mount --bind "$work" "$root/sandbox"
+if [ "$drop" = setpriv ]; then
+  unshare --root="$root" --wd=/sandbox -- setpriv --reuid="$uid" --regid="$gid" --clear-groups --no-new-privs -- "$@"
+else
+  unshare --user --map-user="$uid" --map-group="$gid" --root="$root" --wd=/sandbox -- setpriv --no-new-privs -- "$@"
+fi
+`;
+
+const number = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const isRoot = () => typeof process.getuid === 'function' && process.getuid() === 0;
+
+// The uid, visible directories and PATH programs get, from the environment
+const isolationFromEnv = (env = process.env) => {
+  const paths = [
+    ...DEFAULT_PATHS,
+    ...(env.SANDBOX_PATHS || '').split(':').map(dir => dir.trim()).filter(dir => path.isAbsolute(dir))
+  ];
+  const visible = (dir) => paths.some(root => dir === root || dir.startsWith(`${root}/`));
+
+  return {
+    uid: number(env.SANDBOX_UID, 65534),
+    gid: number(env.SANDBOX_GID, 65534),
+    paths,
+    // Only the server's PATH entries the program can see
+    PATH: (env.PATH || '').split(':').filter(visible).join(':') || '/usr/bin:/bin'
+  };
+};
+
+// The argv that runs `command` isolated, with `work` (a directory inside
+// `base`) as its working directory. `base` also holds the new root's mount
+// point, so nothing is created outside it.
+const isolate = (command, { base, work, isolation = isolationFromEnv() }) => {
+  const root = path.join(base, 'root');
+  fs.mkdirSync(root, { recursive: true });
+
+  return [
+    'unshare',
+    ...(isRoot() ? [] : ['--user', '--map-root-user']),
+    '--mount', '--net', '--pid', '--ipc', '--uts', '--fork', '--kill-child',
+    '--',
+    'sh', '-c', SETUP_SCRIPT, 'sandbox-setup',
+    work, root, String(isolation.uid), String(isolation.gid), isolation.paths.join(':'),
+    isRoot() ? 'setpriv' : 'userns',
+    ...command
+  ];
+};
+
+// The exit code and signal of an isolated run, from the code the setup
+// shell exits with
+const exitStatus = (exitCode, signal) => {
+  if (signal || exitCode <= 128) return { exitCode, signal };
+  const name = Object.keys(os.constants.signals).find(key => os.constants.signals[key] === exitCode - 128);
+  return name ? { exitCode: null, signal: name } : { exitCode, signal };
+};
+
+// Lets the program's uid write to its working directory when it is a
+// different user on the host
+const prepareWorkDir = (work, isolation = isolationFromEnv()) => {
+  if (isRoot()) fs.chownSync(work, isolation.uid, isolation.gid);
+};
+
+let available;
+
+// Whether this machine can isolate programs: tried once with `true`
+const hasIsolation = () => {
+  if (available === undefined) {
+    const base = fs.mkdtempSync(path.join(os.tmpdir(), 'code-review-check-'));
+    try {
+      const work = path.join(base, 'work');
+      fs.mkdirSync(work);
+      prepareWorkDir(work);
+      const argv = isolate(['true'], { base, work });
+      const result = spawnSync(argv[0], argv.slice(1), {
+        stdio: 'ignore',
+        timeout: 10000,
+        env: { PATH: isolationFromEnv().PATH }
+      });
+      available = result.status === 0;
+    } catch (error) {
+      available = false;
+    } finally {
+      fs.rmSync(base, { recursive: true, force: true });
+    }
+  }
+  return available;
+};
+
+module.exports = {
+  exitStatus,
+  hasIsolation,
+  isolate,
+  isolationFromEnv,
+  prepareWorkDir
+};
@@ -0,0 +1,65 @@
+// How to build and run each supported language inside the sandbox.
+//
+// `source` is the file name the code is written to and `compile` (optional)
+// and `run` build the command lines. `addressSpaceMb` is the virtual memory
+// allowed beyond the memory limit, since V8 maps far more address space than
+// it uses; null leaves address space unlimited. `locate` finds the source
+// line a runtime error points at.
+
+const lineIn = (pattern) => (text) => {
+  const matches = [...text.matchAll(pattern)];
+  return matches.length ? parseInt(matches[matches.length - 1][1], 10) : null;
+};
+
+const javaClassName = (code) => {
+  const match = /public\s+(?:final\s+|abstract\s+)*class\s+([A-Za-z_$][\w$]*)/.exec(code);
+  return match ? match[1] : 'Main';
+};
+
+const languages = {
+  javascript: {
+    source: () => 'main.js',
+    run: ({ memoryMb }) => ['node', `--max-old-space-size=${memoryMb}`, '--disallow-code-generation-from-strings', 'main.js'],
+    addressSpaceMb: 1024,
+    // The first frame in the stack trace that points into the submitted file
+    locate: (stderr) => {
+      const match = /main\.js:(\d+)/.exec(stderr);
+      return match ? parseInt(match[1], 10) : null;
+    }
+  },
+  python: {
+    source: () => 'main.py',
+    run: () => ['python3', '-I', '-B', 'main.py'],
+    addressSpaceMb: 0,
+    // Python prints the innermost frame last
+    locate: lineIn(/File "[^"]*main\.py", line (\d+)/g)
+  },
+  java: {
+    source: (code) => `${javaClassName(code)}.java`,
+    compile: ({ source }) => ['javac', '-J-Xmx256m', '-encoding', 'UTF-8', source],
+    run: ({ memoryMb, code }) => ['java', `-Xmx${memoryMb}m`, '-Xss8m', '-XX:+UseSerialGC', '-cp', '.', javaClassName(code)],
+    // The JVM does not start under a tight address space limit; -Xmx bounds the heap
+    addressSpaceMb: null,
+    locate: (stderr, code) => {
+      const match = new RegExp(`\\(${javaClassName(code)}\\.java:(\\d+)\\)`).exec(stderr);
+      return match ? parseInt(match[1], 10) : null;
+    },
+    compileErrors: /^[\w$]+\.java:(\d+): error: (.*)$/gm
+  },
+  cpp: {
+    source: () => 'main.cpp',
+    compile: () => ['g++', '-std=c++17', '-O2', '-o', 'main', 'main.cpp'],
+    run: () => ['./main'],
+    addressSpaceMb: 0,
+    // Native crashes carry no line information without a debugger
+    locate: () => null,
+    compileErrors: /^main\.cpp:(\d+):\d+: error: (.*)$/gm
+  }
+};
+
+const getRunner = (language) => (Object.hasOwn(languages, language) ? languages[language] : null);
+
+module.exports = {
+  getRunner,
+  RUNNABLE_LANGUAGES: Object.keys(languages)
+};
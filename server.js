@@ -1,58 +1,37 @@
- 
 const mongoose = require('mongoose');
-const cors = require('cors');
 const dotenv = require('dotenv');
-const OpenAI = require('openai');
+const { createApp } = require('./app');
+const { createReviewerFromEnv } = require('./llm/config');
+const { createGitHubFromEnv } = require('./github/config');
+const { validateJwtSecret } = require('./middleware/auth');
 
 // Load environment variables
 dotenv.config();
 
-const app = express();
-
-// Middleware
-app.use(cors());
-app.use(express.json());
+// A guessable secret would let anyone forge login tokens
+const secretError = validateJwtSecret(process.env.JWT_SECRET);
+if (secretError) {
+  console.error(secretError);
+  process.exit(1);
+}
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-code-reviewer')
   .then(() => console.log('Connected to MongoDB'))
   .catch(err => console.error('MongoDB connection error:', err));
 
-// OpenAI configuration
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// LLM provider configured by LLM_PROVIDER; without one, reviews are
+// rule-based only
+const llm = createReviewerFromEnv();
 
-// Routes
-app.post('/api/review', async (req, res) => {
-  try {
-    const { code, language } = req.body;
-    
-    const prompt = `Review the following ${language} code and provide:
-    1. Potential bugs and their solutions
-    2. Performance optimization suggestions
-    3. Code logic explanation
-    4. Best practices recommendations
-    
-    Code:
-    ${code}`;
+// Pull request reviews through the GitHub webhook, when GITHUB_TOKEN and
+// GITHUB_WEBHOOK_SECRET are set
+const github = createGitHubFromEnv();
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0.7,
-      max_tokens: 1000
-    });
-
-    res.json({ review: completion.choices[0].message.content });
-  } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ error: 'Failed to review code' });
-  }
-});
+const app = createApp({ llm, github });
 
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../app');
+const { CODE, LLM_FINDINGS, stubLlm, listen } = require('./helpers');
+
+// Posts `body` to /api/review on an app built with `llm`
+const postReview = async (llm, body) => {
+  const server = await listen(createApp({ llm }));
+  try {
+    return await server.request('POST', '/api/review', body);
+  } finally {
+    await server.close();
+  }
+};
+
+test('POST /api/review without an LLM returns rule findings only', async () => {
+  const { status, body } = await postReview(null, { code: CODE, language: 'javascript' });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.review.llm, { used: false });
+  assert.ok(body.review.debugging.bugs.some(bug => bug.rule === 'no-undefined-var'));
+  assert.ok(body.review.debugging.bugs.every(bug => bug.source === 'rule'));
+  assert.strictEqual(body.reviewId, undefined);
+});
+
+test('POST /api/review merges the LLM findings', async () => {
+  const llm = stubLlm(LLM_FINDINGS);
+  const { status, body } = await postReview(llm, { code: CODE, language: 'javascript', llmOptions: { temperature: 0 } });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(llm.calls.length, 1);
+  assert.deepStrictEqual(llm.calls[0].overrides, { temperature: 0 });
+  assert.deepStrictEqual(body.review.llm, { used: true, provider: 'stub', model: 'stub-model-v2' });
+
+  const sources = body.review.debugging.bugs.map(bug => bug.source);
+  assert.ok(sources.includes('rule'));
+  assert.strictEqual(sources.filter(source => source === 'llm').length, 1);
+  assert.ok(body.review.suggestions.some(suggestion => suggestion.source === 'llm'));
+});
+
+test('POST /api/review skips the LLM when the request sets llm: false', async () => {
+  const llm = stubLlm(LLM_FINDINGS);
+  const { status, body } = await postReview(llm, { code: CODE, language: 'javascript', llm: false });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(llm.calls.length, 0);
+  assert.deepStrictEqual(body.review.llm, { used: false });
+});
+
+test('POST /api/review still answers with the rule findings when the LLM fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { status, body } = await postReview(stubLlm(new Error('model unavailable')), { code: CODE, language: 'javascript' });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.review.llm, { used: false, error: 'LLM review failed: model unavailable' });
+  assert.ok(body.review.debugging.bugs.length > 0);
+  assert.ok(body.review.debugging.bugs.every(bug => bug.source === 'rule'));
+});
+
+test('POST /api/review rejects invalid requests before reviewing', async () => {
+  const llm = stubLlm(LLM_FINDINGS);
+  llm.resolveSettings = () => {
+    throw new Error('Unknown model: nope');
+  };
+
+  const cases = [
+    [{ language: 'javascript' }, 'Code is required'],
+    [{ code: CODE, language: 'cobol' }, 'Unsupported language: cobol'],
+    [{ code: CODE, language: 'javascript', llmOptions: { model: 'nope' } }, 'Unknown model: nope']
+  ];
+  for (const [request, error] of cases) {
+    const { status, body } = await postReview(llm, request);
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, error);
+  }
+  assert.strictEqual(llm.calls.length, 0);
+});
+
+test('POST /api/review refuses to run code without an account', async () => {
+  const { status, body } = await postReview(null, { code: CODE, language: 'javascript', run: true });
+
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.error, 'Sign in to run code');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeCode } = require('../analyzers');
+const { applyFixes, insertAt, replaceAt } = require('../analyzers/fixes');
+
+const suggestedFix = (code, id) => {
+  const suggestion = analyzeCode(code, 'javascript').suggestions.find(({ fix }) => fix && fix.id === id);
+  return suggestion ? suggestion.fix : null;
+};
+
+test('applyFixes applies edits and skips fixes that overlap or fall outside the code', () => {
+  const code = 'var a = 1\nvar b = 2\n';
+  const { code: fixed, applied, skipped } = applyFixes(code, [
+    { id: 'a', edits: [replaceAt(1, 1, 3, 'let'), insertAt(1, 10, ';')] },
+    { id: 'overlapping', edits: [replaceAt(1, 2, 1, 'x')] },
+    { id: 'same-insertion', edits: [insertAt(1, 10, '!')] },
+    { id: 'outside', edits: [insertAt(5, 1, ';')] },
+    { id: 'b', edits: [replaceAt(2, 1, 3, 'const')] }
+  ]);
+
+  assert.strictEqual(fixed, 'let a = 1;\nconst b = 2\n');
+  assert.deepStrictEqual(applied, ['a', 'b']);
+  assert.deepStrictEqual(skipped, ['overlapping', 'same-insertion', 'outside']);
+});
+
+test('applyFixes takes linear time in the number of edits', () => {
+  const lines = 20000;
+  const code = 'x == y\n'.repeat(lines);
+  const fixes = Array.from({ length: lines }, (_, index) => ({ id: index, edits: [replaceAt(index + 1, 3, 2, '===')] }));
+
+  const start = Date.now();
+  const { code: fixed, skipped } = applyFixes(code, fixes);
+
+  assert.strictEqual(fixed, 'x === y\n'.repeat(lines));
+  assert.deepStrictEqual(skipped, []);
+  assert.ok(Date.now() - start < 2000, `took ${Date.now() - start} ms`);
+});
+
+test('var is left alone when a function inside its loop uses it', () => {
+  assert.strictEqual(suggestedFix('for (var i = 0; i < 3; i++) {\n  setTimeout(() => console.log(i));\n}\n', 'var-to-let-const'), null);
+  assert.strictEqual(suggestedFix('while (next()) {\n  var item = next();\n  queue.push(function () { return item; });\n}\n', 'var-to-let-const'), null);
+
+  const fix = suggestedFix('for (var i = 0; i < 3; i++) {\n  console.log(i);\n}\n', 'var-to-let-const');
+  assert.strictEqual(fix.after, 'for (let i = 0; i < 3; i++) {');
+});
+
+test('comparisons with null or undefined keep loose equality', () => {
+  const fix = suggestedFix('if (a == undefined || b != null || c == 1) {}\n', 'strict-equality');
+  assert.strictEqual(fix.after, 'if (a == undefined || b != null || c === 1) {}');
+});
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../app');
+const { listen } = require('./helpers');
+
+const SECRET = 'webhook-test-secret';
+const HEAD_SHA = 'abcdef1234567890';
+const SUMMARY_MARKER = '<!-- code-review-summary -->';
+
+// Lines 2, 4, 5 and 6 use undeclared names; the pull request only adds 4-6
+const CONTENT = 'function total() {\n  return price;\n}\nconsole.log(first);\nconsole.log(second);\nconsole.log(third);\n';
+const PATCH = '@@ -1,3 +1,6 @@\n function total() {\n   return price;\n }\n+console.log(first);\n+console.log(second);\n+console.log(third);';
+
+// A GitHub client (see github/client.js) serving one changed file and
+// recording every call; `reviewComments` and `issueComments` are what the
+// pull request already has
+const fakeClient = ({ reviewComments = [], issueComments = [] } = {}) => {
+  const calls = [];
+  const record = (name, result) => async (...args) => {
+    calls.push({ name, args });
+    return result;
+  };
+
+  return {
+    calls,
+    callsTo: (name) => calls.filter(call => call.name === name).map(call => call.args),
+    listPullRequestFiles: record('listPullRequestFiles', [{ filename: 'src/total.js', status: 'modified', patch: PATCH }]),
+    getFileContent: record('getFileContent', CONTENT),
+    listReviewComments: record('listReviewComments', reviewComments),
+    createReview: record('createReview', {}),
+    listIssueComments: record('listIssueComments', issueComments),
+    createIssueComment: record('createIssueComment', {}),
+    updateIssueComment: record('updateIssueComment', {})
+  };
+};
+
+// An app whose GitHub integration uses `client`; `reviewed` resolves when
+// a background review finishes
+const startApp = async (client, settings = {}) => {
+  let finish;
+  const reviewed = new Promise((resolve, reject) => {
+    finish = (result, error) => (error ? reject(error) : resolve(result));
+  });
+  const server = await listen(createApp({
+    github: {
+      client,
+      webhookSecret: SECRET,
+      settings: { minSeverity: 'warning', maxComments: 20, ...settings },
+      onReviewed: finish
+    }
+  }));
+  return { ...server, reviewed };
+};
+
+const pullRequestEvent = (overrides = {}) => ({
+  action: 'opened',
+  repository: { name: 'shop', owner: { login: 'octo' } },
+  pull_request: { number: 7, draft: false, head: { sha: HEAD_SHA } },
+  ...overrides
+});
+
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const deliver = (server, payload, { event = 'pull_request', signature } = {}) => {
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return server.request('POST', '/api/github/webhook', body, {
+    'X-GitHub-Event': event,
+    'X-Hub-Signature-256': signature === undefined ? sign(body) : signature
+  });
+};
+
+test('the webhook rejects a bad signature', async () => {
+  const client = fakeClient();
+  const server = await startApp(client);
+  try {
+    for (const signature of ['', 'sha256=0000', sign(JSON.stringify(pullRequestEvent()), 'another-secret')]) {
+      const { status, body } = await deliver(server, pullRequestEvent(), { signature });
+      assert.strictEqual(status, 401);
+      assert.strictEqual(body.error, 'Invalid webhook signature');
+    }
+    assert.deepStrictEqual(client.calls, []);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the webhook answers 503 when the integration is not configured', async () => {
+  const server = await listen(createApp());
+  try {
+    const { status } = await deliver(server, pullRequestEvent());
+    assert.strictEqual(status, 503);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the webhook ignores events and actions with nothing to review', async () => {
+  const client = fakeClient();
+  const server = await startApp(client);
+  try {
+    const ping = await deliver(server, { zen: 'Keep it simple' }, { event: 'ping' });
+    assert.strictEqual(ping.status, 200);
+
+    const ignored = [
+      [pullRequestEvent({ action: 'closed' }), 'pull_request'],
+      [pullRequestEvent({ action: 'labeled' }), 'pull_request'],
+      [pullRequestEvent({ pull_request: { number: 7, draft: true, head: { sha: HEAD_SHA } } }), 'pull_request'],
+      [pullRequestEvent(), 'issues']
+    ];
+    for (const [payload, event] of ignored) {
+      const { status, body } = await deliver(server, payload, { event });
+      assert.strictEqual(status, 202);
+      assert.deepStrictEqual(body, { ignored: true });
+    }
+    assert.deepStrictEqual(client.calls, []);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the webhook rejects a signed body that is not JSON', async () => {
+  const server = await startApp(fakeClient());
+  try {
+    const { status, body } = await deliver(server, 'not json');
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'Webhook payload must be JSON');
+  } finally {
+    await server.close();
+  }
+});
+
+test('a pull request gets inline comments on changed lines only and a summary', async () => {
+  const client = fakeClient();
+  const server = await startApp(client);
+  try {
+    const { status } = await deliver(server, pullRequestEvent({ action: 'synchronize' }));
+    assert.strictEqual(status, 202);
+    const result = await server.reviewed;
+
+    assert.deepStrictEqual(client.callsTo('getFileContent'), [[{ owner: 'octo', repo: 'shop', number: 7, headSha: HEAD_SHA }, 'src/total.js', HEAD_SHA]]);
+    assert.strictEqual(result.posted, 3);
+
+    const [[pr, review]] = client.callsTo('createReview');
+    assert.strictEqual(pr.number, 7);
+    assert.strictEqual(review.commitId, HEAD_SHA);
+    // `price` on line 2 is an old problem the pull request did not touch
+    assert.deepStrictEqual(review.comments.map(comment => comment.line), [4, 5, 6]);
+    assert.ok(review.comments.every(comment => comment.path === 'src/total.js' && comment.side === 'RIGHT'));
+    assert.match(review.comments[0].body, /first.*`no-undefined-var`/);
+
+    const [[, summary]] = client.callsTo('createIssueComment');
+    assert.ok(summary.startsWith(SUMMARY_MARKER));
+    assert.match(summary, /3 findings on changed lines/);
+    assert.match(summary, /Posted 3 new inline comments/);
+    assert.deepStrictEqual(client.callsTo('updateIssueComment'), []);
+  } finally {
+    await server.close();
+  }
+});
+
+test('findings over the comment budget are listed in the summary', async () => {
+  const client = fakeClient();
+  const server = await startApp(client, { maxComments: 1 });
+  try {
+    await deliver(server, pullRequestEvent());
+    await server.reviewed;
+
+    const [[, review]] = client.callsTo('createReview');
+    assert.strictEqual(review.comments.length, 1);
+
+    const [[, summary]] = client.callsTo('createIssueComment');
+    assert.match(summary, /Posted 1 new inline comment\./);
+    assert.match(summary, /2 more findings did not fit the budget of 1 inline comments/);
+    assert.match(summary, /`src\/total\.js:5`/);
+    assert.match(summary, /`src\/total\.js:6`/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a later push updates the summary comment and does not repeat comments', async () => {
+  const first = fakeClient();
+  let server = await startApp(first);
+  let posted;
+  try {
+    await deliver(server, pullRequestEvent());
+    await server.reviewed;
+    posted = first.callsTo('createReview')[0][1].comments;
+  } finally {
+    await server.close();
+  }
+
+  const client = fakeClient({
+    reviewComments: posted.map(({ path, line, body }) => ({ path, line, body })),
+    issueComments: [{ id: 11, body: 'Looks good' }, { id: 12, body: `${SUMMARY_MARKER}\nold summary` }]
+  });
+  server = await startApp(client);
+  try {
+    await deliver(server, pullRequestEvent({ action: 'synchronize' }));
+    const result = await server.reviewed;
+
+    assert.strictEqual(result.posted, 0);
+    assert.deepStrictEqual(client.callsTo('createReview'), []);
+    assert.deepStrictEqual(client.callsTo('createIssueComment'), []);
+
+    const [[, id, summary]] = client.callsTo('updateIssueComment');
+    assert.strictEqual(id, 12);
+    assert.ok(summary.startsWith(SUMMARY_MARKER));
+    assert.match(summary, /3 findings on changed lines/);
+  } finally {
+    await server.close();
+  }
+});
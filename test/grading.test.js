@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../app');
+const { validateRubric } = require('../analyzers/grading');
+const { CODE, listen } = require('./helpers');
+
+test('validateRubric rejects criterion types and parameters inherited from Object', () => {
+  assert.match(validateRubric({ criteria: [{ type: 'constructor', weight: 1 }] }), /unknown criterion type constructor/);
+  assert.match(validateRubric({ criteria: [{ type: 'toString', weight: 1 }] }), /unknown criterion type toString/);
+  assert.strictEqual(
+    validateRubric({ criteria: [{ type: 'complexity', weight: 1, constructor: 1 }] }),
+    'rubric.criteria[0]: unknown parameter constructor for complexity'
+  );
+});
+
+test('POST /api/grade answers 400 for an inherited criterion type', async () => {
+  const server = await listen(createApp());
+  try {
+    const { status, body } = await server.request('POST', '/api/grade', {
+      code: CODE,
+      language: 'javascript',
+      rubric: { criteria: [{ type: 'constructor', weight: 1 }] }
+    });
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /unknown criterion type constructor/);
+
+    const graded = await server.request('POST', '/api/grade', { code: CODE, language: 'javascript' });
+    assert.strictEqual(graded.status, 200);
+    assert.strictEqual(typeof graded.body.grade.score, 'number');
+  } finally {
+    await server.close();
+  }
+});
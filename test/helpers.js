@@ -0,0 +1,64 @@
+// Shared by the tests: a stub LLM reviewer and a running app to send
+// requests to
+
+const CODE = 'function add(a, b) {\n  return a + b;\n}\nconsole.log(add(1, missing));\n';
+
+// A reviewer with the interface of llm/index.js whose `review()` returns
+// `findings` (or throws them, when they are an Error). Calls are recorded.
+const stubLlm = (findings) => {
+  const calls = [];
+  return {
+    provider: 'stub',
+    model: 'stub-model',
+    calls,
+    resolveSettings: (overrides = {}) => overrides,
+    review: async (request) => {
+      calls.push(request);
+      if (findings instanceof Error) throw findings;
+      return findings;
+    }
+  };
+};
+
+const LLM_FINDINGS = {
+  bugs: [{ type: 'logical', severity: 'warning', message: 'add() is never given a second number', line: 4 }],
+  suggestions: [{ message: 'Name the constant', category: 'readability' }],
+  bestPractices: ['Declare variables before using them'],
+  logicExplanation: 'Adds two numbers and logs the sum.',
+  model: 'stub-model-v2'
+};
+
+// Starts `app` on a free port; `request(method, path, body, headers)`
+// resolves to { status, body } with a parsed JSON body. A FormData body is
+// sent as multipart/form-data.
+const listen = (app) => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    resolve({
+      request: async (method, path, body, headers = {}) => {
+        const multipart = body instanceof FormData;
+        const response = await fetch(`${base}${path}`, {
+          method,
+          headers: multipart ? headers : { 'Content-Type': 'application/json', ...headers },
+          body: multipart || body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+          parsed = JSON.parse(text);
+        } catch (error) {
+          // Not JSON: keep the text
+        }
+        return { status: response.status, body: parsed };
+      },
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+module.exports = {
+  CODE,
+  LLM_FINDINGS,
+  stubLlm,
+  listen
+};
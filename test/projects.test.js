@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const { createApp } = require('../app');
+const { listen } = require('./helpers');
+
+const CENTRAL_HEADER = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+
+// Sets the uncompressed size every header of `archive` declares to 0, as a
+// zip bomb would to get past size checks
+const hideSizes = (archive) => {
+  const crafted = Buffer.from(archive);
+  for (let offset = 0; offset < crafted.length - 4; offset++) {
+    const signature = crafted.readUInt32LE(offset);
+    if (signature === LOCAL_HEADER) crafted.writeUInt32LE(0, offset + 22);
+    if (signature === CENTRAL_HEADER) crafted.writeUInt32LE(0, offset + 24);
+  }
+  return crafted;
+};
+
+const postArchive = async (archive) => {
+  const form = new FormData();
+  form.append('files', new Blob([archive]), 'project.zip');
+
+  const server = await listen(createApp());
+  try {
+    return await server.request('POST', '/api/review/project', form);
+  } finally {
+    await server.close();
+  }
+};
+
+test('an archive entry that inflates past the size limit is skipped', async () => {
+  const zip = new AdmZip();
+  zip.addFile('src/app.js', Buffer.from('console.log(1);\n'));
+  // 64 MB of one repeated line compresses to a few dozen KB
+  zip.addFile('src/bomb.js', Buffer.alloc(64 * 1024 * 1024, 'x = 1;\n'));
+  const archive = hideSizes(zip.toBuffer());
+  assert.ok(archive.length < 512 * 1024);
+
+  const { status, body } = await postArchive(archive);
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.project.files.map(file => file.path), ['project.zip/src/app.js']);
+  assert.deepStrictEqual(
+    body.project.skipped.filter(file => file.path === 'project.zip/src/bomb.js'),
+    [{ path: 'project.zip/src/bomb.js', reason: 'File is too large' }]
+  );
+});
+
+test('an archive entry that cannot be inflated is skipped', async () => {
+  const zip = new AdmZip();
+  zip.addFile('src/app.js', Buffer.from('console.log(1);\n'));
+  zip.addFile('src/broken.js', Buffer.alloc(4096, 'let y = 2;\n'));
+  const archive = zip.toBuffer();
+
+  // Corrupt the start of the second entry's deflate stream
+  const local = archive.indexOf(Buffer.from('src/broken.js'));
+  archive.fill(0xff, local + 'src/broken.js'.length, local + 'src/broken.js'.length + 8);
+
+  const { status, body } = await postArchive(archive);
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.project.files.map(file => file.path), ['project.zip/src/app.js']);
+  const [broken] = body.project.skipped.filter(file => file.path === 'project.zip/src/broken.js');
+  assert.match(broken.reason, /^Could not extract/);
+});
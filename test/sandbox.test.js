@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runCode } = require('../sandbox');
+
+test('runCode refuses languages it has no runner for, including names inherited from Object', async () => {
+  for (const language of ['cobol', 'constructor', '__proto__', 'toString']) {
+    await assert.rejects(runCode({ code: 'x', language }), {
+      status: 400,
+      message: new RegExp(`^Code execution is not supported for ${language}`)
+    });
+  }
+});